@@ -63,6 +63,14 @@ object TestAssetHelper {
         return TestAsset(url, content, "")
     }
 
+    fun getTabCrashedActionsAsset(server: MockWebServer): TestAsset {
+        val url = server.url("pages/tab_crashed_actions.html").toString().toUri()!!
+        val content = "Page content: tab crashed actions"
+        val title = "Tab_Crashed_Actions_Test_Page"
+
+        return TestAsset(url, content, title)
+    }
+
     fun getUUIDPage(server: MockWebServer): TestAsset {
         val url = server.url("pages/basic_nav_uuid.html").toString().toUri()!!
         val content = "Page content: basic_nav_uuid"
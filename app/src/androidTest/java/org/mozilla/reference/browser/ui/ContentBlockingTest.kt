@@ -0,0 +1,69 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.ui
+
+import androidx.core.net.toUri
+import kotlinx.coroutines.runBlocking
+import mockwebserver3.MockWebServer
+import org.junit.After
+import org.junit.Assert.assertEquals
+import org.junit.Before
+import org.junit.Rule
+import org.junit.Test
+import org.mozilla.reference.browser.ext.components
+import org.mozilla.reference.browser.helpers.AndroidAssetDispatcher
+import org.mozilla.reference.browser.helpers.BrowserActivityTestRule
+import org.mozilla.reference.browser.helpers.RetryTestRule
+import org.mozilla.reference.browser.helpers.TestAssetHelper
+import org.mozilla.reference.browser.helpers.TestHelper
+import org.mozilla.reference.browser.ui.robots.navigationToolbar
+import java.io.File
+
+/**
+ * Tests for content blocking with imported filter lists:
+ * - A list with broken regular expression filters imports without them, and pages still load
+ */
+class ContentBlockingTest {
+    private lateinit var mockWebServer: MockWebServer
+
+    private val contentBlocker = TestHelper.appContext.components.core.contentBlocker
+
+    @get:Rule
+    val activityTestRule = BrowserActivityTestRule()
+
+    @Rule
+    @JvmField
+    val retryTestRule = RetryTestRule(3)
+
+    @Before
+    fun setUp() {
+        mockWebServer = MockWebServer().apply {
+            dispatcher = AndroidAssetDispatcher()
+            start()
+        }
+    }
+
+    @After
+    fun tearDown() {
+        runCatching { mockWebServer.close() }
+        runBlocking { contentBlocker.removeFilterLists() }
+    }
+
+    @Test
+    fun brokenRegexFilterListTest() {
+        val webPage = TestAssetHelper.getGenericAsset(mockWebServer, 1)
+        val filterList = File(TestHelper.appContext.cacheDir, "broken_regex_filters.txt").apply {
+            writeText("/generic(/\n/[a-/\$image\n||example.invalid^\n")
+        }
+
+        runBlocking { contentBlocker.importFilterList(filterList.toUri()) }
+        assertEquals(1, contentBlocker.filterCount)
+
+        navigationToolbar {
+        }.enterUrlAndEnterToBrowser(webPage.url) {
+            verifyPageContent(webPage.content)
+        }
+    }
+}
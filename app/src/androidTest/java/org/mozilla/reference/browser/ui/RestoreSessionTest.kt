@@ -0,0 +1,108 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.ui
+
+import android.content.Context
+import androidx.core.content.edit
+import mockwebserver3.MockWebServer
+import mozilla.components.browser.state.state.BrowserState
+import mozilla.components.browser.state.state.createTab
+import org.junit.After
+import org.junit.Before
+import org.junit.Rule
+import org.junit.Test
+import org.mozilla.reference.browser.ext.components
+import org.mozilla.reference.browser.helpers.AndroidAssetDispatcher
+import org.mozilla.reference.browser.helpers.BrowserActivityTestRule
+import org.mozilla.reference.browser.helpers.RetryTestRule
+import org.mozilla.reference.browser.helpers.TestAssetHelper
+import org.mozilla.reference.browser.helpers.TestHelper
+import org.mozilla.reference.browser.ui.robots.navigationToolbar
+import org.mozilla.reference.browser.ui.robots.restoreSession
+
+/**
+ * Tests for the screen letting the user pick the tabs to restore after the browser crashed.
+ */
+class RestoreSessionTest {
+    private lateinit var mockWebServer: MockWebServer
+
+    // The crash is set up before the activity is launched, see simulateCrashedSession.
+    @get:Rule
+    val activityTestRule = BrowserActivityTestRule(launchActivity = false)
+
+    @Rule
+    @JvmField
+    val retryTestRule = RetryTestRule(3)
+
+    @Before
+    fun setUp() {
+        mockWebServer = MockWebServer().apply {
+            dispatcher = AndroidAssetDispatcher()
+            start()
+        }
+    }
+
+    @After
+    fun tearDown() {
+        runCatching { mockWebServer.close() }
+        // Don't leave the restore screen pending for the following tests if this one failed.
+        TestHelper.appContext.components.core.sessionRecovery.finishRestore()
+    }
+
+    @Test
+    fun restoreCheckedTabsAfterCrashTest() {
+        val firstWebPage = TestAssetHelper.getGenericAsset(mockWebServer, 1)
+        val secondWebPage = TestAssetHelper.getGenericAsset(mockWebServer, 2)
+
+        simulateCrashedSession(
+            firstWebPage.title to firstWebPage.url.toString(),
+            UNCHECKED_TAB_TITLE to secondWebPage.url.toString(),
+        )
+        activityTestRule.launchActivity(null)
+
+        restoreSession {
+            verifyRestoreSessionView()
+            verifyListedTab(firstWebPage.title, firstWebPage.url.toString())
+            verifyListedTab(UNCHECKED_TAB_TITLE, secondWebPage.url.toString())
+            verifyTabChecked(firstWebPage.title, isChecked = true)
+            verifyTabChecked(UNCHECKED_TAB_TITLE, isChecked = true)
+            toggleTab(UNCHECKED_TAB_TITLE)
+            verifyTabChecked(UNCHECKED_TAB_TITLE, isChecked = false)
+        }.restore {
+        }
+        navigationToolbar {
+        }.openTabTrayMenu {
+            verifyExistingOpenTabs(firstWebPage.title)
+            verifyTabIsHidden(UNCHECKED_TAB_TITLE)
+        }
+    }
+
+    /**
+     * Saves a session with tabs of the given titles and URLs and records that the app was killed
+     * while in the foreground, once, so that the activity launched next offers to restore the
+     * session and restores the tabs loaded.
+     */
+    private fun simulateCrashedSession(vararg tabs: Pair<String, String>) {
+        val context = TestHelper.appContext
+        val components = context.components
+        components.core.sessionStorage.save(
+            BrowserState(tabs = tabs.map { (title, url) -> createTab(url, title = title) }),
+        )
+        context
+            .getSharedPreferences(SESSION_RECOVERY_PREFERENCES, Context.MODE_PRIVATE)
+            .edit(commit = true) {
+                putBoolean(KEY_IN_FOREGROUND, true)
+                putInt(KEY_CRASH_COUNT, 0)
+            }
+        components.core.sessionRecovery.checkPreviousSession()
+    }
+
+    private companion object {
+        const val SESSION_RECOVERY_PREFERENCES = "session_recovery"
+        const val KEY_IN_FOREGROUND = "in_foreground"
+        const val KEY_CRASH_COUNT = "crash_count"
+        const val UNCHECKED_TAB_TITLE = "Unchecked_Test_Page"
+    }
+}
@@ -4,15 +4,21 @@
 
 package org.mozilla.reference.browser.ui
 
+import android.graphics.Bitmap
+import kotlinx.coroutines.runBlocking
 import mockwebserver3.MockWebServer
+import mozilla.components.concept.storage.BookmarkRoot
+import mozilla.components.feature.search.ext.createSearchEngine
 import org.junit.After
 import org.junit.Before
 import org.junit.Rule
 import org.junit.Test
+import org.mozilla.reference.browser.ext.components
 import org.mozilla.reference.browser.helpers.AndroidAssetDispatcher
 import org.mozilla.reference.browser.helpers.BrowserActivityTestRule
 import org.mozilla.reference.browser.helpers.RetryTestRule
 import org.mozilla.reference.browser.helpers.TestAssetHelper
+import org.mozilla.reference.browser.helpers.TestHelper
 import org.mozilla.reference.browser.ui.robots.navigationToolbar
 
 class SearchTest {
@@ -36,6 +42,8 @@ class SearchTest {
     @After
     fun tearDown() {
         runCatching { mockWebServer.close() }
+        removeKeywordBookmarks()
+        removeKeywordSearchEngines()
     }
 
     @Test
@@ -55,4 +63,120 @@ class SearchTest {
             verifyUrl(defaultWebPage.url.toString())
         }
     }
+
+    @Test
+    fun commandPaletteTest() {
+        val defaultWebPage = TestAssetHelper.getGenericAsset(mockWebServer, 1)
+
+        navigationToolbar {
+        }.enterUrlAndEnterToBrowser(defaultWebPage.url) {
+        }
+        navigationToolbar {
+        }.clickToolbar {
+            typeText(">clot")
+            verifySearchSuggestion("Close other tabs")
+            clickClearToolbarButton()
+            typeText(">sett")
+            verifySearchSuggestion("Settings")
+        }
+    }
+
+    @Test
+    fun calculatorSuggestionTest() {
+        navigationToolbar {
+        }.clickToolbar {
+            typeText("23*1.19")
+            verifySearchSuggestion("27.37")
+            clickClearToolbarButton()
+            typeText("5 km in m")
+            verifySearchSuggestion("5000 m")
+        }
+    }
+
+    @Test
+    fun searchEngineKeywordTest() {
+        val resultsPage = TestAssetHelper.getGenericAsset(mockWebServer, 3)
+        // The number of the page is taken from the terms typed after the keyword.
+        addSearchEngineWithKeyword(resultsPage.url.toString().replace("generic3", "generic{searchTerms}"), "eng")
+
+        navigationToolbar {
+        }.clickToolbar {
+            typeText("eng 3")
+        }.submitText {
+            verifyPageContent(resultsPage.content)
+            verifyUrl(resultsPage.url.toString())
+        }
+    }
+
+    @Test
+    fun bookmarkKeywordTest() {
+        val keywordPage = TestAssetHelper.getGenericAsset(mockWebServer, 2)
+        // The number of the page is taken from the terms typed after the keyword.
+        addBookmarkWithKeyword(keywordPage.url.toString().replace("generic2", "generic%s"), "gen")
+
+        navigationToolbar {
+        }.clickToolbar {
+            typeText("gen 2")
+        }.submitText {
+            verifyPageContent(keywordPage.content)
+            verifyUrl(keywordPage.url.toString())
+        }
+    }
+
+    private fun addSearchEngineWithKeyword(
+        template: String,
+        keyword: String,
+    ) {
+        val components = TestHelper.appContext.components
+        val searchEngine = createSearchEngine(
+            name = KEYWORD_SEARCH_ENGINE_NAME,
+            url = template,
+            icon = Bitmap.createBitmap(1, 1, Bitmap.Config.ARGB_8888),
+        )
+        components.useCases.searchUseCases.addSearchEngine(searchEngine)
+        components.core.searchKeywordStorage.setKeyword(searchEngine, keyword)
+    }
+
+    private fun removeKeywordSearchEngines() {
+        val components = TestHelper.appContext.components
+        components.core.store.state.search.customSearchEngines
+            .filter { it.name == KEYWORD_SEARCH_ENGINE_NAME }
+            .forEach { searchEngine ->
+                components.core.searchKeywordStorage.setKeyword(searchEngine, null)
+                components.useCases.searchUseCases.removeSearchEngine(searchEngine)
+            }
+    }
+
+    private fun addBookmarkWithKeyword(
+        url: String,
+        keyword: String,
+    ) {
+        val core = TestHelper.appContext.components.core
+        runBlocking {
+            core.bookmarksStorage.addItem(BookmarkRoot.Mobile.id, url, KEYWORD_BOOKMARK_TITLE, null)
+            core.bookmarksStorage.getBookmarksWithUrl(url).forEach { bookmark ->
+                core.searchKeywordStorage.setBookmarkKeyword(bookmark.guid, keyword)
+            }
+        }
+    }
+
+    private fun removeKeywordBookmarks() {
+        val core = TestHelper.appContext.components.core
+        runBlocking {
+            core.bookmarksStorage
+                .getTree(BookmarkRoot.Mobile.id)
+                ?.children
+                .orEmpty()
+                .filter { it.title == KEYWORD_BOOKMARK_TITLE }
+                .forEach { bookmark ->
+                    core.bookmarksStorage.deleteNode(bookmark.guid)
+                    core.searchKeywordStorage.setBookmarkKeyword(bookmark.guid, null)
+                }
+        }
+    }
+
+    private companion object {
+        const val KEYWORD_BOOKMARK_TITLE = "Keyword_Bookmark"
+        const val KEYWORD_SEARCH_ENGINE_NAME = "Keyword_Search_Engine"
+    }
 }
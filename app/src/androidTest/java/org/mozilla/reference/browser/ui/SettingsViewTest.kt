@@ -45,11 +45,23 @@ class SettingsViewTest {
             verifySyncQrSummary()
             verifyPrivacyButton()
             verifyPrivacySummary()
+            verifySearchEnginesButton()
+            verifySuggestionsButton()
+            verifySitePermissionsButton()
+            verifyDeleteBrowsingDataButton()
+            verifyDeleteBrowsingDataOnQuitButton()
             verifyOpenLinksInApps()
             verifyMakeDefaultBrowserButton()
             verifyAutofillAppsButton()
             varifyAutofillAppsSummary()
             verifyJetpackComposeButton()
+            verifyTabsHeading()
+            verifyInactiveTabsAfterButton()
+            verifyInactiveTabsCloseAfterButton()
+            verifyMaxLoadedTabsButton()
+            verifyDownloadsHeading()
+            verifyDownloadLocationButton()
+            verifyAskDownloadLocationToggle()
             verifyDeveloperToolsHeading()
             verifyRemoteDebugging()
             verifyCustomAddonCollectionButton()
@@ -94,6 +106,11 @@ class SettingsViewTest {
             verifyTrackingProtectionHeading()
             verifyTPEnableInNormalBrowsing()
             verifyTPEnableinPrivateBrowsing()
+            verifyTPLevelButton()
+            verifyTPExceptionsButton()
+            verifyContentBlockingHeading()
+            verifyContentBlockingToggle()
+            verifyAddFilterListButton()
             verifyDataChoicesHeading()
             verifyUseTelemetryToggle()
             verifyTelemetrySummary()
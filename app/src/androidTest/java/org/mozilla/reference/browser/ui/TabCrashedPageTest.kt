@@ -0,0 +1,110 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.ui
+
+import androidx.core.net.toUri
+import mockwebserver3.MockWebServer
+import mozilla.components.browser.state.action.CrashAction
+import org.junit.After
+import org.junit.Before
+import org.junit.Rule
+import org.junit.Test
+import org.mozilla.reference.browser.ext.components
+import org.mozilla.reference.browser.helpers.AndroidAssetDispatcher
+import org.mozilla.reference.browser.helpers.BrowserActivityTestRule
+import org.mozilla.reference.browser.helpers.RetryTestRule
+import org.mozilla.reference.browser.helpers.TestAssetHelper
+import org.mozilla.reference.browser.helpers.TestHelper
+import org.mozilla.reference.browser.tabs.TabCrashedPage
+import org.mozilla.reference.browser.ui.robots.browser
+import org.mozilla.reference.browser.ui.robots.navigationToolbar
+import org.mozilla.reference.browser.ui.robots.tabCrashedPage
+
+/**
+ * Tests for the page shown in place of a tab whose content process crashed:
+ * - It shows the crashed page and its buttons, and reloads the crashed page
+ * - It isn't shown in tabs that didn't crash
+ * - Its actions aren't run for web content, be it a link or a frame
+ */
+class TabCrashedPageTest {
+    private lateinit var mockWebServer: MockWebServer
+
+    @get:Rule
+    val activityTestRule = BrowserActivityTestRule()
+
+    @Rule
+    @JvmField
+    val retryTestRule = RetryTestRule(3)
+
+    @Before
+    fun setUp() {
+        mockWebServer = MockWebServer().apply {
+            dispatcher = AndroidAssetDispatcher()
+            start()
+        }
+    }
+
+    @After
+    fun tearDown() {
+        runCatching { mockWebServer.close() }
+    }
+
+    @Test
+    fun tabCrashedPageTest() {
+        val webPage = TestAssetHelper.getGenericAsset(mockWebServer, 1)
+
+        navigationToolbar {
+        }.enterUrlAndEnterToBrowser(webPage.url) {
+            verifyPageContent(webPage.content)
+        }
+        crashSelectedTab()
+        tabCrashedPage {
+            verifyTabCrashedPage(webPage.url.toString())
+            verifyTabCrashedPageButtons()
+        }.clickReloadTab {
+            verifyPageContent(webPage.content)
+        }
+    }
+
+    @Test
+    fun tabCrashedPageIsOnlyShownForCrashedTabsTest() {
+        val webPage = TestAssetHelper.getGenericAsset(mockWebServer, 1)
+
+        navigationToolbar {
+        }.enterUrlAndEnterToBrowser(TabCrashedPage.createUrl(webPage.url.toString()).toUri()) {
+        }
+        tabCrashedPage {
+            verifyNoTabCrashedPage()
+        }
+    }
+
+    @Test
+    fun tabCrashedPageActionsFromWebContentAreRefusedTest() {
+        val actionsPage = TestAssetHelper.getTabCrashedActionsAsset(mockWebServer)
+
+        // The page also has a frame loading the close action.
+        navigationToolbar {
+        }.enterUrlAndEnterToBrowser(actionsPage.url) {
+            verifyPageContent(actionsPage.content)
+        }
+        tabCrashedPage {
+            clickLink("Reload tab action")
+            clickLink("Close tab action")
+            verifyNoTabCrashedPage()
+        }
+        browser {
+            verifyPageContent(actionsPage.content)
+        }
+        navigationToolbar {
+        }.openTabTrayMenu {
+            verifyExistingOpenTabs(actionsPage.title)
+        }
+    }
+
+    private fun crashSelectedTab() {
+        val store = TestHelper.appContext.components.core.store
+        store.state.selectedTabId?.let { store.dispatch(CrashAction.SessionCrashedAction(it)) }
+    }
+}
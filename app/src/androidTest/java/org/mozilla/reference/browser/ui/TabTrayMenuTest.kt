@@ -16,11 +16,14 @@ import org.junit.Before
 import org.junit.Ignore
 import org.junit.Rule
 import org.junit.Test
+import org.mozilla.reference.browser.ext.components
 import org.mozilla.reference.browser.helpers.AndroidAssetDispatcher
 import org.mozilla.reference.browser.helpers.BrowserActivityTestRule
 import org.mozilla.reference.browser.helpers.RetryTestRule
 import org.mozilla.reference.browser.helpers.TestAssetHelper
+import org.mozilla.reference.browser.helpers.TestHelper
 import org.mozilla.reference.browser.helpers.click
+import org.mozilla.reference.browser.settings.Settings
 import org.mozilla.reference.browser.ui.robots.mDevice
 import org.mozilla.reference.browser.ui.robots.navigationToolbar
 import mozilla.components.ui.tabcounter.R as tabcounterR
@@ -74,6 +77,9 @@ class TabTrayMenuTest {
     @After
     fun tearDown() {
         runCatching { mockWebServer.close() }
+        Settings.setTabsTrayGrid(TestHelper.appContext, false)
+        // Pinned tabs would survive closing all tabs before the next test.
+        TestHelper.appContext.components.core.pinnedTabStorage.prune(openTabIds = emptySet())
     }
 
     // This test verifies the tab tray menu items are all in place
@@ -87,6 +93,11 @@ class TabTrayMenuTest {
             verifyNewTabButton()
         }.openMoreOptionsMenu(activityTestRule.activity) {
             verifyCloseAllTabsButton()
+            verifyRecentlyClosedButton()
+            verifyFilterTabsButton()
+            verifyGridViewButton()
+            verifyTreeViewButton()
+            verifySelectTabsButton()
         }
     }
 
@@ -107,6 +118,44 @@ class TabTrayMenuTest {
         }
     }
 
+    // This test verifies that close all tabs option keeps the pinned tabs
+    @Test
+    fun closeAllTabsKeepsPinnedTabsTest() {
+        val firstGenericURL = TestAssetHelper.getGenericAsset(mockWebServer, 1)
+        val secondGenericURL = TestAssetHelper.getGenericAsset(mockWebServer, 2)
+
+        navigationToolbar {
+        }.openTabTrayMenu {
+        }.openNewTab {
+        }.enterUrlAndEnterToBrowser(firstGenericURL.url) {
+            verifyPageContent(firstGenericURL.content)
+        }
+        navigationToolbar {
+        }.openTabTrayMenu {
+        }.openNewTab {
+        }.enterUrlAndEnterToBrowser(secondGenericURL.url) {
+            verifyPageContent(secondGenericURL.content)
+        }
+        navigationToolbar {
+        }.openTabTrayMenu {
+        }.openMoreOptionsMenu(activityTestRule.activity) {
+        }.selectTabs {
+            selectTab(firstGenericURL.title)
+        }.openMoreOptionsMenu(activityTestRule.activity) {
+        }.pinTabs {
+            verifyExistingOpenTabs(firstGenericURL.title)
+        }.openMoreOptionsMenu(activityTestRule.activity) {
+            verifyCloseAllTabsButton()
+        }.closeAllUnpinnedTabs {
+            verifyExistingOpenTabs(firstGenericURL.title)
+            verifyTabIsHidden(secondGenericURL.title)
+            goBackFromTabTrayTest()
+        }
+        navigationToolbar {
+            checkNumberOfTabsTabCounter("1")
+        }
+    }
+
     // This test verifies that close all tabs option works as expected
     @Test
     fun closeAllPrivateTabsTest() {
@@ -215,6 +264,79 @@ class TabTrayMenuTest {
         }
     }
 
+    // This test verifies that tabs can be reordered in the grid and that the order is kept in the saved session
+    @Test
+    fun reorderTabsInGridTest() {
+        val firstGenericURL = TestAssetHelper.getGenericAsset(mockWebServer, 1)
+        val secondGenericURL = TestAssetHelper.getGenericAsset(mockWebServer, 2)
+
+        navigationToolbar {
+        }.openTabTrayMenu {
+        }.openNewTab {
+        }.enterUrlAndEnterToBrowser(firstGenericURL.url) {
+            verifyPageContent(firstGenericURL.content)
+        }
+        navigationToolbar {
+        }.openTabTrayMenu {
+        }.openNewTab {
+        }.enterUrlAndEnterToBrowser(secondGenericURL.url) {
+            verifyPageContent(secondGenericURL.content)
+        }
+        navigationToolbar {
+        }.openTabTrayMenu {
+        }.openMoreOptionsMenu(activityTestRule.activity) {
+        }.switchGridView {
+            verifyTabsSideBySide(firstGenericURL.title, secondGenericURL.title)
+            verifyTabOrder(firstGenericURL.title, secondGenericURL.title)
+            dragTab(secondGenericURL.title, firstGenericURL.title)
+            verifyTabOrder(secondGenericURL.title, firstGenericURL.title)
+            verifySavedTabOrder(secondGenericURL.url.toString(), firstGenericURL.url.toString())
+        }
+    }
+
+    // This test verifies that a group can be created, collapsed, moved to and closed
+    @Test
+    fun tabGroupsTest() {
+        val firstGenericURL = TestAssetHelper.getGenericAsset(mockWebServer, 1)
+        val secondGenericURL = TestAssetHelper.getGenericAsset(mockWebServer, 2)
+
+        navigationToolbar {
+        }.openTabTrayMenu {
+        }.openNewTab {
+        }.enterUrlAndEnterToBrowser(firstGenericURL.url) {
+            verifyPageContent(firstGenericURL.content)
+        }
+        navigationToolbar {
+        }.openTabTrayMenu {
+        }.openNewTab {
+        }.enterUrlAndEnterToBrowser(secondGenericURL.url) {
+            verifyPageContent(secondGenericURL.content)
+        }
+        navigationToolbar {
+        }.openTabTrayMenu {
+        }.openMoreOptionsMenu(activityTestRule.activity) {
+        }.selectTabs {
+            selectTab(firstGenericURL.title)
+        }.openMoreOptionsMenu(activityTestRule.activity) {
+        }.createGroup("Work") {
+            verifyTabGroup("Work", tabCount = 1)
+            clickTabGroup("Work")
+            verifyTabIsHidden(firstGenericURL.title)
+            clickTabGroup("Work")
+            verifyExistingOpenTabs(firstGenericURL.title)
+        }.openMoreOptionsMenu(activityTestRule.activity) {
+        }.selectTabs {
+            selectTab(secondGenericURL.title)
+        }.openMoreOptionsMenu(activityTestRule.activity) {
+        }.moveToGroup("Work") {
+            verifyTabGroup("Work", tabCount = 2)
+            closeTabGroup()
+            verifyClosedTabGroup("Work", tabCount = 2)
+            verifyTabIsHidden(firstGenericURL.title)
+            verifyTabIsHidden(secondGenericURL.title)
+        }
+    }
+
     // This test verifies the back button functionality
     @Test
     fun goBackFromTabTrayTest() {
@@ -73,10 +73,15 @@ class ThreeDotMenuTest {
             verifyStopButtonDoesntExist()
             verifyShareButtonDoesntExist()
             verifyRequestDesktopSiteToggleDoesntExist()
+            verifyPinTabToggleDoesntExist()
             verifyAddToHomescreenButtonDoesntExist()
             verifyFindInPageButtonDoesntExist()
             // Only these items should exist in the home screen menu
             verifyAddOnsButtonExists()
+            verifyBookmarksButtonExists()
+            verifyHistoryButtonExists()
+            verifyDownloadsButtonExists()
+            verifySessionSnapshotsButtonExists()
             verifySyncedTabsButtonExists()
             verifyReportIssueExists()
             verifyOpenSettingsExists()
@@ -99,9 +104,14 @@ class ThreeDotMenuTest {
             verifyStopButtonExists()
             verifyShareButtonExists()
             verifyRequestDesktopSiteToggleExists()
+            verifyPinTabToggleExists()
             verifyAddToHomescreenButtonExists()
             verifyFindInPageButtonExists()
             verifyAddOnsButtonExists()
+            verifyBookmarksButtonExists()
+            verifyHistoryButtonExists()
+            verifyDownloadsButtonExists()
+            verifySessionSnapshotsButtonExists()
             verifySyncedTabsButtonExists()
             verifyReportIssueExists()
             verifyOpenSettingsExists()
@@ -257,6 +267,49 @@ class ThreeDotMenuTest {
         }
     }
 
+    // Verifies the Bookmarks menu opens from a tab's 3 dot menu and
+    // lists the built-in bookmark folders
+    @Test
+    fun openBookmarksTest() {
+        val defaultWebPage = TestAssetHelper.getGenericAsset(mockWebServer, 1)
+
+        navigationToolbar {
+        }.enterUrlAndEnterToBrowser(defaultWebPage.url) {
+        }
+        navigationToolbar {
+        }.openThreeDotMenu {
+        }.openBookmarks {
+            verifyBookmarkRootFolders()
+        }
+    }
+
+    // Verifies the History menu opens from a tab's 3 dot menu and
+    // lists the page that was just visited
+    @Test
+    fun openHistoryTest() {
+        val defaultWebPage = TestAssetHelper.getGenericAsset(mockWebServer, 1)
+
+        navigationToolbar {
+        }.enterUrlAndEnterToBrowser(defaultWebPage.url) {
+        }
+        navigationToolbar {
+        }.openThreeDotMenu {
+        }.openHistory {
+            verifyHistoryItemExists(defaultWebPage.title)
+        }
+    }
+
+    // Verifies the Downloads menu opens from the home screen 3 dot menu and
+    // displays the empty view when nothing was downloaded
+    @Test
+    fun openDownloadsManagerTest() {
+        navigationToolbar {
+        }.openThreeDotMenu {
+        }.openDownloadsManager {
+            verifyEmptyDownloadsList()
+        }
+    }
+
     @Ignore("Failing with frequent ANR: https://bugzilla.mozilla.org/show_bug.cgi?id=1764605")
     @Test
     fun requestDesktopSiteTest() {
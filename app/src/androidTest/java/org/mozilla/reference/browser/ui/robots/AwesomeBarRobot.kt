@@ -75,6 +75,14 @@ class AwesomeBarRobot {
             return NavigationToolbarRobot.Transition()
         }
 
+        fun submitText(interact: BrowserRobot.() -> Unit): BrowserRobot.Transition {
+            mDevice.pressEnter()
+            mDevice.waitForWindowUpdate(packageName, waitingTime)
+
+            BrowserRobot().interact()
+            return BrowserRobot.Transition()
+        }
+
         fun clickSearchSuggestion(
             searchSuggestionTitle: String,
             interact: BrowserRobot.() -> Unit,
@@ -0,0 +1,44 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.ui.robots
+
+import androidx.test.uiautomator.UiSelector
+import org.junit.Assert.assertTrue
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.helpers.TestAssetHelper.waitingTime
+import org.mozilla.reference.browser.helpers.TestHelper.getStringResource
+import org.mozilla.reference.browser.helpers.TestHelper.packageName
+
+/**
+ * Implementation of Robot Pattern for the Bookmarks sub menu.
+ */
+class BookmarksRobot {
+    fun verifyBookmarkRootFolders() = assertBookmarkRootFolders()
+
+    class Transition {
+        fun bookmarks(interact: BookmarksRobot.() -> Unit): BookmarksRobot.Transition {
+            BookmarksRobot().interact()
+            return BookmarksRobot.Transition()
+        }
+    }
+
+    private fun assertBookmarkRootFolders() {
+        listOf(
+            R.string.bookmarks_root_menu,
+            R.string.bookmarks_root_toolbar,
+            R.string.bookmarks_root_unfiled,
+            R.string.bookmarks_root_mobile,
+        ).forEach { folder ->
+            assertTrue(
+                mDevice
+                    .findObject(
+                    UiSelector()
+                        .resourceId("$packageName:id/bookmark_item_title")
+                        .textContains(getStringResource(folder)),
+                ).waitForExists(waitingTime),
+            )
+        }
+    }
+}
@@ -0,0 +1,37 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.ui.robots
+
+import androidx.test.uiautomator.UiSelector
+import org.junit.Assert.assertTrue
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.helpers.TestAssetHelper.waitingTime
+import org.mozilla.reference.browser.helpers.TestHelper.getStringResource
+import org.mozilla.reference.browser.helpers.TestHelper.packageName
+
+/**
+ * Implementation of Robot Pattern for the Downloads sub menu.
+ */
+class DownloadsManagerRobot {
+    fun verifyEmptyDownloadsList() = assertEmptyDownloadsList()
+
+    class Transition {
+        fun downloadsManager(interact: DownloadsManagerRobot.() -> Unit): DownloadsManagerRobot.Transition {
+            DownloadsManagerRobot().interact()
+            return DownloadsManagerRobot.Transition()
+        }
+    }
+
+    private fun assertEmptyDownloadsList() {
+        assertTrue(
+            mDevice
+                .findObject(
+                UiSelector()
+                    .resourceId("$packageName:id/downloads_empty")
+                    .textContains(getStringResource(R.string.downloads_empty)),
+            ).waitForExists(waitingTime),
+        )
+    }
+}
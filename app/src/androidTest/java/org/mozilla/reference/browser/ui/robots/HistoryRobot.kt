@@ -0,0 +1,35 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.ui.robots
+
+import androidx.test.uiautomator.UiSelector
+import org.junit.Assert.assertTrue
+import org.mozilla.reference.browser.helpers.TestAssetHelper.waitingTime
+import org.mozilla.reference.browser.helpers.TestHelper.packageName
+
+/**
+ * Implementation of Robot Pattern for the History sub menu.
+ */
+class HistoryRobot {
+    fun verifyHistoryItemExists(title: String) = assertHistoryItemExists(title)
+
+    class Transition {
+        fun history(interact: HistoryRobot.() -> Unit): HistoryRobot.Transition {
+            HistoryRobot().interact()
+            return HistoryRobot.Transition()
+        }
+    }
+
+    private fun assertHistoryItemExists(title: String) {
+        assertTrue(
+            mDevice
+                .findObject(
+                UiSelector()
+                    .resourceId("$packageName:id/history_item_title")
+                    .textContains(title),
+            ).waitForExists(waitingTime),
+        )
+    }
+}
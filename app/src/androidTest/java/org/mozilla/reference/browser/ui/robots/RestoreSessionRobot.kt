@@ -0,0 +1,84 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.ui.robots
+
+import androidx.test.espresso.Espresso.onView
+import androidx.test.espresso.assertion.ViewAssertions.matches
+import androidx.test.espresso.matcher.ViewMatchers.hasSibling
+import androidx.test.espresso.matcher.ViewMatchers.isChecked
+import androidx.test.espresso.matcher.ViewMatchers.isDisplayed
+import androidx.test.espresso.matcher.ViewMatchers.isNotChecked
+import androidx.test.espresso.matcher.ViewMatchers.withId
+import androidx.test.espresso.matcher.ViewMatchers.withText
+import androidx.test.uiautomator.UiSelector
+import org.hamcrest.CoreMatchers.allOf
+import org.junit.Assert.assertTrue
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.helpers.TestAssetHelper.waitingTime
+import org.mozilla.reference.browser.helpers.TestHelper.packageName
+import org.mozilla.reference.browser.helpers.click
+
+/**
+ * Implementation of Robot Pattern for the screen restoring the session after a crash.
+ */
+class RestoreSessionRobot {
+    fun verifyRestoreSessionView() = assertRestoreSessionView()
+
+    fun verifyListedTab(
+        title: String,
+        url: String,
+    ) = assertListedTab(title, url)
+
+    fun verifyTabChecked(
+        title: String,
+        isChecked: Boolean,
+    ) = tabCheckBox(title).check(matches(if (isChecked) isChecked() else isNotChecked()))
+
+    fun toggleTab(title: String) = listedTab(title).click()
+
+    class Transition {
+        fun restore(interact: BrowserRobot.() -> Unit): BrowserRobot.Transition {
+            restoreButton().click()
+            BrowserRobot().interact()
+            return BrowserRobot.Transition()
+        }
+    }
+}
+
+fun restoreSession(interact: RestoreSessionRobot.() -> Unit): RestoreSessionRobot.Transition {
+    RestoreSessionRobot().interact()
+    return RestoreSessionRobot.Transition()
+}
+
+private fun restoreButton() = onView(withId(R.id.restore_session_restore))
+
+private fun listedTab(title: String) = onView(allOf(withId(R.id.restore_session_item_title), withText(title)))
+
+private fun tabCheckBox(title: String) =
+    onView(allOf(withId(R.id.restore_session_item_checkbox), hasSibling(withText(title))))
+
+private fun assertRestoreSessionView() {
+    assertTrue(
+        mDevice
+            .findObject(UiSelector().resourceId("$packageName:id/restore_session_list"))
+            .waitForExists(waitingTime),
+    )
+    onView(withId(R.id.restore_session_title)).check(matches(isDisplayed()))
+    restoreButton().check(matches(isDisplayed()))
+    onView(withId(R.id.restore_session_start_new)).check(matches(isDisplayed()))
+}
+
+private fun assertListedTab(
+    title: String,
+    url: String,
+) {
+    // The tabs are read from disk, so they show up after the screen.
+    assertTrue(
+        mDevice
+            .findObject(UiSelector().resourceId("$packageName:id/restore_session_item_title").text(title))
+            .waitForExists(waitingTime),
+    )
+    onView(allOf(withId(R.id.restore_session_item_url), withText(url))).check(matches(isDisplayed()))
+}
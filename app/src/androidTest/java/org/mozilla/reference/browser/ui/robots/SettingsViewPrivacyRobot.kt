@@ -25,6 +25,16 @@ class SettingsViewPrivacyRobot {
 
     fun verifyTPEnableinPrivateBrowsing() = assertTpEnableInPrivateBrowsing()
 
+    fun verifyTPLevelButton() = assertTpLevelButton()
+
+    fun verifyTPExceptionsButton() = assertTpExceptionsButton()
+
+    fun verifyContentBlockingHeading() = assertContentBlockingHeading()
+
+    fun verifyContentBlockingToggle() = assertContentBlockingToggle()
+
+    fun verifyAddFilterListButton() = assertAddFilterListButton()
+
     fun verifyDataChoicesHeading() = assertDataChoicesHeading()
 
     // verifyUseTelemetryToggle does not yet check that the client telemetry is disabled/enabled
@@ -45,6 +55,16 @@ private fun tpEnableInNormalBrowsing() = Espresso.onView(ViewMatchers.withText("
 
 private fun tpEnableInPrivateBrowsing() = Espresso.onView(ViewMatchers.withText("Enable in Private Browsing Mode"))
 
+private fun tpLevelButton() = Espresso.onView(ViewMatchers.withText("Protection level"))
+
+private fun tpExceptionsButton() = Espresso.onView(ViewMatchers.withText("Exceptions"))
+
+private fun contentBlockingHeading() = Espresso.onView(ViewMatchers.withText("Content Blocking"))
+
+private fun contentBlockingToggle() = Espresso.onView(ViewMatchers.withText("Block content using filter lists"))
+
+private fun addFilterListButton() = Espresso.onView(ViewMatchers.withText("Add filter list"))
+
 private fun dataChoicesHeading() = Espresso.onView(ViewMatchers.withText("Data Choices"))
 
 private fun useTelemetryToggle() = Espresso.onView(ViewMatchers.withText("Use Telemetry"))
@@ -71,6 +91,26 @@ private fun assertTpEnableInPrivateBrowsing() =
     tpEnableInPrivateBrowsing()
     .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
 
+private fun assertTpLevelButton() =
+    tpLevelButton()
+    .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertTpExceptionsButton() =
+    tpExceptionsButton()
+    .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertContentBlockingHeading() =
+    contentBlockingHeading()
+    .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertContentBlockingToggle() =
+    contentBlockingToggle()
+    .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertAddFilterListButton() =
+    addFilterListButton()
+    .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
 private fun assertDataChoicesHeading() =
     dataChoicesHeading()
     .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
@@ -50,6 +50,16 @@ class SettingsViewRobot {
 
     fun verifyPrivacySummary() = assertPrivacySummary()
 
+    fun verifySearchEnginesButton() = assertSearchEnginesButton()
+
+    fun verifySuggestionsButton() = assertSuggestionsButton()
+
+    fun verifySitePermissionsButton() = assertSitePermissionsButton()
+
+    fun verifyDeleteBrowsingDataButton() = assertDeleteBrowsingDataButton()
+
+    fun verifyDeleteBrowsingDataOnQuitButton() = assertDeleteBrowsingDataOnQuitButton()
+
     fun verifyOpenLinksInApps() = assertOpenLinksInApps()
 
     fun verifyMakeDefaultBrowserButton() = assertMakeDefaultBrowserButton()
@@ -60,6 +70,20 @@ class SettingsViewRobot {
 
     fun verifyJetpackComposeButton() = assertJetpackComposeButton()
 
+    fun verifyTabsHeading() = assertTabsHeading()
+
+    fun verifyInactiveTabsAfterButton() = assertInactiveTabsAfterButton()
+
+    fun verifyInactiveTabsCloseAfterButton() = assertInactiveTabsCloseAfterButton()
+
+    fun verifyMaxLoadedTabsButton() = assertMaxLoadedTabsButton()
+
+    fun verifyDownloadsHeading() = assertDownloadsHeading()
+
+    fun verifyDownloadLocationButton() = assertDownloadLocationButton()
+
+    fun verifyAskDownloadLocationToggle() = assertAskDownloadLocationToggle()
+
     fun verifyDeveloperToolsHeading() = assertDeveloperToolsHeading()
 
     fun verifyRemoteDebugging() = assertRemoteDebugging()
@@ -180,6 +204,17 @@ private fun privacyButton() = Espresso.onView(withText(R.string.privacy))
 
 private fun privacySummary() = Espresso.onView(withText(R.string.preferences_privacy_summary))
 
+private fun searchEnginesButton() = Espresso.onView(withText(R.string.preferences_search_engines))
+
+private fun suggestionsButton() = Espresso.onView(withText(R.string.preferences_suggestions))
+
+private fun sitePermissionsButton() = Espresso.onView(withText(R.string.preferences_site_permissions))
+
+private fun deleteBrowsingDataButton() = Espresso.onView(withText(R.string.preferences_delete_browsing_data))
+
+private fun deleteBrowsingDataOnQuitButton() =
+    Espresso.onView(withText(R.string.preferences_delete_browsing_data_on_quit))
+
 private fun openLinksInAppsToggle() =
     Espresso.onView(
     allOf(
@@ -196,6 +231,26 @@ private fun jetpackComposeButton() = onView(withText("Use experimental Jetpack C
 
 private fun autofillAppsSummary() = onView(withText("Autofill logins and passwords in other apps"))
 
+private fun tabsHeading() = Espresso.onView(withText(R.string.tabs_category))
+
+private fun inactiveTabsAfterButton() = Espresso.onView(withText(R.string.preferences_inactive_tabs_after))
+
+private fun inactiveTabsCloseAfterButton() = Espresso.onView(withText(R.string.preferences_inactive_tabs_close_after))
+
+private fun maxLoadedTabsButton() = Espresso.onView(withText(R.string.preferences_max_loaded_tabs))
+
+private fun downloadsHeading() = Espresso.onView(withText(R.string.downloads_category))
+
+private fun downloadLocationButton() = Espresso.onView(withText(R.string.preferences_download_location))
+
+private fun askDownloadLocationToggle() =
+    Espresso.onView(
+    allOf(
+        withId(androidx.preference.R.id.switchWidget),
+        hasCousin(withText(R.string.preferences_download_ask_location)),
+    ),
+)
+
 private fun developerToolsHeading() = Espresso.onView(withText(R.string.developer_tools_category))
 
 private fun remoteDebuggingToggle() =
@@ -238,6 +293,26 @@ private fun assertPrivacySummary() =
     privacySummary()
     .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
 
+private fun assertSearchEnginesButton() =
+    searchEnginesButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertSuggestionsButton() =
+    suggestionsButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertSitePermissionsButton() =
+    sitePermissionsButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertDeleteBrowsingDataButton() =
+    deleteBrowsingDataButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertDeleteBrowsingDataOnQuitButton() =
+    deleteBrowsingDataOnQuitButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
 private fun assertOpenLinksInApps() =
     openLinksInAppsToggle()
     .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
@@ -258,6 +333,34 @@ private fun assertJetpackComposeButton() =
     jetpackComposeButton()
     .check(matches(withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
 
+private fun assertTabsHeading() =
+    tabsHeading()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertInactiveTabsAfterButton() =
+    inactiveTabsAfterButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertInactiveTabsCloseAfterButton() =
+    inactiveTabsCloseAfterButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertMaxLoadedTabsButton() =
+    maxLoadedTabsButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertDownloadsHeading() =
+    downloadsHeading()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertDownloadLocationButton() =
+    downloadLocationButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertAskDownloadLocationToggle() =
+    askDownloadLocationToggle()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
 private fun assertDeveloperToolsHeading() =
     developerToolsHeading()
     .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
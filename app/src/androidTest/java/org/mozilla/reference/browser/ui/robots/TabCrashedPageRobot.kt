@@ -0,0 +1,83 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.ui.robots
+
+import androidx.test.uiautomator.UiSelector
+import org.junit.Assert.assertFalse
+import org.junit.Assert.assertTrue
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.helpers.TestAssetHelper.waitingTime
+import org.mozilla.reference.browser.helpers.TestAssetHelper.waitingTimeShort
+import org.mozilla.reference.browser.helpers.TestHelper.appContext
+
+/**
+ * Implementation of Robot Pattern for the page shown in place of a crashed tab.
+ */
+class TabCrashedPageRobot {
+    fun verifyTabCrashedPage(crashedUrl: String) = assertTabCrashedPage(crashedUrl)
+
+    fun verifyTabCrashedPageButtons() = assertTabCrashedPageButtons()
+
+    fun verifyNoTabCrashedPage() = assertNoTabCrashedPage()
+
+    fun clickLink(text: String) {
+        mDevice.findObject(UiSelector().text(text)).also {
+            it.waitForExists(waitingTime)
+            it.click()
+        }
+        mDevice.waitForIdle()
+    }
+
+    class Transition {
+        fun clickReloadTab(interact: BrowserRobot.() -> Unit): BrowserRobot.Transition {
+            pageButton(R.string.tab_crashed_reload).also {
+                it.waitForExists(waitingTime)
+                it.click()
+            }
+
+            BrowserRobot().interact()
+            return BrowserRobot.Transition()
+        }
+    }
+}
+
+fun tabCrashedPage(interact: TabCrashedPageRobot.() -> Unit): TabCrashedPageRobot.Transition {
+    TabCrashedPageRobot().interact()
+    return TabCrashedPageRobot.Transition()
+}
+
+private fun pageButton(textResId: Int) =
+    mDevice.findObject(
+        UiSelector()
+            .className("android.widget.Button")
+            .text(appContext.getString(textResId)),
+    )
+
+private fun pageTitle() = mDevice.findObject(UiSelector().text(appContext.getString(R.string.tab_crashed_title)))
+
+private fun assertTabCrashedPage(crashedUrl: String) {
+    assertTrue(pageTitle().waitForExists(waitingTime))
+    assertTrue(
+        mDevice
+            .findObject(UiSelector().textContains(appContext.getString(R.string.tab_crashed_body, crashedUrl)))
+            .waitForExists(waitingTime),
+    )
+}
+
+private fun assertTabCrashedPageButtons() {
+    assertTrue(pageButton(R.string.tab_crashed_reload).waitForExists(waitingTime))
+    assertTrue(pageButton(R.string.tab_crashed_close).waitForExists(waitingTime))
+    assertTrue(pageButton(R.string.tab_crashed_send_report).waitForExists(waitingTime))
+    // Only shown if other tabs crashed too.
+    assertFalse(
+        mDevice
+            .findObject(UiSelector().textContains(appContext.getString(R.string.tab_crashed_restore_all, 1)))
+            .exists(),
+    )
+}
+
+private fun assertNoTabCrashedPage() {
+    assertFalse(pageTitle().waitForExists(waitingTimeShort))
+}
@@ -5,6 +5,7 @@
 package org.mozilla.reference.browser.ui.robots
 
 import android.content.Context
+import android.graphics.Point
 import androidx.test.espresso.Espresso.onView
 import androidx.test.espresso.Espresso.openActionBarOverflowOrOptionsMenu
 import androidx.test.espresso.assertion.ViewAssertions.matches
@@ -20,6 +21,7 @@ import androidx.test.uiautomator.Until
 import org.junit.Assert
 import org.junit.Assert.assertNull
 import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.components
 import org.mozilla.reference.browser.ext.waitAndInteract
 import org.mozilla.reference.browser.helpers.TestAssetHelper.waitingTime
 import org.mozilla.reference.browser.helpers.TestAssetHelper.waitingTimeShort
@@ -57,8 +59,66 @@ class TabTrayMenuRobot {
 
     fun verifyExistingOpenTabs(title: String) = assertExistingOpenTabs(title)
 
+    fun verifyTabIsHidden(title: String) = assertTabIsHidden(title)
+
+    fun verifyTabGroup(
+        name: String,
+        tabCount: Int,
+    ) = assertTabGroup(name, "$tabCount tabs")
+
+    fun verifyClosedTabGroup(
+        name: String,
+        tabCount: Int,
+    ) = assertTabGroup(name, "Closed · $tabCount tabs")
+
+    fun verifyTabsSideBySide(
+        firstTitle: String,
+        secondTitle: String,
+    ) = assertTabsSideBySide(firstTitle, secondTitle)
+
+    fun verifyTabOrder(vararg titles: String) = assertTabOrder(titles.toList())
+
+    fun verifySavedTabOrder(vararg urls: String) = assertSavedTabOrder(urls.toList())
+
     fun goBackFromTabTrayTest() = goBackButton().click()
 
+    /**
+     * Long presses the tab with the given [title] and drops it onto the tab with the [targetTitle].
+     */
+    fun dragTab(
+        title: String,
+        targetTitle: String,
+    ) {
+        val start = openTab(title).visibleBounds
+        val end = openTab(targetTitle).visibleBounds
+        val from = Point(start.centerX(), start.centerY())
+        val to = Point(end.centerX(), end.centerY())
+
+        // Holding still before moving starts dragging instead of scrolling.
+        mDevice.swipe(arrayOf(from, from, from, to), DRAG_SEGMENT_STEPS)
+        mDevice.waitForIdle()
+    }
+
+    fun selectTab(title: String) {
+        openTab(title).waitForExists(waitingTime)
+        openTab(title).click()
+    }
+
+    fun clickTabGroup(name: String) {
+        mDevice.waitAndInteract(Until.findObject(By.text(name))) {
+            click()
+        }
+    }
+
+    fun closeTabGroup() {
+        mDevice.waitAndInteract(Until.findObject(By.desc("Group options"))) {
+            click()
+        }
+        mDevice.waitAndInteract(Until.findObject(By.text("Close tabs"))) {
+            click()
+        }
+    }
+
     fun openRegularBrowsing() {
         regularTabs().click()
     }
@@ -163,4 +223,52 @@ private fun assertExistingOpenTabs(title: String) {
     )
 }
 
+private fun assertTabIsHidden(title: String) {
+    mDevice.waitForIdle()
+    Assert.assertTrue(
+        mDevice.findObject(UiSelector().textContains(title)).waitUntilGone(waitingTime),
+    )
+}
+
+private fun assertTabGroup(
+    name: String,
+    summary: String,
+) {
+    mDevice.waitForIdle()
+    Assert.assertTrue(mDevice.findObject(UiSelector().text(name)).waitForExists(waitingTime))
+    Assert.assertTrue(mDevice.findObject(UiSelector().text(summary)).waitForExists(waitingTime))
+}
+
+private fun assertTabsSideBySide(
+    firstTitle: String,
+    secondTitle: String,
+) {
+    mDevice.waitForIdle()
+    Assert.assertTrue(openTab(firstTitle).waitForExists(waitingTime))
+    Assert.assertTrue(openTab(secondTitle).waitForExists(waitingTime))
+    Assert.assertEquals(openTab(firstTitle).visibleBounds.top, openTab(secondTitle).visibleBounds.top)
+}
+
+private fun assertTabOrder(titles: List<String>) {
+    mDevice.waitForIdle()
+    val bounds = titles.map { title ->
+        Assert.assertTrue(openTab(title).waitForExists(waitingTime))
+        openTab(title).visibleBounds
+    }
+    Assert.assertEquals(bounds.sortedWith(compareBy({ it.top }, { it.left })), bounds)
+}
+
+private fun assertSavedTabOrder(urls: List<String>) {
+    val components = TestHelper.appContext.components
+    components.core.sessionStorage.save(components.core.store.state)
+    val restoredUrls = components.core.sessionStorage
+        .restore()
+        ?.tabs
+        ?.map { it.state.url }
+        .orEmpty()
+    Assert.assertEquals(urls, restoredUrls.filter { it in urls })
+}
+
 private fun openTab(title: String) = mDevice.findObject(UiSelector().textContains(title))
+
+private const val DRAG_SEGMENT_STEPS = 50
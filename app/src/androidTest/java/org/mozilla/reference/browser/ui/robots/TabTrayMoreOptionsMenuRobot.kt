@@ -5,7 +5,9 @@
 package org.mozilla.reference.browser.ui.robots
 
 import androidx.test.espresso.Espresso.onView
+import androidx.test.espresso.action.ViewActions.replaceText
 import androidx.test.espresso.assertion.ViewAssertions
+import androidx.test.espresso.matcher.RootMatchers.isDialog
 import androidx.test.espresso.matcher.ViewMatchers
 import androidx.test.platform.app.InstrumentationRegistry
 import androidx.test.uiautomator.By
@@ -24,6 +26,16 @@ class TabTrayMoreOptionsMenuRobot {
 
     fun verifyCloseAllPrivateTabsButton() = assertCloseAllPrivateTabsButton()
 
+    fun verifyRecentlyClosedButton() = assertRecentlyClosedButton()
+
+    fun verifySelectTabsButton() = assertSelectTabsButton()
+
+    fun verifyFilterTabsButton() = assertFilterTabsButton()
+
+    fun verifyGridViewButton() = assertGridViewButton()
+
+    fun verifyTreeViewButton() = assertTreeViewButton()
+
     class Transition {
         val mDevice = UiDevice.getInstance(InstrumentationRegistry.getInstrumentation())
 
@@ -34,6 +46,64 @@ class TabTrayMoreOptionsMenuRobot {
             return NavigationToolbarRobot()
         }
 
+        fun switchGridView(interact: TabTrayMenuRobot.() -> Unit): TabTrayMenuRobot.Transition {
+            mDevice.waitAndInteract(Until.findObject(By.text("Grid View"))) {
+                click()
+            }
+            TabTrayMenuRobot().interact()
+            return TabTrayMenuRobot.Transition()
+        }
+
+        fun selectTabs(interact: TabTrayMenuRobot.() -> Unit): TabTrayMenuRobot.Transition {
+            mDevice.waitAndInteract(Until.findObject(By.text("Select Tabs"))) {
+                click()
+            }
+            TabTrayMenuRobot().interact()
+            return TabTrayMenuRobot.Transition()
+        }
+
+        fun createGroup(
+            name: String,
+            interact: TabTrayMenuRobot.() -> Unit,
+        ): TabTrayMenuRobot.Transition {
+            mDevice.waitAndInteract(Until.findObject(By.text("Create Group"))) {
+                click()
+            }
+            groupNameField().perform(replaceText(name))
+            okButton().click()
+            TabTrayMenuRobot().interact()
+            return TabTrayMenuRobot.Transition()
+        }
+
+        fun moveToGroup(
+            name: String,
+            interact: TabTrayMenuRobot.() -> Unit,
+        ): TabTrayMenuRobot.Transition {
+            mDevice.waitAndInteract(Until.findObject(By.text("Move to Group"))) {
+                click()
+            }
+            // The tray behind the dialog shows the group's name too.
+            onView(ViewMatchers.withText(name)).inRoot(isDialog()).click()
+            TabTrayMenuRobot().interact()
+            return TabTrayMenuRobot.Transition()
+        }
+
+        fun pinTabs(interact: TabTrayMenuRobot.() -> Unit): TabTrayMenuRobot.Transition {
+            mDevice.waitAndInteract(Until.findObject(By.text("Pin Tabs"))) {
+                click()
+            }
+            TabTrayMenuRobot().interact()
+            return TabTrayMenuRobot.Transition()
+        }
+
+        // The tabs tray stays open as long as pinned tabs are left.
+        fun closeAllUnpinnedTabs(interact: TabTrayMenuRobot.() -> Unit): TabTrayMenuRobot.Transition {
+            mDevice.waitForIdle()
+            closeAllTabsButton().click()
+            TabTrayMenuRobot().interact()
+            return TabTrayMenuRobot.Transition()
+        }
+
         fun closeAllPrivateTabs(interact: NavigationToolbarRobot.() -> Unit): NavigationToolbarRobot.Transition {
             mDevice.waitForIdle()
             closeAllPrivateTabsButton().click()
@@ -47,6 +117,10 @@ private fun closeAllTabsButton() = onView(ViewMatchers.withText("Close All Tabs"
 
 private fun closeAllPrivateTabsButton() = onView(ViewMatchers.withText("Close Private Tabs"))
 
+private fun groupNameField() = onView(ViewMatchers.withHint("Group name"))
+
+private fun okButton() = onView(ViewMatchers.withText("OK"))
+
 private fun assertCloseAllTabsButton() {
     val mDevice = UiDevice.getInstance(InstrumentationRegistry.getInstrumentation())
     mDevice.waitAndInteract(Until.findObject(By.text("Close All Tabs"))) {}
@@ -55,3 +129,28 @@ private fun assertCloseAllTabsButton() {
 private fun assertCloseAllPrivateTabsButton() =
     closeAllPrivateTabsButton()
     .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertRecentlyClosedButton() {
+    val mDevice = UiDevice.getInstance(InstrumentationRegistry.getInstrumentation())
+    mDevice.waitAndInteract(Until.findObject(By.text("Recently Closed Tabs"))) {}
+}
+
+private fun assertSelectTabsButton() {
+    val mDevice = UiDevice.getInstance(InstrumentationRegistry.getInstrumentation())
+    mDevice.waitAndInteract(Until.findObject(By.text("Select Tabs"))) {}
+}
+
+private fun assertFilterTabsButton() {
+    val mDevice = UiDevice.getInstance(InstrumentationRegistry.getInstrumentation())
+    mDevice.waitAndInteract(Until.findObject(By.text("Filter Tabs"))) {}
+}
+
+private fun assertGridViewButton() {
+    val mDevice = UiDevice.getInstance(InstrumentationRegistry.getInstrumentation())
+    mDevice.waitAndInteract(Until.findObject(By.text("Grid View"))) {}
+}
+
+private fun assertTreeViewButton() {
+    val mDevice = UiDevice.getInstance(InstrumentationRegistry.getInstrumentation())
+    mDevice.waitAndInteract(Until.findObject(By.text("Tree View"))) {}
+}
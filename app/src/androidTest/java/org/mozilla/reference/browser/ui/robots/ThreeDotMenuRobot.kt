@@ -36,12 +36,22 @@ class ThreeDotMenuRobot {
 
     fun verifyRequestDesktopSiteToggleExists() = assertRequestDesktopSiteToggle()
 
+    fun verifyPinTabToggleExists() = assertPinTabToggle()
+
     fun verifyAddToHomescreenButtonExists() = assertAddToHomescreenButton()
 
     fun verifyFindInPageButtonExists() = assertFindInPageButton()
 
     fun verifyAddOnsButtonExists() = assertAddOnsButton()
 
+    fun verifyBookmarksButtonExists() = assertBookmarksButton()
+
+    fun verifyHistoryButtonExists() = assertHistoryButton()
+
+    fun verifyDownloadsButtonExists() = assertDownloadsButton()
+
+    fun verifySessionSnapshotsButtonExists() = assertSessionSnapshotsButton()
+
     fun verifySyncedTabsButtonExists() = assertSyncedTabsButton()
 
     fun verifyReportIssueExists() = assertReportIssueButton()
@@ -52,6 +62,8 @@ class ThreeDotMenuRobot {
 
     fun verifyRequestDesktopSiteToggleDoesntExist() = assertRequestDesktopSiteToggleDoesntExist()
 
+    fun verifyPinTabToggleDoesntExist() = assertPinTabToggleDoesntExist()
+
     fun verifyFindInPageButtonDoesntExist() = assertFindInPageButtonDoesntExist()
 
     fun verifyForwardButtonDoesntExist() = assertForwardButtonDoesntExist()
@@ -164,6 +176,30 @@ class ThreeDotMenuRobot {
             return AddonsManagerRobot.Transition()
         }
 
+        fun openBookmarks(interact: BookmarksRobot.() -> Unit): BookmarksRobot.Transition {
+            mDevice.findObject(UiSelector().text("Bookmarks")).waitForExists(waitingTime)
+            bookmarksButton().click()
+
+            BookmarksRobot().interact()
+            return BookmarksRobot.Transition()
+        }
+
+        fun openHistory(interact: HistoryRobot.() -> Unit): HistoryRobot.Transition {
+            mDevice.findObject(UiSelector().text("History")).waitForExists(waitingTime)
+            historyButton().click()
+
+            HistoryRobot().interact()
+            return HistoryRobot.Transition()
+        }
+
+        fun openDownloadsManager(interact: DownloadsManagerRobot.() -> Unit): DownloadsManagerRobot.Transition {
+            mDevice.findObject(UiSelector().text("Downloads")).waitForExists(waitingTime)
+            downloadsButton().click()
+
+            DownloadsManagerRobot().interact()
+            return DownloadsManagerRobot.Transition()
+        }
+
         fun openSyncedTabs(interact: SyncedTabsRobot.() -> Unit): SyncedTabsRobot.Transition {
             mDevice.findObject(UiSelector().text("Synced Tabs")).waitForExists(waitingTime)
             syncedTabsButton().click()
@@ -205,6 +241,8 @@ private fun shareButton() = onView(ViewMatchers.withText("Share"))
 
 private fun requestDesktopSiteToggle() = onView(ViewMatchers.withText("Request desktop site"))
 
+private fun pinTabToggle() = onView(ViewMatchers.withText("Pin tab"))
+
 private fun findInPageButton() = onView(ViewMatchers.withText("Find in Page"))
 
 private fun reportIssueButton() = onView(ViewMatchers.withText("Report issue"))
@@ -215,6 +253,14 @@ private fun addToHomescreenButton() = onView(ViewMatchers.withText("Add to homes
 
 private fun addOnsButton() = onView(ViewMatchers.withText("Add-ons"))
 
+private fun bookmarksButton() = onView(ViewMatchers.withText("Bookmarks"))
+
+private fun historyButton() = onView(ViewMatchers.withText("History"))
+
+private fun downloadsButton() = onView(ViewMatchers.withText("Downloads"))
+
+private fun sessionSnapshotsButton() = onView(ViewMatchers.withText("Session Snapshots"))
+
 private fun syncedTabsButton() = onView(ViewMatchers.withText("Synced Tabs"))
 
 private fun assertShareButtonDoesntExist() = shareButton().check(ViewAssertions.doesNotExist())
@@ -222,6 +268,8 @@ private fun assertShareButtonDoesntExist() = shareButton().check(ViewAssertions.
 private fun assertRequestDesktopSiteToggleDoesntExist() =
     requestDesktopSiteToggle().check(ViewAssertions.doesNotExist())
 
+private fun assertPinTabToggleDoesntExist() = pinTabToggle().check(ViewAssertions.doesNotExist())
+
 private fun assertFindInPageButtonDoesntExist() = findInPageButton().check(ViewAssertions.doesNotExist())
 
 private fun assertForwardButtonDoesntExist() = forwardButton().check(ViewAssertions.doesNotExist())
@@ -250,6 +298,10 @@ private fun assertShareButton() =
     shareButton()
     .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
 
+private fun assertPinTabToggle() =
+    pinTabToggle()
+    .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
 private fun assertRequestDesktopSiteToggle() =
     requestDesktopSiteToggle()
     .check(ViewAssertions.matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
@@ -266,6 +318,22 @@ private fun assertAddOnsButton() =
     addOnsButton()
     .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
 
+private fun assertBookmarksButton() =
+    bookmarksButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertHistoryButton() =
+    historyButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertDownloadsButton() =
+    downloadsButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
+private fun assertSessionSnapshotsButton() =
+    sessionSnapshotsButton()
+    .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
+
 private fun assertSyncedTabsButton() =
     syncedTabsButton()
     .check(matches(ViewMatchers.withEffectiveVisibility(ViewMatchers.Visibility.VISIBLE)))
@@ -0,0 +1,134 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+const NATIVE_APP = "contentblocker";
+
+// Blocked requests of each tab not yet reported to its content script, which
+// may not be running yet when the first subresources are requested.
+const pendingBlocked = new Map();
+const readyTabs = new Set();
+
+function reportBlocked(tabId, url) {
+  if (tabId < 0) {
+    return;
+  }
+
+  if (readyTabs.has(tabId)) {
+    browser.tabs
+      .sendMessage(tabId, { type: "blocked", urls: [url] }, { frameId: 0 })
+      .catch(() => {});
+  } else {
+    const pending = pendingBlocked.get(tabId) || [];
+    pending.push(url);
+    pendingBlocked.set(tabId, pending);
+  }
+}
+
+function topLevelUrl(details) {
+  const ancestors = details.frameAncestors || [];
+  return ancestors.length ? ancestors[ancestors.length - 1].url : details.documentUrl;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return "";
+  }
+}
+
+// The app tells whether requests are to be checked at all, and which sites are allowlisted.
+const port = browser.runtime.connectNative(NATIVE_APP);
+let allowlist = new Set();
+
+// Requests waiting for the app's decision, by ID.
+const pendingChecks = new Map();
+let nextCheckId = 0;
+
+function check(request) {
+  return new Promise(resolve => {
+    const id = nextCheckId++;
+    pendingChecks.set(id, resolve);
+    port.postMessage({ type: "check", id, ...request });
+  });
+}
+
+async function onBeforeRequest(details) {
+  if (details.type === "main_frame") {
+    // A new page starts loading in this tab, its content script will report back when ready.
+    readyTabs.delete(details.tabId);
+    pendingBlocked.delete(details.tabId);
+    return {};
+  }
+
+  const documentUrl = details.documentUrl || details.originUrl || "";
+  const pageUrl = topLevelUrl(details) || "";
+  if (allowlist.has(hostOf(pageUrl || documentUrl))) {
+    return {};
+  }
+
+  const block = await check({
+    url: details.url,
+    documentUrl,
+    topLevelUrl: pageUrl,
+    resourceType: details.type,
+  });
+
+  if (block) {
+    reportBlocked(details.tabId, details.url);
+  }
+
+  return { cancel: block };
+}
+
+// Requests are only checked while content blocking is enabled and filters are loaded.
+function applyState(state) {
+  allowlist = new Set(state.allowlist);
+
+  const listening = browser.webRequest.onBeforeRequest.hasListener(onBeforeRequest);
+  if (state.enabled && !listening) {
+    browser.webRequest.onBeforeRequest.addListener(onBeforeRequest, { urls: ["<all_urls>"] }, ["blocking"]);
+  } else if (!state.enabled && listening) {
+    browser.webRequest.onBeforeRequest.removeListener(onBeforeRequest);
+  }
+}
+
+port.onMessage.addListener(message => {
+  if (message.type === "state") {
+    applyState(message);
+  } else if (message.type === "result") {
+    const resolve = pendingChecks.get(message.id);
+    pendingChecks.delete(message.id);
+    if (resolve) {
+      resolve(message.block === true);
+    }
+  }
+});
+
+port.onDisconnect.addListener(() => {
+  for (const resolve of pendingChecks.values()) {
+    resolve(false);
+  }
+  pendingChecks.clear();
+});
+
+browser.runtime.onMessage.addListener((message, sender) => {
+  if (message.type !== "ready" || !sender.tab || sender.frameId !== 0) {
+    return undefined;
+  }
+
+  const tabId = sender.tab.id;
+  const pending = pendingBlocked.get(tabId) || [];
+  pendingBlocked.delete(tabId);
+  readyTabs.add(tabId);
+
+  return Promise.resolve({ type: "blocked", urls: pending });
+});
+
+browser.tabs.onRemoved.addListener(tabId => {
+  readyTabs.delete(tabId);
+  pendingBlocked.delete(tabId);
+});
@@ -0,0 +1,53 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+const NATIVE_APP = "contentblocker";
+const isTopFrame = window === window.top;
+
+function hideElements(selectors) {
+  if (!selectors || !selectors.length) {
+    return;
+  }
+
+  const style = document.createElement("style");
+  style.textContent = selectors
+    .map(selector => `${selector} { display: none !important; }`)
+    .join("\n");
+  (document.head || document.documentElement).appendChild(style);
+}
+
+function reportBlocked(message) {
+  if (!message || message.type !== "blocked") {
+    return;
+  }
+
+  for (const url of message.urls) {
+    browser.runtime.sendNativeMessage(NATIVE_APP, { type: "blocked", url }).catch(() => {});
+  }
+}
+
+let topLevelUrl = location.href;
+try {
+  topLevelUrl = window.top.location.href;
+} catch (e) {
+  // Cross-origin frames can't read the top-level URL, use the ancestor origins instead.
+  const ancestors = location.ancestorOrigins;
+  if (ancestors && ancestors.length) {
+    topLevelUrl = ancestors[ancestors.length - 1];
+  }
+}
+
+browser.runtime
+  .sendNativeMessage(NATIVE_APP, { type: "selectors", url: location.href, topLevelUrl })
+  .then(hideElements)
+  .catch(() => {});
+
+if (isTopFrame) {
+  // A new page is shown in this tab, the requests blocked on the previous one aren't counted anymore.
+  browser.runtime.sendNativeMessage(NATIVE_APP, { type: "page" }).catch(() => {});
+  browser.runtime.onMessage.addListener(reportBlocked);
+  browser.runtime.sendMessage({ type: "ready" }).then(reportBlocked).catch(() => {});
+}
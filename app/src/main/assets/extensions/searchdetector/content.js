@@ -0,0 +1,18 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+const NATIVE_APP = "searchdetector";
+const OPENSEARCH_TYPE = "application/opensearchdescription+xml";
+
+const links = Array.from(document.querySelectorAll('link[rel~="search"]'))
+  .filter(link => link.type.toLowerCase() === OPENSEARCH_TYPE && link.href)
+  .map(link => ({ title: link.title, url: link.href }));
+
+if (links.length) {
+  browser.runtime
+    .sendNativeMessage(NATIVE_APP, { type: "opensearch", pageUrl: location.href, links })
+    .catch(() => {});
+}
@@ -9,12 +9,19 @@ package org.mozilla.reference.browser
 import android.content.Context
 import android.content.Intent
 import android.content.Intent.FLAG_ACTIVITY_NEW_TASK
+import android.widget.Toast
+import kotlinx.coroutines.DelicateCoroutinesApi
+import kotlinx.coroutines.GlobalScope
+import kotlinx.coroutines.launch
 import mozilla.components.browser.errorpages.ErrorPages
 import mozilla.components.browser.errorpages.ErrorType
 import mozilla.components.concept.engine.EngineSession
 import mozilla.components.concept.engine.request.RequestInterceptor
+import org.mozilla.reference.browser.downloads.DownloadsActivity
 import org.mozilla.reference.browser.ext.components
 import org.mozilla.reference.browser.tabs.PrivatePage
+import org.mozilla.reference.browser.tabs.TabCrashedFeature
+import org.mozilla.reference.browser.tabs.TabCrashedPage
 
 /**
  * NB, and FIXME: this class is consumed by a 'Core' component group, but itself relies on 'firefoxAccountsFeature'
@@ -34,7 +41,7 @@ class AppRequestInterceptor(
         isDirectNavigation: Boolean,
         isSubframeRequest: Boolean,
     ): RequestInterceptor.InterceptionResponse? =
-        when (uri) {
+        when (uri.substringBefore('?')) {
             "about:privatebrowsing" -> {
                 val page = PrivatePage.createPrivateBrowsingPage(context, uri)
                 RequestInterceptor.InterceptionResponse.Content(page, encoding = "base64")
@@ -48,28 +55,102 @@ class AppRequestInterceptor(
                 RequestInterceptor.InterceptionResponse.Url("about:blank")
             }
 
+            "about:downloads" -> {
+                val intent = Intent(context, DownloadsActivity::class.java)
+                intent.addFlags(FLAG_ACTIVITY_NEW_TASK)
+                context.startActivity(intent)
+
+                RequestInterceptor.InterceptionResponse.Url("about:blank")
+            }
+
+            TabCrashedPage.URL -> onTabCrashedPageRequest(engineSession, uri, isSubframeRequest)
+
+            else -> context.components.services.accountsAuthFeature.interceptor.onLoadRequest(
+                engineSession,
+                uri,
+                lastUri,
+                hasUserGesture,
+                isSameDomain,
+                isRedirect,
+                isDirectNavigation,
+                isSubframeRequest,
+            ) ?: context.components.services.appLinksInterceptor.onLoadRequest(
+                engineSession,
+                uri,
+                lastUri,
+                hasUserGesture,
+                isSameDomain,
+                isRedirect,
+                isDirectNavigation,
+                isSubframeRequest,
+            )
+        }
+
+    /**
+     * Shows the page of a crashed tab, or runs the action of the button tapped on it. Restoring
+     * all crashed tabs clears their crashed state, so they reload once they're displayed.
+     *
+     * Anyone can load the page, so it's only handled in place of a tab that crashed, see
+     * [TabCrashedFeature], and actions only from the page shown in the tab. Both only ever lead
+     * back to the URL the tab was showing, never to the one in [uri].
+     */
+    @OptIn(DelicateCoroutinesApi::class)
+    private fun onTabCrashedPageRequest(
+        engineSession: EngineSession,
+        uri: String,
+        isSubframeRequest: Boolean,
+    ): RequestInterceptor.InterceptionResponse {
+        val components = context.components
+        val state = components.core.store.state
+        val crashedTabs = components.core.crashedTabs
+        val tab = (state.tabs + state.customTabs).find { it.engineState.engineSession == engineSession }
+        val crashedUrl = tab?.let { crashedTabs.getCrashedUrl(it.id) }
+        if (isSubframeRequest || tab == null || crashedUrl == null) {
+            return RequestInterceptor.InterceptionResponse.Deny
+        }
+
+        // Actions only come from the buttons of the page shown in the tab.
+        val action = TabCrashedPage.getAction(uri)
+        if (action != null && !TabCrashedPage.isPage(tab.content.url)) {
+            return RequestInterceptor.InterceptionResponse.Deny
+        }
+
+        val otherCrashedTabIds = state.tabs
+            .filter { it.engineState.crashed && it.id != tab.id }
+            .map { it.id }
+
+        return when (action) {
+            TabCrashedPage.ACTION_RELOAD -> RequestInterceptor.InterceptionResponse.Url(crashedUrl)
+
+            TabCrashedPage.ACTION_RESTORE_ALL -> {
+                components.useCases.sessionUseCases.crashRecovery(otherCrashedTabIds)
+                RequestInterceptor.InterceptionResponse.Url(crashedUrl)
+            }
+
+            TabCrashedPage.ACTION_CLOSE -> {
+                components.useCases.tabsUseCases.removeTab(tab.id)
+                RequestInterceptor.InterceptionResponse.Deny
+            }
+
+            TabCrashedPage.ACTION_REPORT -> {
+                val crash = components.analytics.lastNonFatalCrash
+                if (crash != null) {
+                    components.analytics.lastNonFatalCrash = null
+                    GlobalScope.launch {
+                        components.analytics.crashReporter.submitReport(crash)
+                    }
+                }
+                val message = if (crash != null) R.string.tab_crashed_report_sent else R.string.tab_crashed_no_report
+                Toast.makeText(context, message, Toast.LENGTH_SHORT).show()
+                RequestInterceptor.InterceptionResponse.Deny
+            }
+
             else -> {
-                context.components.services.accountsAuthFeature.interceptor.onLoadRequest(
-                    engineSession,
-                    uri,
-                    lastUri,
-                    hasUserGesture,
-                    isSameDomain,
-                    isRedirect,
-                    isDirectNavigation,
-                    isSubframeRequest,
-                ) ?: context.components.services.appLinksInterceptor.onLoadRequest(
-                    engineSession,
-                    uri,
-                    lastUri,
-                    hasUserGesture,
-                    isSameDomain,
-                    isRedirect,
-                    isDirectNavigation,
-                    isSubframeRequest,
-                )
+                val page = TabCrashedPage.createTabCrashedPage(context, crashedUrl, otherCrashedTabIds.size)
+                RequestInterceptor.InterceptionResponse.Content(page, encoding = "base64")
             }
         }
+    }
 
     override fun onErrorRequest(
         session: EngineSession,
@@ -31,6 +31,7 @@ import org.mozilla.reference.browser.addons.WebExtensionActionPopupActivity
 import org.mozilla.reference.browser.browser.BrowserFragment
 import org.mozilla.reference.browser.browser.CrashIntegration
 import org.mozilla.reference.browser.ext.components
+import org.mozilla.reference.browser.restore.RestoreSessionFragment
 
 /**
  * Activity that holds the [BrowserFragment].
@@ -46,9 +47,15 @@ open class BrowserActivity : AppCompatActivity() {
     }
 
     /**
-     * Returns a new instance of [BrowserFragment] to display.
+     * Returns a new instance of [BrowserFragment] to display, or of [RestoreSessionFragment] if
+     * the user still has to choose which tabs of a crashed session to restore.
      */
-    open fun createBrowserFragment(sessionId: String?): Fragment = BrowserFragment.create(sessionId)
+    open fun createBrowserFragment(sessionId: String?): Fragment =
+        if (components.core.sessionRecovery.isRestorePending) {
+            RestoreSessionFragment()
+        } else {
+            BrowserFragment.create(sessionId)
+        }
 
     override fun onCreate(savedInstanceState: Bundle?) {
         setContentView(R.layout.activity_main)
@@ -137,6 +144,8 @@ open class BrowserActivity : AppCompatActivity() {
         }
 
     private fun onNonFatalCrash(crash: Crash) {
+        components.analytics.lastNonFatalCrash = crash
+
         Snackbar
             .make(findViewById(android.R.id.content), R.string.crash_report_non_fatal_message, LENGTH_LONG)
             .setAction(R.string.crash_report_non_fatal_action) {
@@ -5,6 +5,7 @@
 package org.mozilla.reference.browser
 
 import android.app.Application
+import androidx.lifecycle.ProcessLifecycleOwner
 import kotlinx.coroutines.DelicateCoroutinesApi
 import kotlinx.coroutines.Dispatchers
 import kotlinx.coroutines.GlobalScope
@@ -51,8 +52,17 @@ open class BrowserApplication : Application() {
 
         components.core.engine.warmUp()
 
+        components.core.sessionRecovery.checkPreviousSession()
+        registerActivityLifecycleCallbacks(components.core.sessionRecovery)
         restoreBrowserState()
 
+        components.core.contentBlocker.install(components.core.engine)
+        components.core.searchEngineDetector.install(components.core.engine)
+        @OptIn(DelicateCoroutinesApi::class)
+        GlobalScope.launch(Dispatchers.IO) {
+            components.core.contentBlocker.reload()
+        }
+
         GlobalAddonDependencyProvider.initialize(
             components.core.addonManager,
             components.core.addonUpdater,
@@ -123,8 +133,24 @@ open class BrowserApplication : Application() {
         GlobalScope.launch(Dispatchers.Main) {
         val store = components.core.store
         val sessionStorage = components.core.sessionStorage
+        val sessionRecovery = components.core.sessionRecovery
+
+        // After a crash the user picks the tabs to restore first, see RestoreSessionFragment.
+        if (sessionRecovery.isRestorePending) {
+            sessionRecovery.awaitRestore()
+        } else {
+            components.useCases.tabsUseCases.restore(sessionStorage)
+        }
+
+        // Tab groups and pinned tabs refer to tabs by id, drop the ones whose tabs weren't restored.
+        val restoredTabIds = store.state.tabs.map { it.id }.toSet()
+        components.core.tabGroupStorage.awaitLoaded()
+        components.core.pinnedTabStorage.awaitLoaded()
+        components.core.tabGroupStorage.prune(restoredTabIds)
+        components.core.pinnedTabStorage.prune(restoredTabIds)
 
-        components.useCases.tabsUseCases.restore(sessionStorage)
+        // Closes expired inactive tabs right away, and again whenever the app comes to the foreground.
+        ProcessLifecycleOwner.get().lifecycle.addObserver(components.core.inactiveTabsCleaner)
 
         // Now that we have restored our previous state (if there's one) let's setup auto saving the state while
         // the app is used.
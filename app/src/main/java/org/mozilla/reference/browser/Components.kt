@@ -17,6 +17,7 @@ import mozilla.components.support.utils.DefaultDateTimeProvider
 import org.mozilla.reference.browser.autofill.AutofillConfirmActivity
 import org.mozilla.reference.browser.autofill.AutofillSearchActivity
 import org.mozilla.reference.browser.autofill.AutofillUnlockActivity
+import org.mozilla.reference.browser.browsingdata.BrowsingDataCleaner
 import org.mozilla.reference.browser.components.Analytics
 import org.mozilla.reference.browser.components.BackgroundServices
 import org.mozilla.reference.browser.components.Core
@@ -38,6 +39,7 @@ class Components(
             core.engine,
             core.store,
             core.shortcutManager,
+            core.downloadFileUtils,
         )
     }
 
@@ -47,6 +49,7 @@ class Components(
             context,
             push,
             core.lazyHistoryStorage,
+            core.lazyBookmarksStorage,
             core.lazyRemoteTabsStorage,
             core.lazyLoginsStorage,
         )
@@ -64,6 +67,15 @@ class Components(
     }
     val services by lazy { Services(context, backgroundServices.accountManager, useCases.tabsUseCases) }
     val push by lazy { Push(context, analytics.crashReporter) }
+    val browsingDataCleaner by lazy {
+        BrowsingDataCleaner(
+            core.engine,
+            core.lazyHistoryStorage,
+            useCases.tabsUseCases,
+            useCases.downloadsUseCases,
+            core.geckoSitePermissionsStorage,
+        )
+    }
 
     @delegate:SuppressLint("NewApi")
     val autofillConfiguration by lazy {
@@ -0,0 +1,56 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.bookmarks
+
+import android.view.View
+import android.widget.ImageButton
+import android.widget.ImageView
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import mozilla.components.concept.storage.BookmarkNode
+import mozilla.components.concept.storage.BookmarkNodeType
+import org.mozilla.reference.browser.R
+import mozilla.components.ui.icons.R as iconsR
+
+/**
+ * A bookmark or bookmark folder in the bookmarks list.
+ */
+class BookmarkViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    private val icon = itemView.findViewById<ImageView>(R.id.bookmark_item_icon)
+    private val title = itemView.findViewById<TextView>(R.id.bookmark_item_title)
+    private val url = itemView.findViewById<TextView>(R.id.bookmark_item_url)
+    private val menu = itemView.findViewById<ImageButton>(R.id.bookmark_item_menu)
+
+    /**
+     * Shows the [node], calling [onItemClicked] when it is tapped and [onItemMenuClicked] when its
+     * overflow menu button is tapped.
+     */
+    fun bind(
+        node: BookmarkNode,
+        onItemClicked: (BookmarkNode) -> Unit,
+        onItemMenuClicked: (BookmarkNode, View) -> Unit,
+    ) {
+        val isFolder = node.type == BookmarkNodeType.FOLDER
+
+        icon.setImageResource(
+            if (isFolder) iconsR.drawable.mozac_ic_folder_24 else iconsR.drawable.mozac_ic_globe_24,
+        )
+        title.text = node.displayTitle(itemView.context)
+        url.text = node.url
+        url.visibility = if (isFolder) View.GONE else View.VISIBLE
+
+        // The built-in folders can't be edited, moved or deleted.
+        menu.visibility = if (node.isRoot) View.INVISIBLE else View.VISIBLE
+        menu.setOnClickListener { onItemMenuClicked(node, it) }
+
+        itemView.setOnClickListener { onItemClicked(node) }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_bookmark_item
+    }
+}
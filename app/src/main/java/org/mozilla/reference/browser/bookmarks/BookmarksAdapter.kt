@@ -0,0 +1,53 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.bookmarks
+
+import android.view.LayoutInflater
+import android.view.View
+import android.view.ViewGroup
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+import mozilla.components.concept.storage.BookmarkNode
+
+/**
+ * Adapter for the bookmarks and folders of a single bookmark folder.
+ *
+ * @param onItemClicked Invoked when a bookmark or folder is tapped.
+ * @param onItemMenuClicked Invoked when the options button of a bookmark or folder is tapped.
+ */
+class BookmarksAdapter(
+    private val onItemClicked: (BookmarkNode) -> Unit,
+    private val onItemMenuClicked: (BookmarkNode, View) -> Unit,
+) : ListAdapter<BookmarkNode, BookmarkViewHolder>(DiffCallback) {
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): BookmarkViewHolder {
+        val itemView = LayoutInflater
+            .from(parent.context)
+            .inflate(BookmarkViewHolder.LAYOUT_ID, parent, false)
+
+        return BookmarkViewHolder(itemView)
+    }
+
+    override fun onBindViewHolder(
+        holder: BookmarkViewHolder,
+        position: Int,
+    ) {
+        holder.bind(getItem(position), onItemClicked, onItemMenuClicked)
+    }
+
+    private object DiffCallback : DiffUtil.ItemCallback<BookmarkNode>() {
+        override fun areItemsTheSame(
+            oldItem: BookmarkNode,
+            newItem: BookmarkNode,
+        ) = oldItem.guid == newItem.guid
+
+        override fun areContentsTheSame(
+            oldItem: BookmarkNode,
+            newItem: BookmarkNode,
+        ) = oldItem == newItem
+    }
+}
@@ -0,0 +1,257 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.bookmarks
+
+import android.os.Bundle
+import android.view.LayoutInflater
+import android.view.Menu
+import android.view.MenuInflater
+import android.view.MenuItem
+import android.view.View
+import android.view.ViewGroup
+import android.widget.EditText
+import android.widget.TextView
+import android.widget.Toast
+import androidx.appcompat.app.AlertDialog
+import androidx.appcompat.app.AppCompatActivity
+import androidx.appcompat.widget.PopupMenu
+import androidx.core.view.MenuProvider
+import androidx.fragment.app.Fragment
+import androidx.lifecycle.Lifecycle
+import androidx.lifecycle.lifecycleScope
+import androidx.recyclerview.widget.LinearLayoutManager
+import androidx.recyclerview.widget.RecyclerView
+import kotlinx.coroutines.launch
+import mozilla.components.concept.storage.BookmarkInfo
+import mozilla.components.concept.storage.BookmarkNode
+import mozilla.components.concept.storage.BookmarkNodeType
+import mozilla.components.concept.storage.BookmarkRoot
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.requireComponents
+
+/**
+ * Fragment listing the content of a single bookmark folder. Sub-folders are opened by
+ * pushing a new instance of this fragment on the back stack.
+ */
+class BookmarksFragment :
+    Fragment(),
+    MenuProvider {
+    private val folderGuid: String
+        get() = arguments?.getString(FOLDER_GUID) ?: BookmarkRoot.Root.id
+
+    private val adapter = BookmarksAdapter(::onItemClicked, ::onItemMenuClicked)
+
+    private val bookmarksList: RecyclerView
+        get() = requireView().findViewById(R.id.bookmarks_list)
+    private val bookmarksEmpty: TextView
+        get() = requireView().findViewById(R.id.bookmarks_empty)
+
+    override fun onCreateView(
+        inflater: LayoutInflater,
+        container: ViewGroup?,
+        savedInstanceState: Bundle?,
+    ): View? = inflater.inflate(R.layout.fragment_bookmarks, container, false)
+
+    override fun onViewCreated(
+        view: View,
+        savedInstanceState: Bundle?,
+    ) {
+        super.onViewCreated(view, savedInstanceState)
+
+        bookmarksList.layoutManager = LinearLayoutManager(requireContext())
+        bookmarksList.adapter = adapter
+
+        requireActivity().addMenuProvider(this, viewLifecycleOwner, Lifecycle.State.RESUMED)
+    }
+
+    override fun onResume() {
+        super.onResume()
+        loadFolder()
+    }
+
+    override fun onCreateMenu(
+        menu: Menu,
+        menuInflater: MenuInflater,
+    ) {
+        menuInflater.inflate(R.menu.bookmarks_menu, menu)
+        // Places doesn't allow adding items directly to its root folder.
+        menu.findItem(R.id.bookmarks_new_folder).isVisible = folderGuid != BookmarkRoot.Root.id
+    }
+
+    override fun onMenuItemSelected(menuItem: MenuItem): Boolean =
+        when (menuItem.itemId) {
+            R.id.bookmarks_new_folder -> {
+                showEditDialog(node = null)
+                true
+            }
+
+            else -> false
+        }
+
+    private fun loadFolder() {
+        viewLifecycleOwner.lifecycleScope.launch {
+            val folder = requireComponents.core.bookmarksStorage.getTree(folderGuid)
+            val children = folder
+                ?.children
+                .orEmpty()
+                .filter { it.type != BookmarkNodeType.SEPARATOR }
+
+            (activity as AppCompatActivity).title = folder?.displayTitle(requireContext())
+            adapter.submitList(children)
+
+            bookmarksList.visibility = if (children.isEmpty()) View.GONE else View.VISIBLE
+            bookmarksEmpty.visibility = if (children.isEmpty()) View.VISIBLE else View.GONE
+        }
+    }
+
+    private fun onItemClicked(node: BookmarkNode) {
+        when (node.type) {
+            BookmarkNodeType.FOLDER -> {
+                parentFragmentManager
+                    .beginTransaction()
+                    .replace(R.id.container, create(node.guid))
+                    .addToBackStack(null)
+                    .commit()
+            }
+
+            BookmarkNodeType.ITEM -> {
+                node.url?.let { url ->
+                    requireComponents.useCases.tabsUseCases.addTab(url, selectTab = true)
+                    activity?.finish()
+                }
+            }
+
+            BookmarkNodeType.SEPARATOR -> Unit
+        }
+    }
+
+    private fun onItemMenuClicked(
+        node: BookmarkNode,
+        anchor: View,
+    ) {
+        PopupMenu(requireContext(), anchor).apply {
+            menuInflater.inflate(R.menu.bookmark_item_menu, menu)
+            setOnMenuItemClickListener { item ->
+                when (item.itemId) {
+                    R.id.bookmark_edit -> showEditDialog(node)
+                    R.id.bookmark_move -> showMoveDialog(node)
+                    R.id.bookmark_delete -> deleteNode(node)
+                }
+                true
+            }
+        }.show()
+    }
+
+    /**
+     * Shows a dialog to edit the given [node], or to create a new folder if [node] is null.
+     */
+    private fun showEditDialog(node: BookmarkNode?) {
+        val context = requireContext()
+        val dialogView = View.inflate(context, R.layout.dialog_bookmark_edit, null)
+        val titleView = dialogView.findViewById<EditText>(R.id.bookmark_title)
+        val urlView = dialogView.findViewById<EditText>(R.id.bookmark_url)
+        val keywordView = dialogView.findViewById<EditText>(R.id.bookmark_keyword)
+        val keywordStorage = requireComponents.core.searchKeywordStorage
+
+        titleView.setText(node?.title)
+        urlView.setText(node?.url)
+        urlView.visibility = if (node?.type == BookmarkNodeType.ITEM) View.VISIBLE else View.GONE
+        keywordView.setText(node?.let { keywordStorage.getBookmarkKeyword(it.guid) })
+        keywordView.visibility = urlView.visibility
+
+        AlertDialog
+            .Builder(context)
+            .setTitle(if (node == null) R.string.bookmarks_new_folder else R.string.bookmarks_edit)
+            .setView(dialogView)
+            .setNegativeButton(R.string.bookmarks_dialog_cancel) { dialog, _ -> dialog.cancel() }
+            .setPositiveButton(R.string.bookmarks_dialog_ok) { _, _ ->
+                val title = titleView.text.toString()
+                val url = urlView.text.toString()
+                val keyword = keywordView.text.toString().trim()
+                if (node?.type == BookmarkNodeType.ITEM) {
+                    if (keyword.any { it.isWhitespace() }) {
+                        Toast.makeText(context, R.string.search_keyword_invalid, Toast.LENGTH_LONG).show()
+                    } else {
+                        keywordStorage.setBookmarkKeyword(node.guid, keyword)
+                    }
+                }
+                viewLifecycleOwner.lifecycleScope.launch {
+                    val storage = requireComponents.core.bookmarksStorage
+                    if (node == null) {
+                        storage.addFolder(folderGuid, title)
+                    } else {
+                        storage.updateNode(
+                            node.guid,
+                            BookmarkInfo(
+                                parentGuid = node.parentGuid,
+                                position = node.position,
+                                title = title,
+                                url = if (node.type == BookmarkNodeType.ITEM) url else null,
+                            ),
+                        )
+                    }
+                    loadFolder()
+                }
+            }.show()
+    }
+
+    private fun showMoveDialog(node: BookmarkNode) {
+        viewLifecycleOwner.lifecycleScope.launch {
+            val root = requireComponents.core.bookmarksStorage.getTree(BookmarkRoot.Root.id, recursive = true)
+                ?: return@launch
+
+            // A folder can't be moved into itself or one of its descendants, and nothing
+            // can live directly in the Places root.
+            val folders = root
+                .flattenFolders(exclude = { it.guid == node.guid })
+                .filter { (folder, _) -> folder.guid != BookmarkRoot.Root.id }
+            val names = folders
+                .map { (folder, depth) -> "  ".repeat(depth - 1) + folder.displayTitle(requireContext()) }
+                .toTypedArray()
+
+            AlertDialog
+                .Builder(requireContext())
+                .setTitle(R.string.bookmarks_move_to)
+                .setItems(names) { _, which ->
+                    val target = folders[which].first
+                    viewLifecycleOwner.lifecycleScope.launch {
+                        requireComponents.core.bookmarksStorage.updateNode(
+                            node.guid,
+                            BookmarkInfo(
+                                parentGuid = target.guid,
+                                position = null,
+                                title = node.title,
+                                url = node.url,
+                            ),
+                        )
+                        loadFolder()
+                    }
+                }.setNegativeButton(R.string.bookmarks_dialog_cancel) { dialog, _ -> dialog.cancel() }
+                .show()
+        }
+    }
+
+    private fun deleteNode(node: BookmarkNode) {
+        viewLifecycleOwner.lifecycleScope.launch {
+            requireComponents.core.bookmarksStorage.deleteNode(node.guid)
+            requireComponents.core.searchKeywordStorage.setBookmarkKeyword(node.guid, null)
+            loadFolder()
+        }
+    }
+
+    companion object {
+        private const val FOLDER_GUID = "folder_guid"
+
+        /**
+         * Creates a fragment showing the folder with the given [folderGuid], defaulting to the Places root.
+         */
+        fun create(folderGuid: String = BookmarkRoot.Root.id) =
+            BookmarksFragment().apply {
+                arguments = Bundle().apply {
+                    putString(FOLDER_GUID, folderGuid)
+                }
+            }
+    }
+}
@@ -0,0 +1,45 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.bookmarks
+
+import android.content.Context
+import mozilla.components.concept.storage.BookmarkNode
+import mozilla.components.concept.storage.BookmarkNodeType
+import mozilla.components.concept.storage.BookmarkRoot
+import org.mozilla.reference.browser.R
+
+/**
+ * Whether this node is one of the built-in Places folders that can't be edited, moved or deleted.
+ */
+val BookmarkNode.isRoot: Boolean
+    get() = BookmarkRoot.entries.any { it.id == guid }
+
+/**
+ * Returns the title to show for this node, using localized names for the built-in folders.
+ */
+fun BookmarkNode.displayTitle(context: Context): String =
+    when (guid) {
+        BookmarkRoot.Menu.id -> context.getString(R.string.bookmarks_root_menu)
+        BookmarkRoot.Toolbar.id -> context.getString(R.string.bookmarks_root_toolbar)
+        BookmarkRoot.Unfiled.id -> context.getString(R.string.bookmarks_root_unfiled)
+        BookmarkRoot.Mobile.id -> context.getString(R.string.bookmarks_root_mobile)
+        BookmarkRoot.Root.id -> context.getString(R.string.bookmarks)
+        else -> title.takeUnless { it.isNullOrEmpty() } ?: url.orEmpty()
+    }
+
+/**
+ * Returns this folder and all of its sub-folders, depth first, paired with their depth in the tree.
+ * Folders for which [exclude] returns true are skipped together with their children.
+ */
+fun BookmarkNode.flattenFolders(
+    exclude: (BookmarkNode) -> Boolean = { false },
+    depth: Int = 0,
+): List<Pair<BookmarkNode, Int>> {
+    if (type != BookmarkNodeType.FOLDER || exclude(this)) {
+        return emptyList()
+    }
+
+    return listOf(this to depth) + children.orEmpty().flatMap { it.flattenFolders(exclude, depth + 1) }
+}
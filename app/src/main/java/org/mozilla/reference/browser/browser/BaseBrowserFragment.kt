@@ -6,9 +6,9 @@ package org.mozilla.reference.browser.browser
 
 import android.content.Intent
 import android.content.pm.PackageManager
+import android.net.Uri
 import android.os.Build
 import android.os.Bundle
-import android.os.Environment
 import android.view.LayoutInflater
 import android.view.View
 import android.view.ViewGroup
@@ -45,18 +45,21 @@ import mozilla.components.support.base.feature.ViewBoundFeatureWrapper
 import mozilla.components.support.base.log.logger.Logger
 import mozilla.components.support.ktx.android.view.enterImmersiveMode
 import mozilla.components.support.ktx.android.view.exitImmersiveMode
-import mozilla.components.support.utils.DefaultDownloadFileUtils
 import mozilla.components.ui.widgets.behavior.DependencyGravity
 import mozilla.components.ui.widgets.behavior.EngineViewClippingBehavior
 import mozilla.components.ui.widgets.behavior.EngineViewScrollingGesturesBehavior
 import org.mozilla.reference.browser.BuildConfig
 import org.mozilla.reference.browser.R
 import org.mozilla.reference.browser.addons.WebExtensionPromptFeature
+import org.mozilla.reference.browser.commands.BrowserCommands
 import org.mozilla.reference.browser.downloads.DownloadService
+import org.mozilla.reference.browser.downloads.SaveAsDownloadDialog
 import org.mozilla.reference.browser.ext.getPreferenceKey
 import org.mozilla.reference.browser.ext.requireComponents
 import org.mozilla.reference.browser.pip.PictureInPictureIntegration
+import org.mozilla.reference.browser.settings.Settings
 import org.mozilla.reference.browser.tabs.LastTabFeature
+import org.mozilla.reference.browser.tabs.TabCrashedFeature
 
 private const val BOTTOM_TOOLBAR_HEIGHT = 0
 
@@ -86,8 +89,34 @@ abstract class BaseBrowserFragment :
     private val webAuthnFeature = ViewBoundFeatureWrapper<WebAuthnFeature>()
     private val fullScreenMediaSessionFeature = ViewBoundFeatureWrapper<MediaSessionFullscreenFeature>()
     private val lastTabFeature = ViewBoundFeatureWrapper<LastTabFeature>()
+    private val tabCrashedFeature = ViewBoundFeatureWrapper<TabCrashedFeature>()
     private val screenOrientationFeature = ViewBoundFeatureWrapper<ScreenOrientationFeature>()
 
+    private var askDownloadLocation = false
+
+    private val saveAsDialog by lazy {
+        SaveAsDownloadDialog(
+            requireContext(),
+            requireComponents.core.store,
+            sessionId,
+            requireComponents.core.downloadLocationMiddleware,
+        ) {
+            requestDownloadLocationLauncher.launch(null)
+        }
+    }
+
+    /**
+     * The commands of the command palette, run from the toolbar and suggested by the awesomebar.
+     */
+    protected val browserCommands by lazy {
+        BrowserCommands(
+            requireContext(),
+            requireComponents.core.store,
+            requireComponents.useCases.sessionUseCases,
+            requireComponents.useCases.tabsUseCases,
+        )
+    }
+
     private val engineView: EngineView
         get() = requireView().findViewById<View>(R.id.engineView) as EngineView
     private val toolbar: BrowserToolbar
@@ -116,11 +145,17 @@ abstract class BaseBrowserFragment :
     protected var webAppToolbarShouldBeVisible = true
 
     private lateinit var requestDownloadPermissionsLauncher: ActivityResultLauncher<Array<String>>
+    private lateinit var requestDownloadLocationLauncher: ActivityResultLauncher<Uri?>
     private lateinit var requestSitePermissionsLauncher: ActivityResultLauncher<Array<String>>
     private lateinit var requestPromptsPermissionsLauncher: ActivityResultLauncher<Array<String>>
 
     override fun onCreate(savedInstanceState: Bundle?) {
         super.onCreate(savedInstanceState)
+        requestDownloadLocationLauncher =
+            registerForActivityResult(ActivityResultContracts.OpenDocumentTree()) { uri ->
+                uri?.let { saveAsDialog.onLocationPicked(it) }
+            }
+
         requestDownloadPermissionsLauncher =
             registerForActivityResult(ActivityResultContracts.RequestMultiplePermissions()) { results ->
                 val permissions = results.keys.toTypedArray()
@@ -203,10 +238,12 @@ abstract class BaseBrowserFragment :
                 toolbar,
                 view,
                 requireComponents.core.historyStorage,
+                requireComponents.core.bookmarksStorage,
                 requireComponents.core.store,
                 requireComponents.useCases.sessionUseCases,
                 requireComponents.useCases.tabsUseCases,
                 requireComponents.useCases.webAppUseCases,
+                browserCommands,
                 sessionId,
             ),
             owner = this,
@@ -238,31 +275,7 @@ abstract class BaseBrowserFragment :
             view = view,
         )
 
-        downloadsFeature.set(
-            feature = DownloadsFeature(
-                requireContext(),
-                store = requireComponents.core.store,
-                useCases = requireComponents.useCases.downloadsUseCases,
-                fragmentManager = childFragmentManager,
-                downloadFileUtils = DefaultDownloadFileUtils(
-                    context = requireContext().applicationContext,
-                    downloadLocation = {
-                        Environment.getExternalStoragePublicDirectory(Environment.DIRECTORY_DOWNLOADS).path
-                    },
-                ),
-                downloadManager = FetchDownloadManager(
-                    requireContext().applicationContext,
-                    requireComponents.core.store,
-                    DownloadService::class,
-                    notificationsDelegate = requireComponents.notificationsDelegate,
-                ),
-                onNeedToRequestPermissions = { permissions ->
-                    requestDownloadPermissionsLauncher.launch(permissions)
-                },
-            ),
-            owner = this,
-            view = view,
-        )
+        setDownloadsFeature(view)
 
         appLinksFeature.set(
             feature = AppLinksFeature(
@@ -344,6 +357,7 @@ abstract class BaseBrowserFragment :
                 },
                 onShouldShowRequestPermissionRationale = { shouldShowRequestPermissionRationale(it) },
                 store = requireComponents.core.store,
+                sitePermissionsRules = Settings.getSitePermissionsRules(requireContext()),
             ),
             owner = this,
             view = view,
@@ -399,6 +413,16 @@ abstract class BaseBrowserFragment :
             view = view,
         )
 
+        tabCrashedFeature.set(
+            feature = TabCrashedFeature(
+                requireComponents.core.store,
+                requireComponents.core.crashedTabs,
+                sessionId,
+            ),
+            owner = this,
+            view = view,
+        )
+
         screenOrientationFeature.set(
             feature = ScreenOrientationFeature(
                 requireComponents.core.engine,
@@ -449,6 +473,54 @@ abstract class BaseBrowserFragment :
         }
     }
 
+    /**
+     * Sets up the downloads feature, showing the "Save as" dialog before downloads if the user
+     * asked for it in settings.
+     */
+    private fun setDownloadsFeature(view: View) {
+        askDownloadLocation = Settings.shouldAskDownloadLocation(requireContext())
+
+        downloadsFeature.set(
+            feature = DownloadsFeature(
+                requireContext(),
+                store = requireComponents.core.store,
+                useCases = requireComponents.useCases.downloadsUseCases,
+                fragmentManager = childFragmentManager,
+                downloadFileUtils = requireComponents.core.downloadFileUtils,
+                downloadManager = FetchDownloadManager(
+                    requireContext().applicationContext,
+                    requireComponents.core.store,
+                    DownloadService::class,
+                    notificationsDelegate = requireComponents.notificationsDelegate,
+                ),
+                onNeedToRequestPermissions = { permissions ->
+                    requestDownloadPermissionsLauncher.launch(permissions)
+                },
+                customFirstPartyDownloadDialog = if (askDownloadLocation) {
+                    { filename, _, positiveAction, negativeAction ->
+                        saveAsDialog.show(filename, positiveAction, negativeAction)
+                    }
+                } else {
+                    null
+                },
+            ),
+            owner = this,
+            view = view,
+        )
+    }
+
+    override fun onResume() {
+        super.onResume()
+        // The defaults may have been changed in settings while this fragment was in the background.
+        sitePermissionFeature.withFeature {
+            it.sitePermissionsRules = Settings.getSitePermissionsRules(requireContext())
+        }
+        // The download dialog can only be picked when creating the feature, so it's replaced.
+        if (Settings.shouldAskDownloadLocation(requireContext()) != askDownloadLocation) {
+            setDownloadsFeature(requireView())
+        }
+    }
+
     @CallSuper
     override fun onBackPressed(): Boolean = backButtonHandler.any { it.onBackPressed() }
 
@@ -17,6 +17,7 @@ import mozilla.components.browser.toolbar.BrowserToolbar
 import mozilla.components.concept.awesomebar.AwesomeBar.Suggestion
 import mozilla.components.concept.engine.EngineView
 import mozilla.components.feature.awesomebar.AwesomeBarFeature
+import mozilla.components.feature.awesomebar.provider.BookmarksStorageSuggestionProvider
 import mozilla.components.feature.awesomebar.provider.SearchSuggestionProvider
 import mozilla.components.feature.readerview.view.ReaderViewControlsBar
 import mozilla.components.feature.syncedtabs.SyncedTabsStorageSuggestionProvider
@@ -26,9 +27,16 @@ import mozilla.components.feature.toolbar.WebExtensionToolbarFeature
 import mozilla.components.support.base.feature.UserInteractionHandler
 import mozilla.components.support.base.feature.ViewBoundFeatureWrapper
 import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.calculator.CalculatorSuggestionProvider
+import org.mozilla.reference.browser.commands.CommandSuggestionProvider
 import org.mozilla.reference.browser.ext.components
 import org.mozilla.reference.browser.ext.requireComponents
 import org.mozilla.reference.browser.search.AwesomeBarWrapper
+import org.mozilla.reference.browser.search.CustomSearchSuggestionsIntegration
+import org.mozilla.reference.browser.search.SearchEngineShortcutsIntegration
+import org.mozilla.reference.browser.suggestions.SearchTermSuggestionProvider
+import org.mozilla.reference.browser.suggestions.SuggestionSettingsStorage
+import org.mozilla.reference.browser.suggestions.TopSitesSuggestionProvider
 import org.mozilla.reference.browser.tabs.TabsTrayFragment
 
 /**
@@ -41,6 +49,8 @@ class BrowserFragment :
     private val readerViewFeature = ViewBoundFeatureWrapper<ReaderViewIntegration>()
     private val webExtToolbarFeature = ViewBoundFeatureWrapper<WebExtensionToolbarFeature>()
     private val windowFeature = ViewBoundFeatureWrapper<WindowFeature>()
+    private val customSearchSuggestionsFeature = ViewBoundFeatureWrapper<CustomSearchSuggestionsIntegration>()
+    private val searchEngineShortcutsFeature = ViewBoundFeatureWrapper<SearchEngineShortcutsIntegration>()
 
     private val awesomeBar: AwesomeBarWrapper
         get() = requireView().findViewById(R.id.awesomeBar)
@@ -73,7 +83,8 @@ class BrowserFragment :
                 fetchClient = requireComponents.core.client,
                 mode = SearchSuggestionProvider.Mode.MULTIPLE_SUGGESTIONS,
                 engine = requireComponents.core.engine,
-                limit = 5,
+                // The number of suggestions shown is set by the user, see SuggestionSettingsStorage.
+                limit = SuggestionSettingsStorage.MAX_LIMIT,
                 filterExactMatch = true,
             ).addSessionProvider(
                 resources,
@@ -84,6 +95,28 @@ class BrowserFragment :
                 requireComponents.useCases.sessionUseCases.loadUrl,
             ).addClipboardProvider(requireContext(), requireComponents.useCases.sessionUseCases.loadUrl)
 
+        customSearchSuggestionsFeature.set(
+            feature = CustomSearchSuggestionsIntegration(
+                awesomeBar,
+                requireComponents.core.store,
+                requireComponents.useCases.searchUseCases.defaultSearch,
+                requireComponents.core.client,
+                requireComponents.core.engine,
+            ),
+            owner = this,
+            view = view,
+        )
+
+        searchEngineShortcutsFeature.set(
+            feature = SearchEngineShortcutsIntegration(
+                awesomeBar,
+                requireComponents.core.store,
+                requireComponents.useCases.searchUseCases.defaultSearch,
+            ),
+            owner = this,
+            view = view,
+        )
+
         // We cannot really add a `addSyncedTabsProvider` to `AwesomeBarFeature` coz that would create
         // a dependency on feature-syncedtabs (which depends on Sync).
         awesomeBar.addProviders(
@@ -93,6 +126,26 @@ class BrowserFragment :
                 requireComponents.core.icons,
             ),
         )
+        awesomeBar.addProviders(
+            BookmarksStorageSuggestionProvider(
+                requireComponents.core.bookmarksStorage,
+                requireComponents.useCases.sessionUseCases.loadUrl,
+                requireComponents.core.icons,
+                engine = requireComponents.core.engine,
+            ),
+            TopSitesSuggestionProvider(
+                requireComponents.core.historyStorage,
+                requireComponents.useCases.sessionUseCases.loadUrl,
+                requireComponents.core.icons,
+            ),
+            SearchTermSuggestionProvider(
+                requireComponents.core.historyStorage,
+                requireComponents.core.store,
+                requireComponents.useCases.searchUseCases.defaultSearch,
+            ),
+            CalculatorSuggestionProvider(requireContext()),
+            CommandSuggestionProvider(browserCommands),
+        )
         awesomeBar.setOnRemoveSuggestionButtonClicked {
             awesomeBar.addHiddenSuggestion(it)
             (it.suggestion as? Suggestion)?.let { s -> deleteHistorySuggestion(s) }
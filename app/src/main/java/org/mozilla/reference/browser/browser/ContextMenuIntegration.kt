@@ -5,7 +5,6 @@
 package org.mozilla.reference.browser.browser
 
 import android.content.Context
-import android.os.Environment
 import android.view.View
 import androidx.fragment.app.FragmentManager
 import mozilla.components.browser.state.store.BrowserStore
@@ -21,6 +20,7 @@ import mozilla.components.feature.contextmenu.ContextMenuUseCases
 import mozilla.components.feature.tabs.TabsUseCases
 import mozilla.components.support.base.feature.LifecycleAwareFeature
 import mozilla.components.ui.widgets.DefaultSnackbarDelegate
+import org.mozilla.reference.browser.downloads.DownloadLocation
 
 @Suppress("LongParameterList")
 class ContextMenuIntegration(
@@ -43,9 +43,7 @@ class ContextMenuIntegration(
                 createSaveImageCandidate(
                     context,
                     contextMenuUseCases,
-                    downloadsLocation = {
-                        Environment.getExternalStoragePublicDirectory(Environment.DIRECTORY_DOWNLOADS).path
-                    },
+                    downloadsLocation = { DownloadLocation.default },
                 ),
                 createCopyImageLocationCandidate(context, parentView, snackbarDelegate),
             )
@@ -55,9 +53,7 @@ class ContextMenuIntegration(
                 tabsUseCases,
                 contextMenuUseCases,
                 parentView,
-                downloadsLocation = {
-                    Environment.getExternalStoragePublicDirectory(Environment.DIRECTORY_DOWNLOADS).path
-                },
+                downloadsLocation = { DownloadLocation.default },
             )
         }
     }
@@ -4,21 +4,29 @@
 
 package org.mozilla.reference.browser.browser
 
+import android.app.Activity
 import android.content.Context
 import android.content.Intent
 import android.view.View
 import android.view.ViewGroup
+import android.widget.Toast
 import androidx.core.content.ContextCompat
 import androidx.core.content.res.ResourcesCompat
+import kotlinx.coroutines.Dispatchers
 import kotlinx.coroutines.MainScope
+import kotlinx.coroutines.flow.combine
 import kotlinx.coroutines.flow.distinctUntilChanged
 import kotlinx.coroutines.flow.map
 import kotlinx.coroutines.launch
+import kotlinx.coroutines.withContext
 import mozilla.components.browser.domains.autocomplete.ShippedDomainsProvider
 import mozilla.components.browser.menu2.BrowserMenuController
+import mozilla.components.browser.state.selector.findTabOrCustomTabOrSelectedTab
 import mozilla.components.browser.state.selector.selectedTab
 import mozilla.components.browser.state.state.SessionState
+import mozilla.components.browser.state.state.TabSessionState
 import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.browser.storage.sync.PlacesBookmarksStorage
 import mozilla.components.browser.storage.sync.PlacesHistoryStorage
 import mozilla.components.browser.toolbar.BrowserToolbar
 import mozilla.components.browser.toolbar.display.DisplayToolbar
@@ -30,6 +38,7 @@ import mozilla.components.concept.menu.candidate.MenuCandidate
 import mozilla.components.concept.menu.candidate.RowMenuCandidate
 import mozilla.components.concept.menu.candidate.SmallMenuCandidate
 import mozilla.components.concept.menu.candidate.TextMenuCandidate
+import mozilla.components.concept.storage.BookmarkRoot
 import mozilla.components.feature.pwa.WebAppUseCases
 import mozilla.components.feature.session.SessionUseCases
 import mozilla.components.feature.tabs.TabsUseCases
@@ -41,9 +50,18 @@ import mozilla.components.support.base.feature.UserInteractionHandler
 import mozilla.components.support.ktx.android.view.ImeInsetsSynchronizer
 import org.mozilla.reference.browser.R
 import org.mozilla.reference.browser.addons.AddonsActivity
+import org.mozilla.reference.browser.bookmarks.BookmarksActivity
+import org.mozilla.reference.browser.commands.BrowserCommands
+import org.mozilla.reference.browser.contentblocking.CounterBadgeDrawable
+import org.mozilla.reference.browser.downloads.DownloadsActivity
 import org.mozilla.reference.browser.ext.components
 import org.mozilla.reference.browser.ext.share
+import org.mozilla.reference.browser.history.HistoryActivity
+import org.mozilla.reference.browser.search.KeywordSearchUseCase
+import org.mozilla.reference.browser.settings.Settings
 import org.mozilla.reference.browser.settings.SettingsActivity
+import org.mozilla.reference.browser.siteinfo.SiteInfoDialog
+import org.mozilla.reference.browser.snapshots.SnapshotsActivity
 import org.mozilla.reference.browser.tabs.synced.SyncedTabsActivity
 
 @Suppress("LongParameterList")
@@ -52,10 +70,12 @@ class ToolbarIntegration(
     toolbar: BrowserToolbar,
     toolbarParentView: View,
     historyStorage: PlacesHistoryStorage,
+    private val bookmarksStorage: PlacesBookmarksStorage,
     store: BrowserStore,
     private val sessionUseCases: SessionUseCases,
     private val tabsUseCases: TabsUseCases,
     private val webAppUseCases: WebAppUseCases,
+    private val browserCommands: BrowserCommands,
     sessionId: String? = null,
 ) : LifecycleAwareFeature,
     UserInteractionHandler {
@@ -65,6 +85,80 @@ class ToolbarIntegration(
 
     private val scope = MainScope()
 
+    private val contentBlocker = context.components.core.contentBlocker
+
+    private val pinnedTabStorage = context.components.core.pinnedTabStorage
+
+    private val keywordSearchUseCase = KeywordSearchUseCase(
+        context.components.core.searchKeywordStorage,
+        bookmarksStorage,
+        context.components.useCases.searchUseCases.defaultSearch,
+        sessionUseCases.loadUrl,
+        scope,
+    )
+
+    private val siteInfoDialog = SiteInfoDialog(
+        context,
+        store,
+        context.components.useCases.trackingProtectionUseCases,
+        sessionUseCases,
+        sessionId,
+    )
+
+    private val trackersBlockedCounter = CounterBadgeDrawable(
+        context,
+        toolbar.display.icons.trackingProtectionTrackersBlocked,
+    )
+
+    // Requests blocked by the content blocker are counted even if the engine blocked no trackers.
+    private val nothingBlockedCounter = CounterBadgeDrawable(
+        context,
+        toolbar.display.icons.trackingProtectionNothingBlocked,
+    )
+
+    private val bookmarkAction = BrowserToolbar.ToggleButton(
+        image = requireNotNull(
+            ContextCompat.getDrawable(context, mozilla.components.ui.icons.R.drawable.mozac_ic_bookmark_24),
+        ),
+        imageSelected = requireNotNull(
+            ContextCompat.getDrawable(context, mozilla.components.ui.icons.R.drawable.mozac_ic_bookmark_fill_24),
+        ),
+        contentDescription = context.getString(R.string.bookmark_page),
+        contentDescriptionSelected = context.getString(R.string.bookmark_page_remove),
+        visible = { currentUrl != null },
+    ) { selected ->
+        val url = currentUrl ?: return@ToggleButton
+        scope.launch {
+            if (selected) {
+                addBookmark(url)
+            } else {
+                removeBookmarks(url)
+            }
+        }
+    }
+
+    private var currentUrl: String? = null
+    private var currentTitle: String = ""
+
+    private suspend fun addBookmark(url: String) = withContext(Dispatchers.IO) {
+        bookmarksStorage.addItem(
+            parentGuid = BookmarkRoot.Mobile.id,
+            url = url,
+            title = currentTitle.ifEmpty { url },
+            position = null,
+        )
+    }
+
+    private suspend fun removeBookmarks(url: String) = withContext(Dispatchers.IO) {
+        bookmarksStorage.getBookmarksWithUrl(url).forEach { bookmark ->
+            bookmarksStorage.deleteNode(bookmark.guid)
+        }
+    }
+
+    private suspend fun isBookmarked(url: String): Boolean = withContext(Dispatchers.IO) {
+        bookmarksStorage.getBookmarksWithUrl(url).isNotEmpty()
+    }
+
     private fun menuToolbar(session: SessionState?): RowMenuCandidate {
         val tint = ContextCompat.getColor(context, R.color.icons)
 
@@ -110,10 +204,43 @@ class ToolbarIntegration(
     private fun sessionMenuItems(sessionState: SessionState): List<MenuCandidate> =
         listOfNotNull(
             menuToolbar(sessionState),
+            TextMenuCandidate("Bookmark this page") {
+                val url = sessionState.content.url
+                scope.launch {
+                    if (!isBookmarked(url)) {
+                        addBookmark(url)
+                    }
+                    bookmarkAction.setSelected(true, notifyListener = false)
+                    Toast.makeText(context, R.string.bookmark_saved, Toast.LENGTH_SHORT).show()
+                }
+            },
             TextMenuCandidate("Share") {
                 val url = sessionState.content.url
                 context.share(url)
             },
+            CompoundMenuCandidate(
+                text = "Block content on this site",
+                isChecked = !contentBlocker.isAllowlisted(sessionState.content.url),
+                end = CompoundMenuCandidate.ButtonType.SWITCH,
+            ) { checked ->
+                contentBlocker.setAllowlisted(sessionState.content.url, allowlisted = !checked)
+                sessionUseCases.reload.invoke()
+            },
+            if (sessionState is TabSessionState) {
+                CompoundMenuCandidate(
+                    text = "Pin tab",
+                    isChecked = pinnedTabStorage.isPinned(sessionState.id),
+                    end = CompoundMenuCandidate.ButtonType.SWITCH,
+                ) { checked ->
+                    if (checked) {
+                        pinnedTabStorage.pin(listOf(sessionState.id))
+                    } else {
+                        pinnedTabStorage.unpin(sessionState.id)
+                    }
+                }
+            } else {
+                null
+            },
             CompoundMenuCandidate(
                 text = "Request desktop site",
                 isChecked = sessionState.content.desktopMode,
@@ -153,6 +280,26 @@ class ToolbarIntegration(
                 intent.flags = Intent.FLAG_ACTIVITY_NEW_TASK
                 context.startActivity(intent)
             },
+            TextMenuCandidate(text = "Bookmarks") {
+                val intent = Intent(context, BookmarksActivity::class.java)
+                intent.flags = Intent.FLAG_ACTIVITY_NEW_TASK
+                context.startActivity(intent)
+            },
+            TextMenuCandidate(text = "History") {
+                val intent = Intent(context, HistoryActivity::class.java)
+                intent.flags = Intent.FLAG_ACTIVITY_NEW_TASK
+                context.startActivity(intent)
+            },
+            TextMenuCandidate(text = "Downloads") {
+                val intent = Intent(context, DownloadsActivity::class.java)
+                intent.flags = Intent.FLAG_ACTIVITY_NEW_TASK
+                context.startActivity(intent)
+            },
+            TextMenuCandidate(text = "Session Snapshots") {
+                val intent = Intent(context, SnapshotsActivity::class.java)
+                intent.flags = Intent.FLAG_ACTIVITY_NEW_TASK
+                context.startActivity(intent)
+            },
             TextMenuCandidate(text = "Synced Tabs") {
                 val intent = Intent(context, SyncedTabsActivity::class.java)
                 intent.flags = Intent.FLAG_ACTIVITY_NEW_TASK
@@ -168,9 +315,29 @@ class ToolbarIntegration(
                 intent.flags = Intent.FLAG_ACTIVITY_NEW_TASK
                 context.startActivity(intent)
             },
+            TextMenuCandidate(text = "Quit") {
+                quit()
+            },
         )
     }
 
+    /**
+     * Deletes the browsing data selected in settings, if enabled, and closes the browser once done.
+     */
+    private fun quit() {
+        val activity = context as? Activity
+        if (!Settings.shouldDeleteBrowsingDataOnQuit(context)) {
+            activity?.finishAndRemoveTask()
+            return
+        }
+
+        val types = Settings.getDeleteOnQuitTypes(context)
+        context.components.browsingDataCleaner.deleteInBackground(types) {
+            Toast.makeText(context.applicationContext, R.string.delete_browsing_data_done, Toast.LENGTH_SHORT).show()
+            activity?.finishAndRemoveTask()
+        }
+    }
+
     private val browserMenuController: MenuController = BrowserMenuController()
 
     init {
@@ -180,6 +347,12 @@ class ToolbarIntegration(
                 DisplayToolbar.Indicators.TRACKING_PROTECTION,
             )
             displayIndicatorSeparator = true
+            icons = icons.copy(
+                trackingProtectionTrackersBlocked = trackersBlockedCounter,
+                trackingProtectionNothingBlocked = nothingBlockedCounter,
+            )
+            setOnSiteInfoClickedListener { siteInfoDialog.show() }
+            setOnTrackingProtectionClickedListener { siteInfoDialog.show() }
             menuController = browserMenuController
             hint = context.getString(R.string.toolbar_hint)
 
@@ -188,6 +361,8 @@ class ToolbarIntegration(
             )
         }
 
+        toolbar.addPageAction(bookmarkAction)
+
         toolbar.edit.apply {
             hint = context.getString(R.string.toolbar_hint)
         }
@@ -230,6 +405,34 @@ class ToolbarIntegration(
                     browserMenuController.submitList(menuItems(tab))
                 }
         }
+
+        scope.launch {
+            store
+                .flow()
+                .map { state -> state.findTabOrCustomTabOrSelectedTab(sessionId)?.content }
+                .distinctUntilChanged { old, new -> old?.url == new?.url && old?.title == new?.title }
+                .collect { content ->
+                    currentUrl = content?.url
+                    currentTitle = content?.title.orEmpty()
+                    val bookmarked = content?.url?.let { isBookmarked(it) } ?: false
+                    bookmarkAction.setSelected(bookmarked, notifyListener = false)
+                    toolbar.invalidateActions()
+                }
+        }
+
+        scope.launch {
+            store
+                .flow()
+                .combine(contentBlocker.blockedCounts) { state, blockedCounts ->
+                    val tab = state.findTabOrCustomTabOrSelectedTab(sessionId)
+                    val trackers = tab?.trackingProtection?.blockedTrackers?.size ?: 0
+                    trackers + (tab?.let { blockedCounts[it.id] } ?: 0)
+                }.distinctUntilChanged()
+                .collect { count ->
+                    trackersBlockedCounter.count = count
+                    nothingBlockedCounter.count = count
+                }
+        }
     }
 
     private val toolbarFeature: ToolbarFeature = ToolbarFeature(
@@ -237,11 +440,19 @@ class ToolbarIntegration(
         context.components.core.store,
         context.components.useCases.sessionUseCases.loadUrl,
         { searchTerms ->
-            context.components.useCases.searchUseCases.defaultSearch.invoke(
-                searchTerms = searchTerms,
-                searchEngine = null,
-                parentSessionId = null,
-            )
+            // Enter runs the command typed after the prefix if it's clear which one is meant, or else searches.
+            val command = searchTerms
+                .takeIf { it.startsWith(BrowserCommands.PREFIX) }
+                ?.let { browserCommands.bestMatch(it.removePrefix(BrowserCommands.PREFIX)) }
+            if (command != null) {
+                command.execute()
+            } else {
+                keywordSearchUseCase.invoke(
+                    searchTerms = searchTerms,
+                    searchEngine = null,
+                    parentSessionId = null,
+                )
+            }
         },
         sessionId,
     )
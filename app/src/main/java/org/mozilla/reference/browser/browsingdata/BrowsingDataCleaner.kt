@@ -0,0 +1,83 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.browsingdata
+
+import kotlinx.coroutines.DelicateCoroutinesApi
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.GlobalScope
+import kotlinx.coroutines.Job
+import kotlinx.coroutines.launch
+import mozilla.components.browser.storage.sync.PlacesHistoryStorage
+import mozilla.components.concept.engine.Engine
+import mozilla.components.concept.engine.Engine.BrowsingData
+import mozilla.components.concept.engine.permission.SitePermissionsStorage
+import mozilla.components.feature.downloads.DownloadsUseCases
+import mozilla.components.feature.tabs.TabsUseCases
+import mozilla.components.support.base.log.logger.Logger
+import kotlin.coroutines.resume
+import kotlin.coroutines.suspendCoroutine
+
+/**
+ * Deletes the browsing data of the selected [BrowsingDataType]s.
+ */
+class BrowsingDataCleaner(
+    private val engine: Engine,
+    private val lazyHistoryStorage: Lazy<PlacesHistoryStorage>,
+    private val tabsUseCases: TabsUseCases,
+    private val downloadsUseCases: DownloadsUseCases,
+    private val sitePermissionsStorage: SitePermissionsStorage,
+) {
+    private val logger = Logger("BrowsingDataCleaner")
+
+    /**
+     * Deletes the data of all the given [types]. Engine data that fails to be cleared is
+     * logged and skipped so the remaining types still get deleted.
+     */
+    suspend fun delete(types: Set<BrowsingDataType>) {
+        types.forEach { type ->
+            when (type) {
+                BrowsingDataType.TABS -> tabsUseCases.removeAllTabs()
+                BrowsingDataType.HISTORY -> lazyHistoryStorage.value.deleteEverything()
+                BrowsingDataType.COOKIES -> clearEngineData(
+                    BrowsingData.select(BrowsingData.COOKIES, BrowsingData.AUTH_SESSIONS),
+                )
+                BrowsingDataType.CACHE -> clearEngineData(BrowsingData.select(BrowsingData.ALL_CACHES))
+                BrowsingDataType.SITE_DATA -> clearEngineData(BrowsingData.select(BrowsingData.DOM_STORAGES))
+                BrowsingDataType.DOWNLOADS -> downloadsUseCases.removeAllDownloads()
+                BrowsingDataType.PERMISSIONS -> {
+                    sitePermissionsStorage.removeAll()
+                    clearEngineData(BrowsingData.select(BrowsingData.PERMISSIONS))
+                }
+            }
+        }
+    }
+
+    /**
+     * Deletes the data of all the given [types] in the application's scope, so that the deletion
+     * completes even if the screen it was started from goes away, then calls [onDeleted] on the
+     * main thread.
+     */
+    @OptIn(DelicateCoroutinesApi::class)
+    fun deleteInBackground(
+        types: Set<BrowsingDataType>,
+        onDeleted: () -> Unit,
+    ): Job =
+        GlobalScope.launch(Dispatchers.Main) {
+            delete(types)
+            onDeleted()
+        }
+
+    private suspend fun clearEngineData(data: BrowsingData) =
+        suspendCoroutine { continuation ->
+            engine.clearData(
+                data,
+                onSuccess = { continuation.resume(Unit) },
+                onError = { throwable ->
+                    logger.warn("Failed to clear browsing data", throwable)
+                    continuation.resume(Unit)
+                },
+            )
+        }
+}
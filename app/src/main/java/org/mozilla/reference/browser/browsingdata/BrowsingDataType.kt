@@ -0,0 +1,37 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.browsingdata
+
+import androidx.annotation.StringRes
+import org.mozilla.reference.browser.R
+
+/**
+ * The categories of browsing data the user can delete.
+ *
+ * @property label The name of the category shown to the user.
+ * @property summary An optional explanation shown below the [label].
+ * @property quitKey The key of the preference selecting this category for deletion on quit.
+ */
+enum class BrowsingDataType(
+    @StringRes val label: Int,
+    @StringRes val summary: Int?,
+    @StringRes val quitKey: Int,
+) {
+    TABS(R.string.delete_browsing_data_tabs, null, R.string.pref_key_delete_on_quit_tabs),
+    HISTORY(R.string.delete_browsing_data_history, null, R.string.pref_key_delete_on_quit_history),
+    COOKIES(
+        R.string.delete_browsing_data_cookies,
+        R.string.delete_browsing_data_cookies_summary,
+        R.string.pref_key_delete_on_quit_cookies,
+    ),
+    CACHE(R.string.delete_browsing_data_cache, null, R.string.pref_key_delete_on_quit_cache),
+    SITE_DATA(R.string.delete_browsing_data_site_data, null, R.string.pref_key_delete_on_quit_site_data),
+    DOWNLOADS(
+        R.string.delete_browsing_data_downloads,
+        R.string.delete_browsing_data_downloads_summary,
+        R.string.pref_key_delete_on_quit_downloads,
+    ),
+    PERMISSIONS(R.string.delete_browsing_data_permissions, null, R.string.pref_key_delete_on_quit_permissions),
+}
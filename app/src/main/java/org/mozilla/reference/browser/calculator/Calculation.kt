@@ -0,0 +1,45 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.calculator
+
+import java.math.BigDecimal
+import java.math.MathContext
+
+/**
+ * The result of a calculation or conversion typed in the URL bar.
+ *
+ * @property value The bare result, copied to the clipboard.
+ * @property display The result as shown, with its unit or time zone.
+ */
+data class Calculation(
+    val value: String,
+    val display: String = value,
+) {
+    companion object {
+        private const val SIGNIFICANT_DIGITS = 12
+
+        // Larger results are shown in scientific notation.
+        private const val MAX_PLAIN = 1e15
+
+        /**
+         * Evaluates the arithmetic expression or the unit or time zone conversion in the [text],
+         * returning null if it isn't one.
+         */
+        fun calculate(text: String): Calculation? =
+            TimeZoneConverter.convert(text)
+                ?: UnitConverter.convert(text)
+                ?: ExpressionEvaluator.evaluate(text)?.let { Calculation(format(it)) }
+
+        /**
+         * Formats the [number] without the rounding errors of floating point arithmetic, so that
+         * `23*1.19` gives `27.37` rather than `27.369999999999997`.
+         */
+        fun format(number: Double): String =
+            BigDecimal(number)
+                .round(MathContext(SIGNIFICANT_DIGITS))
+                .stripTrailingZeros()
+                .let { if (it.abs() < BigDecimal(MAX_PLAIN)) it.toPlainString() else it.toString() }
+    }
+}
@@ -0,0 +1,45 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.calculator
+
+import android.content.ClipData
+import android.content.ClipboardManager
+import android.content.Context
+import android.widget.Toast
+import mozilla.components.concept.awesomebar.AwesomeBar
+import org.mozilla.reference.browser.R
+import java.util.UUID
+
+/**
+ * Suggests the result of the arithmetic expression or the conversion typed in the URL bar, worked
+ * out offline, above all other suggestions. Picking it copies the result to the clipboard.
+ */
+class CalculatorSuggestionProvider(
+    private val context: Context,
+) : AwesomeBar.SuggestionProvider {
+    override val id: String = UUID.randomUUID().toString()
+
+    override suspend fun onInputChanged(text: String): List<AwesomeBar.Suggestion> {
+        val calculation = Calculation.calculate(text) ?: return emptyList()
+
+        return listOf(
+            AwesomeBar.Suggestion(
+                provider = this,
+                id = text,
+                title = "= ${calculation.display}",
+                description = context.getString(R.string.calculator_copy),
+                onSuggestionClicked = { copy(calculation.value) },
+                score = Int.MAX_VALUE,
+            ),
+        )
+    }
+
+    private fun copy(value: String) {
+        val clipboard = context.getSystemService(Context.CLIPBOARD_SERVICE) as ClipboardManager
+        clipboard.setPrimaryClip(ClipData.newPlainText(value, value))
+
+        Toast.makeText(context, context.getString(R.string.toast_copied), Toast.LENGTH_SHORT).show()
+    }
+}
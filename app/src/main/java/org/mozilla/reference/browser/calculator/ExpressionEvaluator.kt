@@ -0,0 +1,129 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.calculator
+
+import kotlin.math.pow
+
+/**
+ * Evaluates arithmetic expressions like `23*1.19` or `(2 + 3)^2 / 4`, with `+`, `-`, `*`, `/`,
+ * `%` for the remainder, `^` for powers and parentheses. The `x`, `×` and `÷` signs typed on
+ * phone keyboards are accepted too.
+ */
+object ExpressionEvaluator {
+    // Deeper expressions are rejected rather than risking a stack overflow.
+    private const val MAX_DEPTH = 100
+
+    /**
+     * Returns the value of the [expression], or null if it isn't a valid expression, is nested too
+     * deeply, or is just a number, which isn't worth suggesting.
+     */
+    fun evaluate(expression: String): Double? {
+        val parser = Parser(expression.lowercase().replace('x', '*').replace('×', '*').replace('÷', '/'))
+        val value = try {
+            parser.parse()
+        } catch (e: IllegalArgumentException) {
+            return null
+        }
+        return value.takeIf { parser.hasOperator && it.isFinite() }
+    }
+
+    /**
+     * A recursive descent parser, from the lowest to the highest precedence: sums, products, signs,
+     * powers and then numbers or parenthesized expressions.
+     */
+    private class Parser(
+        private val input: String,
+    ) {
+        private var position = 0
+        private var depth = 0
+
+        var hasOperator = false
+            private set
+
+        fun parse(): Double {
+            val value = parseSum()
+            skipWhitespace()
+            require(position == input.length) { "Unexpected character at $position" }
+            return value
+        }
+
+        private fun parseSum(): Double {
+            var value = parseProduct()
+            while (true) {
+                value = when {
+                    consume('+') -> value + parseProduct()
+                    consume('-') -> value - parseProduct()
+                    else -> return value
+                }
+            }
+        }
+
+        private fun parseProduct(): Double {
+            var value = parseSign()
+            while (true) {
+                value = when {
+                    consume('*') -> value * parseSign()
+                    consume('/') -> value / parseSign()
+                    consume('%') -> value % parseSign()
+                    else -> return value
+                }
+            }
+        }
+
+        private fun parseSign(): Double =
+            when {
+                consume('-', isOperator = false) -> -nested { parseSign() }
+                consume('+', isOperator = false) -> nested { parseSign() }
+                else -> parsePower()
+            }
+
+        private fun parsePower(): Double {
+            val base = parseAtom()
+            // Powers are right-associative: 2^3^2 is 2^9.
+            return if (consume('^')) base.pow(nested { parseSign() }) else base
+        }
+
+        private fun parseAtom(): Double {
+            if (consume('(', isOperator = false)) {
+                val value = nested { parseSum() }
+                require(consume(')', isOperator = false)) { "Missing closing parenthesis" }
+                return value
+            }
+
+            skipWhitespace()
+            val start = position
+            while (position < input.length && (input[position].isDigit() || input[position] == '.')) {
+                position++
+            }
+            require(position > start) { "Expected a number at $start" }
+            return input.substring(start, position).toDouble()
+        }
+
+        private inline fun nested(parse: () -> Double): Double {
+            depth++
+            require(depth <= MAX_DEPTH) { "Expression nested too deeply" }
+            return parse().also { depth-- }
+        }
+
+        private fun consume(
+            char: Char,
+            isOperator: Boolean = true,
+        ): Boolean {
+            skipWhitespace()
+            if (position < input.length && input[position] == char) {
+                position++
+                hasOperator = hasOperator || isOperator
+                return true
+            }
+            return false
+        }
+
+        private fun skipWhitespace() {
+            while (position < input.length && input[position].isWhitespace()) {
+                position++
+            }
+        }
+    }
+}
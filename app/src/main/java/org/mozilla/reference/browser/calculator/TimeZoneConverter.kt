@@ -0,0 +1,116 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.calculator
+
+import java.time.DateTimeException
+import java.time.LocalDate
+import java.time.LocalTime
+import java.time.ZoneId
+import java.time.ZonedDateTime
+import java.time.format.DateTimeFormatter
+import java.time.format.FormatStyle
+
+/**
+ * Converts times between time zones, typed like `3pm PST in Tokyo`, `15:30 CET to EST` or
+ * `now in UTC+2`. Without a time zone before `in`, the time is taken in the device's time zone.
+ * Time zones are matched by their common abbreviation, their ID or the city naming them.
+ */
+object TimeZoneConverter {
+    private val CONVERSION = Regex(
+        """^\s*(?:(now)|(\d{1,2})(?::(\d{2}))?\s*(am|pm)?)\s*(.*?)\s+(?:in|to)\s+(.+?)\s*$""",
+        RegexOption.IGNORE_CASE,
+    )
+
+    private const val HOURS_PER_HALF_DAY = 12
+
+    // Abbreviations are ambiguous across the world, so only the most common meaning is kept.
+    // Standard and daylight saving time names share a zone, which applies whichever is in effect.
+    private val ABBREVIATIONS = mapOf(
+        "utc" to "UTC",
+        "gmt" to "GMT",
+        "pst" to "America/Los_Angeles",
+        "pdt" to "America/Los_Angeles",
+        "mst" to "America/Denver",
+        "mdt" to "America/Denver",
+        "cst" to "America/Chicago",
+        "cdt" to "America/Chicago",
+        "est" to "America/New_York",
+        "edt" to "America/New_York",
+        "bst" to "Europe/London",
+        "cet" to "Europe/Paris",
+        "cest" to "Europe/Paris",
+        "eet" to "Europe/Athens",
+        "eest" to "Europe/Athens",
+        "ist" to "Asia/Kolkata",
+        "jst" to "Asia/Tokyo",
+        "kst" to "Asia/Seoul",
+        "aest" to "Australia/Sydney",
+        "aedt" to "Australia/Sydney",
+        "nzst" to "Pacific/Auckland",
+        "nzdt" to "Pacific/Auckland",
+    )
+
+    /**
+     * Returns the time conversion typed in the [text], or null if it isn't one.
+     */
+    fun convert(text: String): Calculation? {
+        val match = CONVERSION.matchEntire(text) ?: return null
+        val (now, hour, minute, period, fromName, toName) = match.destructured
+
+        val from = if (fromName.isEmpty()) ZoneId.systemDefault() else findZone(fromName)
+        val to = findZone(toName)
+        val time = from?.let { if (now.isNotEmpty()) LocalTime.now(it) else parseTime(hour, minute, period) }
+        if (from == null || to == null || time == null) {
+            return null
+        }
+
+        val fromDateTime = ZonedDateTime.of(LocalDate.now(from), time, from)
+        val toDateTime = fromDateTime.withZoneSameInstant(to)
+        val value = toDateTime.format(DateTimeFormatter.ofLocalizedTime(FormatStyle.SHORT))
+
+        // The day is only shown when it differs, like for `11pm UTC in Tokyo`.
+        val day = if (toDateTime.toLocalDate() != fromDateTime.toLocalDate()) {
+            toDateTime.format(DateTimeFormatter.ofPattern("EEE "))
+        } else {
+            ""
+        }
+        return Calculation(value = value, display = "$day$value $toName")
+    }
+
+    private fun parseTime(
+        hour: String,
+        minute: String,
+        period: String,
+    ): LocalTime? {
+        val hours = hour.toInt()
+        val minutes = minute.ifEmpty { "0" }.toInt()
+        val hoursOfDay = when (period.lowercase()) {
+            "am" -> if (hours in 1..HOURS_PER_HALF_DAY) hours % HOURS_PER_HALF_DAY else null
+            "pm" -> if (hours in 1..HOURS_PER_HALF_DAY) hours % HOURS_PER_HALF_DAY + HOURS_PER_HALF_DAY else null
+            else -> hours
+        } ?: return null
+
+        return try {
+            LocalTime.of(hoursOfDay, minutes)
+        } catch (e: DateTimeException) {
+            null
+        }
+    }
+
+    private fun findZone(name: String): ZoneId? {
+        val key = name.trim().lowercase()
+        val id = ABBREVIATIONS[key]
+            ?: ZoneId.getAvailableZoneIds().firstOrNull { id ->
+                id.lowercase() == key || id.substringAfterLast('/').replace('_', ' ').lowercase() == key
+            }
+
+        // Also accepts offsets like `UTC+2` or `GMT-05:30`.
+        return try {
+            ZoneId.of(id ?: name.trim().uppercase())
+        } catch (e: DateTimeException) {
+            null
+        }
+    }
+}
@@ -0,0 +1,93 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.calculator
+
+/**
+ * Converts lengths, masses, temperatures and data sizes typed like `5 mi in km`, `70 f to c` or
+ * `2.5 GiB in MB`.
+ */
+object UnitConverter {
+    private val CONVERSION = Regex(
+        """^\s*(-?\d+(?:\.\d+)?)\s*([^\d\s].*?)\s+(?:in|to|as)\s+(.+?)\s*$""",
+        RegexOption.IGNORE_CASE,
+    )
+
+    private enum class Dimension { LENGTH, MASS, TEMPERATURE, DATA }
+
+    /**
+     * A unit worth [factor] of the base unit of its [dimension], plus [offset] for temperatures:
+     * meters, grams, kelvins and bytes. The first of the [names] is the one shown in results.
+     */
+    private enum class MeasurementUnit(
+        val dimension: Dimension,
+        val factor: Double,
+        val offset: Double,
+        vararg val names: String,
+    ) {
+        MILLIMETER(Dimension.LENGTH, 0.001, 0.0, "mm", "millimeter", "millimeters", "millimetre", "millimetres"),
+        CENTIMETER(Dimension.LENGTH, 0.01, 0.0, "cm", "centimeter", "centimeters", "centimetre", "centimetres"),
+        METER(Dimension.LENGTH, 1.0, 0.0, "m", "meter", "meters", "metre", "metres"),
+        KILOMETER(Dimension.LENGTH, 1000.0, 0.0, "km", "kilometer", "kilometers", "kilometre", "kilometres"),
+        INCH(Dimension.LENGTH, 0.0254, 0.0, "in", "inch", "inches", "\""),
+        FOOT(Dimension.LENGTH, 0.3048, 0.0, "ft", "foot", "feet", "'"),
+        YARD(Dimension.LENGTH, 0.9144, 0.0, "yd", "yard", "yards"),
+        MILE(Dimension.LENGTH, 1609.344, 0.0, "mi", "mile", "miles"),
+        NAUTICAL_MILE(Dimension.LENGTH, 1852.0, 0.0, "nmi", "nautical mile", "nautical miles"),
+
+        MILLIGRAM(Dimension.MASS, 0.001, 0.0, "mg", "milligram", "milligrams"),
+        GRAM(Dimension.MASS, 1.0, 0.0, "g", "gram", "grams"),
+        KILOGRAM(Dimension.MASS, 1000.0, 0.0, "kg", "kilogram", "kilograms", "kilo", "kilos"),
+        TONNE(Dimension.MASS, 1_000_000.0, 0.0, "t", "tonne", "tonnes"),
+        OUNCE(Dimension.MASS, 28.349523125, 0.0, "oz", "ounce", "ounces"),
+        POUND(Dimension.MASS, 453.59237, 0.0, "lb", "lbs", "pound", "pounds"),
+        STONE(Dimension.MASS, 6350.29318, 0.0, "st", "stone", "stones"),
+
+        CELSIUS(Dimension.TEMPERATURE, 1.0, 273.15, "°C", "c", "celsius", "degrees celsius"),
+        FAHRENHEIT(Dimension.TEMPERATURE, 5.0 / 9, 459.67 * 5 / 9, "°F", "f", "fahrenheit", "degrees fahrenheit"),
+        KELVIN(Dimension.TEMPERATURE, 1.0, 0.0, "K", "kelvin", "kelvins"),
+
+        BIT(Dimension.DATA, 0.125, 0.0, "bit", "bits"),
+        BYTE(Dimension.DATA, 1.0, 0.0, "B", "byte", "bytes"),
+        KILOBYTE(Dimension.DATA, 1e3, 0.0, "kB", "kilobyte", "kilobytes"),
+        MEGABYTE(Dimension.DATA, 1e6, 0.0, "MB", "megabyte", "megabytes"),
+        GIGABYTE(Dimension.DATA, 1e9, 0.0, "GB", "gigabyte", "gigabytes"),
+        TERABYTE(Dimension.DATA, 1e12, 0.0, "TB", "terabyte", "terabytes"),
+        KIBIBYTE(Dimension.DATA, 1024.0, 0.0, "KiB", "kibibyte", "kibibytes"),
+        MEBIBYTE(Dimension.DATA, 1024.0 * 1024, 0.0, "MiB", "mebibyte", "mebibytes"),
+        GIBIBYTE(Dimension.DATA, 1024.0 * 1024 * 1024, 0.0, "GiB", "gibibyte", "gibibytes"),
+        TEBIBYTE(Dimension.DATA, 1024.0 * 1024 * 1024 * 1024, 0.0, "TiB", "tebibyte", "tebibytes"),
+        ;
+
+        val symbol: String
+            get() = names.first()
+    }
+
+    // Units are matched ignoring case, the degree sign and a trailing dot, like in `5 lbs.`.
+    private val unitsByName = MeasurementUnit.entries
+        .flatMap { unit -> unit.names.map { normalize(it) to unit } }
+        .toMap()
+
+    /**
+     * Returns the conversion typed in the [text], or null if it isn't one or its result is too large.
+     */
+    fun convert(text: String): Calculation? {
+        val match = CONVERSION.matchEntire(text) ?: return null
+        val (value, fromName, toName) = match.destructured
+        val from = unitsByName[normalize(fromName)]
+        val to = unitsByName[normalize(toName)]
+        if (from == null || to == null || from == to || from.dimension != to.dimension) {
+            return null
+        }
+
+        val base = value.toDouble() * from.factor + from.offset
+        // Very large numbers overflow to infinity, which can't be formatted.
+        return ((base - to.offset) / to.factor)
+            .takeIf { it.isFinite() }
+            ?.let { Calculation.format(it) }
+            ?.let { result -> Calculation(value = result, display = "$result ${to.symbol}") }
+    }
+
+    private fun normalize(name: String) = name.lowercase().removePrefix("°").removeSuffix(".").trim()
+}
@@ -0,0 +1,18 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.commands
+
+/**
+ * A browser action offered by the command palette.
+ *
+ * @property title The name the command is matched and shown with.
+ * @property description Shown below the title, like the add-on a command comes from.
+ * @property execute Runs the command.
+ */
+data class BrowserCommand(
+    val title: String,
+    val description: String? = null,
+    val execute: () -> Unit,
+)
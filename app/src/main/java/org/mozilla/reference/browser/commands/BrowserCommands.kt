@@ -0,0 +1,162 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.commands
+
+import android.app.Activity
+import android.content.Context
+import android.content.Intent
+import androidx.annotation.StringRes
+import androidx.appcompat.app.AlertDialog
+import kotlinx.coroutines.MainScope
+import kotlinx.coroutines.launch
+import mozilla.components.browser.state.selector.selectedTab
+import mozilla.components.browser.state.state.TabSessionState
+import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.feature.session.SessionUseCases
+import mozilla.components.feature.tabs.TabsUseCases
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.addons.AddonsActivity
+import org.mozilla.reference.browser.bookmarks.BookmarksActivity
+import org.mozilla.reference.browser.browser.FindInPageIntegration
+import org.mozilla.reference.browser.browsingdata.BrowsingDataType
+import org.mozilla.reference.browser.downloads.DownloadsActivity
+import org.mozilla.reference.browser.ext.components
+import org.mozilla.reference.browser.ext.share
+import org.mozilla.reference.browser.history.HistoryActivity
+import org.mozilla.reference.browser.settings.SettingsActivity
+import org.mozilla.reference.browser.tabs.showUndoCloseTabsSnackbar
+
+/**
+ * The browser actions of the command palette, opened by typing [PREFIX] in the URL bar. The
+ * actions on the current page are only offered while a tab is selected, followed by the browser
+ * actions of the enabled add-ons.
+ */
+class BrowserCommands(
+    private val context: Context,
+    private val store: BrowserStore,
+    private val sessionUseCases: SessionUseCases,
+    private val tabsUseCases: TabsUseCases,
+) {
+    private val scope = MainScope()
+
+    /**
+     * Returns the commands matching the [query], best matches first.
+     */
+    fun match(query: String): List<BrowserCommand> = scoredMatches(query).map { (command, _) -> command }
+
+    /**
+     * Returns the command to run for the [query] entered in the URL bar: the best match, if it
+     * matches better than any other. Returns null if the [query] is empty or no command stands out.
+     */
+    fun bestMatch(query: String): BrowserCommand? {
+        if (query.isBlank()) {
+            return null
+        }
+
+        val matches = scoredMatches(query)
+        val (best, bestScore) = matches.firstOrNull() ?: return null
+        val runnerUpScore = matches.getOrNull(1)?.second
+        return best.takeIf { runnerUpScore == null || bestScore > runnerUpScore }
+    }
+
+    private fun scoredMatches(query: String): List<Pair<BrowserCommand, Int>> =
+        all()
+            .mapNotNull { command -> FuzzyMatcher.score(query, command.title)?.let { command to it } }
+            .sortedByDescending { (_, score) -> score }
+
+    private fun all(): List<BrowserCommand> {
+        val tab = store.state.selectedTab
+        val tabCommands = if (tab != null) tabCommands(tab) else emptyList()
+
+        return tabCommands + listOf(
+            command(R.string.command_new_tab) {
+                tabsUseCases.addTab.invoke("about:blank", selectTab = true)
+            },
+            command(R.string.command_new_private_tab) {
+                tabsUseCases.addTab.invoke("about:privatebrowsing", selectTab = true, private = true)
+            },
+            command(R.string.command_bookmarks) { startActivity(BookmarksActivity::class.java) },
+            command(R.string.command_history) { startActivity(HistoryActivity::class.java) },
+            command(R.string.command_downloads) { startActivity(DownloadsActivity::class.java) },
+            command(R.string.command_addons) { startActivity(AddonsActivity::class.java) },
+            command(R.string.command_settings) { startActivity(SettingsActivity::class.java) },
+            command(R.string.command_clear_history) { confirmClearHistory() },
+        ) + addonCommands(tab)
+    }
+
+    private fun tabCommands(tab: TabSessionState): List<BrowserCommand> =
+        listOf(
+            command(R.string.command_reload) { sessionUseCases.reload.invoke(tab.id) },
+            command(R.string.command_find_in_page) { FindInPageIntegration.launch?.invoke() },
+            command(R.string.command_toggle_desktop_site) {
+                sessionUseCases.requestDesktopSite.invoke(!tab.content.desktopMode, tab.id)
+            },
+            command(R.string.command_share) { context.share(tab.content.url) },
+            command(R.string.command_close_tab) {
+                tabsUseCases.removeTab(tab.id)
+                (context as? Activity)?.showUndoCloseTabsSnackbar(1)
+            },
+            command(R.string.command_close_other_tabs) { closeOtherTabs(tab) },
+        )
+
+    private fun addonCommands(tab: TabSessionState?): List<BrowserCommand> =
+        store.state.extensions.values
+            .filter { it.enabled && it.browserAction != null }
+            .map { extension ->
+                // A tab can override the title of the action set by the add-on.
+                val action = requireNotNull(extension.browserAction)
+                val title = tab?.extensionState?.get(extension.id)?.browserAction?.title ?: action.title
+                BrowserCommand(
+                    title = title ?: extension.name ?: extension.id,
+                    description = extension.name,
+                    execute = action.onClick,
+                )
+            }
+
+    private fun closeOtherTabs(tab: TabSessionState) {
+        // Like closing all tabs from the tabs tray, pinned tabs and tabs of the other mode are kept.
+        val pinnedTabIds = context.components.core.pinnedTabStorage.pinnedTabIds.value
+        val tabIds = store.state.tabs
+            .filter { it.id != tab.id && it.content.private == tab.content.private && it.id !in pinnedTabIds }
+            .map { it.id }
+        if (tabIds.isEmpty()) {
+            return
+        }
+
+        tabsUseCases.removeTabs(tabIds)
+        (context as? Activity)?.showUndoCloseTabsSnackbar(tabIds.size)
+    }
+
+    private fun confirmClearHistory() {
+        AlertDialog
+            .Builder(context)
+            .setTitle(R.string.command_clear_history)
+            .setMessage(R.string.history_delete_confirmation)
+            .setNegativeButton(R.string.history_dialog_cancel) { dialog, _ -> dialog.cancel() }
+            .setPositiveButton(R.string.history_dialog_delete) { _, _ ->
+                scope.launch {
+                    context.components.browsingDataCleaner.delete(setOf(BrowsingDataType.HISTORY))
+                }
+            }.show()
+    }
+
+    private fun startActivity(activityClass: Class<out Activity>) {
+        val intent = Intent(context, activityClass)
+        intent.flags = Intent.FLAG_ACTIVITY_NEW_TASK
+        context.startActivity(intent)
+    }
+
+    private fun command(
+        @StringRes titleResId: Int,
+        execute: () -> Unit,
+    ) = BrowserCommand(context.getString(titleResId), execute = execute)
+
+    companion object {
+        /**
+         * Typed at the start of the URL bar to search the commands instead of the web.
+         */
+        const val PREFIX = ">"
+    }
+}
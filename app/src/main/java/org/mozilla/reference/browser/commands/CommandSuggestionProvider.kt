@@ -0,0 +1,36 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.commands
+
+import mozilla.components.concept.awesomebar.AwesomeBar
+import java.util.UUID
+
+/**
+ * Suggests the [commands] matching the text typed after [BrowserCommands.PREFIX], running the
+ * command when its suggestion is picked.
+ */
+class CommandSuggestionProvider(
+    private val commands: BrowserCommands,
+) : AwesomeBar.SuggestionProvider {
+    override val id: String = UUID.randomUUID().toString()
+
+    override suspend fun onInputChanged(text: String): List<AwesomeBar.Suggestion> {
+        if (!text.startsWith(BrowserCommands.PREFIX)) {
+            return emptyList()
+        }
+
+        val matches = commands.match(text.removePrefix(BrowserCommands.PREFIX))
+        return matches.mapIndexed { index, command ->
+            AwesomeBar.Suggestion(
+                provider = this,
+                title = command.title,
+                description = command.description,
+                onSuggestionClicked = command.execute,
+                // Keeps the best matches first.
+                score = matches.size - index,
+            )
+        }
+    }
+}
@@ -0,0 +1,48 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.commands
+
+/**
+ * Matches a query against a text when the characters of the query appear in the text in the same
+ * order, not necessarily next to each other, ignoring case. `clot` matches "Close other tabs".
+ */
+object FuzzyMatcher {
+    private const val MATCH_SCORE = 1
+    private const val CONSECUTIVE_BONUS = 2
+    private const val WORD_START_BONUS = 3
+
+    /**
+     * Returns how well the [query] matches the [text], higher being better, or null if it doesn't
+     * match at all. Characters following the previous match or starting a word score higher.
+     */
+    fun score(
+        query: String,
+        text: String,
+    ): Int? {
+        var score = 0
+        var index = 0
+        var previousMatch = -1
+
+        query.lowercase().filterNot { it.isWhitespace() }.forEach { char ->
+            while (index < text.length && text[index].lowercaseChar() != char) {
+                index++
+            }
+            if (index == text.length) {
+                return null
+            }
+
+            score += MATCH_SCORE
+            if (index == previousMatch + 1) {
+                score += CONSECUTIVE_BONUS
+            }
+            if (index == 0 || !text[index - 1].isLetterOrDigit()) {
+                score += WORD_START_BONUS
+            }
+            previousMatch = index
+            index++
+        }
+        return score
+    }
+}
@@ -8,6 +8,7 @@ import android.app.PendingIntent
 import android.content.Context
 import android.content.Intent
 import android.os.Build
+import mozilla.components.lib.crash.Crash
 import mozilla.components.lib.crash.CrashReporter
 import mozilla.components.lib.crash.sentry.SentryService
 import mozilla.components.lib.crash.service.CrashReporterService
@@ -72,6 +73,12 @@ class Analytics(
             enabled = true,
         )
     }
+
+    /**
+     * The last crash of a child process, kept until it's reported from the "Tab crashed" page.
+     */
+    @Volatile
+    var lastNonFatalCrash: Crash? = null
 }
 
 fun isSentryEnabled() = !BuildConfig.SENTRY_TOKEN.isNullOrEmpty()
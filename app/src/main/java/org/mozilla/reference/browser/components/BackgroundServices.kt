@@ -10,6 +10,7 @@ import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Dispatchers
 import kotlinx.coroutines.launch
 import mozilla.appservices.fxaclient.FxaServer
+import mozilla.components.browser.storage.sync.PlacesBookmarksStorage
 import mozilla.components.browser.storage.sync.PlacesHistoryStorage
 import mozilla.components.browser.storage.sync.RemoteTabsStorage
 import mozilla.components.concept.sync.DeviceCapability
@@ -44,18 +45,25 @@ class BackgroundServices(
     context: Context,
     push: Push,
     placesHistoryStorage: Lazy<PlacesHistoryStorage>,
+    placesBookmarksStorage: Lazy<PlacesBookmarksStorage>,
     remoteTabsStorage: Lazy<RemoteTabsStorage>,
     loginsStorage: Lazy<SyncableLoginsStorage>,
 ) {
     companion object {
         const val CLIENT_ID = "3c49430b43dfba77"
         const val REDIRECT_URL = "https://accounts.firefox.com/oauth/success/$CLIENT_ID"
-        val SUPPORTED_SYNC_ENGINES = setOf(SyncEngine.History, SyncEngine.Tabs, SyncEngine.Passwords)
+        val SUPPORTED_SYNC_ENGINES = setOf(
+            SyncEngine.History,
+            SyncEngine.Bookmarks,
+            SyncEngine.Tabs,
+            SyncEngine.Passwords,
+        )
     }
 
     init {
         // Make the sync stores accessible to workers spawned by the sync manager.
         GlobalSyncableStoreProvider.configureStore(SyncEngine.History to placesHistoryStorage)
+        GlobalSyncableStoreProvider.configureStore(SyncEngine.Bookmarks to placesBookmarksStorage)
         GlobalSyncableStoreProvider.configureStore(SyncEngine.Tabs to remoteTabsStorage)
         GlobalSyncableStoreProvider.configureStore(SyncEngine.Passwords to loginsStorage)
     }
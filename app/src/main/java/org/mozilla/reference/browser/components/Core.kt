@@ -6,7 +6,6 @@ package org.mozilla.reference.browser.components
 
 import android.content.Context
 import android.content.SharedPreferences
-import android.os.Environment
 import androidx.preference.PreferenceManager
 import mozilla.components.browser.engine.gecko.permission.GeckoSitePermissionsStorage
 import mozilla.components.browser.icons.BrowserIcons
@@ -14,6 +13,7 @@ import mozilla.components.browser.session.storage.SessionStorage
 import mozilla.components.browser.state.engine.EngineMiddleware
 import mozilla.components.browser.state.state.BrowserState
 import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.browser.storage.sync.PlacesBookmarksStorage
 import mozilla.components.browser.storage.sync.PlacesHistoryStorage
 import mozilla.components.browser.storage.sync.RemoteTabsStorage
 import mozilla.components.browser.thumbnails.ThumbnailsMiddleware
@@ -21,6 +21,9 @@ import mozilla.components.browser.thumbnails.storage.ThumbnailStorage
 import mozilla.components.concept.engine.DefaultSettings
 import mozilla.components.concept.engine.Engine
 import mozilla.components.concept.engine.EngineSession.TrackingProtectionPolicy
+import mozilla.components.concept.engine.EngineSession.TrackingProtectionPolicy.CookiePolicy
+import mozilla.components.concept.engine.EngineSession.TrackingProtectionPolicy.TrackingCategory
+import mozilla.components.concept.engine.EngineSession.TrackingProtectionPolicyForSessionTypes
 import mozilla.components.concept.fetch.Client
 import mozilla.components.feature.addons.AddonManager
 import mozilla.components.feature.addons.amo.AMOAddonsProvider
@@ -34,9 +37,13 @@ import mozilla.components.feature.prompts.file.FileUploadsDirCleaner
 import mozilla.components.feature.pwa.ManifestStorage
 import mozilla.components.feature.pwa.WebAppShortcutManager
 import mozilla.components.feature.readerview.ReaderViewMiddleware
+import mozilla.components.feature.recentlyclosed.RecentlyClosedMiddleware
+import mozilla.components.feature.recentlyclosed.RecentlyClosedTabsStorage
 import mozilla.components.feature.search.middleware.SearchMiddleware
 import mozilla.components.feature.search.region.RegionMiddleware
 import mozilla.components.feature.session.HistoryDelegate
+import mozilla.components.feature.session.middleware.LastAccessMiddleware
+import mozilla.components.feature.session.middleware.undo.UndoMiddleware
 import mozilla.components.feature.sitepermissions.OnDiskSitePermissionsStorage
 import mozilla.components.feature.webnotifications.WebNotificationFeature
 import mozilla.components.lib.crash.CrashReporter
@@ -45,6 +52,7 @@ import mozilla.components.service.location.LocationService
 import mozilla.components.service.sync.logins.SyncableLoginsStorage
 import mozilla.components.support.base.worker.Frequency
 import mozilla.components.support.utils.DefaultDownloadFileUtils
+import mozilla.components.support.utils.DownloadFileUtils
 import org.mozilla.reference.browser.AppRequestInterceptor
 import org.mozilla.reference.browser.BrowserActivity
 import org.mozilla.reference.browser.EngineProvider
@@ -52,11 +60,26 @@ import org.mozilla.reference.browser.R
 import org.mozilla.reference.browser.R.string.pref_key_remote_debugging
 import org.mozilla.reference.browser.R.string.pref_key_tracking_protection_normal
 import org.mozilla.reference.browser.R.string.pref_key_tracking_protection_private
+import org.mozilla.reference.browser.contentblocking.ContentBlocker
+import org.mozilla.reference.browser.downloads.DownloadLocation
+import org.mozilla.reference.browser.downloads.DownloadLocationMiddleware
 import org.mozilla.reference.browser.downloads.DownloadService
 import org.mozilla.reference.browser.ext.components
 import org.mozilla.reference.browser.ext.getPreferenceKey
 import org.mozilla.reference.browser.media.MediaSessionService
+import org.mozilla.reference.browser.restore.ContentCrashMiddleware
+import org.mozilla.reference.browser.restore.SessionRecovery
+import org.mozilla.reference.browser.search.SearchEngineDetector
+import org.mozilla.reference.browser.search.SearchKeywordStorage
 import org.mozilla.reference.browser.settings.Settings
+import org.mozilla.reference.browser.snapshots.SessionSnapshotStorage
+import org.mozilla.reference.browser.suggestions.SuggestionSettingsStorage
+import org.mozilla.reference.browser.tabs.CrashedTabs
+import org.mozilla.reference.browser.tabs.InactiveTabsCleaner
+import org.mozilla.reference.browser.tabs.PinnedTabStorage
+import org.mozilla.reference.browser.tabs.SuspendedTabs
+import org.mozilla.reference.browser.tabs.TabSuspensionMiddleware
+import org.mozilla.reference.browser.tabs.groups.TabGroupStorage
 import java.util.concurrent.TimeUnit
 
 private const val DAY_IN_MINUTES = 24 * 60L
@@ -96,6 +119,21 @@ class Core(
         EngineProvider.createClient(context)
     }
 
+    /**
+     * Resolves download file names and paths against the location downloads are written to.
+     */
+    val downloadFileUtils: DownloadFileUtils by lazy {
+        DefaultDownloadFileUtils(
+            context = context,
+            downloadLocation = { DownloadLocation.default },
+        )
+    }
+
+    /**
+     * Moves completed downloads into the folder picked for them, see [DownloadLocation].
+     */
+    val downloadLocationMiddleware by lazy { DownloadLocationMiddleware(context) }
+
     /**
      * The [BrowserStore] holds the global [BrowserState].
      */
@@ -106,12 +144,7 @@ class Core(
                     applicationContext = context,
                     downloadServiceClass = DownloadService::class.java,
                     deleteFileFromStorage = { false },
-                    downloadFileUtils = DefaultDownloadFileUtils(
-                        context = context,
-                        downloadLocation = {
-                            Environment.getExternalStoragePublicDirectory(Environment.DIRECTORY_DOWNLOADS).path
-                        },
-                    ),
+                    downloadFileUtils = downloadFileUtils,
                 ),
                 ThumbnailsMiddleware(thumbnailStorage),
                 ReaderViewMiddleware(),
@@ -121,6 +154,12 @@ class Core(
                 ),
                 SearchMiddleware(context),
                 RecordingDevicesMiddleware(context, context.components.notificationsDelegate),
+                RecentlyClosedMiddleware(lazyRecentlyClosedTabsStorage, RECENTLY_CLOSED_MAX),
+                UndoMiddleware(),
+                LastAccessMiddleware(),
+                TabSuspensionMiddleware(suspendedTabs) { Settings.getMaxLoadedTabs(context) },
+                ContentCrashMiddleware(sessionRecovery, crashedTabs),
+                downloadLocationMiddleware,
             ) + EngineMiddleware.create(engine),
         ).apply {
             icons.install(engine, this)
@@ -139,6 +178,26 @@ class Core(
         }
     }
 
+    /**
+     * Blocks requests and page elements matching the filter lists imported by the user.
+     */
+    val contentBlocker by lazy { ContentBlocker(context, store) }
+
+    /**
+     * Collects the search engines offered by visited pages.
+     */
+    val searchEngineDetector by lazy { SearchEngineDetector(store, client, icons) }
+
+    /**
+     * Stores the keywords to search with a given engine or bookmark from the URL bar.
+     */
+    val searchKeywordStorage by lazy { SearchKeywordStorage(context, store) }
+
+    /**
+     * Stores which suggestions the awesomebar shows, in which order and how many of each.
+     */
+    val suggestionSettingsStorage by lazy { SuggestionSettingsStorage(context) }
+
     /**
      * The [CustomTabsServiceStore] holds global custom tabs related data.
      */
@@ -151,6 +210,46 @@ class Core(
         SessionStorage(context, engine)
     }
 
+    /**
+     * Detects whether the previous session ended with a crash, before its tabs are restored.
+     */
+    val sessionRecovery by lazy { SessionRecovery(context) }
+
+    /**
+     * Keeps the URLs of the tabs showing the page of a crashed tab.
+     */
+    val crashedTabs by lazy { CrashedTabs() }
+
+    /**
+     * Keeps the tabs unloaded to save memory.
+     */
+    val suspendedTabs by lazy { SuspendedTabs() }
+
+    /**
+     * The storage component for persisting the tab groups of the tabs tray.
+     */
+    val tabGroupStorage by lazy { TabGroupStorage(context) }
+
+    /**
+     * The storage component for persisting which tabs are pinned.
+     */
+    val pinnedTabStorage by lazy { PinnedTabStorage(context) }
+
+    /**
+     * Closes the tabs that were inactive for longer than the user allows.
+     */
+    val inactiveTabsCleaner by lazy { InactiveTabsCleaner(context, store, tabGroupStorage, pinnedTabStorage) }
+
+    /**
+     * The storage component for persisting the named session snapshots.
+     */
+    val sessionSnapshotStorage by lazy { SessionSnapshotStorage(context) }
+
+    /**
+     * The storage component for persisting recently closed tabs, including their back and forward history.
+     */
+    val lazyRecentlyClosedTabsStorage = lazy { RecentlyClosedTabsStorage(context, engine, crashReporter) }
+
     /**
      * The storage component to persist browsing history (with the exception of
      * private sessions).
@@ -162,6 +261,16 @@ class Core(
      */
     val historyStorage by lazy { lazyHistoryStorage.value }
 
+    /**
+     * The storage component to persist bookmarks and bookmark folders.
+     */
+    val lazyBookmarksStorage = lazy { PlacesBookmarksStorage(context) }
+
+    /**
+     * A convenience accessor to the [PlacesBookmarksStorage].
+     */
+    val bookmarksStorage by lazy { lazyBookmarksStorage.value }
+
     /**
      * The storage component to persist logins data (username/password) for websites.
      */
@@ -264,7 +373,15 @@ class Core(
         normalMode: Boolean = prefs.getBoolean(context.getPreferenceKey(pref_key_tracking_protection_normal), true),
         privateMode: Boolean = prefs.getBoolean(context.getPreferenceKey(pref_key_tracking_protection_private), true),
     ): TrackingProtectionPolicy {
-        val trackingPolicy = TrackingProtectionPolicy.recommended()
+        val level = prefs.getString(
+            context.getPreferenceKey(R.string.pref_key_tracking_protection_level),
+            context.getString(R.string.tracking_protection_level_standard),
+        )
+        val trackingPolicy = when (level) {
+            context.getString(R.string.tracking_protection_level_strict) -> TrackingProtectionPolicy.strict()
+            context.getString(R.string.tracking_protection_level_custom) -> createCustomTrackingProtectionPolicy(prefs)
+            else -> TrackingProtectionPolicy.recommended()
+        }
         return when {
             normalMode && privateMode -> trackingPolicy
             normalMode && !privateMode -> trackingPolicy.forRegularSessionsOnly()
@@ -273,9 +390,53 @@ class Core(
         }
     }
 
+    /**
+     * Constructs the [TrackingProtectionPolicy] of the custom protection level from the
+     * trackers picked in settings.
+     */
+    private fun createCustomTrackingProtectionPolicy(
+        prefs: SharedPreferences,
+    ): TrackingProtectionPolicyForSessionTypes {
+        fun isEnabled(keyResId: Int) = prefs.getBoolean(context.getPreferenceKey(keyResId), true)
+
+        val blockSocial = isEnabled(R.string.pref_key_tracking_protection_custom_social)
+        val categories = mutableListOf(TrackingCategory.AD, TrackingCategory.ANALYTICS)
+        if (blockSocial) {
+            categories += listOf(TrackingCategory.SOCIAL, TrackingCategory.MOZILLA_SOCIAL)
+        }
+        if (isEnabled(R.string.pref_key_tracking_protection_custom_tracking_content)) {
+            categories += TrackingCategory.SCRIPTS_AND_SUB_RESOURCES
+        }
+        if (isEnabled(R.string.pref_key_tracking_protection_custom_cryptominers)) {
+            categories += TrackingCategory.CRYPTOMINING
+        }
+        if (isEnabled(R.string.pref_key_tracking_protection_custom_fingerprinters)) {
+            categories += TrackingCategory.FINGERPRINTING
+        }
+
+        val cookiePolicyKey = context.getPreferenceKey(R.string.pref_key_tracking_protection_custom_cookie_policy)
+        val cookiePolicy = if (isEnabled(R.string.pref_key_tracking_protection_custom_cookies)) {
+            when (prefs.getString(cookiePolicyKey, null)) {
+                context.getString(R.string.cookie_policy_third_party) -> CookiePolicy.ACCEPT_ONLY_FIRST_PARTY
+                context.getString(R.string.cookie_policy_unvisited) -> CookiePolicy.ACCEPT_VISITED
+                else -> CookiePolicy.ACCEPT_FIRST_PARTY_AND_ISOLATE_OTHERS
+            }
+        } else {
+            CookiePolicy.ACCEPT_ALL
+        }
+
+        return TrackingProtectionPolicy.select(
+            trackingCategories = categories.toTypedArray(),
+            cookiePolicy = cookiePolicy,
+            strictSocialTrackingProtection = blockSocial,
+            cookiePurging = isEnabled(R.string.pref_key_tracking_protection_custom_redirect_trackers),
+        )
+    }
+
     private val lazySecurePrefs = lazy { SecureAbove22Preferences(context, KEY_STORAGE_NAME) }
 
     companion object {
         private const val KEY_STORAGE_NAME = "core_prefs"
+        private const val RECENTLY_CLOSED_MAX = 25
     }
 }
@@ -5,7 +5,6 @@
 package org.mozilla.reference.browser.components
 
 import android.content.Context
-import android.os.Environment
 import mozilla.components.browser.state.store.BrowserStore
 import mozilla.components.concept.engine.Engine
 import mozilla.components.feature.contextmenu.ContextMenuUseCases
@@ -15,9 +14,10 @@ import mozilla.components.feature.pwa.WebAppUseCases
 import mozilla.components.feature.search.SearchUseCases
 import mozilla.components.feature.session.SessionUseCases
 import mozilla.components.feature.session.SettingsUseCases
+import mozilla.components.feature.session.TrackingProtectionUseCases
 import mozilla.components.feature.tabs.CustomTabsUseCases
 import mozilla.components.feature.tabs.TabsUseCases
-import mozilla.components.support.utils.DefaultDownloadFileUtils
+import mozilla.components.support.utils.DownloadFileUtils
 
 /**
  * Component group for all use cases. Use cases are provided by feature
@@ -28,6 +28,7 @@ class UseCases(
     private val engine: Engine,
     private val store: BrowserStore,
     private val shortcutManager: WebAppShortcutManager,
+    private val downloadFileUtils: DownloadFileUtils,
 ) {
     /**
      * Use cases that provide engine interactions for a given browser session.
@@ -51,6 +52,11 @@ class UseCases(
      */
     val settingsUseCases by lazy { SettingsUseCases(engine, store) }
 
+    /**
+     * Use cases that provide per-site tracking protection exceptions.
+     */
+    val trackingProtectionUseCases by lazy { TrackingProtectionUseCases(store, engine) }
+
     /**
      * Use cases that provide shortcut and progressive web app management.
      */
@@ -67,12 +73,7 @@ class UseCases(
     val downloadsUseCases: DownloadsUseCases by lazy {
         DownloadsUseCases(
             store = store,
-            downloadFileUtils = DefaultDownloadFileUtils(
-                context = context,
-                downloadLocation = {
-                    Environment.getExternalStoragePublicDirectory(Environment.DIRECTORY_DOWNLOADS).path
-                },
-            ),
+            downloadFileUtils = downloadFileUtils,
         )
     }
 
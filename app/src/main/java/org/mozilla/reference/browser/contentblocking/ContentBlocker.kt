@@ -0,0 +1,337 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.contentblocking
+
+import android.content.Context
+import android.content.SharedPreferences
+import android.net.Uri
+import androidx.core.net.toUri
+import androidx.preference.PreferenceManager
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.MainScope
+import kotlinx.coroutines.flow.MutableStateFlow
+import kotlinx.coroutines.flow.StateFlow
+import kotlinx.coroutines.flow.asStateFlow
+import kotlinx.coroutines.flow.distinctUntilChanged
+import kotlinx.coroutines.flow.map
+import kotlinx.coroutines.flow.update
+import kotlinx.coroutines.launch
+import kotlinx.coroutines.withContext
+import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.concept.engine.Engine
+import mozilla.components.concept.engine.EngineSession
+import mozilla.components.concept.engine.webextension.MessageHandler
+import mozilla.components.concept.engine.webextension.Port
+import mozilla.components.lib.state.ext.flowScoped
+import mozilla.components.support.base.log.logger.Logger
+import mozilla.components.support.webextensions.WebExtensionController
+import org.json.JSONArray
+import org.json.JSONObject
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.settings.Settings
+import java.io.File
+
+/**
+ * Blocks requests and hides page elements based on the filter lists imported by the user.
+ *
+ * Subframe and subresource requests and element hiding are handled by a built-in web extension
+ * asking this class for decisions over native messaging, so that requests are matched off the
+ * main thread. The extension is kept up to date with whether content blocking is enabled,
+ * filters are loaded and which sites are allowlisted, so that it only asks for requests that
+ * may be blocked.
+ *
+ * Requests blocked in a tab are counted separately from the trackers blocked by the engine, see
+ * [blockedCounts].
+ */
+class ContentBlocker(
+    private val context: Context,
+    private val store: BrowserStore,
+) {
+    private val logger = Logger("ContentBlocker")
+
+    private val filtersDir: File
+        get() = File(context.filesDir, FILTERS_DIR)
+
+    @Volatile
+    private var matcher = FilterMatcher(FilterList())
+
+    private val extensionController = WebExtensionController(EXTENSION_ID, EXTENSION_URL, MESSAGING_ID)
+
+    private val scope = MainScope()
+
+    @Volatile
+    private var isEnabled = Settings.isContentBlockingEnabled(context)
+
+    @Volatile
+    private var allowlist = Settings.getContentBlockingAllowlist(context)
+
+    // Kept in a field, as shared preferences only hold weak references to their listeners.
+    private val preferenceListener =
+        SharedPreferences.OnSharedPreferenceChangeListener { _, key ->
+            if (key == context.getString(R.string.pref_key_content_blocking) ||
+                key == context.getString(R.string.pref_key_content_blocking_allowlist)
+            ) {
+                isEnabled = Settings.isContentBlockingEnabled(context)
+                allowlist = Settings.getContentBlockingAllowlist(context)
+                sendState()
+            }
+        }
+
+    private val blockedCountsFlow = MutableStateFlow<Map<String, Int>>(emptyMap())
+
+    /**
+     * The number of requests blocked on the page currently loaded in each tab, by tab ID.
+     */
+    val blockedCounts: StateFlow<Map<String, Int>> = blockedCountsFlow.asStateFlow()
+
+    /**
+     * The number of filters currently loaded.
+     */
+    val filterCount: Int
+        get() = matcher.size
+
+    init {
+        PreferenceManager
+            .getDefaultSharedPreferences(context)
+            .registerOnSharedPreferenceChangeListener(preferenceListener)
+    }
+
+    /**
+     * Installs the built-in content blocking extension into the [engine].
+     */
+    fun install(engine: Engine) {
+        extensionController.install(
+            engine,
+            onSuccess = {
+                extensionController.registerBackgroundMessageHandler(BackgroundMessageHandler())
+                registerContentMessageHandlers()
+            },
+            onError = { throwable ->
+                logger.error("Could not install content blocking extension", throwable)
+            },
+        )
+    }
+
+    /**
+     * Reloads the filters from the imported filter lists.
+     */
+    suspend fun reload() =
+        withContext(Dispatchers.IO) {
+            val filterList = filtersDir
+                .listFiles()
+                .orEmpty()
+                .sortedBy { it.name }
+                .fold(FilterList()) { filters, file ->
+                    filters + file.useLines { FilterParser.parse(it) }
+                }
+
+            matcher = FilterMatcher(filterList)
+            withContext(Dispatchers.Main) { sendState() }
+        }
+
+    /**
+     * Copies the filter list at [uri] into app storage and reloads the filters.
+     */
+    suspend fun importFilterList(uri: Uri) =
+        withContext(Dispatchers.IO) {
+            filtersDir.mkdirs()
+            val file = File(filtersDir, "${System.currentTimeMillis()}.txt")
+            context.contentResolver.openInputStream(uri)?.use { input ->
+                file.outputStream().use { output -> input.copyTo(output) }
+            }
+
+            reload()
+        }
+
+    /**
+     * Deletes all imported filter lists.
+     */
+    suspend fun removeFilterLists() =
+        withContext(Dispatchers.IO) {
+            filtersDir.deleteRecursively()
+            reload()
+        }
+
+    /**
+     * Returns whether a request for [url] of the given [type], made by a document loaded
+     * from [documentUrl] in a tab showing [topLevelUrl], should be blocked.
+     */
+    fun shouldBlock(
+        url: String,
+        documentUrl: String?,
+        topLevelUrl: String?,
+        type: ResourceType,
+    ): Boolean {
+        if (!isActiveOn(topLevelUrl ?: documentUrl)) {
+            return false
+        }
+
+        return matcher.shouldBlock(url, documentUrl, type)
+    }
+
+    /**
+     * Returns the CSS selectors of the elements to hide on the document loaded from [documentUrl]
+     * in a tab showing [topLevelUrl].
+     */
+    fun hiddenSelectors(
+        documentUrl: String,
+        topLevelUrl: String?,
+    ): Set<String> {
+        if (!isActiveOn(topLevelUrl ?: documentUrl)) {
+            return emptySet()
+        }
+
+        return matcher.hiddenSelectors(documentUrl)
+    }
+
+    /**
+     * Returns whether content blocking is turned off for the site loaded from [url].
+     */
+    fun isAllowlisted(url: String): Boolean {
+        val host = url.toUri().host ?: return false
+        return host in allowlist
+    }
+
+    /**
+     * Turns content blocking off (or back on) for the site loaded from [url].
+     */
+    fun setAllowlisted(
+        url: String,
+        allowlisted: Boolean,
+    ) {
+        val host = url.toUri().host ?: return
+        val hosts = Settings.getContentBlockingAllowlist(context)
+        Settings.setContentBlockingAllowlist(context, if (allowlisted) hosts + host else hosts - host)
+    }
+
+    /**
+     * Records a request blocked in the tab with the given [tabId], so that it's counted on the
+     * toolbar's tracking protection indicator.
+     */
+    fun onBlocked(tabId: String) {
+        blockedCountsFlow.update { counts -> counts + (tabId to (counts[tabId] ?: 0) + 1) }
+    }
+
+    private fun onPageStarted(tabId: String) {
+        blockedCountsFlow.update { counts -> counts - tabId }
+    }
+
+    private fun isActiveOn(url: String?): Boolean = isEnabled && (url == null || !isAllowlisted(url))
+
+    /**
+     * Sends the state the extension's background script needs to decide which requests to check.
+     */
+    private fun sendState() {
+        extensionController.sendBackgroundMessage(
+            JSONObject()
+                .put("type", "state")
+                .put("enabled", isEnabled && matcher.size > 0)
+                .put("allowlist", JSONArray(allowlist)),
+        )
+    }
+
+    private fun registerContentMessageHandlers() {
+        store.flowScoped { flow ->
+            flow
+                .map { state ->
+                    (state.tabs + state.customTabs).mapNotNull { tab ->
+                        tab.engineState.engineSession?.let { tab.id to it }
+                    }
+                }.distinctUntilChanged()
+                .collect { sessions ->
+                    val tabIds = sessions.map { (tabId, _) -> tabId }
+                    blockedCountsFlow.update { counts -> counts.filterKeys { it in tabIds } }
+
+                    sessions.forEach { (tabId, engineSession) ->
+                        if (!extensionController.hasContentMessageHandler(engineSession)) {
+                            extensionController.registerContentMessageHandler(
+                                engineSession,
+                                ContentMessageHandler(tabId),
+                            )
+                        }
+                    }
+                }
+        }
+    }
+
+    /**
+     * Sends the current state to the extension's background script once it connects, and answers
+     * it asking whether to block a request. Requests are matched off the main thread.
+     */
+    private inner class BackgroundMessageHandler : MessageHandler {
+        override fun onPortConnected(port: Port) {
+            sendState()
+        }
+
+        override fun onPortMessage(
+            message: Any,
+            port: Port,
+        ) {
+            val request = message as? JSONObject ?: return
+            if (request.optString("type") != "check") {
+                return
+            }
+
+            scope.launch {
+                val block = withContext(Dispatchers.Default) {
+                    shouldBlock(
+                        url = request.getString("url"),
+                        documentUrl = request.optString("documentUrl").ifEmpty { null },
+                        topLevelUrl = request.optString("topLevelUrl").ifEmpty { null },
+                        type = ResourceType.fromWebRequestType(request.optString("resourceType")),
+                    )
+                }
+
+                port.postMessage(
+                    JSONObject()
+                        .put("type", "result")
+                        .put("id", request.getInt("id"))
+                        .put("block", block),
+                )
+            }
+        }
+    }
+
+    /**
+     * Answers the extension's content script running in the tab with the given [tabId].
+     */
+    private inner class ContentMessageHandler(
+        private val tabId: String,
+    ) : MessageHandler {
+        override fun onMessage(
+            message: Any,
+            source: EngineSession?,
+        ): Any? {
+            val request = message as? JSONObject ?: return null
+            return when (request.optString("type")) {
+                "selectors" -> JSONArray(
+                    hiddenSelectors(
+                        documentUrl = request.getString("url"),
+                        topLevelUrl = request.optString("topLevelUrl").ifEmpty { null },
+                    ),
+                )
+
+                "page" -> {
+                    onPageStarted(tabId)
+                    true
+                }
+
+                "blocked" -> {
+                    onBlocked(tabId)
+                    true
+                }
+
+                else -> null
+            }
+        }
+    }
+
+    companion object {
+        private const val FILTERS_DIR = "contentblocking"
+        private const val EXTENSION_ID = "contentblocker@navigatr"
+        private const val EXTENSION_URL = "resource://android/assets/extensions/contentblocker/"
+        private const val MESSAGING_ID = "contentblocker"
+    }
+}
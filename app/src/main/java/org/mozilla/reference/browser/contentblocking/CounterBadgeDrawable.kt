@@ -0,0 +1,91 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.contentblocking
+
+import android.content.Context
+import android.graphics.Canvas
+import android.graphics.ColorFilter
+import android.graphics.Paint
+import android.graphics.PixelFormat
+import android.graphics.Rect
+import android.graphics.Typeface
+import android.graphics.drawable.Drawable
+import androidx.core.content.ContextCompat
+import org.mozilla.reference.browser.R
+
+/**
+ * Draws [icon] with a badge showing [count] in its top end corner, or the plain icon when
+ * [count] is zero.
+ */
+class CounterBadgeDrawable(
+    context: Context,
+    private val icon: Drawable,
+) : Drawable() {
+    private val density = context.resources.displayMetrics.density
+
+    private val badgePaint = Paint(Paint.ANTI_ALIAS_FLAG).apply {
+        color = ContextCompat.getColor(context, R.color.accent)
+    }
+
+    private val textPaint = Paint(Paint.ANTI_ALIAS_FLAG).apply {
+        color = ContextCompat.getColor(context, R.color.dark)
+        textAlign = Paint.Align.CENTER
+        textSize = BADGE_TEXT_SIZE_DP * density
+        typeface = Typeface.DEFAULT_BOLD
+    }
+
+    var count: Int = 0
+        set(value) {
+            if (field != value) {
+                field = value
+                invalidateSelf()
+            }
+        }
+
+    override fun draw(canvas: Canvas) {
+        icon.draw(canvas)
+
+        if (count <= 0) {
+            return
+        }
+
+        val text = if (count > MAX_COUNT) "$MAX_COUNT+" else count.toString()
+        val radius = BADGE_RADIUS_DP * density
+        val centerX = bounds.right - radius
+        val centerY = bounds.top + radius
+        val textOffset = (textPaint.descent() + textPaint.ascent()) / 2
+
+        canvas.drawCircle(centerX, centerY, radius, badgePaint)
+        canvas.drawText(text, centerX, centerY - textOffset, textPaint)
+    }
+
+    override fun onBoundsChange(bounds: Rect) {
+        icon.bounds = bounds
+    }
+
+    override fun getIntrinsicWidth() = icon.intrinsicWidth
+
+    override fun getIntrinsicHeight() = icon.intrinsicHeight
+
+    override fun setAlpha(alpha: Int) {
+        icon.alpha = alpha
+        badgePaint.alpha = alpha
+        textPaint.alpha = alpha
+    }
+
+    override fun setColorFilter(colorFilter: ColorFilter?) {
+        icon.colorFilter = colorFilter
+    }
+
+    @Deprecated("Deprecated in Java")
+    @Suppress("DEPRECATION")
+    override fun getOpacity() = PixelFormat.TRANSLUCENT
+
+    companion object {
+        private const val MAX_COUNT = 99
+        private const val BADGE_RADIUS_DP = 7f
+        private const val BADGE_TEXT_SIZE_DP = 8f
+    }
+}
@@ -0,0 +1,175 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.contentblocking
+
+import androidx.core.net.toUri
+
+/**
+ * Matches requests and documents against the filters of a [FilterList].
+ *
+ * Network filters are indexed by one of their tokens so that a request is only evaluated
+ * against the few filters sharing a token with its URL, plus the filters without any token.
+ */
+class FilterMatcher(
+    filterList: FilterList,
+) {
+    private val blockingFilters = FilterIndex()
+    private val exceptionFilters = FilterIndex()
+    private val cosmeticExceptionFilters = mutableListOf<NetworkFilter>()
+
+    private val genericSelectors: Set<String>
+    private val specificCosmeticFilters: List<CosmeticFilter>
+    private val cosmeticExceptions: List<CosmeticFilter>
+
+    val size = filterList.size
+
+    init {
+        filterList.networkFilters.forEach { filter ->
+            when {
+                filter.disablesCosmetics -> cosmeticExceptionFilters.add(filter)
+                filter.isException -> exceptionFilters.add(filter)
+                else -> blockingFilters.add(filter)
+            }
+        }
+
+        val (exceptions, cosmeticFilters) = filterList.cosmeticFilters.partition { it.isException }
+        cosmeticExceptions = exceptions
+        genericSelectors = cosmeticFilters
+            .filter { it.isGeneric && it.excludedDomains.isEmpty() }
+            .mapTo(mutableSetOf()) { it.selector }
+        specificCosmeticFilters = cosmeticFilters.filter { !it.isGeneric || it.excludedDomains.isNotEmpty() }
+    }
+
+    /**
+     * Returns whether a request for [url] of the given [type], made by a document loaded
+     * from [documentUrl], should be blocked.
+     */
+    fun shouldBlock(
+        url: String,
+        documentUrl: String?,
+        type: ResourceType,
+    ): Boolean {
+        val requestHost = url.toUri().host?.lowercase() ?: return false
+        val documentHost = documentUrl?.toUri()?.host?.lowercase()
+        val request = Request(
+            url = url,
+            tokens = PatternCompiler.tokenize(url),
+            type = type,
+            documentHost = documentHost,
+            isThirdParty = documentHost != null && baseDomain(requestHost) != baseDomain(documentHost),
+        )
+
+        return blockingFilters.matches(request) && !exceptionFilters.matches(request)
+    }
+
+    /**
+     * Returns the CSS selectors of the elements to hide on the document loaded from [documentUrl].
+     */
+    fun hiddenSelectors(documentUrl: String): Set<String> {
+        val documentHost = documentUrl.toUri().host?.lowercase() ?: return emptySet()
+        val document = Request(
+            url = documentUrl,
+            tokens = PatternCompiler.tokenize(documentUrl),
+            type = ResourceType.SUBDOCUMENT,
+            documentHost = documentHost,
+            isThirdParty = false,
+        )
+
+        if (cosmeticExceptionFilters.any { it.matches(document) }) {
+            return emptySet()
+        }
+
+        val selectors = genericSelectors.toMutableSet()
+        specificCosmeticFilters
+            .filter { it.appliesTo(documentHost) }
+            .mapTo(selectors) { it.selector }
+
+        cosmeticExceptions
+            .filter { it.isGeneric || it.includedDomains.any { domain -> documentHost.isSameOrSubdomainOf(domain) } }
+            .forEach { selectors.remove(it.selector) }
+
+        return selectors
+    }
+
+    private data class Request(
+        val url: String,
+        val tokens: Set<String>,
+        val type: ResourceType,
+        val documentHost: String?,
+        val isThirdParty: Boolean,
+    )
+
+    private class FilterIndex {
+        private val byToken = mutableMapOf<String, MutableList<NetworkFilter>>()
+        private val untokenized = mutableListOf<NetworkFilter>()
+
+        /**
+         * Indexes [filter] by its token, or keeps it with the filters evaluated for every request.
+         */
+        fun add(filter: NetworkFilter) {
+            val token = filter.token
+            if (token == null) {
+                untokenized.add(filter)
+            } else {
+                byToken.getOrPut(token) { mutableListOf() }.add(filter)
+            }
+        }
+
+        /**
+         * Returns whether any filter sharing a token with [request], or without a token, matches it.
+         */
+        fun matches(request: Request): Boolean =
+            request.tokens.any { token -> byToken[token]?.any { it.matches(request) } == true } ||
+                untokenized.any { it.matches(request) }
+    }
+
+    companion object {
+        private const val SHORT_SECOND_LEVEL_LABEL = 3
+
+        private fun NetworkFilter.matches(request: Request): Boolean {
+            if (resourceTypes != null && request.type !in resourceTypes) {
+                return false
+            }
+
+            if (thirdParty != null && thirdParty != request.isThirdParty) {
+                return false
+            }
+
+            val documentHost = request.documentHost
+            if (includedDomains.isNotEmpty() &&
+                (documentHost == null || includedDomains.none { documentHost.isSameOrSubdomainOf(it) })
+            ) {
+                return false
+            }
+
+            if (documentHost != null && excludedDomains.any { documentHost.isSameOrSubdomainOf(it) }) {
+                return false
+            }
+
+            return regex.containsMatchIn(request.url)
+        }
+
+        private fun CosmeticFilter.appliesTo(host: String): Boolean =
+            (isGeneric || includedDomains.any { host.isSameOrSubdomainOf(it) }) &&
+                excludedDomains.none { host.isSameOrSubdomainOf(it) }
+
+        private fun String.isSameOrSubdomainOf(domain: String) = this == domain || endsWith(".$domain")
+
+        /**
+         * Approximates the registrable domain of [host] by its last two labels, or three when the
+         * second-level label is short (e.g. `example.co.uk`). This is only used to tell first-party
+         * requests from third-party ones, where an occasional miss is harmless.
+         */
+        private fun baseDomain(host: String): String {
+            val labels = host.split('.')
+            if (labels.size <= 2) {
+                return host
+            }
+
+            val count = if (labels[labels.size - 2].length <= SHORT_SECOND_LEVEL_LABEL) 3 else 2
+            return labels.takeLast(count).joinToString(".")
+        }
+    }
+}
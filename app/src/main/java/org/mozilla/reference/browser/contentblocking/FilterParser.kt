@@ -0,0 +1,207 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.contentblocking
+
+import java.util.regex.PatternSyntaxException
+
+/**
+ * Parses filter lists in the Adblock Plus syntax also used by EasyList.
+ *
+ * Filters relying on features we don't support (e.g. `$csp`, `$redirect`, extended CSS or
+ * scriptlet injection) are skipped rather than applied partially, as a partially applied
+ * filter would block more than its authors intended.
+ */
+object FilterParser {
+    private val UNSUPPORTED_OPTIONS = setOf(
+        "document", "doc", "popup", "csp", "redirect", "redirect-rule", "removeparam",
+        "rewrite", "replace", "header", "permissions", "genericblock", "badfilter",
+        "important", "sitekey", "webrtc", "cookie", "urltransform",
+    )
+
+    private val UNSUPPORTED_COSMETIC_SEPARATORS = listOf("#?#", "#@?#", "#$#", "#@$#", "#%#", "#@%#")
+
+    /**
+     * Parses every filter of [text], one per line.
+     */
+    fun parse(text: String): FilterList = parse(text.lineSequence())
+
+    /**
+     * Parses every filter of [lines].
+     */
+    fun parse(lines: Sequence<String>): FilterList {
+        val networkFilters = mutableListOf<NetworkFilter>()
+        val cosmeticFilters = mutableListOf<CosmeticFilter>()
+
+        lines.forEach { rawLine ->
+            val line = rawLine.trim()
+            if (line.isEmpty() || line.startsWith('!') || line.startsWith('[')) {
+                return@forEach
+            }
+
+            if (isCosmetic(line)) {
+                parseCosmetic(line)?.let { cosmeticFilters.add(it) }
+            } else {
+                parseNetwork(line)?.let { networkFilters.add(it) }
+            }
+        }
+
+        return FilterList(networkFilters, cosmeticFilters)
+    }
+
+    private fun isCosmetic(line: String) = line.contains("##") || line.contains("#@#") || line.contains("#?#") ||
+        line.contains("#$#") || line.contains("#%#") || line.contains("#@?#") ||
+        line.contains("#@$#") || line.contains("#@%#")
+
+    private fun parseCosmetic(line: String): CosmeticFilter? {
+        if (UNSUPPORTED_COSMETIC_SEPARATORS.any { line.contains(it) }) {
+            return null
+        }
+
+        val isException = line.contains("#@#")
+        val separator = if (isException) "#@#" else "##"
+        val index = line.indexOf(separator)
+        val selector = line.substring(index + separator.length).trim()
+
+        // `##+js(...)` is scriptlet injection and `##^` is HTML filtering.
+        if (selector.isEmpty() || selector.startsWith("+js") || selector.startsWith('^')) {
+            return null
+        }
+
+        val (included, excluded) = parseDomains(line.substring(0, index), separator = ',')
+        return CosmeticFilter(selector, isException, included, excluded)
+    }
+
+    @Suppress("CyclomaticComplexMethod", "ReturnCount")
+    private fun parseNetwork(line: String): NetworkFilter? {
+        val isException = line.startsWith("@@")
+        var pattern = if (isException) line.substring(2) else line
+
+        var matchCase = false
+        var thirdParty: Boolean? = null
+        var disablesCosmetics = false
+        var includedDomains = emptySet<String>()
+        var excludedDomains = emptySet<String>()
+        val includedTypes = mutableSetOf<ResourceType>()
+        val excludedTypes = mutableSetOf<ResourceType>()
+
+        val optionsIndex = optionsIndex(pattern)
+        if (optionsIndex >= 0) {
+            val options = pattern.substring(optionsIndex + 1).split(',')
+            pattern = pattern.substring(0, optionsIndex)
+
+            for (rawOption in options) {
+                val option = rawOption.trim().lowercase()
+                val negated = option.startsWith('~')
+                val name = option.removePrefix("~").substringBefore('=')
+                val type = ResourceType.fromOption(name)
+
+                when {
+                    name in UNSUPPORTED_OPTIONS -> return null
+                    name == "third-party" || name == "3p" -> thirdParty = !negated
+                    name == "first-party" || name == "1p" -> thirdParty = negated
+                    name == "match-case" -> matchCase = true
+                    name == "elemhide" || name == "ehide" || name == "generichide" || name == "ghide" ->
+                        disablesCosmetics = true
+                    name == "all" -> Unit
+                    name == "domain" -> {
+                        val domains = parseDomains(rawOption.trim().substringAfter('='), separator = '|')
+                        includedDomains = domains.first
+                        excludedDomains = domains.second
+                    }
+                    type != null -> if (negated) excludedTypes.add(type) else includedTypes.add(type)
+                    else -> return null
+                }
+            }
+        }
+
+        // Cosmetic-only exceptions (e.g. `@@||example.com^$elemhide`) never block or allow requests.
+        if (disablesCosmetics && !isException) {
+            return null
+        }
+
+        if (pattern.isEmpty() || pattern == "*") {
+            // A filter matching every URL is only sensible when narrowed down by options.
+            if (includedDomains.isEmpty() && includedTypes.isEmpty() && thirdParty == null && !disablesCosmetics) {
+                return null
+            }
+            pattern = "*"
+        }
+
+        val resourceTypes = when {
+            includedTypes.isNotEmpty() -> includedTypes - excludedTypes
+            excludedTypes.isNotEmpty() -> ResourceType.entries.toSet() - excludedTypes
+            else -> null
+        }
+
+        if (resourceTypes != null && resourceTypes.isEmpty()) {
+            return null
+        }
+
+        val filter = NetworkFilter(
+            pattern = pattern,
+            isException = isException,
+            matchCase = matchCase,
+            resourceTypes = resourceTypes,
+            thirdParty = thirdParty,
+            includedDomains = includedDomains,
+            excludedDomains = excludedDomains,
+            disablesCosmetics = disablesCosmetics,
+        )
+
+        // Regular expressions are taken from the list as is, so a broken one is dropped here rather
+        // than failing once a request is matched against it.
+        if (PatternCompiler.isRegex(pattern)) {
+            try {
+                filter.regex
+            } catch (e: PatternSyntaxException) {
+                return null
+            }
+        }
+
+        return filter
+    }
+
+    /**
+     * Returns the index of the `$` starting the filter options, ignoring dollar signs
+     * that are part of a regular expression pattern.
+     */
+    private fun optionsIndex(pattern: String): Int {
+        val index = pattern.lastIndexOf('$')
+        if (index < 0) {
+            return -1
+        }
+
+        if (pattern.startsWith('/')) {
+            val regexEnd = pattern.lastIndexOf('/')
+            if (regexEnd > 0 && index < regexEnd) {
+                return -1
+            }
+        }
+
+        return index
+    }
+
+    private fun parseDomains(
+        value: String,
+        separator: Char,
+    ): Pair<Set<String>, Set<String>> {
+        val included = mutableSetOf<String>()
+        val excluded = mutableSetOf<String>()
+
+        value
+            .split(separator)
+            .map { it.trim().lowercase() }
+            .filter { it.isNotEmpty() }
+            .forEach { domain ->
+                if (domain.startsWith('~')) {
+                    excluded.add(domain.substring(1))
+                } else {
+                    included.add(domain)
+                }
+            }
+
+        return included to excluded
+    }
+}
@@ -0,0 +1,124 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.contentblocking
+
+/**
+ * The types of resources network filters can be restricted to, named after the
+ * corresponding Adblock Plus filter options.
+ */
+enum class ResourceType(
+    val option: String,
+) {
+    SCRIPT("script"),
+    IMAGE("image"),
+    STYLESHEET("stylesheet"),
+    SUBDOCUMENT("subdocument"),
+    XMLHTTPREQUEST("xmlhttprequest"),
+    FONT("font"),
+    MEDIA("media"),
+    OBJECT("object"),
+    WEBSOCKET("websocket"),
+    PING("ping"),
+    OTHER("other"),
+    ;
+
+    companion object {
+        /**
+         * Returns the [ResourceType] named [option] in a filter's options, or null if it's not supported.
+         */
+        fun fromOption(option: String): ResourceType? = entries.find { it.option == option }
+
+        /**
+         * Maps a `webRequest.ResourceType` reported by the engine to a [ResourceType].
+         */
+        fun fromWebRequestType(type: String): ResourceType =
+            when (type) {
+                "script" -> SCRIPT
+                "image", "imageset" -> IMAGE
+                "stylesheet" -> STYLESHEET
+                "sub_frame" -> SUBDOCUMENT
+                "xmlhttprequest" -> XMLHTTPREQUEST
+                "font" -> FONT
+                "media" -> MEDIA
+                "object", "object_subrequest" -> OBJECT
+                "websocket" -> WEBSOCKET
+                "ping", "beacon" -> PING
+                else -> OTHER
+            }
+    }
+}
+
+/**
+ * A filter blocking (or, for exceptions, allowing) network requests whose URL matches [pattern].
+ *
+ * @property pattern The URL pattern in Adblock Plus syntax, or a regular expression when wrapped in slashes.
+ * @property isException Whether this is an `@@` exception filter.
+ * @property matchCase Whether the pattern is matched case-sensitively.
+ * @property resourceTypes The resource types this filter applies to, or null for all of them.
+ * @property thirdParty Whether this filter only applies to third-party (true) or first-party (false)
+ * requests, or null for both.
+ * @property includedDomains The document domains this filter is restricted to, empty for all domains.
+ * @property excludedDomains The document domains this filter doesn't apply to.
+ * @property disablesCosmetics Whether this exception filter turns off element hiding on matching documents.
+ */
+class NetworkFilter(
+    val pattern: String,
+    val isException: Boolean = false,
+    val matchCase: Boolean = false,
+    val resourceTypes: Set<ResourceType>? = null,
+    val thirdParty: Boolean? = null,
+    val includedDomains: Set<String> = emptySet(),
+    val excludedDomains: Set<String> = emptySet(),
+    val disablesCosmetics: Boolean = false,
+) {
+    /**
+     * The compiled pattern. Compiling is deferred until a request shares a token with this filter,
+     * as most filters of a list are never evaluated. Regular expressions are compiled by [FilterParser].
+     */
+    val regex: Regex by lazy { PatternCompiler.compile(pattern, matchCase) }
+
+    /**
+     * A token every matching URL contains, used to index this filter, or null if there is none.
+     */
+    val token: String? by lazy { PatternCompiler.token(pattern) }
+}
+
+/**
+ * An element hiding filter.
+ *
+ * @property selector The CSS selector of the elements to hide.
+ * @property isException Whether this is a `#@#` exception filter.
+ * @property includedDomains The domains this filter is restricted to, empty for generic filters.
+ * @property excludedDomains The domains this filter doesn't apply to.
+ */
+data class CosmeticFilter(
+    val selector: String,
+    val isException: Boolean = false,
+    val includedDomains: Set<String> = emptySet(),
+    val excludedDomains: Set<String> = emptySet(),
+) {
+    val isGeneric: Boolean
+        get() = includedDomains.isEmpty()
+}
+
+/**
+ * The filters parsed from one or more filter lists.
+ */
+data class FilterList(
+    val networkFilters: List<NetworkFilter> = emptyList(),
+    val cosmeticFilters: List<CosmeticFilter> = emptyList(),
+) {
+    val size: Int
+        get() = networkFilters.size + cosmeticFilters.size
+
+    /**
+     * Returns the filters of both this and the [other] filter list.
+     */
+    operator fun plus(other: FilterList) =
+        FilterList(
+            networkFilters + other.networkFilters,
+            cosmeticFilters + other.cosmeticFilters,
+        )
+}
@@ -0,0 +1,106 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.contentblocking
+
+/**
+ * Compiles Adblock Plus URL patterns into regular expressions and extracts the tokens
+ * used to index them.
+ */
+internal object PatternCompiler {
+    // `||` matches the start of the host name or of any of its subdomains.
+    private const val DOMAIN_ANCHOR = "^[a-z][a-z0-9+.-]*://(?:[^/?#]*\\.)?"
+
+    // `^` matches anything but a letter, a digit or one of `_ - . %`, including the end of the URL.
+    private const val SEPARATOR = "(?:[^a-z0-9_.%-]|$)"
+
+    private const val MIN_TOKEN_LENGTH = 2
+    private val TOKEN_SPLITTER = Regex("[^a-z0-9%]+")
+
+    // Tokens present in most URLs don't narrow down the candidate filters.
+    private val COMMON_TOKENS = setOf("http", "https", "www", "com", "net", "org", "html", "js")
+
+    fun isRegex(pattern: String) = pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')
+
+    fun compile(
+        pattern: String,
+        matchCase: Boolean,
+    ): Regex {
+        val options = if (matchCase) emptySet() else setOf(RegexOption.IGNORE_CASE)
+
+        if (isRegex(pattern)) {
+            return Regex(pattern.substring(1, pattern.length - 1), options)
+        }
+
+        var remaining = pattern
+        val builder = StringBuilder()
+
+        when {
+            remaining.startsWith("||") -> {
+                builder.append(DOMAIN_ANCHOR)
+                remaining = remaining.substring(2)
+            }
+            remaining.startsWith("|") -> {
+                builder.append('^')
+                remaining = remaining.substring(1)
+            }
+        }
+
+        val endAnchored = remaining.endsWith("|")
+        if (endAnchored) {
+            remaining = remaining.dropLast(1)
+        }
+
+        remaining.replace(Regex("\\*+"), "*").forEach { char ->
+            when {
+                char == '*' -> builder.append(".*")
+                char == '^' -> builder.append(SEPARATOR)
+                char.isLetterOrDigit() -> builder.append(char)
+                else -> builder.append('\\').append(char)
+            }
+        }
+
+        if (endAnchored) {
+            builder.append('$')
+        }
+
+        return Regex(builder.toString(), options)
+    }
+
+    /**
+     * Returns the longest run of token characters that any URL matching [pattern] contains as a
+     * whole token, or null if there is none (e.g. every run touches a wildcard).
+     */
+    fun token(pattern: String): String? {
+        if (isRegex(pattern)) {
+            return null
+        }
+
+        val lowercase = pattern.lowercase()
+        val startAnchored = lowercase.startsWith("|")
+        val endAnchored = lowercase.endsWith("|")
+        val body = lowercase.trimStart('|').trimEnd('|')
+
+        return Regex("[a-z0-9%]+")
+            .findAll(body)
+            .filter { run ->
+                val start = run.range.first
+                val end = run.range.last + 1
+                val boundedBefore = if (start == 0) startAnchored else body[start - 1] != '*'
+                val boundedAfter = if (end == body.length) endAnchored else body[end] != '*'
+                boundedBefore && boundedAfter
+            }.map { it.value }
+            .filter { it.length >= MIN_TOKEN_LENGTH && it !in COMMON_TOKENS }
+            .maxByOrNull { it.length }
+    }
+
+    /**
+     * Splits [url] into the tokens filters are indexed by.
+     */
+    fun tokenize(url: String): Set<String> =
+        url
+            .lowercase()
+            .split(TOKEN_SPLITTER)
+            .filterTo(mutableSetOf()) { it.length >= MIN_TOKEN_LENGTH }
+}
@@ -0,0 +1,157 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.downloads
+
+import android.content.Context
+import android.content.Intent
+import android.net.Uri
+import android.os.Environment
+import android.provider.DocumentsContract
+import android.provider.DocumentsContract.Document
+import androidx.annotation.WorkerThread
+import androidx.core.content.edit
+import androidx.core.net.toUri
+import mozilla.components.browser.state.state.content.DownloadState
+import mozilla.components.support.base.log.logger.Logger
+import java.io.File
+import java.io.FileNotFoundException
+import java.io.IOException
+
+/**
+ * Helpers to save downloads to folders picked through the Storage Access Framework (SAF).
+ *
+ * The downloads components write to file system paths only, so downloads are always written to
+ * the [default] location first. Under scoped storage, a picked folder can only be written to
+ * through the content resolver: completed downloads are moved there with [moveToFolder], which
+ * remembers the document a download was moved to so that it can still be opened, shared and
+ * deleted.
+ */
+object DownloadLocation {
+    private const val PREFERENCES_NAME = "download_documents"
+    private const val DEFAULT_CONTENT_TYPE = "application/octet-stream"
+
+    private val logger = Logger("DownloadLocation")
+
+    /**
+     * The location downloads are written to by the downloads components.
+     */
+    val default: String
+        get() = Environment.getExternalStoragePublicDirectory(Environment.DIRECTORY_DOWNLOADS).path
+
+    /**
+     * Returns the name of the folder identified by the given SAF tree [folder], or null if files
+     * can't be created in it.
+     */
+    fun getFolderName(
+        context: Context,
+        folder: Uri,
+    ): String? =
+        try {
+            val projection = arrayOf(Document.COLUMN_DISPLAY_NAME, Document.COLUMN_FLAGS)
+            context.contentResolver.query(folderDocumentUri(folder), projection, null, null, null)?.use { cursor ->
+                val canCreate = cursor.moveToFirst() && cursor.getInt(1) and Document.FLAG_DIR_SUPPORTS_CREATE != 0
+                if (canCreate) cursor.getString(0) else null
+            }
+        } catch (e: SecurityException) {
+            logger.warn("No access to download folder", e)
+            null
+        }
+
+    /**
+     * Returns a name for the location downloads are saved to: the name of the SAF tree [folder],
+     * or the [default] location if no folder was picked or it can't be used anymore.
+     */
+    fun getDisplayName(
+        context: Context,
+        folder: Uri?,
+    ): String = folder?.let { getFolderName(context, it) } ?: default
+
+    /**
+     * Keeps access to the folder identified by the given SAF tree [uri] across restarts.
+     */
+    fun persistPermission(
+        context: Context,
+        uri: Uri,
+    ) {
+        context.contentResolver.takePersistableUriPermission(
+            uri,
+            Intent.FLAG_GRANT_READ_URI_PERMISSION or Intent.FLAG_GRANT_WRITE_URI_PERMISSION,
+        )
+    }
+
+    /**
+     * Moves the file of the completed [download] into the folder identified by the SAF tree
+     * [folder], unless it was moved already.
+     */
+    @WorkerThread
+    fun moveToFolder(
+        context: Context,
+        download: DownloadState,
+        folder: Uri,
+    ) {
+        val file = File(download.filePath)
+        if (getDocumentUri(context, download.id) != null || !file.exists()) {
+            return
+        }
+
+        val resolver = context.contentResolver
+        var document: Uri? = null
+        try {
+            document = DocumentsContract.createDocument(
+                resolver,
+                folderDocumentUri(folder),
+                download.contentType ?: DEFAULT_CONTENT_TYPE,
+                file.name,
+            ) ?: throw IOException("Document not created")
+            resolver.openOutputStream(document)?.use { output ->
+                file.inputStream().use { input -> input.copyTo(output) }
+            } ?: throw IOException("Document not writable")
+
+            preferences(context).edit { putString(download.id, document.toString()) }
+            file.delete()
+        } catch (e: IOException) {
+            // The download stays in the default location.
+            logger.warn("Failed to move download to picked folder", e)
+            document?.let { DocumentsContract.deleteDocument(resolver, it) }
+        } catch (e: SecurityException) {
+            logger.warn("No access to download folder", e)
+        }
+    }
+
+    /**
+     * Returns the document the download with the given [downloadId] was moved to, if any.
+     */
+    fun getDocumentUri(
+        context: Context,
+        downloadId: String,
+    ): Uri? = preferences(context).getString(downloadId, null)?.toUri()
+
+    /**
+     * Deletes the file of the [download], wherever it was saved.
+     */
+    @WorkerThread
+    fun delete(
+        context: Context,
+        download: DownloadState,
+    ) {
+        val document = getDocumentUri(context, download.id)
+        if (document == null) {
+            File(download.filePath).delete()
+            return
+        }
+
+        try {
+            DocumentsContract.deleteDocument(context.contentResolver, document)
+        } catch (e: FileNotFoundException) {
+            logger.debug("Download already deleted", e)
+        }
+        preferences(context).edit { remove(download.id) }
+    }
+
+    private fun folderDocumentUri(folder: Uri): Uri =
+        DocumentsContract.buildDocumentUriUsingTree(folder, DocumentsContract.getTreeDocumentId(folder))
+
+    private fun preferences(context: Context) = context.getSharedPreferences(PREFERENCES_NAME, Context.MODE_PRIVATE)
+}
@@ -0,0 +1,94 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.downloads
+
+import android.content.Context
+import android.net.Uri
+import androidx.core.net.toUri
+import kotlinx.coroutines.CoroutineScope
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.launch
+import mozilla.components.browser.state.action.BrowserAction
+import mozilla.components.browser.state.action.DownloadAction
+import mozilla.components.browser.state.state.BrowserState
+import mozilla.components.browser.state.state.content.DownloadState
+import mozilla.components.lib.state.Middleware
+import mozilla.components.lib.state.MiddlewareContext
+import org.mozilla.reference.browser.settings.Settings
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Saves downloads with the file name and into the folder picked in [SaveAsDownloadDialog], or into
+ * the folder picked in settings.
+ *
+ * The file name is applied as the download is added, before the download service starts writing
+ * the file. Completed downloads are then moved into the picked folder, see [DownloadLocation].
+ */
+class DownloadLocationMiddleware(
+    private val applicationContext: Context,
+    private val scope: CoroutineScope = CoroutineScope(Dispatchers.IO),
+) : Middleware<BrowserState, BrowserAction> {
+    private val fileNames = ConcurrentHashMap<String, String>()
+    private val folders = ConcurrentHashMap<String, Uri>()
+
+    /**
+     * Saves the download with the given [downloadId], once started, as [fileName] into the SAF tree
+     * [folder], or into the folder picked in settings if null. Path separators and leading dots are
+     * removed from [fileName], so that the file is written into the download directory. The file
+     * name of the download is kept if nothing is left.
+     */
+    fun saveAs(
+        downloadId: String,
+        fileName: String,
+        folder: Uri?,
+    ) {
+        sanitizeFileName(fileName)?.let { fileNames[downloadId] = it }
+        folder?.let { folders[downloadId] = it }
+    }
+
+    override fun invoke(
+        context: MiddlewareContext<BrowserState, BrowserAction>,
+        next: (BrowserAction) -> Unit,
+        action: BrowserAction,
+    ) {
+        when (action) {
+            is DownloadAction.AddDownloadAction -> {
+                val fileName = fileNames.remove(action.download.id)
+                val download = if (fileName != null) action.download.copy(fileName = fileName) else action.download
+                next(action.copy(download = download))
+            }
+
+            is DownloadAction.UpdateDownloadAction -> {
+                next(action)
+                if (action.download.status == DownloadState.Status.COMPLETED) {
+                    moveToFolder(action.download)
+                }
+            }
+
+            else -> next(action)
+        }
+    }
+
+    private fun sanitizeFileName(fileName: String): String? =
+        fileName
+            .replace(PATH_SEPARATORS, "_")
+            .trim()
+            .trimStart('.')
+            .ifBlank { null }
+
+    private fun moveToFolder(download: DownloadState) {
+        val folder = folders.remove(download.id)
+            ?: Settings.getDownloadLocationUri(applicationContext)?.toUri()
+            ?: return
+
+        scope.launch {
+            DownloadLocation.moveToFolder(applicationContext, download, folder)
+        }
+    }
+
+    companion object {
+        private val PATH_SEPARATORS = Regex("[/\\\\]")
+    }
+}
@@ -4,7 +4,6 @@
 
 package org.mozilla.reference.browser.downloads
 
-import android.os.Environment
 import mozilla.components.browser.state.store.BrowserStore
 import mozilla.components.feature.downloads.AbstractFetchDownloadService
 import mozilla.components.feature.downloads.DefaultPackageNameProvider
@@ -14,7 +13,6 @@ import mozilla.components.feature.downloads.PackageNameProvider
 import mozilla.components.feature.downloads.filewriter.DefaultDownloadFileWriter
 import mozilla.components.feature.downloads.filewriter.DownloadFileWriter
 import mozilla.components.support.base.android.NotificationsDelegate
-import mozilla.components.support.utils.DefaultDownloadFileUtils
 import mozilla.components.support.utils.DownloadFileUtils
 import org.mozilla.reference.browser.ext.components
 
@@ -24,14 +22,7 @@ class DownloadService : AbstractFetchDownloadService() {
     override val notificationsDelegate: NotificationsDelegate by lazy { components.notificationsDelegate }
     override val fileSizeFormatter: FileSizeFormatter by lazy { components.fileSizeFormatter }
     override val downloadEstimator: DownloadEstimator by lazy { components.downloadEstimator }
-    override val downloadFileUtils: DownloadFileUtils by lazy {
-        DefaultDownloadFileUtils(
-            context = applicationContext,
-            downloadLocation = {
-                Environment.getExternalStoragePublicDirectory(Environment.DIRECTORY_DOWNLOADS).path
-            },
-        )
-    }
+    override val downloadFileUtils: DownloadFileUtils by lazy { components.core.downloadFileUtils }
     override val downloadFileWriter: DownloadFileWriter by lazy {
         DefaultDownloadFileWriter(
             context = applicationContext,
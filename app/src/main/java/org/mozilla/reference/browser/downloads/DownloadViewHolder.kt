@@ -0,0 +1,71 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.downloads
+
+import android.text.format.Formatter
+import android.view.View
+import android.widget.ImageButton
+import android.widget.ProgressBar
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import mozilla.components.browser.state.state.content.DownloadState
+import mozilla.components.browser.state.state.content.DownloadState.Status
+import org.mozilla.reference.browser.R
+
+/**
+ * A download in the downloads list, showing its progress while it is running.
+ */
+class DownloadViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    private val title = itemView.findViewById<TextView>(R.id.download_item_title)
+    private val status = itemView.findViewById<TextView>(R.id.download_item_status)
+    private val progress = itemView.findViewById<ProgressBar>(R.id.download_item_progress)
+    private val menu = itemView.findViewById<ImageButton>(R.id.download_item_menu)
+
+    /**
+     * Shows the [download], calling [onItemClicked] when it is tapped and [onItemMenuClicked] when
+     * its overflow menu button is tapped.
+     */
+    fun bind(
+        download: DownloadState,
+        onItemClicked: (DownloadState) -> Unit,
+        onItemMenuClicked: (DownloadState, View) -> Unit,
+    ) {
+        val context = itemView.context
+        val copied = Formatter.formatShortFileSize(context, download.currentBytesCopied)
+        val total = download.contentLength?.let { Formatter.formatShortFileSize(context, it) }
+
+        title.text = download.fileName ?: download.url
+        status.text = when (download.status) {
+            Status.INITIATED -> context.getString(R.string.download_status_initiated)
+            Status.DOWNLOADING -> if (total != null) {
+                context.getString(R.string.download_status_progress, copied, total)
+            } else {
+                copied
+            }
+            Status.PAUSED -> context.getString(R.string.download_status_paused)
+            Status.CANCELLED -> context.getString(R.string.download_status_cancelled)
+            Status.FAILED -> context.getString(R.string.download_status_failed)
+            Status.COMPLETED -> total ?: copied
+        }
+
+        val inProgress = download.status == Status.DOWNLOADING || download.status == Status.PAUSED
+        progress.visibility = if (inProgress) View.VISIBLE else View.GONE
+        progress.isIndeterminate = download.contentLength == null
+        download.contentLength?.takeIf { it > 0 }?.let { length ->
+            progress.progress = (download.currentBytesCopied * PROGRESS_MAX / length).toInt()
+        }
+
+        menu.setOnClickListener { onItemMenuClicked(download, it) }
+        itemView.setOnClickListener { onItemClicked(download) }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_download_item
+
+        private const val PROGRESS_MAX = 100
+    }
+}
@@ -0,0 +1,53 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.downloads
+
+import android.view.LayoutInflater
+import android.view.View
+import android.view.ViewGroup
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+import mozilla.components.browser.state.state.content.DownloadState
+
+/**
+ * Adapter for the list of downloads.
+ *
+ * @param onItemClicked Invoked when a download is tapped.
+ * @param onItemMenuClicked Invoked when the options button of a download is tapped.
+ */
+class DownloadsAdapter(
+    private val onItemClicked: (DownloadState) -> Unit,
+    private val onItemMenuClicked: (DownloadState, View) -> Unit,
+) : ListAdapter<DownloadState, DownloadViewHolder>(DiffCallback) {
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): DownloadViewHolder {
+        val itemView = LayoutInflater
+            .from(parent.context)
+            .inflate(DownloadViewHolder.LAYOUT_ID, parent, false)
+
+        return DownloadViewHolder(itemView)
+    }
+
+    override fun onBindViewHolder(
+        holder: DownloadViewHolder,
+        position: Int,
+    ) {
+        holder.bind(getItem(position), onItemClicked, onItemMenuClicked)
+    }
+
+    private object DiffCallback : DiffUtil.ItemCallback<DownloadState>() {
+        override fun areItemsTheSame(
+            oldItem: DownloadState,
+            newItem: DownloadState,
+        ) = oldItem.id == newItem.id
+
+        override fun areContentsTheSame(
+            oldItem: DownloadState,
+            newItem: DownloadState,
+        ) = oldItem == newItem
+    }
+}
@@ -0,0 +1,159 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.downloads
+
+import android.content.Intent
+import android.os.Bundle
+import android.view.LayoutInflater
+import android.view.View
+import android.view.ViewGroup
+import android.widget.TextView
+import android.widget.Toast
+import androidx.appcompat.widget.PopupMenu
+import androidx.fragment.app.Fragment
+import androidx.lifecycle.lifecycleScope
+import androidx.recyclerview.widget.LinearLayoutManager
+import androidx.recyclerview.widget.RecyclerView
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.flow.distinctUntilChanged
+import kotlinx.coroutines.flow.map
+import kotlinx.coroutines.launch
+import kotlinx.coroutines.withContext
+import mozilla.components.browser.state.state.content.DownloadState
+import mozilla.components.browser.state.state.content.DownloadState.Status
+import mozilla.components.feature.downloads.AbstractFetchDownloadService
+import mozilla.components.feature.downloads.manager.FetchDownloadManager
+import mozilla.components.lib.state.ext.flowScoped
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.requireComponents
+
+/**
+ * Fragment listing every download known to the [mozilla.components.browser.state.store.BrowserStore],
+ * with actions to control running downloads and to open, share or delete finished ones.
+ */
+class DownloadsFragment : Fragment() {
+    private val adapter = DownloadsAdapter(::onItemClicked, ::onItemMenuClicked)
+
+    private val downloadManager by lazy {
+        FetchDownloadManager(
+            requireContext().applicationContext,
+            requireComponents.core.store,
+            DownloadService::class,
+            notificationsDelegate = requireComponents.notificationsDelegate,
+        )
+    }
+
+    private val downloadsList: RecyclerView
+        get() = requireView().findViewById(R.id.downloads_list)
+    private val downloadsEmpty: TextView
+        get() = requireView().findViewById(R.id.downloads_empty)
+
+    override fun onCreateView(
+        inflater: LayoutInflater,
+        container: ViewGroup?,
+        savedInstanceState: Bundle?,
+    ): View? = inflater.inflate(R.layout.fragment_downloads, container, false)
+
+    override fun onViewCreated(
+        view: View,
+        savedInstanceState: Bundle?,
+    ) {
+        super.onViewCreated(view, savedInstanceState)
+
+        downloadsList.layoutManager = LinearLayoutManager(requireContext())
+        downloadsList.adapter = adapter
+
+        requireComponents.core.store.flowScoped(viewLifecycleOwner) { flow ->
+            flow
+                .map { state -> state.downloads.values.toList() }
+                .distinctUntilChanged()
+                .collect { downloads ->
+                    val sorted = downloads.sortedByDescending { it.createdTime }
+                    adapter.submitList(sorted)
+
+                    downloadsList.visibility = if (sorted.isEmpty()) View.GONE else View.VISIBLE
+                    downloadsEmpty.visibility = if (sorted.isEmpty()) View.VISIBLE else View.GONE
+                }
+        }
+    }
+
+    private fun onItemClicked(download: DownloadState) {
+        if (download.status == Status.COMPLETED) {
+            openDownload(download)
+        }
+    }
+
+    private fun onItemMenuClicked(
+        download: DownloadState,
+        anchor: View,
+    ) {
+        PopupMenu(requireContext(), anchor).apply {
+            menuInflater.inflate(R.menu.download_item_menu, menu)
+
+            menu.findItem(R.id.download_pause).isVisible = download.status == Status.DOWNLOADING
+            menu.findItem(R.id.download_resume).isVisible = download.status == Status.PAUSED
+            menu.findItem(R.id.download_retry).isVisible = download.status == Status.FAILED
+            menu.findItem(R.id.download_open).isVisible = download.status == Status.COMPLETED
+            menu.findItem(R.id.download_share).isVisible = download.status == Status.COMPLETED
+
+            setOnMenuItemClickListener { item ->
+                when (item.itemId) {
+                    R.id.download_pause -> sendServiceAction(download, AbstractFetchDownloadService.ACTION_PAUSE)
+                    R.id.download_resume, R.id.download_retry -> downloadManager.tryAgain(download.id)
+                    R.id.download_open -> openDownload(download)
+                    R.id.download_share -> shareDownload(download)
+                    R.id.download_delete -> deleteDownload(download)
+                }
+                true
+            }
+        }.show()
+    }
+
+    /**
+     * Sends one of the actions also offered by the download notification to [DownloadService]. Only
+     * the running service receives them, so this is only used for downloads in progress. Stopped
+     * downloads, possibly from an earlier session, are restarted through the [downloadManager].
+     */
+    private fun sendServiceAction(
+        download: DownloadState,
+        action: String,
+    ) {
+        val intent = Intent(action).apply {
+            setPackage(requireContext().packageName)
+            putExtra(EXTRA_DOWNLOAD_ID, download.id)
+        }
+        requireContext().sendBroadcast(intent)
+    }
+
+    private fun openDownload(download: DownloadState) {
+        if (!requireContext().openDownload(download)) {
+            Toast.makeText(requireContext(), R.string.download_open_failed, Toast.LENGTH_SHORT).show()
+        }
+    }
+
+    private fun shareDownload(download: DownloadState) {
+        requireContext().shareDownload(download)
+    }
+
+    private fun deleteDownload(download: DownloadState) {
+        if (download.status == Status.DOWNLOADING || download.status == Status.PAUSED) {
+            sendServiceAction(download, AbstractFetchDownloadService.ACTION_CANCEL)
+        }
+
+        val context = requireContext().applicationContext
+        viewLifecycleOwner.lifecycleScope.launch {
+            withContext(Dispatchers.IO) {
+                DownloadLocation.delete(context, download)
+            }
+            requireComponents.useCases.downloadsUseCases.removeDownload(download.id)
+        }
+    }
+
+    companion object {
+        // The extra the download service reads the download id of a notification action from,
+        // which android-components keeps internal.
+        private const val EXTRA_DOWNLOAD_ID = "downloadId"
+    }
+}
@@ -0,0 +1,81 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.downloads
+
+import android.content.ActivityNotFoundException
+import android.content.Context
+import android.content.Intent
+import android.net.Uri
+import androidx.core.content.FileProvider
+import mozilla.components.browser.state.state.content.DownloadState
+import mozilla.components.support.base.log.Log
+import mozilla.components.support.base.log.Log.Priority.WARN
+import org.mozilla.reference.browser.R
+import java.io.File
+
+private const val FILE_PROVIDER_EXTENSION = ".fileprovider"
+private const val DEFAULT_CONTENT_TYPE = "*/*"
+
+/**
+ * Returns a content [Uri] other apps can be granted access to for the file of this download: the
+ * document it was moved to, if any, see [DownloadLocation].
+ *
+ * @throws IllegalArgumentException if the file is outside of the folders shared by the file provider.
+ */
+fun DownloadState.contentUri(context: Context): Uri =
+    DownloadLocation.getDocumentUri(context, id) ?: FileProvider.getUriForFile(
+        context,
+        context.packageName + FILE_PROVIDER_EXTENSION,
+        File(filePath),
+    )
+
+/**
+ * Opens the file of a completed download with a matching app.
+ *
+ * @return true if an app to open the file was found, false otherwise.
+ */
+fun Context.openDownload(download: DownloadState): Boolean =
+    try {
+        val intent = Intent(Intent.ACTION_VIEW).apply {
+            setDataAndType(download.contentUri(this@openDownload), download.contentType ?: DEFAULT_CONTENT_TYPE)
+            flags = Intent.FLAG_GRANT_READ_URI_PERMISSION or Intent.FLAG_ACTIVITY_NEW_TASK
+        }
+
+        startActivity(intent)
+        true
+    } catch (e: ActivityNotFoundException) {
+        Log.log(WARN, message = "No activity to open download found", throwable = e, tag = "Reference-Browser")
+        false
+    } catch (e: IllegalArgumentException) {
+        Log.log(WARN, message = "Download can't be shared with other apps", throwable = e, tag = "Reference-Browser")
+        false
+    }
+
+/**
+ * Shares the file of a completed download via [Intent.ACTION_SEND].
+ *
+ * @return true if it is able to share, false otherwise.
+ */
+fun Context.shareDownload(download: DownloadState): Boolean =
+    try {
+        val intent = Intent(Intent.ACTION_SEND).apply {
+            type = download.contentType ?: DEFAULT_CONTENT_TYPE
+            putExtra(Intent.EXTRA_STREAM, download.contentUri(this@shareDownload))
+            flags = Intent.FLAG_GRANT_READ_URI_PERMISSION
+        }
+
+        val shareIntent = Intent.createChooser(intent, getString(R.string.menu_share_with)).apply {
+            flags = Intent.FLAG_ACTIVITY_NEW_TASK or Intent.FLAG_GRANT_READ_URI_PERMISSION
+        }
+
+        startActivity(shareIntent)
+        true
+    } catch (e: ActivityNotFoundException) {
+        Log.log(WARN, message = "No activity to share download to found", throwable = e, tag = "Reference-Browser")
+        false
+    } catch (e: IllegalArgumentException) {
+        Log.log(WARN, message = "Download can't be shared with other apps", throwable = e, tag = "Reference-Browser")
+        false
+    }
@@ -0,0 +1,96 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.downloads
+
+import android.content.Context
+import android.net.Uri
+import android.view.View
+import android.widget.Button
+import android.widget.EditText
+import android.widget.TextView
+import android.widget.Toast
+import androidx.appcompat.app.AlertDialog
+import androidx.core.net.toUri
+import mozilla.components.browser.state.selector.findTabOrCustomTabOrSelectedTab
+import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.feature.downloads.Filename
+import mozilla.components.feature.downloads.NegativeActionCallback
+import mozilla.components.feature.downloads.PositiveActionCallback
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.settings.Settings
+
+/**
+ * A "Save as…" dialog asking for the file name and folder of a download before it starts.
+ * Used as the first party download dialog of [mozilla.components.feature.downloads.DownloadsFeature].
+ *
+ * @param context The context used to show the dialog.
+ * @param store The [BrowserStore] holding the pending download.
+ * @param sessionId The id of the tab the download was requested from, or null for the selected tab.
+ * @param downloadLocationMiddleware Applies the picked file name and folder to the download.
+ * @param pickLocation Invoked to let the user pick a folder; the result is delivered to [onLocationPicked].
+ */
+class SaveAsDownloadDialog(
+    private val context: Context,
+    private val store: BrowserStore,
+    private val sessionId: String?,
+    private val downloadLocationMiddleware: DownloadLocationMiddleware,
+    private val pickLocation: () -> Unit,
+) {
+    private var locationView: TextView? = null
+    private var folder: Uri? = null
+
+    /**
+     * Shows the dialog for the download requested as [filename]. The download is started with
+     * [positiveAction] once the user saves it, or cancelled with [negativeAction].
+     */
+    fun show(
+        filename: Filename,
+        positiveAction: PositiveActionCallback,
+        negativeAction: NegativeActionCallback,
+    ) {
+        val downloadId = store.state.findTabOrCustomTabOrSelectedTab(sessionId)?.content?.download?.id
+        val dialogView = View.inflate(context, R.layout.dialog_save_as, null)
+        val filenameView = dialogView.findViewById<EditText>(R.id.save_as_filename)
+
+        folder = Settings.getDownloadLocationUri(context)?.toUri()
+        locationView = dialogView.findViewById<TextView>(R.id.save_as_location).apply {
+            text = DownloadLocation.getDisplayName(context, folder)
+        }
+        dialogView.findViewById<Button>(R.id.save_as_change_location).setOnClickListener {
+            pickLocation()
+        }
+        filenameView.setText(filename.value)
+
+        AlertDialog
+            .Builder(context)
+            .setTitle(R.string.download_save_as)
+            .setView(dialogView)
+            .setNegativeButton(R.string.download_save_as_cancel) { _, _ -> negativeAction.value.invoke() }
+            .setPositiveButton(R.string.download_save_as_save) { _, _ ->
+                val name = filenameView.text.toString().trim().ifEmpty { filename.value }
+                // Picked before the download starts, so that the download service writes the
+                // file under the picked name from the start.
+                downloadId?.let { downloadLocationMiddleware.saveAs(it, name, folder) }
+                positiveAction.value.invoke()
+            }.setOnCancelListener { negativeAction.value.invoke() }
+            .setOnDismissListener { locationView = null }
+            .show()
+    }
+
+    /**
+     * Updates the dialog with the folder identified by the SAF tree [uri] the user picked.
+     */
+    fun onLocationPicked(uri: Uri) {
+        val name = DownloadLocation.getFolderName(context, uri)
+        if (name == null) {
+            Toast.makeText(context, R.string.download_location_unsupported, Toast.LENGTH_SHORT).show()
+            return
+        }
+
+        DownloadLocation.persistPermission(context, uri)
+        folder = uri
+        locationView?.text = name
+    }
+}
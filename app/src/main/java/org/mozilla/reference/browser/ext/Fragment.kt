@@ -4,10 +4,44 @@
 
 package org.mozilla.reference.browser.ext
 
+import android.view.View
+import android.widget.EditText
+import androidx.annotation.StringRes
+import androidx.appcompat.app.AlertDialog
 import org.mozilla.reference.browser.Components
+import org.mozilla.reference.browser.R
 
 /**
  * Get the requireComponents of this application.
  */
 val androidx.fragment.app.Fragment.requireComponents: Components
     get() = requireContext().components
+
+/**
+ * Shows a dialog asking for a name, pre-filled with [name] if any, and calls [onNamed] with the
+ * name entered unless it's blank.
+ */
+fun androidx.fragment.app.Fragment.showNameDialog(
+    @StringRes titleResId: Int,
+    @StringRes hintResId: Int,
+    name: String?,
+    onNamed: (String) -> Unit,
+) {
+    val context = requireContext()
+    val dialogView = View.inflate(context, R.layout.dialog_name, null)
+    val nameView = dialogView.findViewById<EditText>(R.id.name_dialog_name)
+    nameView.setHint(hintResId)
+    nameView.setText(name)
+
+    AlertDialog
+        .Builder(context)
+        .setTitle(titleResId)
+        .setView(dialogView)
+        .setNegativeButton(R.string.name_dialog_cancel) { dialog, _ -> dialog.cancel() }
+        .setPositiveButton(R.string.name_dialog_ok) { _, _ ->
+            val newName = nameView.text.toString().trim()
+            if (newName.isNotEmpty()) {
+                onNamed(newName)
+            }
+        }.show()
+}
@@ -0,0 +1,105 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.history
+
+import android.view.LayoutInflater
+import android.view.ViewGroup
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+import mozilla.components.concept.storage.SearchResult
+import mozilla.components.concept.storage.VisitInfo
+import org.mozilla.reference.browser.history.HistoryViewHolder.DayViewHolder
+import org.mozilla.reference.browser.history.HistoryViewHolder.VisitViewHolder
+import java.time.LocalDate
+
+/**
+ * Adapter for history visits, grouped under a header for each day, or for the pages matching a search.
+ *
+ * @param onItemClicked Invoked when a visit or page is tapped.
+ * @param onItemLongClicked Invoked when a visit or page is long-pressed.
+ */
+class HistoryAdapter(
+    private val onItemClicked: (AdapterItem) -> Unit,
+    private val onItemLongClicked: (AdapterItem) -> Unit,
+) : ListAdapter<HistoryAdapter.AdapterItem, HistoryViewHolder>(DiffCallback) {
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): HistoryViewHolder {
+        val itemView = LayoutInflater.from(parent.context).inflate(viewType, parent, false)
+
+        return when (viewType) {
+            DayViewHolder.LAYOUT_ID -> DayViewHolder(itemView)
+            VisitViewHolder.LAYOUT_ID -> VisitViewHolder(itemView, onItemClicked, onItemLongClicked)
+            else -> throw IllegalStateException()
+        }
+    }
+
+    override fun onBindViewHolder(
+        holder: HistoryViewHolder,
+        position: Int,
+    ) {
+        holder.bind(getItem(position))
+    }
+
+    override fun getItemViewType(position: Int): Int =
+        when (getItem(position)) {
+            is AdapterItem.Day -> DayViewHolder.LAYOUT_ID
+            is AdapterItem.Visit, is AdapterItem.Page -> VisitViewHolder.LAYOUT_ID
+        }
+
+    private object DiffCallback : DiffUtil.ItemCallback<AdapterItem>() {
+        override fun areItemsTheSame(
+            oldItem: AdapterItem,
+            newItem: AdapterItem,
+        ) = when {
+            oldItem is AdapterItem.Day && newItem is AdapterItem.Day -> oldItem.date == newItem.date
+            oldItem is AdapterItem.Visit && newItem is AdapterItem.Visit -> oldItem.visit == newItem.visit
+            oldItem is AdapterItem.Page && newItem is AdapterItem.Page -> oldItem.page.url == newItem.page.url
+            else -> false
+        }
+
+        override fun areContentsTheSame(
+            oldItem: AdapterItem,
+            newItem: AdapterItem,
+        ) = oldItem == newItem
+    }
+
+    /**
+     * An item in the history list.
+     */
+    sealed class AdapterItem {
+        /**
+         * The header above the visits of the given [date].
+         */
+        data class Day(
+            val date: LocalDate,
+        ) : AdapterItem()
+
+        /**
+         * A single [visit], shown while browsing the history.
+         *
+         * @property selected Whether the visit is selected for deletion.
+         * @property selecting Whether any item is selected, showing the checkboxes.
+         */
+        data class Visit(
+            val visit: VisitInfo,
+            val selected: Boolean,
+            val selecting: Boolean,
+        ) : AdapterItem()
+
+        /**
+         * A [page] matching the search, standing for all of its visits.
+         *
+         * @property selected Whether the page is selected for deletion.
+         * @property selecting Whether any item is selected, showing the checkboxes.
+         */
+        data class Page(
+            val page: SearchResult,
+            val selected: Boolean,
+            val selecting: Boolean,
+        ) : AdapterItem()
+    }
+}
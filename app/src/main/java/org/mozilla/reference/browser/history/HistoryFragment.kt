@@ -0,0 +1,330 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.history
+
+import android.os.Bundle
+import android.view.LayoutInflater
+import android.view.Menu
+import android.view.MenuInflater
+import android.view.MenuItem
+import android.view.View
+import android.view.ViewGroup
+import android.widget.TextView
+import androidx.activity.OnBackPressedCallback
+import androidx.annotation.StringRes
+import androidx.appcompat.app.AlertDialog
+import androidx.appcompat.widget.SearchView
+import androidx.core.view.MenuProvider
+import androidx.fragment.app.Fragment
+import androidx.lifecycle.Lifecycle
+import androidx.lifecycle.lifecycleScope
+import androidx.recyclerview.widget.LinearLayoutManager
+import androidx.recyclerview.widget.RecyclerView
+import kotlinx.coroutines.Job
+import kotlinx.coroutines.launch
+import mozilla.components.concept.storage.SearchResult
+import mozilla.components.concept.storage.VisitInfo
+import mozilla.components.concept.storage.VisitType
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.requireComponents
+import org.mozilla.reference.browser.history.HistoryAdapter.AdapterItem
+import java.time.Instant
+import java.time.LocalDate
+import java.time.ZoneId
+import java.util.concurrent.TimeUnit
+
+/**
+ * Fragment listing history visits grouped by day, loaded a page at a time while scrolling. The
+ * history can be searched by title and URL, selected with a long press for deletion, or deleted by
+ * time range from the options menu.
+ */
+class HistoryFragment :
+    Fragment(),
+    MenuProvider {
+    private val adapter = HistoryAdapter(::onItemClicked, ::onItemLongClicked)
+
+    private var visits: List<VisitInfo> = emptyList()
+    private var hasMoreVisits = true
+    private var loadJob: Job? = null
+    private var query: String = ""
+    private var searchResults: List<SearchResult> = emptyList()
+    private var searchJob: Job? = null
+    private val selectedVisits = mutableSetOf<VisitInfo>()
+    private val selectedPages = mutableSetOf<String>()
+    private var deleteSelectedItem: MenuItem? = null
+
+    private val isSelecting: Boolean
+        get() = selectedVisits.isNotEmpty() || selectedPages.isNotEmpty()
+
+    private val historyList: RecyclerView
+        get() = requireView().findViewById(R.id.history_list)
+    private val historyEmpty: TextView
+        get() = requireView().findViewById(R.id.history_empty)
+
+    private val clearSelectionCallback = object : OnBackPressedCallback(false) {
+        override fun handleOnBackPressed() {
+            clearSelection()
+            render()
+        }
+    }
+
+    private val loadMoreListener = object : RecyclerView.OnScrollListener() {
+        override fun onScrolled(
+            recyclerView: RecyclerView,
+            dx: Int,
+            dy: Int,
+        ) {
+            val lastVisible = (recyclerView.layoutManager as LinearLayoutManager).findLastVisibleItemPosition()
+            if (query.isBlank() && lastVisible >= adapter.itemCount - LOAD_MORE_THRESHOLD) {
+                loadMoreVisits()
+            }
+        }
+    }
+
+    override fun onCreateView(
+        inflater: LayoutInflater,
+        container: ViewGroup?,
+        savedInstanceState: Bundle?,
+    ): View? = inflater.inflate(R.layout.fragment_history, container, false)
+
+    override fun onViewCreated(
+        view: View,
+        savedInstanceState: Bundle?,
+    ) {
+        super.onViewCreated(view, savedInstanceState)
+
+        historyList.layoutManager = LinearLayoutManager(requireContext())
+        historyList.adapter = adapter
+        historyList.addOnScrollListener(loadMoreListener)
+
+        requireActivity().addMenuProvider(this, viewLifecycleOwner, Lifecycle.State.RESUMED)
+        requireActivity().onBackPressedDispatcher.addCallback(viewLifecycleOwner, clearSelectionCallback)
+    }
+
+    override fun onResume() {
+        super.onResume()
+        refresh()
+    }
+
+    override fun onCreateMenu(
+        menu: Menu,
+        menuInflater: MenuInflater,
+    ) {
+        menuInflater.inflate(R.menu.history_menu, menu)
+
+        deleteSelectedItem = menu.findItem(R.id.history_delete_selected).apply {
+            isVisible = isSelecting
+        }
+
+        val searchItem = menu.findItem(R.id.history_search)
+        (searchItem.actionView as SearchView).apply {
+            queryHint = getString(R.string.history_search_hint)
+            if (query.isNotEmpty()) {
+                searchItem.expandActionView()
+                setQuery(query, false)
+            }
+            setOnQueryTextListener(
+                object : SearchView.OnQueryTextListener {
+                    override fun onQueryTextSubmit(text: String): Boolean = true
+
+                    override fun onQueryTextChange(text: String): Boolean {
+                        if (text != query) {
+                            query = text
+                            // Visits and pages matching the search can't be selected together.
+                            clearSelection()
+                            search()
+                        }
+                        return true
+                    }
+                },
+            )
+        }
+    }
+
+    override fun onMenuItemSelected(menuItem: MenuItem): Boolean {
+        val now = System.currentTimeMillis()
+
+        when (menuItem.itemId) {
+            R.id.history_delete_selected -> deleteSelection()
+            R.id.history_delete_last_hour -> confirmDelete(R.string.history_delete_last_hour) {
+                deleteVisitsBetween(now - TimeUnit.HOURS.toMillis(1), now)
+            }
+            R.id.history_delete_today -> confirmDelete(R.string.history_delete_today) {
+                val startOfDay = LocalDate.now().atStartOfDay(ZoneId.systemDefault()).toInstant().toEpochMilli()
+                deleteVisitsBetween(startOfDay, now)
+            }
+            R.id.history_delete_everything -> confirmDelete(R.string.history_delete_everything) {
+                deleteEverything()
+            }
+            else -> return false
+        }
+        return true
+    }
+
+    private fun refresh() {
+        loadVisits()
+        search()
+    }
+
+    /**
+     * Reloads as many of the latest visits as were loaded already, at least one page of them.
+     */
+    private fun loadVisits() {
+        val count = maxOf(visits.size, PAGE_SIZE)
+        loadJob?.cancel()
+        loadJob = viewLifecycleOwner.lifecycleScope.launch {
+            visits = requireComponents.core.historyStorage
+                .getVisitsPaginatedInDescendingOrder(0, count.toLong(), EXCLUDED_VISIT_TYPES)
+            hasMoreVisits = visits.size == count
+
+            selectedVisits.retainAll(visits.toSet())
+            render()
+        }
+    }
+
+    private fun loadMoreVisits() {
+        if (!hasMoreVisits || loadJob?.isActive == true) {
+            return
+        }
+
+        loadJob = viewLifecycleOwner.lifecycleScope.launch {
+            val more = requireComponents.core.historyStorage
+                .getVisitsPaginatedInDescendingOrder(visits.size.toLong(), PAGE_SIZE.toLong(), EXCLUDED_VISIT_TYPES)
+            hasMoreVisits = more.size == PAGE_SIZE
+
+            visits = visits + more
+            render()
+        }
+    }
+
+    private fun search() {
+        searchJob?.cancel()
+        if (query.isBlank()) {
+            searchResults = emptyList()
+            render()
+            return
+        }
+
+        val query = query
+        searchJob = viewLifecycleOwner.lifecycleScope.launch {
+            searchResults = requireComponents.core.historyStorage.getSuggestions(query, SEARCH_LIMIT)
+
+            selectedPages.retainAll(searchResults.map { it.url }.toSet())
+            render()
+        }
+    }
+
+    private fun render() {
+        val zone = ZoneId.systemDefault()
+        val selecting = isSelecting
+        val items = if (query.isBlank()) {
+            visits
+                .groupBy { visit -> Instant.ofEpochMilli(visit.visitTime).atZone(zone).toLocalDate() }
+                .flatMap { (date, visits) ->
+                    listOf(AdapterItem.Day(date)) +
+                        visits.map { visit -> AdapterItem.Visit(visit, visit in selectedVisits, selecting) }
+                }
+        } else {
+            searchResults.map { page -> AdapterItem.Page(page, page.url in selectedPages, selecting) }
+        }
+
+        adapter.submitList(items)
+
+        historyList.visibility = if (items.isEmpty()) View.GONE else View.VISIBLE
+        historyEmpty.visibility = if (items.isEmpty()) View.VISIBLE else View.GONE
+
+        clearSelectionCallback.isEnabled = selecting
+        deleteSelectedItem?.isVisible = selecting
+    }
+
+    private fun clearSelection() {
+        selectedVisits.clear()
+        selectedPages.clear()
+    }
+
+    private fun onItemClicked(item: AdapterItem) {
+        if (isSelecting) {
+            onItemLongClicked(item)
+            return
+        }
+
+        val url = when (item) {
+            is AdapterItem.Visit -> item.visit.url
+            is AdapterItem.Page -> item.page.url
+            is AdapterItem.Day -> return
+        }
+        requireComponents.useCases.tabsUseCases.addTab(url, selectTab = true)
+        activity?.finish()
+    }
+
+    private fun onItemLongClicked(item: AdapterItem) {
+        when (item) {
+            is AdapterItem.Visit -> selectedVisits.toggle(item.visit)
+            is AdapterItem.Page -> selectedPages.toggle(item.page.url)
+            is AdapterItem.Day -> return
+        }
+        render()
+    }
+
+    private fun <T> MutableSet<T>.toggle(element: T) {
+        if (!remove(element)) {
+            add(element)
+        }
+    }
+
+    private fun deleteSelection() {
+        val visits = selectedVisits.toList()
+        val pages = selectedPages.toList()
+        viewLifecycleOwner.lifecycleScope.launch {
+            val storage = requireComponents.core.historyStorage
+            visits.forEach { visit -> storage.deleteVisit(visit.url, visit.visitTime) }
+            pages.forEach { url -> storage.deleteVisitsFor(url) }
+            clearSelection()
+            refresh()
+        }
+    }
+
+    private fun confirmDelete(
+        @StringRes title: Int,
+        delete: suspend () -> Unit,
+    ) {
+        AlertDialog
+            .Builder(requireContext())
+            .setTitle(title)
+            .setMessage(R.string.history_delete_confirmation)
+            .setNegativeButton(R.string.history_dialog_cancel) { dialog, _ -> dialog.cancel() }
+            .setPositiveButton(R.string.history_dialog_delete) { _, _ ->
+                viewLifecycleOwner.lifecycleScope.launch {
+                    delete()
+                    clearSelection()
+                    refresh()
+                }
+            }.show()
+    }
+
+    private suspend fun deleteVisitsBetween(
+        start: Long,
+        end: Long,
+    ) {
+        requireComponents.core.historyStorage.deleteVisitsBetween(start, end)
+    }
+
+    private suspend fun deleteEverything() {
+        requireComponents.core.historyStorage.deleteEverything()
+    }
+
+    companion object {
+        private const val PAGE_SIZE = 100
+        private const val LOAD_MORE_THRESHOLD = 20
+        private const val SEARCH_LIMIT = 100
+
+        // Redirects and embedded frames are recorded as visits but aren't pages the user browsed to.
+        private val EXCLUDED_VISIT_TYPES = listOf(
+            VisitType.REDIRECT_PERMANENT,
+            VisitType.REDIRECT_TEMPORARY,
+            VisitType.EMBED,
+        )
+    }
+}
@@ -0,0 +1,108 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.history
+
+import android.text.format.DateUtils
+import android.view.View
+import android.widget.CheckBox
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.history.HistoryAdapter.AdapterItem
+import java.time.LocalDate
+import java.time.ZoneId
+
+/**
+ * A row in the history list.
+ */
+sealed class HistoryViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    /**
+     * Shows the given [item].
+     */
+    abstract fun bind(item: AdapterItem)
+
+    /**
+     * A visit, or a page matching the search. Only visits show the time they happened at.
+     */
+    class VisitViewHolder(
+        itemView: View,
+        private val onItemClicked: (AdapterItem) -> Unit,
+        private val onItemLongClicked: (AdapterItem) -> Unit,
+    ) : HistoryViewHolder(itemView) {
+        private val checkbox = itemView.findViewById<CheckBox>(R.id.history_item_checkbox)
+        private val title = itemView.findViewById<TextView>(R.id.history_item_title)
+        private val url = itemView.findViewById<TextView>(R.id.history_item_url)
+        private val time = itemView.findViewById<TextView>(R.id.history_item_time)
+
+        override fun bind(item: AdapterItem) {
+            when (item) {
+                is AdapterItem.Visit -> {
+                    val visit = item.visit
+                    bind(visit.url, visit.title, item.selected, item.selecting)
+                    time.text = DateUtils.formatDateTime(itemView.context, visit.visitTime, DateUtils.FORMAT_SHOW_TIME)
+                    time.visibility = View.VISIBLE
+                }
+                is AdapterItem.Page -> {
+                    bind(item.page.url, item.page.title, item.selected, item.selecting)
+                    time.visibility = View.GONE
+                }
+                is AdapterItem.Day -> throw IllegalStateException()
+            }
+
+            itemView.setOnClickListener { onItemClicked(item) }
+            itemView.setOnLongClickListener {
+                onItemLongClicked(item)
+                true
+            }
+        }
+
+        private fun bind(
+            url: String,
+            title: String?,
+            selected: Boolean,
+            selecting: Boolean,
+        ) {
+            this.title.text = title?.takeIf { it.isNotBlank() } ?: url
+            this.url.text = url
+
+            checkbox.visibility = if (selecting) View.VISIBLE else View.GONE
+            checkbox.isChecked = selected
+        }
+
+        companion object {
+            val LAYOUT_ID = R.layout.view_history_item
+        }
+    }
+
+    /**
+     * The header above the visits of a day.
+     */
+    class DayViewHolder(
+        itemView: View,
+    ) : HistoryViewHolder(itemView) {
+        private val title = itemView.findViewById<TextView>(R.id.history_day_title)
+
+        override fun bind(item: AdapterItem) {
+            val date = (item as AdapterItem.Day).date
+            val today = LocalDate.now()
+
+            title.text = when (date) {
+                today -> itemView.context.getString(R.string.history_today)
+                today.minusDays(1) -> itemView.context.getString(R.string.history_yesterday)
+                else -> DateUtils.formatDateTime(
+                    itemView.context,
+                    date.atStartOfDay(ZoneId.systemDefault()).toInstant().toEpochMilli(),
+                    DateUtils.FORMAT_SHOW_DATE or DateUtils.FORMAT_SHOW_WEEKDAY,
+                )
+            }
+        }
+
+        companion object {
+            val LAYOUT_ID = R.layout.view_history_day
+        }
+    }
+}
@@ -0,0 +1,52 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.recentlyclosed
+
+import android.view.LayoutInflater
+import android.view.ViewGroup
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+import mozilla.components.browser.state.state.recover.TabState
+
+/**
+ * Adapter for the list of recently closed tabs.
+ *
+ * @param onItemClicked Invoked when a closed tab is tapped.
+ * @param onItemRemoveClicked Invoked when the remove button of a closed tab is tapped.
+ */
+class RecentlyClosedAdapter(
+    private val onItemClicked: (TabState) -> Unit,
+    private val onItemRemoveClicked: (TabState) -> Unit,
+) : ListAdapter<TabState, RecentlyClosedViewHolder>(DiffCallback) {
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): RecentlyClosedViewHolder {
+        val itemView = LayoutInflater
+            .from(parent.context)
+            .inflate(RecentlyClosedViewHolder.LAYOUT_ID, parent, false)
+
+        return RecentlyClosedViewHolder(itemView)
+    }
+
+    override fun onBindViewHolder(
+        holder: RecentlyClosedViewHolder,
+        position: Int,
+    ) {
+        holder.bind(getItem(position), onItemClicked, onItemRemoveClicked)
+    }
+
+    private object DiffCallback : DiffUtil.ItemCallback<TabState>() {
+        override fun areItemsTheSame(
+            oldItem: TabState,
+            newItem: TabState,
+        ) = oldItem.id == newItem.id
+
+        override fun areContentsTheSame(
+            oldItem: TabState,
+            newItem: TabState,
+        ) = oldItem == newItem
+    }
+}
@@ -0,0 +1,111 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.recentlyclosed
+
+import android.os.Bundle
+import android.view.LayoutInflater
+import android.view.Menu
+import android.view.MenuInflater
+import android.view.MenuItem
+import android.view.View
+import android.view.ViewGroup
+import android.widget.TextView
+import androidx.appcompat.app.AppCompatActivity
+import androidx.core.view.MenuProvider
+import androidx.fragment.app.Fragment
+import androidx.lifecycle.Lifecycle
+import androidx.lifecycle.lifecycleScope
+import androidx.recyclerview.widget.LinearLayoutManager
+import androidx.recyclerview.widget.RecyclerView
+import kotlinx.coroutines.flow.distinctUntilChanged
+import kotlinx.coroutines.flow.map
+import kotlinx.coroutines.launch
+import mozilla.components.browser.state.action.RecentlyClosedAction
+import mozilla.components.browser.state.action.TabListAction.RestoreAction.RestoreLocation
+import mozilla.components.browser.state.state.recover.TabState
+import mozilla.components.lib.state.ext.flowScoped
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.requireComponents
+
+/**
+ * Fragment listing the tabs kept by the [mozilla.components.feature.recentlyclosed.RecentlyClosedMiddleware].
+ * Restoring a tab brings back its back and forward history at its previous position in the tabs tray.
+ * Private tabs are never kept, which the screen points out.
+ */
+class RecentlyClosedFragment :
+    Fragment(),
+    MenuProvider {
+    private val adapter = RecentlyClosedAdapter(::onItemClicked, ::onItemRemoveClicked)
+
+    private val recentlyClosedList: RecyclerView
+        get() = requireView().findViewById(R.id.recently_closed_list)
+    private val recentlyClosedEmpty: TextView
+        get() = requireView().findViewById(R.id.recently_closed_empty)
+
+    override fun onCreateView(
+        inflater: LayoutInflater,
+        container: ViewGroup?,
+        savedInstanceState: Bundle?,
+    ): View? = inflater.inflate(R.layout.fragment_recently_closed, container, false)
+
+    override fun onViewCreated(
+        view: View,
+        savedInstanceState: Bundle?,
+    ) {
+        super.onViewCreated(view, savedInstanceState)
+
+        (activity as AppCompatActivity).title = getString(R.string.recently_closed)
+        recentlyClosedList.layoutManager = LinearLayoutManager(requireContext())
+        recentlyClosedList.adapter = adapter
+
+        requireActivity().addMenuProvider(this, viewLifecycleOwner, Lifecycle.State.RESUMED)
+
+        requireComponents.core.store.flowScoped(viewLifecycleOwner) { flow ->
+            flow
+                .map { state -> state.closedTabs }
+                .distinctUntilChanged()
+                .collect { closedTabs ->
+                    adapter.submitList(closedTabs)
+
+                    recentlyClosedList.visibility = if (closedTabs.isEmpty()) View.GONE else View.VISIBLE
+                    recentlyClosedEmpty.visibility = if (closedTabs.isEmpty()) View.VISIBLE else View.GONE
+                }
+        }
+    }
+
+    override fun onCreateMenu(
+        menu: Menu,
+        menuInflater: MenuInflater,
+    ) {
+        menuInflater.inflate(R.menu.recently_closed_menu, menu)
+    }
+
+    override fun onMenuItemSelected(menuItem: MenuItem): Boolean =
+        when (menuItem.itemId) {
+            R.id.recently_closed_remove_all -> {
+                requireComponents.core.store.dispatch(RecentlyClosedAction.RemoveAllClosedTabAction)
+                true
+            }
+
+            else -> false
+        }
+
+    private fun onItemClicked(tab: TabState) {
+        val components = requireComponents
+        val activity = requireActivity()
+
+        activity.lifecycleScope.launch {
+            val storage = components.core.lazyRecentlyClosedTabsStorage.value
+            components.useCases.tabsUseCases.restore(tab, storage.engineStateStorage(), RestoreLocation.AT_INDEX)
+            components.useCases.tabsUseCases.selectTab(tab.id)
+            components.core.store.dispatch(RecentlyClosedAction.RemoveClosedTabAction(tab))
+            activity.finish()
+        }
+    }
+
+    private fun onItemRemoveClicked(tab: TabState) {
+        requireComponents.core.store.dispatch(RecentlyClosedAction.RemoveClosedTabAction(tab))
+    }
+}
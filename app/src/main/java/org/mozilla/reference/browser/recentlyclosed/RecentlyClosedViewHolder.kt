@@ -0,0 +1,43 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.recentlyclosed
+
+import android.view.View
+import android.widget.ImageButton
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import mozilla.components.browser.state.state.recover.TabState
+import org.mozilla.reference.browser.R
+
+/**
+ * A closed tab in the list of recently closed tabs.
+ */
+class RecentlyClosedViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    private val title = itemView.findViewById<TextView>(R.id.recently_closed_item_title)
+    private val url = itemView.findViewById<TextView>(R.id.recently_closed_item_url)
+    private val remove = itemView.findViewById<ImageButton>(R.id.recently_closed_item_remove)
+
+    /**
+     * Shows the closed [tab], calling [onItemClicked] when it is tapped to restore it and
+     * [onItemRemoveClicked] when its remove button is tapped.
+     */
+    fun bind(
+        tab: TabState,
+        onItemClicked: (TabState) -> Unit,
+        onItemRemoveClicked: (TabState) -> Unit,
+    ) {
+        title.text = tab.title.ifEmpty { tab.url }
+        url.text = tab.url
+
+        remove.setOnClickListener { onItemRemoveClicked(tab) }
+        itemView.setOnClickListener { onItemClicked(tab) }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_recently_closed_item
+    }
+}
@@ -0,0 +1,54 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.restore
+
+import mozilla.components.browser.state.action.BrowserAction
+import mozilla.components.browser.state.action.ContentAction
+import mozilla.components.browser.state.action.CrashAction
+import mozilla.components.browser.state.action.CustomTabListAction
+import mozilla.components.browser.state.action.TabListAction
+import mozilla.components.browser.state.state.BrowserState
+import mozilla.components.lib.state.Middleware
+import mozilla.components.lib.state.MiddlewareContext
+import org.mozilla.reference.browser.tabs.CrashedTabs
+import org.mozilla.reference.browser.tabs.TabCrashedPage
+
+/**
+ * Lets [SessionRecovery] know whether a tab whose content process crashed is open: from the crash
+ * until the tab left the [TabCrashedPage] or was closed. Also forgets these tabs in [CrashedTabs]
+ * then.
+ */
+class ContentCrashMiddleware(
+    private val sessionRecovery: SessionRecovery,
+    private val crashedTabs: CrashedTabs,
+) : Middleware<BrowserState, BrowserAction> {
+    override fun invoke(
+        context: MiddlewareContext<BrowserState, BrowserAction>,
+        next: (BrowserAction) -> Unit,
+        action: BrowserAction,
+    ) {
+        next(action)
+
+        when (action) {
+            is TabListAction, is CustomTabListAction -> {
+                crashedTabs.retain(context.state.allTabs.map { it.id }.toSet())
+            }
+            is ContentAction.UpdateUrlAction -> {
+                if (!TabCrashedPage.isPage(action.url)) {
+                    crashedTabs.remove(action.sessionId)
+                }
+            }
+            is CrashAction -> Unit
+            else -> return
+        }
+
+        sessionRecovery.setContentCrashed(
+            context.state.allTabs.any { it.engineState.crashed || it.id in crashedTabs },
+        )
+    }
+
+    private val BrowserState.allTabs
+        get() = tabs + customTabs
+}
@@ -0,0 +1,58 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.restore
+
+import android.view.LayoutInflater
+import android.view.ViewGroup
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+import mozilla.components.browser.state.state.recover.RecoverableTab
+
+/**
+ * Adapter for the tabs of a crashed session, each with a checkbox for whether to restore it.
+ *
+ * @param onItemClicked Invoked when a tab is tapped, to toggle its checkbox.
+ */
+class RestoreSessionAdapter(
+    private val onItemClicked: (RecoverableTab) -> Unit,
+) : ListAdapter<RestoreSessionAdapter.Item, RestoreSessionViewHolder>(DiffCallback) {
+    /**
+     * A tab of the crashed session and whether it's checked for restoring.
+     */
+    data class Item(
+        val tab: RecoverableTab,
+        val isChecked: Boolean,
+    )
+
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): RestoreSessionViewHolder {
+        val itemView = LayoutInflater
+            .from(parent.context)
+            .inflate(RestoreSessionViewHolder.LAYOUT_ID, parent, false)
+
+        return RestoreSessionViewHolder(itemView)
+    }
+
+    override fun onBindViewHolder(
+        holder: RestoreSessionViewHolder,
+        position: Int,
+    ) {
+        holder.bind(getItem(position), onItemClicked)
+    }
+
+    private object DiffCallback : DiffUtil.ItemCallback<Item>() {
+        override fun areItemsTheSame(
+            oldItem: Item,
+            newItem: Item,
+        ) = oldItem.tab.state.id == newItem.tab.state.id
+
+        override fun areContentsTheSame(
+            oldItem: Item,
+            newItem: Item,
+        ) = oldItem == newItem
+    }
+}
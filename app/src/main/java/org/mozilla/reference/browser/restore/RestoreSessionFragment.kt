@@ -0,0 +1,124 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.restore
+
+import android.os.Bundle
+import android.view.LayoutInflater
+import android.view.View
+import android.view.ViewGroup
+import android.widget.Button
+import android.widget.TextView
+import androidx.fragment.app.Fragment
+import androidx.lifecycle.lifecycleScope
+import androidx.recyclerview.widget.LinearLayoutManager
+import androidx.recyclerview.widget.RecyclerView
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.launch
+import kotlinx.coroutines.withContext
+import mozilla.components.browser.state.state.recover.RecoverableTab
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.browser.BrowserFragment
+import org.mozilla.reference.browser.ext.requireComponents
+import org.mozilla.reference.browser.tabs.TabsTrayFragment
+
+/**
+ * Fragment shown instead of the browser after the previous session crashed. It lists the tabs of
+ * that session with checkboxes, so that the user can leave out a page that keeps crashing.
+ *
+ * After repeated crashes no restored tab is selected, so none of them loads before the user picks
+ * one from the tabs tray.
+ */
+class RestoreSessionFragment : Fragment() {
+    private val adapter = RestoreSessionAdapter(::onItemClicked)
+    private var tabs: List<RecoverableTab> = emptyList()
+    private var selectedTabId: String? = null
+    private var checkedTabIds: Set<String> = emptySet()
+
+    private val restoreSessionList: RecyclerView
+        get() = requireView().findViewById(R.id.restore_session_list)
+    private val restoreSessionMessage: TextView
+        get() = requireView().findViewById(R.id.restore_session_message)
+    private val restoreButton: Button
+        get() = requireView().findViewById(R.id.restore_session_restore)
+    private val startNewButton: Button
+        get() = requireView().findViewById(R.id.restore_session_start_new)
+
+    override fun onCreateView(
+        inflater: LayoutInflater,
+        container: ViewGroup?,
+        savedInstanceState: Bundle?,
+    ): View? = inflater.inflate(R.layout.fragment_restore_session, container, false)
+
+    override fun onViewCreated(
+        view: View,
+        savedInstanceState: Bundle?,
+    ) {
+        super.onViewCreated(view, savedInstanceState)
+
+        restoreSessionMessage.setText(
+            if (requireComponents.core.sessionRecovery.restoreUnloaded) {
+                R.string.restore_session_message_unloaded
+            } else {
+                R.string.restore_session_message
+            },
+        )
+        restoreSessionList.layoutManager = LinearLayoutManager(requireContext())
+        restoreSessionList.adapter = adapter
+
+        restoreButton.isEnabled = false
+        restoreButton.setOnClickListener { restoreCheckedTabs() }
+        startNewButton.setOnClickListener { finishRestore(hasRestoredTabs = false) }
+
+        val sessionStorage = requireComponents.core.sessionStorage
+        viewLifecycleOwner.lifecycleScope.launch {
+            val state = withContext(Dispatchers.IO) { sessionStorage.restore() }
+            tabs = state?.tabs.orEmpty()
+            selectedTabId = state?.selectedTabId
+            checkedTabIds = tabs.map { it.state.id }.toSet()
+            updateList()
+        }
+    }
+
+    private fun onItemClicked(tab: RecoverableTab) {
+        val id = tab.state.id
+        checkedTabIds = if (id in checkedTabIds) checkedTabIds - id else checkedTabIds + id
+        updateList()
+    }
+
+    private fun updateList() {
+        adapter.submitList(tabs.map { RestoreSessionAdapter.Item(it, it.state.id in checkedTabIds) })
+        restoreButton.isEnabled = checkedTabIds.isNotEmpty()
+    }
+
+    private fun restoreCheckedTabs() {
+        val components = requireComponents
+        val checkedTabs = tabs.filter { it.state.id in checkedTabIds }
+
+        // Keep the tab opened from another app meanwhile, if any, selected.
+        val selectTabId = when {
+            components.core.sessionRecovery.restoreUnloaded -> null
+            components.core.store.state.selectedTabId != null -> null
+            else -> selectedTabId?.takeIf { it in checkedTabIds } ?: checkedTabs.first().state.id
+        }
+        components.useCases.tabsUseCases.restore(checkedTabs, selectTabId)
+
+        finishRestore(hasRestoredTabs = true)
+    }
+
+    private fun finishRestore(hasRestoredTabs: Boolean) {
+        val sessionRecovery = requireComponents.core.sessionRecovery
+        sessionRecovery.finishRestore()
+
+        val fragment = if (hasRestoredTabs && sessionRecovery.restoreUnloaded) {
+            TabsTrayFragment()
+        } else {
+            BrowserFragment.create()
+        }
+        activity?.supportFragmentManager?.beginTransaction()?.apply {
+            replace(R.id.container, fragment)
+            commit()
+        }
+    }
+}
@@ -0,0 +1,43 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.restore
+
+import android.view.View
+import android.widget.CheckBox
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import mozilla.components.browser.state.state.recover.RecoverableTab
+import org.mozilla.reference.browser.R
+
+/**
+ * View holder for a tab of the crashed session in [RestoreSessionFragment], showing its title, URL
+ * and whether it's checked for restoring.
+ */
+class RestoreSessionViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    private val checkBox = itemView.findViewById<CheckBox>(R.id.restore_session_item_checkbox)
+    private val title = itemView.findViewById<TextView>(R.id.restore_session_item_title)
+    private val url = itemView.findViewById<TextView>(R.id.restore_session_item_url)
+
+    /**
+     * Shows the given [item], calling [onItemClicked] with its tab when it's clicked.
+     */
+    fun bind(
+        item: RestoreSessionAdapter.Item,
+        onItemClicked: (RecoverableTab) -> Unit,
+    ) {
+        val tab = item.tab.state
+        title.text = tab.title.ifEmpty { tab.url }
+        url.text = tab.url
+        checkBox.isChecked = item.isChecked
+
+        itemView.setOnClickListener { onItemClicked(item.tab) }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_restore_session_item
+    }
+}
@@ -0,0 +1,136 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.restore
+
+import android.app.Activity
+import android.app.Application
+import android.content.Context
+import android.os.Bundle
+import androidx.core.content.edit
+import kotlinx.coroutines.CompletableDeferred
+
+/**
+ * Detects whether the previous session ended with a crash, so the user gets to choose which tabs
+ * to restore instead of restoring straight into a page that keeps crashing.
+ *
+ * The app is considered to have crashed if it was killed while one of its activities was started,
+ * or if it ended with a tab whose content process crashed. Register this class for the activity
+ * lifecycle callbacks to track the former, and call [setContentCrashed] for the latter.
+ *
+ * Activities are tracked directly rather than through the process lifecycle, which reports the
+ * app as stopped only some time after its last activity stopped: the app swiped away from the
+ * recent apps within that time would otherwise be taken for a crash.
+ */
+class SessionRecovery(
+    context: Context,
+) : Application.ActivityLifecycleCallbacks {
+    private val preferences = context.getSharedPreferences(PREFERENCES_NAME, Context.MODE_PRIVATE)
+    private val restoreFinished = CompletableDeferred<Unit>()
+    private var startedActivities = 0
+    private var contentCrashed = false
+
+    /**
+     * The number of launches in a row that followed a crash, or 0 if the previous session ended cleanly.
+     */
+    var crashCount = 0
+        private set
+
+    /**
+     * Whether the user still has to choose which tabs of the crashed session to restore.
+     */
+    val isRestorePending: Boolean
+        get() = crashCount > 0 && !restoreFinished.isCompleted
+
+    /**
+     * Whether the app crashed repeatedly, in which case restored tabs are left unloaded until the
+     * user opens them.
+     */
+    val restoreUnloaded: Boolean
+        get() = crashCount >= REPEATED_CRASH_COUNT
+
+    /**
+     * Checks how the previous session ended. Must be called once on startup, before restoring tabs.
+     */
+    fun checkPreviousSession() {
+        val crashed = preferences.getBoolean(KEY_IN_FOREGROUND, false) ||
+            preferences.getBoolean(KEY_CONTENT_CRASHED, false)
+        crashCount = if (crashed) preferences.getInt(KEY_CRASH_COUNT, 0) + 1 else 0
+
+        preferences.edit {
+            putInt(KEY_CRASH_COUNT, crashCount)
+            putBoolean(KEY_IN_FOREGROUND, false)
+            putBoolean(KEY_CONTENT_CRASHED, false)
+        }
+    }
+
+    /**
+     * Suspends until the user chose which tabs to restore, if the previous session crashed.
+     */
+    suspend fun awaitRestore() {
+        if (crashCount > 0) {
+            restoreFinished.await()
+        }
+    }
+
+    /**
+     * Called once the tabs the user chose were restored.
+     */
+    fun finishRestore() {
+        restoreFinished.complete(Unit)
+    }
+
+    /**
+     * Records whether a tab is open whose content process crashed. Once the crashed tabs were
+     * recovered or closed this must be called again with false, so that a clean exit afterwards
+     * isn't taken for a crash.
+     */
+    @Synchronized
+    fun setContentCrashed(crashed: Boolean) {
+        if (crashed != contentCrashed) {
+            contentCrashed = crashed
+            preferences.edit { putBoolean(KEY_CONTENT_CRASHED, crashed) }
+        }
+    }
+
+    override fun onActivityStarted(activity: Activity) {
+        startedActivities++
+        if (startedActivities == 1) {
+            // Written synchronously, since a crash right after might otherwise lose the write.
+            preferences.edit(commit = true) { putBoolean(KEY_IN_FOREGROUND, true) }
+        }
+    }
+
+    override fun onActivityStopped(activity: Activity) {
+        startedActivities--
+        if (startedActivities == 0) {
+            // Written synchronously, since the app may be killed right after being swiped away.
+            preferences.edit(commit = true) { putBoolean(KEY_IN_FOREGROUND, false) }
+        }
+    }
+
+    override fun onActivityCreated(
+        activity: Activity,
+        savedInstanceState: Bundle?,
+    ) = Unit
+
+    override fun onActivityResumed(activity: Activity) = Unit
+
+    override fun onActivityPaused(activity: Activity) = Unit
+
+    override fun onActivitySaveInstanceState(
+        activity: Activity,
+        outState: Bundle,
+    ) = Unit
+
+    override fun onActivityDestroyed(activity: Activity) = Unit
+
+    companion object {
+        private const val PREFERENCES_NAME = "session_recovery"
+        private const val KEY_IN_FOREGROUND = "in_foreground"
+        private const val KEY_CONTENT_CRASHED = "content_crashed"
+        private const val KEY_CRASH_COUNT = "crash_count"
+        private const val REPEATED_CRASH_COUNT = 2
+    }
+}
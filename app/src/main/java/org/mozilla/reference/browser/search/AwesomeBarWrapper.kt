@@ -6,17 +6,27 @@ package org.mozilla.reference.browser.search
 
 import android.content.Context
 import android.util.AttributeSet
+import androidx.compose.foundation.layout.Box
+import androidx.compose.foundation.layout.Column
 import androidx.compose.runtime.Composable
+import androidx.compose.runtime.collectAsState
+import androidx.compose.runtime.getValue
 import androidx.compose.runtime.mutableStateOf
+import androidx.compose.runtime.remember
+import androidx.compose.ui.Modifier
 import androidx.compose.ui.graphics.Color
 import androidx.compose.ui.platform.AbstractComposeView
+import mozilla.components.browser.state.search.SearchEngine
 import mozilla.components.compose.browser.awesomebar.AwesomeBar
 import mozilla.components.compose.browser.awesomebar.AwesomeBarDefaults
 import mozilla.components.compose.browser.awesomebar.AwesomeBarOrientation
 import mozilla.components.concept.awesomebar.AwesomeBar
 import mozilla.components.concept.awesomebar.AwesomeBar.GroupedSuggestion
 import mozilla.components.support.ktx.android.view.hideKeyboard
+import org.mozilla.reference.browser.commands.BrowserCommands
+import org.mozilla.reference.browser.commands.CommandSuggestionProvider
 import org.mozilla.reference.browser.ext.components
+import org.mozilla.reference.browser.suggestions.RankedSuggestionProvider
 
 /**
  * This wrapper wraps the `AwesomeBar()` composable and exposes it as a `View` and `concept-awesomebar`
@@ -34,41 +44,68 @@ class AwesomeBarWrapper
     private val providers = mutableStateOf(emptyList<AwesomeBar.SuggestionProvider>())
     private val text = mutableStateOf("")
     private val hiddenSuggestions = mutableStateOf(emptySet<GroupedSuggestion>())
+    private val searchEngines = mutableStateOf(emptyList<SearchEngine>())
     private var onEditSuggestionListener: ((String) -> Unit)? = null
     private var onStopListener: (() -> Unit)? = null
     private var onSuggestionRemovedListener: ((GroupedSuggestion) -> Unit)? = null
+    private var onSearchEngineClickedListener: ((SearchEngine, String) -> Unit)? = null
 
     @Composable
     @Suppress("MagicNumber")
     override fun Content() {
+        val providerSettings by context.components.core.suggestionSettingsStorage.providers.collectAsState()
         if (providers.value.isEmpty()) {
             return
         }
 
-        AwesomeBar(
-            text = text.value,
-            providers = providers.value,
-            hiddenSuggestions = hiddenSuggestions.value,
-            orientation = AwesomeBarOrientation.BOTTOM,
-            colors = AwesomeBarDefaults.colors(
-                background = Color(0xff222222),
-                title = Color(0xffffffff),
-                description = Color(0xffdddddd),
-                autocompleteIcon = Color(0xffdddddd),
-            ),
-            onSuggestionClicked = { suggestion ->
-                suggestion.onSuggestionClicked?.invoke()
-                onStopListener?.invoke()
-            },
-            onAutoComplete = { suggestion ->
-                onEditSuggestionListener?.invoke(suggestion.editSuggestion!!)
-            },
-            onScroll = { hideKeyboard() },
-            onRemoveClicked = {
-                onSuggestionRemovedListener?.invoke(it)
-            },
-            profiler = context.components.core.engine.profiler,
-        )
+        // The providers are ordered, limited and left out as set by the user.
+        val rankedProviders = remember(providers.value, providerSettings) {
+            RankedSuggestionProvider.rank(providers.value, providerSettings)
+        }
+
+        // The command palette replaces all other suggestions.
+        val isCommand = text.value.startsWith(BrowserCommands.PREFIX)
+        val shownProviders = if (isCommand) {
+            providers.value.filterIsInstance<CommandSuggestionProvider>()
+        } else {
+            rankedProviders
+        }
+
+        Column {
+            if (!isCommand && text.value.isNotBlank() && searchEngines.value.isNotEmpty()) {
+                SearchEngineShortcuts(searchEngines.value) { searchEngine ->
+                    onSearchEngineClickedListener?.invoke(searchEngine, text.value)
+                    onStopListener?.invoke()
+                }
+            }
+
+            Box(modifier = Modifier.weight(1f)) {
+                AwesomeBar(
+                    text = text.value,
+                    providers = shownProviders,
+                    hiddenSuggestions = hiddenSuggestions.value,
+                    orientation = AwesomeBarOrientation.BOTTOM,
+                    colors = AwesomeBarDefaults.colors(
+                        background = Color(0xff222222),
+                        title = Color(0xffffffff),
+                        description = Color(0xffdddddd),
+                        autocompleteIcon = Color(0xffdddddd),
+                    ),
+                    onSuggestionClicked = { suggestion ->
+                        suggestion.onSuggestionClicked?.invoke()
+                        onStopListener?.invoke()
+                    },
+                    onAutoComplete = { suggestion ->
+                        onEditSuggestionListener?.invoke(suggestion.editSuggestion!!)
+                    },
+                    onScroll = { hideKeyboard() },
+                    onRemoveClicked = {
+                        onSuggestionRemovedListener?.invoke(it)
+                    },
+                    profiler = context.components.core.engine.profiler,
+                )
+            }
+        }
     }
 
     override fun addProviders(vararg providers: AwesomeBar.SuggestionProvider) {
@@ -111,6 +148,22 @@ class AwesomeBarWrapper
         this.hiddenSuggestions.value = hiddenSuggestions
     }
 
+    /**
+     * Sets the search engines offered as shortcuts above the suggestions, to search for the
+     * entered text with another engine than the default one.
+     */
+    fun setSearchEngines(searchEngines: List<SearchEngine>) {
+        this.searchEngines.value = searchEngines
+    }
+
+    /**
+     * Sets the listener invoked with the entered text when one of the search engine shortcuts
+     * is tapped.
+     */
+    fun setOnSearchEngineClickedListener(listener: (SearchEngine, String) -> Unit) {
+        onSearchEngineClickedListener = listener
+    }
+
     /**
      * Hide a new search suggestion.
      *
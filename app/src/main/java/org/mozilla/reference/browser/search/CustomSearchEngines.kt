@@ -0,0 +1,57 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import androidx.core.net.toUri
+import mozilla.components.browser.icons.BrowserIcons
+import mozilla.components.browser.icons.IconRequest
+import mozilla.components.browser.state.search.SearchEngine
+import mozilla.components.feature.search.ext.createSearchEngine
+
+/**
+ * Creates the search engines added by the user, either from a URL template or from an OpenSearch
+ * description found on a visited page.
+ */
+object CustomSearchEngines {
+    /**
+     * The placeholder for the search terms in the URL templates entered by the user.
+     */
+    const val PLACEHOLDER = "%s"
+
+    private const val SEARCH_TERMS = "{searchTerms}"
+
+    /**
+     * Returns whether [template] is an HTTP(S) URL containing the search terms, either as `%s` or
+     * as `{searchTerms}`.
+     */
+    fun isValidTemplate(template: String): Boolean {
+        val url = toSearchEngineTemplate(template)
+        return url.toUri().scheme in listOf("http", "https") && url.contains(SEARCH_TERMS)
+    }
+
+    /**
+     * Creates a search engine named [name], loading its results from [template] and its
+     * suggestions from [suggestTemplate], if any. The engine gets the icon of the site at
+     * [iconUrl], the site of [template] by default.
+     */
+    suspend fun create(
+        icons: BrowserIcons,
+        name: String,
+        template: String,
+        suggestTemplate: String? = null,
+        iconUrl: String = template,
+    ): SearchEngine {
+        val icon = icons.loadIcon(IconRequest(iconUrl)).await()
+
+        return createSearchEngine(
+            name = name,
+            url = toSearchEngineTemplate(template),
+            icon = icon.bitmap,
+            suggestUrl = suggestTemplate?.let { toSearchEngineTemplate(it) },
+        )
+    }
+
+    private fun toSearchEngineTemplate(template: String) = template.replace(PLACEHOLDER, SEARCH_TERMS)
+}
@@ -0,0 +1,90 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import kotlinx.coroutines.CoroutineScope
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.cancel
+import kotlinx.coroutines.flow.distinctUntilChanged
+import kotlinx.coroutines.flow.map
+import mozilla.components.browser.state.search.SearchEngine
+import mozilla.components.browser.state.state.selectedOrDefaultSearchEngine
+import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.concept.awesomebar.AwesomeBar
+import mozilla.components.concept.engine.Engine
+import mozilla.components.concept.fetch.Client
+import mozilla.components.feature.awesomebar.provider.SearchSuggestionProvider
+import mozilla.components.feature.search.SearchUseCases
+import mozilla.components.lib.state.ext.flowScoped
+import mozilla.components.support.base.feature.LifecycleAwareFeature
+
+/**
+ * Shows the suggestions of every custom search engine exposing a suggestions URL in the
+ * [awesomeBar], below a header with the name of the engine. Picking one of them searches with that
+ * engine. The default engine is left out, since its suggestions are already shown.
+ */
+class CustomSearchSuggestionsIntegration(
+    private val awesomeBar: AwesomeBar,
+    private val store: BrowserStore,
+    private val searchUseCase: SearchUseCases.SearchUseCase,
+    private val fetchClient: Client,
+    private val engine: Engine,
+) : LifecycleAwareFeature {
+    private var scope: CoroutineScope? = null
+    private var providers: List<AwesomeBar.SuggestionProvider> = emptyList()
+
+    override fun start() {
+        scope = store.flowScoped(dispatcher = Dispatchers.Main) { flow ->
+            flow
+                .map { state ->
+                    val defaultId = state.search.selectedOrDefaultSearchEngine?.id
+                    state.search.customSearchEngines.filter { it.suggestUrl != null && it.id != defaultId }
+                }.distinctUntilChanged()
+                .collect { searchEngines -> updateProviders(searchEngines) }
+        }
+    }
+
+    override fun stop() {
+        scope?.cancel()
+    }
+
+    private fun updateProviders(searchEngines: List<SearchEngine>) {
+        awesomeBar.removeProviders(*providers.toTypedArray())
+
+        providers = searchEngines.map { searchEngine ->
+            SearchSuggestionProvider(
+                searchEngine = searchEngine,
+                searchUseCase = SearchWithEngineUseCase(searchEngine),
+                fetchClient = fetchClient,
+                limit = SUGGESTIONS_LIMIT,
+                mode = SearchSuggestionProvider.Mode.MULTIPLE_SUGGESTIONS,
+                engine = engine,
+                icon = searchEngine.icon,
+                filterExactMatch = true,
+                suggestionsHeader = searchEngine.name,
+            )
+        }
+        awesomeBar.addProviders(*providers.toTypedArray())
+    }
+
+    /**
+     * Searches with the given [searchEngine] instead of the default one.
+     */
+    private inner class SearchWithEngineUseCase(
+        private val searchEngine: SearchEngine,
+    ) : SearchUseCases.SearchUseCase {
+        override fun invoke(
+            searchTerms: String,
+            searchEngine: SearchEngine?,
+            parentSessionId: String?,
+        ) {
+            searchUseCase.invoke(searchTerms, searchEngine ?: this.searchEngine, parentSessionId)
+        }
+    }
+
+    companion object {
+        private const val SUGGESTIONS_LIMIT = 3
+    }
+}
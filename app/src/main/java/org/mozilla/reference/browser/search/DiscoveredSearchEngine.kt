@@ -0,0 +1,19 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+/**
+ * A search engine offered by a visited page with an OpenSearch `<link rel="search">` tag.
+ *
+ * @property title The title of the link, used as the name of the engine until its description
+ * gets downloaded.
+ * @property descriptionUrl The URL of the OpenSearch description document of the engine.
+ * @property pageUrl The URL of the page offering the engine.
+ */
+data class DiscoveredSearchEngine(
+    val title: String,
+    val descriptionUrl: String,
+    val pageUrl: String,
+)
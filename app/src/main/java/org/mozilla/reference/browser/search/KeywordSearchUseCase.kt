@@ -0,0 +1,63 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import android.net.Uri
+import kotlinx.coroutines.CoroutineScope
+import kotlinx.coroutines.launch
+import mozilla.components.browser.state.search.SearchEngine
+import mozilla.components.concept.storage.BookmarksStorage
+import mozilla.components.feature.search.SearchUseCases
+import mozilla.components.feature.session.SessionUseCases
+
+/**
+ * Searches like [searchUseCase], unless the search terms start with a keyword from
+ * [keywordStorage]. The rest of the terms are then searched with the engine of the keyword, or
+ * put in place of `%s` in the URL of the bookmark with the keyword, which gets loaded.
+ */
+class KeywordSearchUseCase(
+    private val keywordStorage: SearchKeywordStorage,
+    private val bookmarksStorage: BookmarksStorage,
+    private val searchUseCase: SearchUseCases.SearchUseCase,
+    private val loadUrlUseCase: SessionUseCases.DefaultLoadUrlUseCase,
+    private val scope: CoroutineScope,
+) : SearchUseCases.SearchUseCase {
+    override fun invoke(
+        searchTerms: String,
+        searchEngine: SearchEngine?,
+        parentSessionId: String?,
+    ) {
+        if (searchEngine != null) {
+            searchUseCase.invoke(searchTerms, searchEngine, parentSessionId)
+            return
+        }
+
+        val text = searchTerms.trim()
+        val keyword = text.substringBefore(' ')
+        val query = text.substringAfter(' ', missingDelimiterValue = "").trim()
+
+        val keywordEngine = keywordStorage.findSearchEngine(keyword)
+        if (keywordEngine != null && query.isNotEmpty()) {
+            searchUseCase.invoke(query, keywordEngine, parentSessionId)
+            return
+        }
+
+        val bookmarkGuid = keywordStorage.findBookmarkGuid(keyword)
+        if (bookmarkGuid == null) {
+            searchUseCase.invoke(searchTerms, null, parentSessionId)
+            return
+        }
+
+        scope.launch {
+            val url = bookmarksStorage.getBookmark(bookmarkGuid)?.url
+            if (url != null) {
+                loadUrlUseCase.invoke(url.replace(CustomSearchEngines.PLACEHOLDER, Uri.encode(query)))
+            } else {
+                // The bookmark was deleted since.
+                searchUseCase.invoke(searchTerms, null, parentSessionId)
+            }
+        }
+    }
+}
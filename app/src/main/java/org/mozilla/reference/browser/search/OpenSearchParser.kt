@@ -0,0 +1,79 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import android.util.Xml
+import org.xmlpull.v1.XmlPullParser
+import org.xmlpull.v1.XmlPullParserException
+
+/**
+ * Parses OpenSearch description documents, as linked to by pages offering a search engine.
+ */
+object OpenSearchParser {
+    /**
+     * The parts of an OpenSearch description needed to create a search engine. Both URLs are
+     * templates in which `{searchTerms}` stands for the search terms.
+     */
+    data class Description(
+        val name: String,
+        val searchUrl: String,
+        val suggestUrl: String?,
+    )
+
+    private const val TYPE_RESULTS = "text/html"
+    private const val TYPE_SUGGESTIONS = "application/x-suggestions+json"
+
+    // Optional parameters, like {startPage?}, which are left empty.
+    private val OPTIONAL_PARAMETER = Regex("\\{[^}]*\\?\\}")
+
+    /**
+     * Returns the description in [xml], or null if it doesn't describe an engine whose results can
+     * be loaded with a GET request.
+     *
+     * @throws XmlPullParserException if [xml] isn't a valid XML document.
+     */
+    fun parse(xml: String): Description? {
+        val parser = Xml.newPullParser()
+        parser.setFeature(XmlPullParser.FEATURE_PROCESS_NAMESPACES, true)
+        parser.setInput(xml.reader())
+
+        var name: String? = null
+        var searchUrl: String? = null
+        var suggestUrl: String? = null
+
+        while (parser.next() != XmlPullParser.END_DOCUMENT) {
+            if (parser.eventType != XmlPullParser.START_TAG) {
+                continue
+            }
+
+            when (parser.name) {
+                "ShortName" -> name = parser.nextText().trim()
+                "Url" -> {
+                    val method = parser.getAttributeValue(null, "method") ?: "get"
+                    val template = parser.getAttributeValue(null, "template")
+                    if (!method.equals("get", ignoreCase = true) || template == null) {
+                        continue
+                    }
+
+                    when (parser.getAttributeValue(null, "type")) {
+                        TYPE_RESULTS -> searchUrl = searchUrl ?: normalize(template)
+                        TYPE_SUGGESTIONS -> suggestUrl = suggestUrl ?: normalize(template)
+                    }
+                }
+            }
+        }
+
+        if (name.isNullOrEmpty() || searchUrl == null || !CustomSearchEngines.isValidTemplate(searchUrl)) {
+            return null
+        }
+        return Description(name, searchUrl, suggestUrl?.takeIf { CustomSearchEngines.isValidTemplate(it) })
+    }
+
+    private fun normalize(template: String): String =
+        template
+            .replace("{inputEncoding}", "UTF-8")
+            .replace("{outputEncoding}", "UTF-8")
+            .replace(OPTIONAL_PARAMETER, "")
+}
@@ -0,0 +1,176 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import androidx.core.net.toUri
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.flow.MutableStateFlow
+import kotlinx.coroutines.flow.StateFlow
+import kotlinx.coroutines.flow.asStateFlow
+import kotlinx.coroutines.flow.distinctUntilChanged
+import kotlinx.coroutines.flow.map
+import kotlinx.coroutines.flow.update
+import kotlinx.coroutines.withContext
+import mozilla.components.browser.icons.BrowserIcons
+import mozilla.components.browser.state.search.SearchEngine
+import mozilla.components.browser.state.selector.findTabOrCustomTab
+import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.concept.engine.Engine
+import mozilla.components.concept.engine.EngineSession
+import mozilla.components.concept.engine.webextension.MessageHandler
+import mozilla.components.concept.fetch.Client
+import mozilla.components.concept.fetch.Request
+import mozilla.components.concept.fetch.isSuccess
+import mozilla.components.lib.state.ext.flowScoped
+import mozilla.components.support.base.log.logger.Logger
+import mozilla.components.support.webextensions.WebExtensionController
+import org.json.JSONArray
+import org.json.JSONObject
+import org.xmlpull.v1.XmlPullParserException
+import java.io.IOException
+
+/**
+ * Collects the search engines offered by the pages visited in normal tabs, found by a built-in
+ * web extension looking for OpenSearch `<link rel="search">` tags.
+ */
+class SearchEngineDetector(
+    private val store: BrowserStore,
+    private val client: Client,
+    private val icons: BrowserIcons,
+) {
+    private val logger = Logger("SearchEngineDetector")
+
+    private val extensionController = WebExtensionController(EXTENSION_ID, EXTENSION_URL, MESSAGING_ID)
+
+    private val discoveredFlow = MutableStateFlow<List<DiscoveredSearchEngine>>(emptyList())
+
+    // The description URLs of the engines the user added or dismissed, which aren't offered again.
+    private val dismissedUrls = mutableSetOf<String>()
+
+    /**
+     * The search engines found since the app started, most recently visited first.
+     */
+    val discovered: StateFlow<List<DiscoveredSearchEngine>> = discoveredFlow.asStateFlow()
+
+    /**
+     * Installs the built-in search engine detection extension into the [engine].
+     */
+    fun install(engine: Engine) {
+        extensionController.install(
+            engine,
+            onSuccess = { registerContentMessageHandlers() },
+            onError = { throwable ->
+                logger.error("Could not install search engine detection extension", throwable)
+            },
+        )
+    }
+
+    /**
+     * Downloads the OpenSearch description of the [discovered] engine and returns the search
+     * engine it describes, or null if it couldn't be downloaded or doesn't describe a usable engine.
+     */
+    suspend fun fetch(discovered: DiscoveredSearchEngine): SearchEngine? {
+        val description = withContext(Dispatchers.IO) {
+            try {
+                client.fetch(Request(discovered.descriptionUrl)).use { response ->
+                    if (response.isSuccess) OpenSearchParser.parse(response.body.string()) else null
+                }
+            } catch (e: IOException) {
+                logger.warn("Failed to download OpenSearch description", e)
+                null
+            } catch (e: XmlPullParserException) {
+                logger.warn("Failed to parse OpenSearch description", e)
+                null
+            }
+        } ?: return null
+
+        return CustomSearchEngines.create(
+            icons,
+            description.name,
+            description.searchUrl,
+            description.suggestUrl,
+            iconUrl = discovered.pageUrl,
+        )
+    }
+
+    /**
+     * Stops offering the [discovered] engine, once the user added or dismissed it.
+     */
+    fun dismiss(discovered: DiscoveredSearchEngine) {
+        dismissedUrls += discovered.descriptionUrl
+        discoveredFlow.update { engines -> engines.filter { it.descriptionUrl != discovered.descriptionUrl } }
+    }
+
+    private fun onDiscovered(
+        tabId: String,
+        pageUrl: String,
+        links: JSONArray,
+    ) {
+        val tab = store.state.findTabOrCustomTab(tabId)
+        if (tab == null || tab.content.private) {
+            return
+        }
+
+        val engines = (0 until links.length())
+            .map { links.getJSONObject(it) }
+            .map { link ->
+                DiscoveredSearchEngine(
+                    title = link.optString("title").ifEmpty { pageUrl.toUri().host ?: pageUrl },
+                    descriptionUrl = link.getString("url"),
+                    pageUrl = pageUrl,
+                )
+            }.filter { it.descriptionUrl !in dismissedUrls }
+
+        discoveredFlow.update { discovered ->
+            engines + discovered.filter { old -> engines.none { it.descriptionUrl == old.descriptionUrl } }
+        }
+    }
+
+    private fun registerContentMessageHandlers() {
+        store.flowScoped { flow ->
+            flow
+                .map { state ->
+                    (state.tabs + state.customTabs).mapNotNull { tab ->
+                        tab.engineState.engineSession?.let { tab.id to it }
+                    }
+                }.distinctUntilChanged()
+                .collect { sessions ->
+                    sessions.forEach { (tabId, engineSession) ->
+                        if (!extensionController.hasContentMessageHandler(engineSession)) {
+                            extensionController.registerContentMessageHandler(
+                                engineSession,
+                                ContentMessageHandler(tabId),
+                            )
+                        }
+                    }
+                }
+        }
+    }
+
+    /**
+     * Receives the engines found by the extension's content script running in the tab with the
+     * given [tabId].
+     */
+    private inner class ContentMessageHandler(
+        private val tabId: String,
+    ) : MessageHandler {
+        override fun onMessage(
+            message: Any,
+            source: EngineSession?,
+        ): Any? {
+            val request = message as? JSONObject ?: return null
+            if (request.optString("type") == "opensearch") {
+                onDiscovered(tabId, request.getString("pageUrl"), request.getJSONArray("links"))
+            }
+            return null
+        }
+    }
+
+    companion object {
+        private const val EXTENSION_ID = "searchdetector@navigatr"
+        private const val EXTENSION_URL = "resource://android/assets/extensions/searchdetector/"
+        private const val MESSAGING_ID = "searchdetector"
+    }
+}
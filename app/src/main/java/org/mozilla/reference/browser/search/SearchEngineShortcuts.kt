@@ -0,0 +1,51 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import androidx.compose.foundation.Image
+import androidx.compose.foundation.background
+import androidx.compose.foundation.clickable
+import androidx.compose.foundation.horizontalScroll
+import androidx.compose.foundation.layout.Row
+import androidx.compose.foundation.layout.fillMaxWidth
+import androidx.compose.foundation.layout.padding
+import androidx.compose.foundation.layout.size
+import androidx.compose.foundation.rememberScrollState
+import androidx.compose.runtime.Composable
+import androidx.compose.ui.Modifier
+import androidx.compose.ui.graphics.Color
+import androidx.compose.ui.graphics.asImageBitmap
+import androidx.compose.ui.unit.dp
+import mozilla.components.browser.state.search.SearchEngine
+
+/**
+ * A row with the icon of every search engine in [searchEngines]. Tapping one of them calls
+ * [onSearchEngineClicked], to search for the text in the URL bar with that engine just once.
+ */
+@Composable
+@Suppress("MagicNumber")
+fun SearchEngineShortcuts(
+    searchEngines: List<SearchEngine>,
+    onSearchEngineClicked: (SearchEngine) -> Unit,
+) {
+    Row(
+        modifier = Modifier
+            .fillMaxWidth()
+            .background(Color(0xff222222))
+            .horizontalScroll(rememberScrollState())
+            .padding(horizontal = 8.dp),
+    ) {
+        searchEngines.forEach { searchEngine ->
+            Image(
+                bitmap = searchEngine.icon.asImageBitmap(),
+                contentDescription = searchEngine.name,
+                modifier = Modifier
+                    .clickable { onSearchEngineClicked(searchEngine) }
+                    .padding(8.dp)
+                    .size(24.dp),
+            )
+        }
+    }
+}
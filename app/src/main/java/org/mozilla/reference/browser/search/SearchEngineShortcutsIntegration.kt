@@ -0,0 +1,47 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import kotlinx.coroutines.CoroutineScope
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.cancel
+import kotlinx.coroutines.flow.distinctUntilChanged
+import kotlinx.coroutines.flow.map
+import mozilla.components.browser.state.state.selectedOrDefaultSearchEngine
+import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.feature.search.SearchUseCases
+import mozilla.components.lib.state.ext.flowScoped
+import mozilla.components.support.base.feature.LifecycleAwareFeature
+
+/**
+ * Offers every installed search engine but the default one as a shortcut in the [awesomeBar],
+ * searching for the entered text with that engine without changing the default one.
+ */
+class SearchEngineShortcutsIntegration(
+    private val awesomeBar: AwesomeBarWrapper,
+    private val store: BrowserStore,
+    private val searchUseCase: SearchUseCases.SearchUseCase,
+) : LifecycleAwareFeature {
+    private var scope: CoroutineScope? = null
+
+    override fun start() {
+        awesomeBar.setOnSearchEngineClickedListener { searchEngine, text ->
+            searchUseCase.invoke(text, searchEngine, parentSessionId = null)
+        }
+
+        scope = store.flowScoped(dispatcher = Dispatchers.Main) { flow ->
+            flow
+                .map { state ->
+                    val defaultId = state.search.selectedOrDefaultSearchEngine?.id
+                    (state.search.regionSearchEngines + state.search.customSearchEngines).filter { it.id != defaultId }
+                }.distinctUntilChanged()
+                .collect { searchEngines -> awesomeBar.setSearchEngines(searchEngines) }
+        }
+    }
+
+    override fun stop() {
+        scope?.cancel()
+    }
+}
@@ -0,0 +1,111 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import android.view.View
+import android.widget.ImageButton
+import android.widget.ImageView
+import android.widget.RadioButton
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import mozilla.components.browser.state.search.SearchEngine
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.search.SearchEnginesAdapter.AdapterItem
+
+/**
+ * View holder for an item of [SearchEnginesAdapter], with a subclass for every kind of [AdapterItem].
+ */
+sealed class SearchEngineViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    /**
+     * Shows the given [item], which is of the kind this view holder was created for.
+     */
+    abstract fun bind(item: AdapterItem)
+
+    /**
+     * View holder for the header of a group of engines.
+     */
+    class HeaderViewHolder(
+        itemView: View,
+    ) : SearchEngineViewHolder(itemView) {
+        private val title = itemView.findViewById<TextView>(R.id.search_engine_header_title)
+
+        override fun bind(item: AdapterItem) {
+            title.setText((item as AdapterItem.Header).titleResId)
+        }
+
+        companion object {
+            val LAYOUT_ID = R.layout.view_search_engine_header
+        }
+    }
+
+    /**
+     * View holder for a search engine the user can search with, which can be made the default,
+     * get a keyword, and be removed if the user added it.
+     */
+    class InstalledViewHolder(
+        itemView: View,
+        private val onSearchEngineClicked: (SearchEngine) -> Unit,
+        private val onKeywordClicked: (SearchEngine) -> Unit,
+        private val onRemoveClicked: (SearchEngine) -> Unit,
+    ) : SearchEngineViewHolder(itemView) {
+        private val isDefault = itemView.findViewById<RadioButton>(R.id.search_engine_default)
+        private val icon = itemView.findViewById<ImageView>(R.id.search_engine_icon)
+        private val name = itemView.findViewById<TextView>(R.id.search_engine_name)
+        private val url = itemView.findViewById<TextView>(R.id.search_engine_url)
+        private val keyword = itemView.findViewById<TextView>(R.id.search_engine_keyword)
+        private val remove = itemView.findViewById<ImageButton>(R.id.search_engine_remove)
+
+        override fun bind(item: AdapterItem) {
+            val searchEngine = (item as AdapterItem.Installed).searchEngine
+
+            isDefault.isChecked = item.isDefault
+            icon.setImageBitmap(searchEngine.icon)
+            name.text = searchEngine.name
+
+            // Only the URLs of custom engines are shown, so that the user can tell them apart.
+            url.text = searchEngine.resultUrls.firstOrNull()
+            url.visibility = if (item.isCustom) View.VISIBLE else View.GONE
+            remove.visibility = if (item.isCustom) View.VISIBLE else View.GONE
+            remove.setOnClickListener { onRemoveClicked(searchEngine) }
+
+            keyword.text = item.keyword ?: itemView.context.getString(R.string.search_engine_keyword)
+            keyword.setOnClickListener { onKeywordClicked(searchEngine) }
+
+            itemView.setOnClickListener { onSearchEngineClicked(searchEngine) }
+        }
+
+        companion object {
+            val LAYOUT_ID = R.layout.view_search_engine_item
+        }
+    }
+
+    /**
+     * View holder for a search engine offered by a visited page, which can be added.
+     */
+    class DiscoveredViewHolder(
+        itemView: View,
+        private val onAddClicked: (DiscoveredSearchEngine) -> Unit,
+    ) : SearchEngineViewHolder(itemView) {
+        private val title = itemView.findViewById<TextView>(R.id.discovered_search_engine_title)
+        private val page = itemView.findViewById<TextView>(R.id.discovered_search_engine_page)
+        private val add = itemView.findViewById<ImageButton>(R.id.discovered_search_engine_add)
+
+        override fun bind(item: AdapterItem) {
+            val searchEngine = (item as AdapterItem.Discovered).searchEngine
+
+            title.text = searchEngine.title
+            page.text = searchEngine.pageUrl
+
+            add.setOnClickListener { onAddClicked(searchEngine) }
+            itemView.setOnClickListener { onAddClicked(searchEngine) }
+        }
+
+        companion object {
+            val LAYOUT_ID = R.layout.view_discovered_search_engine_item
+        }
+    }
+}
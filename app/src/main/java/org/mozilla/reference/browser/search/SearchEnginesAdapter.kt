@@ -0,0 +1,113 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import android.view.LayoutInflater
+import android.view.ViewGroup
+import androidx.annotation.StringRes
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+import mozilla.components.browser.state.search.SearchEngine
+import org.mozilla.reference.browser.search.SearchEngineViewHolder.DiscoveredViewHolder
+import org.mozilla.reference.browser.search.SearchEngineViewHolder.HeaderViewHolder
+import org.mozilla.reference.browser.search.SearchEngineViewHolder.InstalledViewHolder
+
+/**
+ * Adapter for the search engines, grouped under a header for the built-in engines, the engines
+ * added by the user and the engines offered by visited pages.
+ *
+ * @param onSearchEngineClicked Invoked when an installed engine is tapped, to make it the default.
+ * @param onKeywordClicked Invoked when the keyword of an installed engine is tapped, to edit it.
+ * @param onRemoveClicked Invoked when the remove button of a custom engine is tapped.
+ * @param onAddClicked Invoked when an engine offered by a visited page is tapped.
+ */
+class SearchEnginesAdapter(
+    private val onSearchEngineClicked: (SearchEngine) -> Unit,
+    private val onKeywordClicked: (SearchEngine) -> Unit,
+    private val onRemoveClicked: (SearchEngine) -> Unit,
+    private val onAddClicked: (DiscoveredSearchEngine) -> Unit,
+) : ListAdapter<SearchEnginesAdapter.AdapterItem, SearchEngineViewHolder>(DiffCallback) {
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): SearchEngineViewHolder {
+        val itemView = LayoutInflater.from(parent.context).inflate(viewType, parent, false)
+
+        return when (viewType) {
+            HeaderViewHolder.LAYOUT_ID -> HeaderViewHolder(itemView)
+            InstalledViewHolder.LAYOUT_ID ->
+                InstalledViewHolder(itemView, onSearchEngineClicked, onKeywordClicked, onRemoveClicked)
+            DiscoveredViewHolder.LAYOUT_ID -> DiscoveredViewHolder(itemView, onAddClicked)
+            else -> throw IllegalStateException()
+        }
+    }
+
+    override fun onBindViewHolder(
+        holder: SearchEngineViewHolder,
+        position: Int,
+    ) {
+        holder.bind(getItem(position))
+    }
+
+    override fun getItemViewType(position: Int): Int =
+        when (getItem(position)) {
+            is AdapterItem.Header -> HeaderViewHolder.LAYOUT_ID
+            is AdapterItem.Installed -> InstalledViewHolder.LAYOUT_ID
+            is AdapterItem.Discovered -> DiscoveredViewHolder.LAYOUT_ID
+        }
+
+    private object DiffCallback : DiffUtil.ItemCallback<AdapterItem>() {
+        override fun areItemsTheSame(
+            oldItem: AdapterItem,
+            newItem: AdapterItem,
+        ) = when {
+            oldItem is AdapterItem.Header && newItem is AdapterItem.Header ->
+                oldItem.titleResId == newItem.titleResId
+            oldItem is AdapterItem.Installed && newItem is AdapterItem.Installed ->
+                oldItem.searchEngine.id == newItem.searchEngine.id
+            oldItem is AdapterItem.Discovered && newItem is AdapterItem.Discovered ->
+                oldItem.searchEngine.descriptionUrl == newItem.searchEngine.descriptionUrl
+            else -> false
+        }
+
+        override fun areContentsTheSame(
+            oldItem: AdapterItem,
+            newItem: AdapterItem,
+        ) = oldItem == newItem
+    }
+
+    /**
+     * An item of the list: a header or a search engine.
+     */
+    sealed class AdapterItem {
+        /**
+         * The header of a group of engines, with the given title.
+         */
+        data class Header(
+            @StringRes val titleResId: Int,
+        ) : AdapterItem()
+
+        /**
+         * A search engine the user can search with.
+         *
+         * @property isDefault Whether the engine is the default one.
+         * @property isCustom Whether the engine was added by the user, and can be removed.
+         * @property keyword The keyword to search with the engine from the URL bar, if any.
+         */
+        data class Installed(
+            val searchEngine: SearchEngine,
+            val isDefault: Boolean,
+            val isCustom: Boolean,
+            val keyword: String?,
+        ) : AdapterItem()
+
+        /**
+         * A search engine offered by a visited page, which the user can add.
+         */
+        data class Discovered(
+            val searchEngine: DiscoveredSearchEngine,
+        ) : AdapterItem()
+    }
+}
@@ -0,0 +1,228 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import android.os.Bundle
+import android.view.LayoutInflater
+import android.view.Menu
+import android.view.MenuInflater
+import android.view.MenuItem
+import android.view.View
+import android.view.ViewGroup
+import android.widget.EditText
+import android.widget.Toast
+import androidx.appcompat.app.AlertDialog
+import androidx.core.view.MenuProvider
+import androidx.fragment.app.Fragment
+import androidx.lifecycle.Lifecycle
+import androidx.lifecycle.lifecycleScope
+import androidx.recyclerview.widget.LinearLayoutManager
+import androidx.recyclerview.widget.RecyclerView
+import kotlinx.coroutines.flow.combine
+import kotlinx.coroutines.flow.distinctUntilChanged
+import kotlinx.coroutines.flow.map
+import kotlinx.coroutines.launch
+import mozilla.components.browser.state.search.SearchEngine
+import mozilla.components.browser.state.state.SearchState
+import mozilla.components.browser.state.state.selectedOrDefaultSearchEngine
+import mozilla.components.lib.state.ext.flow
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.requireComponents
+import org.mozilla.reference.browser.search.SearchEnginesAdapter.AdapterItem
+import org.mozilla.reference.browser.settings.SettingsFragment
+
+/**
+ * Fragment listing the search engines. Tapping an engine makes it the default one. Custom engines
+ * can be added from a URL template or from the engines offered by visited pages, and removed again.
+ */
+class SearchEnginesFragment :
+    Fragment(),
+    MenuProvider {
+    private val adapter = SearchEnginesAdapter(
+        ::onSearchEngineClicked,
+        ::onKeywordClicked,
+        ::onRemoveClicked,
+        ::onAddDiscoveredClicked,
+    )
+
+    private val searchEnginesList: RecyclerView
+        get() = requireView().findViewById(R.id.search_engines_list)
+
+    override fun onCreateView(
+        inflater: LayoutInflater,
+        container: ViewGroup?,
+        savedInstanceState: Bundle?,
+    ): View? = inflater.inflate(R.layout.fragment_search_engines, container, false)
+
+    override fun onViewCreated(
+        view: View,
+        savedInstanceState: Bundle?,
+    ) {
+        super.onViewCreated(view, savedInstanceState)
+
+        searchEnginesList.layoutManager = LinearLayoutManager(requireContext())
+        searchEnginesList.adapter = adapter
+
+        requireActivity().addMenuProvider(this, viewLifecycleOwner, Lifecycle.State.RESUMED)
+
+        val searchStates = requireComponents.core.store
+            .flow()
+            .map { state -> state.search }
+            .distinctUntilChanged()
+        viewLifecycleOwner.lifecycleScope.launch {
+            combine(
+                searchStates,
+                requireComponents.core.searchKeywordStorage.keywords,
+                requireComponents.core.searchEngineDetector.discovered,
+            ) { search, _, discovered ->
+                buildItems(search, discovered)
+            }.collect { items -> adapter.submitList(items) }
+        }
+    }
+
+    override fun onResume() {
+        super.onResume()
+        (activity as? SettingsFragment.ActionBarUpdater)?.updateTitle(R.string.preferences_search_engines)
+    }
+
+    override fun onCreateMenu(
+        menu: Menu,
+        menuInflater: MenuInflater,
+    ) {
+        menuInflater.inflate(R.menu.search_engines_menu, menu)
+    }
+
+    override fun onMenuItemSelected(menuItem: MenuItem): Boolean =
+        when (menuItem.itemId) {
+            R.id.search_engines_add -> {
+                showAddDialog()
+                true
+            }
+
+            else -> false
+        }
+
+    private fun buildItems(
+        search: SearchState,
+        discovered: List<DiscoveredSearchEngine>,
+    ): List<AdapterItem> {
+        val defaultId = search.selectedOrDefaultSearchEngine?.id
+        val keywordStorage = requireComponents.core.searchKeywordStorage
+        val installedNames = (search.regionSearchEngines + search.customSearchEngines).map { it.name }
+        val offered = discovered.filter { it.title !in installedNames }
+
+        val items = mutableListOf<AdapterItem>(AdapterItem.Header(R.string.search_engines_bundled))
+        items += search.regionSearchEngines.map {
+            AdapterItem.Installed(it, it.id == defaultId, isCustom = false, keywordStorage.getKeyword(it))
+        }
+        if (search.customSearchEngines.isNotEmpty()) {
+            items += AdapterItem.Header(R.string.search_engines_custom)
+            items += search.customSearchEngines.map {
+                AdapterItem.Installed(it, it.id == defaultId, isCustom = true, keywordStorage.getKeyword(it))
+            }
+        }
+        if (offered.isNotEmpty()) {
+            items += AdapterItem.Header(R.string.search_engines_discovered)
+            items += offered.map { AdapterItem.Discovered(it) }
+        }
+        return items
+    }
+
+    private fun onSearchEngineClicked(searchEngine: SearchEngine) {
+        requireComponents.useCases.searchUseCases.selectSearchEngine(searchEngine)
+    }
+
+    private fun onRemoveClicked(searchEngine: SearchEngine) {
+        requireComponents.useCases.searchUseCases.removeSearchEngine(searchEngine)
+        requireComponents.core.searchKeywordStorage.setKeyword(searchEngine, null)
+    }
+
+    private fun onKeywordClicked(searchEngine: SearchEngine) {
+        val context = requireContext()
+        val keywordStorage = requireComponents.core.searchKeywordStorage
+        val dialogView = View.inflate(context, R.layout.dialog_search_keyword, null)
+        val keywordView = dialogView.findViewById<EditText>(R.id.search_engine_keyword)
+        keywordView.setText(keywordStorage.getKeyword(searchEngine))
+
+        AlertDialog
+            .Builder(context)
+            .setTitle(getString(R.string.search_engine_keyword_dialog_title, searchEngine.name))
+            .setView(dialogView)
+            .setNegativeButton(R.string.search_engine_dialog_cancel) { dialog, _ -> dialog.cancel() }
+            .setPositiveButton(R.string.search_engine_dialog_save) { _, _ ->
+                val keyword = keywordView.text.toString().trim()
+                if (keyword.any { it.isWhitespace() }) {
+                    Toast.makeText(context, R.string.search_keyword_invalid, Toast.LENGTH_LONG).show()
+                } else {
+                    keywordStorage.setKeyword(searchEngine, keyword)
+                }
+            }.show()
+    }
+
+    private fun onAddDiscoveredClicked(discovered: DiscoveredSearchEngine) {
+        val context = requireContext()
+        val detector = requireComponents.core.searchEngineDetector
+        viewLifecycleOwner.lifecycleScope.launch {
+            val searchEngine = detector.fetch(discovered)
+            if (searchEngine == null) {
+                Toast.makeText(context, R.string.search_engine_add_failed, Toast.LENGTH_SHORT).show()
+                return@launch
+            }
+
+            addSearchEngine(searchEngine)
+            detector.dismiss(discovered)
+        }
+    }
+
+    private fun showAddDialog() {
+        val context = requireContext()
+        val dialogView = View.inflate(context, R.layout.dialog_add_search_engine, null)
+        val nameView = dialogView.findViewById<EditText>(R.id.search_engine_name)
+        val urlView = dialogView.findViewById<EditText>(R.id.search_engine_url)
+        val suggestUrlView = dialogView.findViewById<EditText>(R.id.search_engine_suggest_url)
+
+        AlertDialog
+            .Builder(context)
+            .setTitle(R.string.search_engines_add)
+            .setView(dialogView)
+            .setNegativeButton(R.string.search_engine_dialog_cancel) { dialog, _ -> dialog.cancel() }
+            .setPositiveButton(R.string.search_engine_dialog_add) { _, _ ->
+                addCustomSearchEngine(
+                    name = nameView.text.toString().trim(),
+                    template = urlView.text.toString().trim(),
+                    suggestTemplate = suggestUrlView.text.toString().trim().ifEmpty { null },
+                )
+            }.show()
+    }
+
+    private fun addCustomSearchEngine(
+        name: String,
+        template: String,
+        suggestTemplate: String?,
+    ) {
+        val isValid = name.isNotEmpty() &&
+            CustomSearchEngines.isValidTemplate(template) &&
+            (suggestTemplate == null || CustomSearchEngines.isValidTemplate(suggestTemplate))
+        if (!isValid) {
+            Toast.makeText(requireContext(), R.string.search_engine_invalid, Toast.LENGTH_LONG).show()
+            return
+        }
+
+        val icons = requireComponents.core.icons
+        viewLifecycleOwner.lifecycleScope.launch {
+            addSearchEngine(CustomSearchEngines.create(icons, name, template, suggestTemplate))
+        }
+    }
+
+    private fun addSearchEngine(searchEngine: SearchEngine) {
+        requireComponents.useCases.searchUseCases.addSearchEngine(searchEngine)
+        Toast
+            .makeText(
+                requireContext(),
+                getString(R.string.search_engine_added, searchEngine.name),
+                Toast.LENGTH_SHORT,
+            ).show()
+    }
+}
@@ -0,0 +1,144 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.search
+
+import android.content.Context
+import androidx.core.content.edit
+import kotlinx.coroutines.flow.MutableStateFlow
+import kotlinx.coroutines.flow.StateFlow
+import kotlinx.coroutines.flow.asStateFlow
+import mozilla.components.browser.state.search.SearchEngine
+import mozilla.components.browser.state.store.BrowserStore
+
+/**
+ * Persists the keywords typed before a query in the URL bar to search with a given engine, like
+ * `w kotlin` for Wikipedia, or to open a bookmark whose URL contains `%s` in place of the query.
+ *
+ * Some built-in engines have a keyword by default, like `@wikipedia`, which the user can change or
+ * remove. Default keywords start with `@`, so that searches starting with a common word still go to
+ * the default engine. A keyword belongs to a single engine or bookmark, so setting it takes it away
+ * from any other.
+ */
+class SearchKeywordStorage(
+    context: Context,
+    private val store: BrowserStore,
+) {
+    private val preferences = context.getSharedPreferences(PREFERENCES_NAME, Context.MODE_PRIVATE)
+    private val keywordsFlow = MutableStateFlow(read())
+
+    /**
+     * The keywords set by the user, by engine or bookmark. An empty keyword means the user removed
+     * the default keyword of an engine.
+     */
+    val keywords: StateFlow<Map<String, String>> = keywordsFlow.asStateFlow()
+
+    private val searchEngines: List<SearchEngine>
+        get() = store.state.search.regionSearchEngines + store.state.search.customSearchEngines
+
+    /**
+     * Returns the keyword of the given [searchEngine]: the one set by the user, or else its
+     * default keyword. Returns null if it has none, or the user removed it.
+     */
+    fun getKeyword(searchEngine: SearchEngine): String? {
+        val keyword = keywordsFlow.value[ENGINE_PREFIX + searchEngine.id] ?: defaultKeyword(searchEngine)
+        return keyword?.ifEmpty { null }
+    }
+
+    /**
+     * Sets the [keyword] of the given [searchEngine], or removes it if null or blank. Removing it
+     * also removes the default keyword of the engine.
+     */
+    fun setKeyword(
+        searchEngine: SearchEngine,
+        keyword: String?,
+    ) = set(ENGINE_PREFIX + searchEngine.id, keyword)
+
+    /**
+     * Returns the keyword of the bookmark with the given [bookmarkGuid], if any.
+     */
+    fun getBookmarkKeyword(bookmarkGuid: String): String? = keywordsFlow.value[BOOKMARK_PREFIX + bookmarkGuid]
+
+    /**
+     * Sets the [keyword] of the bookmark with the given [bookmarkGuid], or removes it if null or
+     * blank.
+     */
+    fun setBookmarkKeyword(
+        bookmarkGuid: String,
+        keyword: String?,
+    ) = set(BOOKMARK_PREFIX + bookmarkGuid, keyword)
+
+    /**
+     * Returns the search engine with the given [keyword], if any.
+     */
+    fun findSearchEngine(keyword: String): SearchEngine? =
+        searchEngines.firstOrNull { getKeyword(it) == keyword.lowercase() }
+
+    /**
+     * Returns the GUID of the bookmark with the given [keyword], if any.
+     */
+    fun findBookmarkGuid(keyword: String): String? =
+        keywordsFlow.value.entries
+            .firstOrNull { (key, value) -> key.startsWith(BOOKMARK_PREFIX) && value == keyword.lowercase() }
+            ?.key
+            ?.removePrefix(BOOKMARK_PREFIX)
+
+    private fun set(
+        key: String,
+        keyword: String?,
+    ) {
+        val newKeyword = keyword?.trim()?.lowercase().orEmpty()
+        val keywords = keywordsFlow.value.toMutableMap()
+
+        if (newKeyword.isNotEmpty()) {
+            keywords.entries.removeAll { (otherKey, value) ->
+                otherKey.startsWith(BOOKMARK_PREFIX) && value == newKeyword
+            }
+            searchEngines
+                .filter { getKeyword(it) == newKeyword }
+                .forEach { keywords[ENGINE_PREFIX + it.id] = "" }
+        }
+
+        // Removing the keyword of an engine is remembered, so that its default keyword isn't used instead.
+        if (newKeyword.isEmpty() && key.startsWith(BOOKMARK_PREFIX)) {
+            keywords.remove(key)
+        } else {
+            keywords[key] = newKeyword
+        }
+
+        preferences.edit {
+            clear()
+            keywords.forEach { (keywordKey, value) -> putString(keywordKey, value) }
+        }
+        keywordsFlow.value = keywords
+    }
+
+    private fun read(): Map<String, String> =
+        preferences.all.mapNotNull { (key, value) -> (value as? String)?.let { key to it } }.toMap()
+
+    private fun defaultKeyword(searchEngine: SearchEngine): String? {
+        if (searchEngine.type != SearchEngine.Type.BUNDLED) {
+            return null
+        }
+
+        val name = searchEngine.name.lowercase()
+        return DEFAULT_KEYWORDS.entries.firstOrNull { (prefix, _) -> name.startsWith(prefix) }?.value
+    }
+
+    companion object {
+        private const val PREFERENCES_NAME = "search_keywords"
+        private const val ENGINE_PREFIX = "engine:"
+        private const val BOOKMARK_PREFIX = "bookmark:"
+
+        // By the beginning of the name of the built-in engines.
+        private val DEFAULT_KEYWORDS = mapOf(
+            "amazon" to "@amazon",
+            "bing" to "@bing",
+            "duckduckgo" to "@duckduckgo",
+            "ebay" to "@ebay",
+            "google" to "@google",
+            "wikipedia" to "@wikipedia",
+        )
+    }
+}
@@ -26,6 +26,7 @@ import mozilla.components.service.fxa.sync.getLastSynced
 import org.mozilla.reference.browser.IntentReceiverActivity
 import org.mozilla.reference.browser.R
 import org.mozilla.reference.browser.R.string.pref_key_sign_out
+import org.mozilla.reference.browser.R.string.pref_key_sync_bookmarks
 import org.mozilla.reference.browser.R.string.pref_key_sync_history
 import org.mozilla.reference.browser.R.string.pref_key_sync_manage_account
 import org.mozilla.reference.browser.R.string.pref_key_sync_now
@@ -222,6 +223,7 @@ class AccountSettingsFragment : PreferenceFragmentCompat() {
     private fun SyncEngine.prefId(): Int =
         when (this) {
         SyncEngine.History -> pref_key_sync_history
+        SyncEngine.Bookmarks -> pref_key_sync_bookmarks
         SyncEngine.Passwords -> pref_key_sync_passwords
         SyncEngine.Tabs -> pref_key_sync_tabs
         else -> throw IllegalStateException("Accessing unsupported sync engines")
@@ -0,0 +1,90 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.settings
+
+import android.os.Bundle
+import android.widget.Toast
+import androidx.appcompat.app.AlertDialog
+import androidx.preference.CheckBoxPreference
+import androidx.preference.Preference
+import androidx.preference.PreferenceFragmentCompat
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.browsingdata.BrowsingDataType
+import org.mozilla.reference.browser.ext.requireComponents
+
+/**
+ * Fragment deleting the selected categories of browsing data. The checkboxes aren't persisted,
+ * every category is selected when the screen is opened.
+ */
+class DeleteBrowsingDataFragment : PreferenceFragmentCompat() {
+    private val checkboxes = mutableMapOf<BrowsingDataType, CheckBoxPreference>()
+
+    override fun onCreatePreferences(
+        savedInstanceState: Bundle?,
+        rootKey: String?,
+    ) {
+        val context = requireContext()
+        preferenceScreen = preferenceManager.createPreferenceScreen(context)
+
+        BrowsingDataType.entries.forEach { type ->
+            val checkbox = CheckBoxPreference(context).apply {
+                key = type.name
+                title = context.getString(type.label)
+                summary = type.summary?.let { context.getString(it) }
+                isPersistent = false
+                isChecked = true
+                setOnPreferenceChangeListener { _, _ ->
+                    // The listener runs before the new value is set.
+                    view?.post { updateDeleteButton() }
+                    true
+                }
+            }
+            checkboxes[type] = checkbox
+            preferenceScreen.addPreference(checkbox)
+        }
+
+        val delete = Preference(context).apply {
+            key = DELETE_KEY
+            title = context.getString(R.string.delete_browsing_data_button)
+            setOnPreferenceClickListener {
+                confirmDelete()
+                true
+            }
+        }
+        preferenceScreen.addPreference(delete)
+    }
+
+    override fun onResume() {
+        super.onResume()
+        (activity as? SettingsFragment.ActionBarUpdater)?.updateTitle(R.string.preferences_delete_browsing_data)
+    }
+
+    private fun selectedTypes(): Set<BrowsingDataType> =
+        checkboxes.filterValues { it.isChecked }.keys
+
+    private fun updateDeleteButton() {
+        findPreference<Preference>(DELETE_KEY)?.isEnabled = selectedTypes().isNotEmpty()
+    }
+
+    private fun confirmDelete() {
+        AlertDialog
+            .Builder(requireContext())
+            .setTitle(R.string.delete_browsing_data_confirm)
+            .setNegativeButton(R.string.delete_browsing_data_confirm_cancel) { dialog, _ -> dialog.cancel() }
+            .setPositiveButton(R.string.delete_browsing_data_confirm_delete) { _, _ -> deleteSelected() }
+            .show()
+    }
+
+    private fun deleteSelected() {
+        val context = requireContext().applicationContext
+        requireComponents.browsingDataCleaner.deleteInBackground(selectedTypes()) {
+            Toast.makeText(context, R.string.delete_browsing_data_done, Toast.LENGTH_SHORT).show()
+        }
+    }
+
+    companion object {
+        private const val DELETE_KEY = "delete"
+    }
+}
@@ -0,0 +1,27 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.settings
+
+import android.os.Bundle
+import androidx.preference.PreferenceFragmentCompat
+import org.mozilla.reference.browser.R
+
+/**
+ * Settings turning on the deletion of browsing data when quitting from the menu, and selecting the
+ * categories of browsing data to delete.
+ */
+class DeleteOnQuitSettingsFragment : PreferenceFragmentCompat() {
+    override fun onCreatePreferences(
+        savedInstanceState: Bundle?,
+        rootKey: String?,
+    ) {
+        setPreferencesFromResource(R.xml.delete_on_quit_preferences, rootKey)
+    }
+
+    override fun onResume() {
+        super.onResume()
+        (activity as? SettingsFragment.ActionBarUpdater)?.updateTitle(R.string.preferences_delete_browsing_data_on_quit)
+    }
+}
@@ -4,16 +4,64 @@
 
 package org.mozilla.reference.browser.settings
 
+import android.content.SharedPreferences
+import android.net.Uri
 import android.os.Bundle
+import android.widget.Toast
+import androidx.activity.result.ActivityResultLauncher
+import androidx.activity.result.contract.ActivityResultContracts
+import androidx.lifecycle.lifecycleScope
+import androidx.preference.ListPreference
+import androidx.preference.Preference
 import androidx.preference.Preference.OnPreferenceChangeListener
+import androidx.preference.Preference.OnPreferenceClickListener
 import androidx.preference.PreferenceFragmentCompat
 import androidx.preference.SwitchPreferenceCompat
+import kotlinx.coroutines.launch
 import mozilla.components.concept.engine.EngineSession.TrackingProtectionPolicy
+import mozilla.components.support.base.log.Log
+import mozilla.components.support.base.log.Log.Priority.WARN
 import org.mozilla.reference.browser.R
 import org.mozilla.reference.browser.ext.getPreferenceKey
 import org.mozilla.reference.browser.ext.requireComponents
+import org.mozilla.reference.browser.trackingprotection.TrackingProtectionExceptionsFragment
+import java.io.IOException
 
 class PrivacySettingsFragment : PreferenceFragmentCompat() {
+    private lateinit var filterListLauncher: ActivityResultLauncher<Array<String>>
+
+    // The level and custom protection preferences are applied once persisted, as the policy
+    // is built from all of them.
+    private val trackingProtectionLevelListener =
+        SharedPreferences.OnSharedPreferenceChangeListener { _, key ->
+            if (key in trackingProtectionLevelKeys) {
+                updateCustomTrackingProtectionVisibility()
+                requireComponents.useCases.settingsUseCases.updateTrackingProtection
+                    .invoke(requireComponents.core.createTrackingProtectionPolicy())
+            }
+        }
+
+    private val trackingProtectionLevelKeys by lazy {
+        listOf(
+            R.string.pref_key_tracking_protection_level,
+            R.string.pref_key_tracking_protection_custom_cookies,
+            R.string.pref_key_tracking_protection_custom_cookie_policy,
+            R.string.pref_key_tracking_protection_custom_tracking_content,
+            R.string.pref_key_tracking_protection_custom_cryptominers,
+            R.string.pref_key_tracking_protection_custom_fingerprinters,
+            R.string.pref_key_tracking_protection_custom_social,
+            R.string.pref_key_tracking_protection_custom_redirect_trackers,
+        ).map { requireContext().getPreferenceKey(it) }
+    }
+
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        filterListLauncher =
+            registerForActivityResult(ActivityResultContracts.OpenDocument()) { uri ->
+                uri?.let { onFilterListPicked(it) }
+            }
+    }
+
     override fun onCreatePreferences(
         savedInstanceState: Bundle?,
         rootKey: String?,
@@ -25,11 +73,18 @@ class PrivacySettingsFragment : PreferenceFragmentCompat() {
         val trackingProtectionNormalKey = context.getPreferenceKey(R.string.pref_key_tracking_protection_normal)
         val trackingProtectionPrivateKey = context.getPreferenceKey(R.string.pref_key_tracking_protection_private)
         val globalPrivacyControlKey = context.getPreferenceKey(R.string.pref_key_global_privacy_control)
+        val trackingProtectionExceptionsKey =
+            context.getPreferenceKey(R.string.pref_key_tracking_protection_exceptions)
+        val contentBlockingImportKey = context.getPreferenceKey(R.string.pref_key_content_blocking_import)
+        val contentBlockingRemoveKey = context.getPreferenceKey(R.string.pref_key_content_blocking_remove)
 
         val prefTelemetry = findPreference<SwitchPreferenceCompat>(telemetryKey)
         val prefTrackingProtectionNormal = findPreference<SwitchPreferenceCompat>(trackingProtectionNormalKey)
         val prefTrackingProtectionPrivate = findPreference<SwitchPreferenceCompat>(trackingProtectionPrivateKey)
         val globalPrivacyControl = findPreference<SwitchPreferenceCompat>(globalPrivacyControlKey)
+        val prefTrackingProtectionExceptions = findPreference<Preference>(trackingProtectionExceptionsKey)
+        val prefContentBlockingImport = findPreference<Preference>(contentBlockingImportKey)
+        val prefContentBlockingRemove = findPreference<Preference>(contentBlockingRemoveKey)
 
         prefTelemetry?.onPreferenceChangeListener = getChangeListenerForTelemetry()
         prefTrackingProtectionNormal?.onPreferenceChangeListener = getChangeListenerForTrackingProtection { enabled ->
@@ -44,6 +99,75 @@ class PrivacySettingsFragment : PreferenceFragmentCompat() {
             requireComponents.useCases.sessionUseCases.reload
                 .invoke()
         }
+
+        prefTrackingProtectionExceptions?.onPreferenceClickListener = OnPreferenceClickListener {
+            parentFragmentManager
+                .beginTransaction()
+                .replace(R.id.container, TrackingProtectionExceptionsFragment())
+                .addToBackStack(null)
+                .commit()
+            true
+        }
+
+        prefContentBlockingImport?.onPreferenceClickListener = OnPreferenceClickListener {
+            filterListLauncher.launch(arrayOf("text/*", "application/octet-stream"))
+            true
+        }
+        prefContentBlockingRemove?.onPreferenceClickListener = OnPreferenceClickListener {
+            lifecycleScope.launch {
+                requireComponents.core.contentBlocker.removeFilterLists()
+                updateFilterCount()
+            }
+            true
+        }
+    }
+
+    override fun onResume() {
+        super.onResume()
+        (activity as? SettingsFragment.ActionBarUpdater)?.updateTitle(R.string.privacy_settings)
+        preferenceManager.sharedPreferences?.registerOnSharedPreferenceChangeListener(trackingProtectionLevelListener)
+        updateCustomTrackingProtectionVisibility()
+        updateFilterCount()
+    }
+
+    override fun onPause() {
+        super.onPause()
+        preferenceManager.sharedPreferences?.unregisterOnSharedPreferenceChangeListener(trackingProtectionLevelListener)
+    }
+
+    private fun updateCustomTrackingProtectionVisibility() {
+        val context = requireContext()
+        val levelKey = context.getPreferenceKey(R.string.pref_key_tracking_protection_level)
+        val customKey = context.getPreferenceKey(R.string.pref_key_tracking_protection_custom)
+        val level = findPreference<ListPreference>(levelKey)?.value
+
+        findPreference<Preference>(customKey)?.isVisible =
+            level == context.getString(R.string.tracking_protection_level_custom)
+    }
+
+    private fun updateFilterCount() {
+        val key = requireContext().getPreferenceKey(R.string.pref_key_content_blocking_remove)
+        val filterCount = requireComponents.core.contentBlocker.filterCount
+        findPreference<Preference>(key)?.apply {
+            summary = getString(R.string.preferences_content_blocking_remove_summary, filterCount)
+            isEnabled = filterCount > 0
+        }
+    }
+
+    private fun onFilterListPicked(uri: Uri) {
+        lifecycleScope.launch {
+            val contentBlocker = requireComponents.core.contentBlocker
+            val message = try {
+                contentBlocker.importFilterList(uri)
+                getString(R.string.content_blocking_imported, contentBlocker.filterCount)
+            } catch (e: IOException) {
+                Log.log(WARN, message = "Could not import filter list", throwable = e, tag = "Reference-Browser")
+                getString(R.string.content_blocking_import_failed)
+            }
+
+            Toast.makeText(requireContext(), message, Toast.LENGTH_SHORT).show()
+            updateFilterCount()
+        }
     }
 
     private fun getChangeListenerForTelemetry(): OnPreferenceChangeListener =
@@ -7,7 +7,12 @@ package org.mozilla.reference.browser.settings
 import android.content.Context
 import androidx.core.content.edit
 import androidx.preference.PreferenceManager
+import mozilla.components.feature.sitepermissions.SitePermissionsRules
+import mozilla.components.feature.sitepermissions.SitePermissionsRules.Action
+import mozilla.components.feature.sitepermissions.SitePermissionsRules.AutoplayAction
 import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.browsingdata.BrowsingDataType
+import java.util.concurrent.TimeUnit
 
 object Settings {
     fun isTelemetryEnabled(context: Context): Boolean =
@@ -50,4 +55,213 @@ object Settings {
 
     fun isAmoCollectionOverrideConfigured(context: Context): Boolean =
         getOverrideAmoUser(context).isNotEmpty() && getOverrideAmoCollection(context).isNotEmpty()
+
+    /**
+     * Returns the SAF tree URI of the folder picked for downloads, or null if none was picked.
+     */
+    fun getDownloadLocationUri(context: Context): String? =
+        PreferenceManager.getDefaultSharedPreferences(context).getString(
+            context.getString(R.string.pref_key_download_location),
+            null,
+        )
+
+    /**
+     * Saves the SAF tree URI of the folder picked for downloads.
+     */
+    fun setDownloadLocationUri(
+        context: Context,
+        value: String,
+    ) {
+        val key = context.getString(R.string.pref_key_download_location)
+        PreferenceManager.getDefaultSharedPreferences(context).edit {
+            putString(key, value)
+        }
+    }
+
+    /**
+     * Returns whether to ask for the file name and folder of every download before it starts.
+     */
+    fun shouldAskDownloadLocation(context: Context): Boolean =
+        PreferenceManager.getDefaultSharedPreferences(context).getBoolean(
+            context.getString(R.string.pref_key_download_ask_location),
+            false,
+        )
+
+    /**
+     * Returns the permission rules applied to sites the user didn't make a decision for.
+     */
+    fun getSitePermissionsRules(context: Context): SitePermissionsRules {
+        val prefs = PreferenceManager.getDefaultSharedPreferences(context)
+
+        fun action(keyResId: Int): Action =
+            when (prefs.getString(context.getString(keyResId), null)) {
+                context.getString(R.string.site_permission_action_block) -> Action.BLOCKED
+                context.getString(R.string.site_permission_action_allow) -> Action.ALLOWED
+                else -> Action.ASK_TO_ALLOW
+            }
+
+        fun autoplayAction(
+            keyResId: Int,
+            default: AutoplayAction,
+        ): AutoplayAction =
+            when (prefs.getString(context.getString(keyResId), null)) {
+                context.getString(R.string.site_permission_action_block) -> AutoplayAction.BLOCKED
+                context.getString(R.string.site_permission_action_allow) -> AutoplayAction.ALLOWED
+                else -> default
+            }
+
+        return SitePermissionsRules(
+            camera = action(R.string.pref_key_site_permissions_camera),
+            location = action(R.string.pref_key_site_permissions_location),
+            notification = action(R.string.pref_key_site_permissions_notification),
+            microphone = action(R.string.pref_key_site_permissions_microphone),
+            autoplayAudible = autoplayAction(
+                R.string.pref_key_site_permissions_autoplay_audible,
+                AutoplayAction.BLOCKED,
+            ),
+            autoplayInaudible = autoplayAction(
+                R.string.pref_key_site_permissions_autoplay_inaudible,
+                AutoplayAction.ALLOWED,
+            ),
+            persistentStorage = action(R.string.pref_key_site_permissions_persistent_storage),
+            crossOriginStorageAccess = Action.ASK_TO_ALLOW,
+            mediaKeySystemAccess = Action.ASK_TO_ALLOW,
+        )
+    }
+
+    /**
+     * Returns whether requests and page elements are blocked using the imported filter lists.
+     */
+    fun isContentBlockingEnabled(context: Context): Boolean =
+        PreferenceManager.getDefaultSharedPreferences(context).getBoolean(
+            context.getString(R.string.pref_key_content_blocking),
+            true,
+        )
+
+    /**
+     * Returns the hosts content blocking is turned off for.
+     */
+    fun getContentBlockingAllowlist(context: Context): Set<String> =
+        PreferenceManager.getDefaultSharedPreferences(context).getStringSet(
+            context.getString(R.string.pref_key_content_blocking_allowlist),
+            emptySet(),
+        ) ?: emptySet()
+
+    /**
+     * Sets the hosts content blocking is turned off for.
+     */
+    fun setContentBlockingAllowlist(
+        context: Context,
+        value: Set<String>,
+    ) {
+        val key = context.getString(R.string.pref_key_content_blocking_allowlist)
+        PreferenceManager.getDefaultSharedPreferences(context).edit {
+            putStringSet(key, value)
+        }
+    }
+
+    /**
+     * Returns true if the browsing data returned by [getDeleteOnQuitTypes] is deleted when quitting
+     * from the menu.
+     */
+    fun shouldDeleteBrowsingDataOnQuit(context: Context): Boolean =
+        PreferenceManager.getDefaultSharedPreferences(context).getBoolean(
+            context.getString(R.string.pref_key_delete_on_quit),
+            false,
+        )
+
+    /**
+     * Returns the categories of browsing data selected for deletion when quitting.
+     */
+    fun getDeleteOnQuitTypes(context: Context): Set<BrowsingDataType> {
+        val prefs = PreferenceManager.getDefaultSharedPreferences(context)
+        return BrowsingDataType.entries
+            .filter { prefs.getBoolean(context.getString(it.quitKey), true) }
+            .toSet()
+    }
+
+    /**
+     * Returns true if the tabs tray lists the tabs in a grid of thumbnails instead of a list.
+     */
+    fun isTabsTrayGrid(context: Context): Boolean =
+        PreferenceManager.getDefaultSharedPreferences(context).getBoolean(
+            context.getString(R.string.pref_key_tabs_tray_grid),
+            false,
+        )
+
+    /**
+     * Sets whether the tabs tray lists the tabs in a grid of thumbnails instead of a list.
+     */
+    fun setTabsTrayGrid(
+        context: Context,
+        value: Boolean,
+    ) {
+        val key = context.getString(R.string.pref_key_tabs_tray_grid)
+        PreferenceManager.getDefaultSharedPreferences(context).edit {
+            putBoolean(key, value)
+        }
+    }
+
+    /**
+     * Returns true if the tabs tray nests the tabs under the tab that opened them.
+     */
+    fun isTabsTrayTree(context: Context): Boolean =
+        PreferenceManager.getDefaultSharedPreferences(context).getBoolean(
+            context.getString(R.string.pref_key_tabs_tray_tree),
+            false,
+        )
+
+    /**
+     * Sets whether the tabs tray nests the tabs under the tab that opened them.
+     */
+    fun setTabsTrayTree(
+        context: Context,
+        value: Boolean,
+    ) {
+        val key = context.getString(R.string.pref_key_tabs_tray_tree)
+        PreferenceManager.getDefaultSharedPreferences(context).edit {
+            putBoolean(key, value)
+        }
+    }
+
+    /**
+     * Returns how long a tab can go unused before it's listed as inactive, in milliseconds,
+     * or null if tabs never become inactive.
+     */
+    fun getInactiveTabsThreshold(context: Context): Long? =
+        getDaysInMillis(context, R.string.pref_key_inactive_tabs_after, R.string.inactive_tabs_days_14)
+
+    /**
+     * Returns how long a tab can go unused before it's closed automatically, in milliseconds,
+     * or null if inactive tabs are never closed automatically. Tabs are only closed once they had
+     * time to be listed as inactive, so this is null unless it's longer than
+     * [getInactiveTabsThreshold].
+     */
+    fun getInactiveTabsCloseThreshold(context: Context): Long? {
+        val inactiveThreshold = getInactiveTabsThreshold(context) ?: return null
+        return getDaysInMillis(context, R.string.pref_key_inactive_tabs_close_after, R.string.inactive_tabs_days_never)
+            ?.takeIf { it > inactiveThreshold }
+    }
+
+    /**
+     * Returns how many tabs are kept loaded before the least recently used ones are suspended,
+     * or null if the number of loaded tabs isn't limited.
+     */
+    fun getMaxLoadedTabs(context: Context): Int? =
+        PreferenceManager.getDefaultSharedPreferences(context).getString(
+            context.getString(R.string.pref_key_max_loaded_tabs),
+            context.getString(R.string.max_loaded_tabs_10),
+        )?.toIntOrNull()?.takeIf { it > 0 }
+
+    private fun getDaysInMillis(
+        context: Context,
+        keyResId: Int,
+        defaultResId: Int,
+    ): Long? {
+        val days = PreferenceManager.getDefaultSharedPreferences(context).getString(
+            context.getString(keyResId),
+            context.getString(defaultResId),
+        )?.toLongOrNull() ?: 0
+        return if (days > 0) TimeUnit.DAYS.toMillis(days) else null
+    }
 }
@@ -6,6 +6,7 @@ package org.mozilla.reference.browser.settings
 
 import android.content.DialogInterface
 import android.content.Intent
+import android.net.Uri
 import android.os.Bundle
 import android.os.Handler
 import android.os.Looper
@@ -13,27 +14,42 @@ import android.provider.Settings
 import android.view.View
 import android.widget.EditText
 import android.widget.Toast
+import androidx.activity.result.ActivityResultLauncher
+import androidx.activity.result.contract.ActivityResultContracts
 import androidx.appcompat.app.AlertDialog
+import androidx.preference.ListPreference
 import androidx.preference.Preference
 import androidx.preference.Preference.OnPreferenceChangeListener
 import androidx.preference.Preference.OnPreferenceClickListener
 import androidx.preference.PreferenceFragmentCompat
 import androidx.preference.SwitchPreferenceCompat
+import mozilla.components.browser.state.state.selectedOrDefaultSearchEngine
 import mozilla.components.service.fxa.manager.SCOPE_PROFILE
 import mozilla.components.service.fxa.manager.SCOPE_SYNC
 import mozilla.components.support.ktx.android.view.showKeyboard
 import org.mozilla.reference.browser.R
 import org.mozilla.reference.browser.R.string.pref_key_about_page
+import org.mozilla.reference.browser.R.string.pref_key_delete_browsing_data
+import org.mozilla.reference.browser.R.string.pref_key_delete_browsing_data_on_quit
+import org.mozilla.reference.browser.R.string.pref_key_download_location
 import org.mozilla.reference.browser.R.string.pref_key_firefox_account
+import org.mozilla.reference.browser.R.string.pref_key_inactive_tabs_after
+import org.mozilla.reference.browser.R.string.pref_key_inactive_tabs_close_after
 import org.mozilla.reference.browser.R.string.pref_key_make_default_browser
 import org.mozilla.reference.browser.R.string.pref_key_override_amo_collection
 import org.mozilla.reference.browser.R.string.pref_key_pair_sign_in
 import org.mozilla.reference.browser.R.string.pref_key_privacy
 import org.mozilla.reference.browser.R.string.pref_key_remote_debugging
+import org.mozilla.reference.browser.R.string.pref_key_search_engines
 import org.mozilla.reference.browser.R.string.pref_key_sign_in
+import org.mozilla.reference.browser.R.string.pref_key_site_permissions
+import org.mozilla.reference.browser.R.string.pref_key_suggestions
 import org.mozilla.reference.browser.autofill.AutofillPreference
+import org.mozilla.reference.browser.downloads.DownloadLocation
 import org.mozilla.reference.browser.ext.getPreferenceKey
 import org.mozilla.reference.browser.ext.requireComponents
+import org.mozilla.reference.browser.search.SearchEnginesFragment
+import org.mozilla.reference.browser.suggestions.SuggestionSettingsFragment
 import org.mozilla.reference.browser.sync.BrowserFxAEntryPoint
 import kotlin.system.exitProcess
 
@@ -44,6 +60,16 @@ class SettingsFragment : PreferenceFragmentCompat() {
         fun updateTitle(titleResId: Int)
     }
 
+    private lateinit var downloadLocationLauncher: ActivityResultLauncher<Uri?>
+
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        downloadLocationLauncher =
+            registerForActivityResult(ActivityResultContracts.OpenDocumentTree()) { uri ->
+                uri?.let { onDownloadLocationPicked(it) }
+            }
+    }
+
     override fun onCreatePreferences(
         savedInstanceState: Bundle?,
         rootKey: String?,
@@ -68,8 +94,16 @@ class SettingsFragment : PreferenceFragmentCompat() {
         val remoteDebuggingKey = requireContext().getPreferenceKey(pref_key_remote_debugging)
         val aboutPageKey = requireContext().getPreferenceKey(pref_key_about_page)
         val privacyKey = requireContext().getPreferenceKey(pref_key_privacy)
+        val searchEnginesKey = requireContext().getPreferenceKey(pref_key_search_engines)
+        val suggestionsKey = requireContext().getPreferenceKey(pref_key_suggestions)
+        val sitePermissionsKey = requireContext().getPreferenceKey(pref_key_site_permissions)
+        val deleteBrowsingDataKey = requireContext().getPreferenceKey(pref_key_delete_browsing_data)
+        val deleteOnQuitKey = requireContext().getPreferenceKey(pref_key_delete_browsing_data_on_quit)
         val customAddonsKey = requireContext().getPreferenceKey(pref_key_override_amo_collection)
         val autofillPreferenceKey = requireContext().getPreferenceKey(R.string.pref_key_autofill)
+        val downloadLocationKey = requireContext().getPreferenceKey(pref_key_download_location)
+        val inactiveTabsAfterKey = requireContext().getPreferenceKey(pref_key_inactive_tabs_after)
+        val inactiveTabsCloseAfterKey = requireContext().getPreferenceKey(pref_key_inactive_tabs_close_after)
 
         val preferenceSignIn = findPreference<Preference>(signInKey)
         val preferencePairSignIn = findPreference<Preference>(signInPairKey)
@@ -78,8 +112,16 @@ class SettingsFragment : PreferenceFragmentCompat() {
         val preferenceRemoteDebugging = findPreference<SwitchPreferenceCompat>(remoteDebuggingKey)
         val preferenceAboutPage = findPreference<Preference>(aboutPageKey)
         val preferencePrivacy = findPreference<Preference>(privacyKey)
+        val preferenceSearchEngines = findPreference<Preference>(searchEnginesKey)
+        val preferenceSuggestions = findPreference<Preference>(suggestionsKey)
+        val preferenceSitePermissions = findPreference<Preference>(sitePermissionsKey)
+        val preferenceDeleteBrowsingData = findPreference<Preference>(deleteBrowsingDataKey)
+        val preferenceDeleteOnQuit = findPreference<Preference>(deleteOnQuitKey)
         val preferenceCustomAddons = findPreference<Preference>(customAddonsKey)
         val preferenceAutofill = findPreference<AutofillPreference>(autofillPreferenceKey)
+        val preferenceDownloadLocation = findPreference<Preference>(downloadLocationKey)
+        val preferenceInactiveTabsAfter = findPreference<ListPreference>(inactiveTabsAfterKey)
+        val preferenceInactiveTabsCloseAfter = findPreference<ListPreference>(inactiveTabsCloseAfterKey)
 
         val accountManager = requireComponents.backgroundServices.accountManager
         if (accountManager.authenticatedAccount() != null) {
@@ -106,7 +148,34 @@ class SettingsFragment : PreferenceFragmentCompat() {
         preferenceRemoteDebugging?.onPreferenceChangeListener = getChangeListenerForRemoteDebugging()
         preferenceAboutPage?.onPreferenceClickListener = getAboutPageListener()
         preferencePrivacy?.onPreferenceClickListener = getClickListenerForPrivacy()
+        preferenceSearchEngines?.summary =
+            requireComponents.core.store.state.search.selectedOrDefaultSearchEngine?.name
+        preferenceSearchEngines?.onPreferenceClickListener = getClickListenerForSearchEngines()
+        preferenceSuggestions?.onPreferenceClickListener = getClickListenerForSuggestions()
+        preferenceSitePermissions?.onPreferenceClickListener = getClickListenerForSitePermissions()
+        preferenceDeleteBrowsingData?.onPreferenceClickListener = getClickListenerForDeleteBrowsingData()
+        preferenceDeleteOnQuit?.summary = getString(
+            if (RBSettings.shouldDeleteBrowsingDataOnQuit(requireContext())) {
+                R.string.preferences_delete_browsing_data_on_quit_on
+            } else {
+                R.string.preferences_delete_browsing_data_on_quit_off
+            },
+        )
+        preferenceDeleteOnQuit?.onPreferenceClickListener = getClickListenerForDeleteOnQuit()
         preferenceCustomAddons?.onPreferenceClickListener = getClickListenerForCustomAddons()
+        preferenceDownloadLocation?.summary = DownloadLocation.getDisplayName(
+            requireContext(),
+            RBSettings.getDownloadLocationUri(requireContext())?.let(Uri::parse),
+        )
+        preferenceDownloadLocation?.onPreferenceClickListener = getClickListenerForDownloadLocation()
+        preferenceInactiveTabsAfter?.onPreferenceChangeListener = getChangeListenerForInactiveTabs(
+            inactiveAfter = { it },
+            closeAfter = { preferenceInactiveTabsCloseAfter?.value },
+        )
+        preferenceInactiveTabsCloseAfter?.onPreferenceChangeListener = getChangeListenerForInactiveTabs(
+            inactiveAfter = { preferenceInactiveTabsAfter?.value },
+            closeAfter = { it },
+        )
     }
 
     private fun getClickListenerForMakeDefaultBrowser(): OnPreferenceClickListener =
@@ -168,12 +237,115 @@ class SettingsFragment : PreferenceFragmentCompat() {
             true
         }
 
+    private fun getClickListenerForSearchEngines(): OnPreferenceClickListener =
+        OnPreferenceClickListener {
+            parentFragmentManager
+                .beginTransaction()
+                .replace(R.id.container, SearchEnginesFragment())
+                .addToBackStack(null)
+                .commit()
+            getActionBarUpdater().apply {
+                updateTitle(R.string.preferences_search_engines)
+            }
+            true
+        }
+
+    private fun getClickListenerForSuggestions(): OnPreferenceClickListener =
+        OnPreferenceClickListener {
+            parentFragmentManager
+                .beginTransaction()
+                .replace(R.id.container, SuggestionSettingsFragment())
+                .addToBackStack(null)
+                .commit()
+            getActionBarUpdater().apply {
+                updateTitle(R.string.preferences_suggestions)
+            }
+            true
+        }
+
+    private fun getClickListenerForSitePermissions(): OnPreferenceClickListener =
+        OnPreferenceClickListener {
+            parentFragmentManager
+                .beginTransaction()
+                .replace(R.id.container, SitePermissionsSettingsFragment())
+                .addToBackStack(null)
+                .commit()
+            getActionBarUpdater().apply {
+                updateTitle(R.string.preferences_site_permissions)
+            }
+            true
+        }
+
+    private fun getClickListenerForDeleteBrowsingData(): OnPreferenceClickListener =
+        OnPreferenceClickListener {
+            parentFragmentManager
+                .beginTransaction()
+                .replace(R.id.container, DeleteBrowsingDataFragment())
+                .addToBackStack(null)
+                .commit()
+            getActionBarUpdater().apply {
+                updateTitle(R.string.preferences_delete_browsing_data)
+            }
+            true
+        }
+
+    private fun getClickListenerForDeleteOnQuit(): OnPreferenceClickListener =
+        OnPreferenceClickListener {
+            parentFragmentManager
+                .beginTransaction()
+                .replace(R.id.container, DeleteOnQuitSettingsFragment())
+                .addToBackStack(null)
+                .commit()
+            getActionBarUpdater().apply {
+                updateTitle(R.string.preferences_delete_browsing_data_on_quit)
+            }
+            true
+        }
+
+    private fun getClickListenerForDownloadLocation(): OnPreferenceClickListener =
+        OnPreferenceClickListener {
+            downloadLocationLauncher.launch(RBSettings.getDownloadLocationUri(requireContext())?.let(Uri::parse))
+            true
+        }
+
+    private fun onDownloadLocationPicked(uri: Uri) {
+        val context = requireContext()
+        val name = DownloadLocation.getFolderName(context, uri)
+        if (name == null) {
+            Toast.makeText(context, R.string.download_location_unsupported, Toast.LENGTH_SHORT).show()
+            return
+        }
+
+        DownloadLocation.persistPermission(context, uri)
+        RBSettings.setDownloadLocationUri(context, uri.toString())
+        findPreference<Preference>(context.getPreferenceKey(pref_key_download_location))?.summary = name
+    }
+
     private fun getChangeListenerForRemoteDebugging(): OnPreferenceChangeListener =
         OnPreferenceChangeListener { _, newValue ->
             requireComponents.core.engine.settings.remoteDebuggingEnabled = newValue as Boolean
             true
         }
 
+    /**
+     * Refuses the picked number of days if tabs would be closed before they're listed as inactive.
+     * [inactiveAfter] and [closeAfter] return the number of days of both preferences given the
+     * picked one.
+     */
+    private fun getChangeListenerForInactiveTabs(
+        inactiveAfter: (String) -> String?,
+        closeAfter: (String) -> String?,
+    ): OnPreferenceChangeListener =
+        OnPreferenceChangeListener { _, newValue ->
+            val inactiveDays = inactiveAfter(newValue as String)?.toLongOrNull() ?: 0
+            val closeDays = closeAfter(newValue)?.toLongOrNull() ?: 0
+            val isValid = closeDays == 0L || (inactiveDays > 0 && closeDays > inactiveDays)
+            if (!isValid) {
+                Toast.makeText(context, R.string.preferences_inactive_tabs_close_too_early, Toast.LENGTH_LONG).show()
+            }
+            isValid
+        }
+
     private fun getAboutPageListener(): OnPreferenceClickListener =
         OnPreferenceClickListener {
             parentFragmentManager
@@ -0,0 +1,43 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.settings
+
+import android.os.Bundle
+import androidx.preference.Preference
+import androidx.preference.Preference.OnPreferenceClickListener
+import androidx.preference.PreferenceFragmentCompat
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.getPreferenceKey
+import org.mozilla.reference.browser.sitepermissions.SitePermissionsSitesFragment
+
+/**
+ * The site permissions settings: the default of each permission and the list of sites with saved
+ * permissions.
+ */
+class SitePermissionsSettingsFragment : PreferenceFragmentCompat() {
+    override fun onCreatePreferences(
+        savedInstanceState: Bundle?,
+        rootKey: String?,
+    ) {
+        setPreferencesFromResource(R.xml.site_permissions_preferences, rootKey)
+
+        val sitesKey = requireContext().getPreferenceKey(R.string.pref_key_site_permissions_sites)
+        val prefSites = findPreference<Preference>(sitesKey)
+
+        prefSites?.onPreferenceClickListener = OnPreferenceClickListener {
+            parentFragmentManager
+                .beginTransaction()
+                .replace(R.id.container, SitePermissionsSitesFragment())
+                .addToBackStack(null)
+                .commit()
+            true
+        }
+    }
+
+    override fun onResume() {
+        super.onResume()
+        (activity as? SettingsFragment.ActionBarUpdater)?.updateTitle(R.string.preferences_site_permissions)
+    }
+}
@@ -0,0 +1,164 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.siteinfo
+
+import android.content.Context
+import android.view.View
+import android.widget.TextView
+import androidx.annotation.StringRes
+import androidx.appcompat.widget.SwitchCompat
+import androidx.core.net.toUri
+import androidx.core.text.bold
+import androidx.core.text.buildSpannedString
+import com.google.android.material.bottomsheet.BottomSheetDialog
+import mozilla.components.browser.state.selector.findTabOrCustomTabOrSelectedTab
+import mozilla.components.browser.state.state.SessionState
+import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.concept.engine.EngineSession.TrackingProtectionPolicy.TrackingCategory
+import mozilla.components.concept.engine.content.blocking.Tracker
+import mozilla.components.feature.session.SessionUseCases
+import mozilla.components.feature.session.TrackingProtectionUseCases
+import org.mozilla.reference.browser.R
+import mozilla.components.ui.icons.R as iconsR
+
+/**
+ * A bottom sheet showing the connection security of the current site, the trackers blocked
+ * on it and a switch turning tracking protection off for it.
+ *
+ * @param context The context used to show the dialog.
+ * @param store The [BrowserStore] holding the tab to show the information of.
+ * @param trackingProtectionUseCases Used to add or remove the tracking protection exception of the site.
+ * @param sessionUseCases Used to reload the tab once its tracking protection exception changed.
+ * @param sessionId The id of the tab to show the information of, or null for the selected tab.
+ */
+class SiteInfoDialog(
+    private val context: Context,
+    private val store: BrowserStore,
+    private val trackingProtectionUseCases: TrackingProtectionUseCases,
+    private val sessionUseCases: SessionUseCases,
+    private val sessionId: String?,
+) {
+    /**
+     * Shows the dialog for the tab, if it still exists.
+     */
+    fun show() {
+        val tab = store.state.findTabOrCustomTabOrSelectedTab(sessionId) ?: return
+        val dialogView = View.inflate(context, R.layout.dialog_site_info, null)
+        val dialog = BottomSheetDialog(context)
+
+        dialogView.findViewById<TextView>(R.id.site_info_host).text =
+            tab.content.url
+                .toUri()
+                .host ?: tab.content.url
+        bindSecurity(dialogView, tab)
+        bindTrackingProtection(dialogView, tab, dialog)
+        bindTrackers(dialogView, tab.trackingProtection.blockedTrackers)
+
+        dialog.setContentView(dialogView)
+        dialog.show()
+    }
+
+    private fun bindSecurity(
+        view: View,
+        tab: SessionState,
+    ) {
+        val securityInfo = tab.content.securityInfo
+        view.findViewById<TextView>(R.id.site_info_security).apply {
+            setText(if (securityInfo.secure) R.string.site_info_secure else R.string.site_info_insecure)
+            setCompoundDrawablesRelativeWithIntrinsicBounds(
+                if (securityInfo.secure) iconsR.drawable.mozac_ic_lock_24 else iconsR.drawable.mozac_ic_lock_slash_24,
+                0,
+                0,
+                0,
+            )
+        }
+        view.findViewById<TextView>(R.id.site_info_issuer).apply {
+            text = context.getString(R.string.site_info_issuer, securityInfo.issuer)
+            visibility = if (securityInfo.secure && securityInfo.issuer.isNotEmpty()) View.VISIBLE else View.GONE
+        }
+    }
+
+    private fun bindTrackingProtection(
+        view: View,
+        tab: SessionState,
+        dialog: BottomSheetDialog,
+    ) {
+        val trackingProtection = tab.trackingProtection
+        val summary = view.findViewById<TextView>(R.id.site_info_tracking_protection_summary)
+
+        summary.setText(
+            when {
+                trackingProtection.ignoredOnTrackingProtection -> R.string.site_info_tracking_protection_off
+                trackingProtection.enabled -> R.string.site_info_tracking_protection_on
+                else -> R.string.site_info_tracking_protection_disabled
+            },
+        )
+
+        view.findViewById<SwitchCompat>(R.id.site_info_tracking_protection).apply {
+            isChecked = trackingProtection.enabled && !trackingProtection.ignoredOnTrackingProtection
+            // Without tracking protection for this tab's mode there's nothing to turn off, but an
+            // existing exception can still be removed.
+            isEnabled = trackingProtection.enabled || trackingProtection.ignoredOnTrackingProtection
+            setOnCheckedChangeListener { _, enabled ->
+                if (enabled) {
+                    trackingProtectionUseCases.removeException(tab.id)
+                } else {
+                    trackingProtectionUseCases.addException(tab.id)
+                }
+                sessionUseCases.reload(tab.id)
+                dialog.dismiss()
+            }
+        }
+    }
+
+    private fun bindTrackers(
+        view: View,
+        trackers: List<Tracker>,
+    ) {
+        val trackersByCategory = trackers.groupBy { it.categoryLabel() }
+
+        view.findViewById<TextView>(R.id.site_info_trackers).text = if (trackersByCategory.isEmpty()) {
+            context.getString(R.string.site_info_trackers_none)
+        } else {
+            buildSpannedString {
+                CATEGORY_LABELS.filter { it in trackersByCategory }.forEach { label ->
+                    if (isNotEmpty()) {
+                        append("\n")
+                    }
+                    bold { append(context.getString(label)) }
+                    trackersByCategory
+                        .getValue(label)
+                        .map { it.url.toUri().host ?: it.url }
+                        .distinct()
+                        .forEach { host -> append("\n").append(host) }
+                }
+            }
+        }
+    }
+
+    companion object {
+        private val CATEGORY_LABELS = listOf(
+            R.string.site_info_category_social,
+            R.string.site_info_category_cookies,
+            R.string.site_info_category_cryptominers,
+            R.string.site_info_category_fingerprinters,
+            R.string.site_info_category_tracking_content,
+            R.string.site_info_category_filter_lists,
+        )
+
+        @StringRes
+        private fun Tracker.categoryLabel(): Int =
+            when {
+                trackingCategories.any { it == TrackingCategory.SOCIAL || it == TrackingCategory.MOZILLA_SOCIAL } ->
+                    R.string.site_info_category_social
+                TrackingCategory.CRYPTOMINING in trackingCategories -> R.string.site_info_category_cryptominers
+                TrackingCategory.FINGERPRINTING in trackingCategories -> R.string.site_info_category_fingerprinters
+                trackingCategories.isNotEmpty() -> R.string.site_info_category_tracking_content
+                cookiePolicies.isNotEmpty() -> R.string.site_info_category_cookies
+                // Requests blocked by the content blocker don't carry any category.
+                else -> R.string.site_info_category_filter_lists
+            }
+    }
+}
@@ -0,0 +1,95 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.sitepermissions
+
+import androidx.annotation.StringRes
+import mozilla.components.concept.engine.permission.SitePermissions
+import mozilla.components.concept.engine.permission.SitePermissions.AutoplayStatus
+import mozilla.components.concept.engine.permission.SitePermissions.Status
+import org.mozilla.reference.browser.R
+
+/**
+ * The permissions a site can be granted or denied that are listed in settings.
+ *
+ * @property label The name of the permission.
+ * @property isAutoplay Whether this is an autoplay permission, which can't be left undecided.
+ */
+enum class SitePermissionType(
+    @StringRes val label: Int,
+    val isAutoplay: Boolean = false,
+) {
+    CAMERA(R.string.site_permissions_camera),
+    MICROPHONE(R.string.site_permissions_microphone),
+    LOCATION(R.string.site_permissions_location),
+    NOTIFICATION(R.string.site_permissions_notification),
+    PERSISTENT_STORAGE(R.string.site_permissions_persistent_storage),
+    AUTOPLAY_AUDIBLE(R.string.site_permissions_autoplay_audible, isAutoplay = true),
+    AUTOPLAY_INAUDIBLE(R.string.site_permissions_autoplay_inaudible, isAutoplay = true),
+    ;
+
+    /**
+     * The statuses a site can have for this permission.
+     */
+    val statuses: List<Status>
+        get() = if (isAutoplay) {
+            listOf(Status.ALLOWED, Status.BLOCKED)
+        } else {
+            listOf(Status.NO_DECISION, Status.ALLOWED, Status.BLOCKED)
+        }
+}
+
+/**
+ * Returns the status of the given permission [type] for this site.
+ */
+fun SitePermissions.statusOf(type: SitePermissionType): Status =
+    when (type) {
+        SitePermissionType.CAMERA -> camera
+        SitePermissionType.MICROPHONE -> microphone
+        SitePermissionType.LOCATION -> location
+        SitePermissionType.NOTIFICATION -> notification
+        SitePermissionType.PERSISTENT_STORAGE -> localStorage
+        SitePermissionType.AUTOPLAY_AUDIBLE -> autoplayAudible.asStatus()
+        SitePermissionType.AUTOPLAY_INAUDIBLE -> autoplayInaudible.asStatus()
+    }
+
+/**
+ * Returns a copy of these site permissions with the given permission [type] set to [status].
+ */
+fun SitePermissions.withStatus(
+    type: SitePermissionType,
+    status: Status,
+): SitePermissions =
+    when (type) {
+        SitePermissionType.CAMERA -> copy(camera = status)
+        SitePermissionType.MICROPHONE -> copy(microphone = status)
+        SitePermissionType.LOCATION -> copy(location = status)
+        SitePermissionType.NOTIFICATION -> copy(notification = status)
+        SitePermissionType.PERSISTENT_STORAGE -> copy(localStorage = status)
+        SitePermissionType.AUTOPLAY_AUDIBLE -> copy(autoplayAudible = status.asAutoplayStatus())
+        SitePermissionType.AUTOPLAY_INAUDIBLE -> copy(autoplayInaudible = status.asAutoplayStatus())
+    }
+
+/**
+ * Returns the label of a site's permission status.
+ */
+@StringRes
+fun Status.label(): Int =
+    when (this) {
+        Status.ALLOWED -> R.string.site_permissions_status_allowed
+        Status.BLOCKED -> R.string.site_permissions_status_blocked
+        Status.NO_DECISION -> R.string.site_permissions_status_ask
+    }
+
+private fun AutoplayStatus.asStatus() =
+    when (this) {
+        AutoplayStatus.ALLOWED -> Status.ALLOWED
+        AutoplayStatus.BLOCKED -> Status.BLOCKED
+    }
+
+private fun Status.asAutoplayStatus() =
+    when (this) {
+        Status.ALLOWED -> AutoplayStatus.ALLOWED
+        Status.BLOCKED, Status.NO_DECISION -> AutoplayStatus.BLOCKED
+    }
@@ -0,0 +1,50 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.sitepermissions
+
+import android.view.LayoutInflater
+import android.view.ViewGroup
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+import mozilla.components.concept.engine.permission.SitePermissions
+
+/**
+ * Adapter for the list of sites with stored permissions.
+ *
+ * @param onItemClicked Invoked when a site is tapped.
+ */
+class SitePermissionsAdapter(
+    private val onItemClicked: (SitePermissions) -> Unit,
+) : ListAdapter<SitePermissions, SitePermissionsViewHolder>(DiffCallback) {
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): SitePermissionsViewHolder {
+        val itemView = LayoutInflater
+            .from(parent.context)
+            .inflate(SitePermissionsViewHolder.LAYOUT_ID, parent, false)
+
+        return SitePermissionsViewHolder(itemView)
+    }
+
+    override fun onBindViewHolder(
+        holder: SitePermissionsViewHolder,
+        position: Int,
+    ) {
+        holder.bind(getItem(position), onItemClicked)
+    }
+
+    private object DiffCallback : DiffUtil.ItemCallback<SitePermissions>() {
+        override fun areItemsTheSame(
+            oldItem: SitePermissions,
+            newItem: SitePermissions,
+        ) = oldItem.origin == newItem.origin
+
+        override fun areContentsTheSame(
+            oldItem: SitePermissions,
+            newItem: SitePermissions,
+        ) = oldItem == newItem
+    }
+}
@@ -0,0 +1,115 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.sitepermissions
+
+import android.os.Bundle
+import androidx.appcompat.app.AppCompatActivity
+import androidx.lifecycle.lifecycleScope
+import androidx.preference.ListPreference
+import androidx.preference.Preference
+import androidx.preference.PreferenceFragmentCompat
+import kotlinx.coroutines.launch
+import mozilla.components.concept.engine.permission.SitePermissions
+import mozilla.components.concept.engine.permission.SitePermissions.Status
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.requireComponents
+
+/**
+ * Fragment editing the permissions of a single site. The preferences aren't persisted to
+ * shared preferences but written to the site permissions storage.
+ */
+class SitePermissionsDetailsFragment : PreferenceFragmentCompat() {
+    private val origin: String
+        get() = requireNotNull(arguments?.getString(ORIGIN))
+
+    private var sitePermissions: SitePermissions? = null
+
+    override fun onCreatePreferences(
+        savedInstanceState: Bundle?,
+        rootKey: String?,
+    ) {
+        preferenceScreen = preferenceManager.createPreferenceScreen(requireContext())
+
+        lifecycleScope.launch {
+            val permissions = requireComponents.core.geckoSitePermissionsStorage
+                .findSitePermissionsBy(origin, private = false)
+                ?: return@launch
+
+            sitePermissions = permissions
+            addPermissionPreferences(permissions)
+        }
+    }
+
+    override fun onResume() {
+        super.onResume()
+        (activity as AppCompatActivity).title = origin
+    }
+
+    private fun addPermissionPreferences(permissions: SitePermissions) {
+        val context = requireContext()
+
+        SitePermissionType.entries.forEach { type ->
+            val preference = ListPreference(context).apply {
+                key = type.name
+                title = context.getString(type.label)
+                dialogTitle = title
+                isPersistent = false
+                entries = type.statuses.map { context.getString(it.label()) }.toTypedArray()
+                entryValues = type.statuses.map { it.name }.toTypedArray()
+                value = permissions.statusOf(type).name
+                summaryProvider = ListPreference.SimpleSummaryProvider.getInstance()
+                setOnPreferenceChangeListener { _, newValue ->
+                    updatePermission(type, Status.valueOf(newValue as String))
+                    true
+                }
+            }
+            preferenceScreen.addPreference(preference)
+        }
+
+        val clear = Preference(context).apply {
+            title = context.getString(R.string.site_permissions_clear)
+            setOnPreferenceClickListener {
+                clearPermissions()
+                true
+            }
+        }
+        preferenceScreen.addPreference(clear)
+    }
+
+    private fun updatePermission(
+        type: SitePermissionType,
+        status: Status,
+    ) {
+        val updated = sitePermissions?.withStatus(type, status) ?: return
+        sitePermissions = updated
+
+        lifecycleScope.launch {
+            requireComponents.core.geckoSitePermissionsStorage.update(updated, private = false)
+        }
+    }
+
+    private fun clearPermissions() {
+        val permissions = sitePermissions ?: return
+
+        lifecycleScope.launch {
+            requireComponents.core.geckoSitePermissionsStorage.remove(permissions, private = false)
+            parentFragmentManager.popBackStack()
+        }
+    }
+
+    companion object {
+        private const val ORIGIN = "origin"
+
+        /**
+         * Creates a fragment editing the permissions of the site with the given [origin].
+         */
+        fun create(origin: String) =
+            SitePermissionsDetailsFragment().apply {
+                arguments = Bundle().apply {
+                    putString(ORIGIN, origin)
+                }
+            }
+    }
+}
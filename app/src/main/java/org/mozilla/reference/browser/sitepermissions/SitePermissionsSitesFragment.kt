@@ -0,0 +1,74 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.sitepermissions
+
+import android.os.Bundle
+import android.view.LayoutInflater
+import android.view.View
+import android.view.ViewGroup
+import android.widget.TextView
+import androidx.appcompat.app.AppCompatActivity
+import androidx.fragment.app.Fragment
+import androidx.lifecycle.lifecycleScope
+import androidx.recyclerview.widget.LinearLayoutManager
+import androidx.recyclerview.widget.RecyclerView
+import kotlinx.coroutines.launch
+import mozilla.components.concept.engine.permission.SitePermissions
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.requireComponents
+
+/**
+ * Fragment listing the sites permissions were granted to or blocked for.
+ */
+class SitePermissionsSitesFragment : Fragment() {
+    private val adapter = SitePermissionsAdapter(::onItemClicked)
+
+    private val sitesList: RecyclerView
+        get() = requireView().findViewById(R.id.site_permissions_list)
+    private val sitesEmpty: TextView
+        get() = requireView().findViewById(R.id.site_permissions_empty)
+
+    override fun onCreateView(
+        inflater: LayoutInflater,
+        container: ViewGroup?,
+        savedInstanceState: Bundle?,
+    ): View? = inflater.inflate(R.layout.fragment_site_permissions_sites, container, false)
+
+    override fun onViewCreated(
+        view: View,
+        savedInstanceState: Bundle?,
+    ) {
+        super.onViewCreated(view, savedInstanceState)
+
+        sitesList.layoutManager = LinearLayoutManager(requireContext())
+        sitesList.adapter = adapter
+    }
+
+    override fun onResume() {
+        super.onResume()
+        (activity as AppCompatActivity).title = getString(R.string.site_permissions_sites)
+        loadSites()
+    }
+
+    private fun loadSites() {
+        viewLifecycleOwner.lifecycleScope.launch {
+            val sites = requireComponents.core.geckoSitePermissionsStorage
+                .all()
+                .sortedBy { it.origin }
+
+            adapter.submitList(sites)
+            sitesList.visibility = if (sites.isEmpty()) View.GONE else View.VISIBLE
+            sitesEmpty.visibility = if (sites.isEmpty()) View.VISIBLE else View.GONE
+        }
+    }
+
+    private fun onItemClicked(sitePermissions: SitePermissions) {
+        parentFragmentManager
+            .beginTransaction()
+            .replace(R.id.container, SitePermissionsDetailsFragment.create(sitePermissions.origin))
+            .addToBackStack(null)
+            .commit()
+    }
+}
@@ -0,0 +1,56 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.sitepermissions
+
+import android.view.View
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import mozilla.components.concept.engine.permission.SitePermissions
+import mozilla.components.concept.engine.permission.SitePermissions.Status
+import org.mozilla.reference.browser.R
+
+/**
+ * A site in the list of sites with saved permissions, summarizing the decisions made for it.
+ */
+class SitePermissionsViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    private val origin = itemView.findViewById<TextView>(R.id.site_permissions_origin)
+    private val summary = itemView.findViewById<TextView>(R.id.site_permissions_summary)
+
+    /**
+     * Shows the [sitePermissions], calling [onItemClicked] when they are tapped.
+     */
+    fun bind(
+        sitePermissions: SitePermissions,
+        onItemClicked: (SitePermissions) -> Unit,
+    ) {
+        val context = itemView.context
+
+        origin.text = sitePermissions.origin
+        // Only list the decisions that were made; autoplay always has one.
+        summary.text = SitePermissionType.entries
+            .filter { !it.isAutoplay }
+            .mapNotNull { type ->
+                val status = sitePermissions.statusOf(type)
+                if (status == Status.NO_DECISION) {
+                    null
+                } else {
+                    context.getString(
+                        R.string.site_permissions_summary_item,
+                        context.getString(type.label),
+                        context.getString(status.label()),
+                    )
+                }
+            }.joinToString(" · ")
+            .ifEmpty { context.getString(R.string.site_permissions_summary_none) }
+
+        itemView.setOnClickListener { onItemClicked(sitePermissions) }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_site_permissions_item
+    }
+}
@@ -0,0 +1,25 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.snapshots
+
+/**
+ * A named set of tabs saved by the user, which can be restored later.
+ *
+ * @property createdAt The time the snapshot was saved, in milliseconds since the epoch.
+ */
+data class SessionSnapshot(
+    val id: String,
+    val name: String,
+    val createdAt: Long,
+    val tabs: List<Tab>,
+) {
+    /**
+     * A tab of a [SessionSnapshot].
+     */
+    data class Tab(
+        val url: String,
+        val title: String,
+    )
+}
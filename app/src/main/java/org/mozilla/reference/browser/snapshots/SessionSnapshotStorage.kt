@@ -0,0 +1,148 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.snapshots
+
+import android.content.Context
+import androidx.core.net.toUri
+import kotlinx.coroutines.flow.StateFlow
+import mozilla.components.browser.state.state.TabSessionState
+import org.json.JSONArray
+import org.json.JSONException
+import org.json.JSONObject
+import org.mozilla.reference.browser.storage.JsonListStorage
+import java.util.UUID
+
+/**
+ * Persists the named session snapshots. Unlike [SessionStorage], which keeps the current tabs
+ * together with their history, snapshots only keep the URL and title of every tab, so they can
+ * be exported to a file and imported on another device.
+ *
+ * [SessionStorage]: mozilla.components.browser.session.storage.SessionStorage
+ */
+class SessionSnapshotStorage(
+    context: Context,
+) {
+    private val storage = JsonListStorage(
+        context,
+        FILE_NAME,
+        name = "session snapshots",
+        toJSON = { snapshot -> snapshot.toJSON() },
+        fromJSON = { json, index -> json.getJSONObject(index).toSessionSnapshot() },
+    )
+
+    /**
+     * The saved snapshots, most recent first.
+     */
+    val snapshots: StateFlow<List<SessionSnapshot>> = storage.items
+
+    /**
+     * Saves the given tabs as a snapshot named [name].
+     */
+    fun save(
+        name: String,
+        tabs: List<TabSessionState>,
+    ) = add(
+        SessionSnapshot(
+            id = UUID.randomUUID().toString(),
+            name = name,
+            createdAt = System.currentTimeMillis(),
+            tabs = tabs.map { SessionSnapshot.Tab(it.content.url, it.content.title) },
+        ),
+    )
+
+    /**
+     * Renames the snapshot with the given [snapshotId] to [name].
+     */
+    fun rename(
+        snapshotId: String,
+        name: String,
+    ) = update { snapshots -> snapshots.map { if (it.id == snapshotId) it.copy(name = name) else it } }
+
+    /**
+     * Deletes the snapshot with the given [snapshotId].
+     */
+    fun remove(snapshotId: String) = update { snapshots -> snapshots.filter { it.id != snapshotId } }
+
+    /**
+     * Returns the snapshot in the format used for exporting it to a file.
+     */
+    fun export(snapshot: SessionSnapshot): String =
+        snapshot
+            .toJSON()
+            .put(KEY_VERSION, VERSION)
+            .toString()
+
+    /**
+     * Adds the snapshot exported to [json] as a new snapshot. Only snapshots of a known version,
+     * with at least one tab and web pages only, are imported: the file may come from anywhere and
+     * its URLs are opened as tabs.
+     *
+     * @throws JSONException if [json] isn't an exported snapshot or can't be imported.
+     */
+    fun import(json: String): SessionSnapshot {
+        val jsonObject = JSONObject(json)
+        val version = jsonObject.optInt(KEY_VERSION, 0)
+        if (version !in 1..VERSION) {
+            throw JSONException("Unsupported snapshot version $version")
+        }
+
+        val snapshot = jsonObject.toSessionSnapshot().copy(id = UUID.randomUUID().toString())
+        if (snapshot.tabs.isEmpty()) {
+            throw JSONException("Snapshot without tabs")
+        }
+        snapshot.tabs.firstOrNull { !isImportable(it.url) }?.let {
+            throw JSONException("Unsupported URL in snapshot: ${it.url}")
+        }
+
+        add(snapshot)
+        return snapshot
+    }
+
+    private fun add(snapshot: SessionSnapshot) = update { snapshots -> listOf(snapshot) + snapshots }
+
+    private fun update(transform: (List<SessionSnapshot>) -> List<SessionSnapshot>) = storage.update(transform)
+
+    private fun isImportable(url: String) = url == BLANK_URL || url.toUri().scheme?.lowercase() in IMPORTABLE_SCHEMES
+
+    private fun SessionSnapshot.toJSON() =
+        JSONObject().apply {
+            put(KEY_ID, id)
+            put(KEY_NAME, name)
+            put(KEY_CREATED_AT, createdAt)
+            put(
+                KEY_TABS,
+                JSONArray().apply {
+                    tabs.forEach { tab -> put(JSONObject().put(KEY_URL, tab.url).put(KEY_TITLE, tab.title)) }
+                },
+            )
+        }
+
+    private fun JSONObject.toSessionSnapshot(): SessionSnapshot {
+        val tabs = getJSONArray(KEY_TABS)
+        return SessionSnapshot(
+            id = optString(KEY_ID).ifEmpty { UUID.randomUUID().toString() },
+            name = getString(KEY_NAME),
+            createdAt = optLong(KEY_CREATED_AT, System.currentTimeMillis()),
+            tabs = (0 until tabs.length()).map {
+                val tab = tabs.getJSONObject(it)
+                SessionSnapshot.Tab(tab.getString(KEY_URL), tab.optString(KEY_TITLE))
+            },
+        )
+    }
+
+    companion object {
+        private const val FILE_NAME = "session_snapshots.json"
+        private const val VERSION = 1
+        private const val BLANK_URL = "about:blank"
+        private val IMPORTABLE_SCHEMES = setOf("http", "https")
+        private const val KEY_VERSION = "version"
+        private const val KEY_ID = "id"
+        private const val KEY_NAME = "name"
+        private const val KEY_CREATED_AT = "createdAt"
+        private const val KEY_TABS = "tabs"
+        private const val KEY_URL = "url"
+        private const val KEY_TITLE = "title"
+    }
+}
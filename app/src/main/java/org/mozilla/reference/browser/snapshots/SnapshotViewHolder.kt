@@ -0,0 +1,51 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.snapshots
+
+import android.text.format.DateUtils
+import android.view.View
+import android.widget.ImageButton
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import org.mozilla.reference.browser.R
+
+/**
+ * View holder for a saved session snapshot in [SnapshotsFragment], showing its name, number of
+ * tabs and creation date.
+ */
+class SnapshotViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    private val name = itemView.findViewById<TextView>(R.id.snapshot_item_name)
+    private val details = itemView.findViewById<TextView>(R.id.snapshot_item_details)
+    private val menu = itemView.findViewById<ImageButton>(R.id.snapshot_item_menu)
+
+    /**
+     * Shows the given [snapshot], calling [onItemClicked] when it's clicked and [onItemMenuClicked]
+     * with the anchor view when its menu button is clicked.
+     */
+    fun bind(
+        snapshot: SessionSnapshot,
+        onItemClicked: (SessionSnapshot) -> Unit,
+        onItemMenuClicked: (SessionSnapshot, View) -> Unit,
+    ) {
+        val context = itemView.context
+        val date = DateUtils.formatDateTime(
+            context,
+            snapshot.createdAt,
+            DateUtils.FORMAT_SHOW_DATE or DateUtils.FORMAT_SHOW_TIME,
+        )
+
+        name.text = snapshot.name
+        details.text = context.getString(R.string.snapshot_details, snapshot.tabs.size, date)
+
+        menu.setOnClickListener { onItemMenuClicked(snapshot, it) }
+        itemView.setOnClickListener { onItemClicked(snapshot) }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_snapshot_item
+    }
+}
@@ -0,0 +1,52 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.snapshots
+
+import android.view.LayoutInflater
+import android.view.View
+import android.view.ViewGroup
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+
+/**
+ * Adapter for the list of session snapshots.
+ *
+ * @param onItemClicked Invoked when a snapshot is tapped.
+ * @param onItemMenuClicked Invoked when the options button of a snapshot is tapped.
+ */
+class SnapshotsAdapter(
+    private val onItemClicked: (SessionSnapshot) -> Unit,
+    private val onItemMenuClicked: (SessionSnapshot, View) -> Unit,
+) : ListAdapter<SessionSnapshot, SnapshotViewHolder>(DiffCallback) {
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): SnapshotViewHolder {
+        val itemView = LayoutInflater
+            .from(parent.context)
+            .inflate(SnapshotViewHolder.LAYOUT_ID, parent, false)
+
+        return SnapshotViewHolder(itemView)
+    }
+
+    override fun onBindViewHolder(
+        holder: SnapshotViewHolder,
+        position: Int,
+    ) {
+        holder.bind(getItem(position), onItemClicked, onItemMenuClicked)
+    }
+
+    private object DiffCallback : DiffUtil.ItemCallback<SessionSnapshot>() {
+        override fun areItemsTheSame(
+            oldItem: SessionSnapshot,
+            newItem: SessionSnapshot,
+        ) = oldItem.id == newItem.id
+
+        override fun areContentsTheSame(
+            oldItem: SessionSnapshot,
+            newItem: SessionSnapshot,
+        ) = oldItem == newItem
+    }
+}
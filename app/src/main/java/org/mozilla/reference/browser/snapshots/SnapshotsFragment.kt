@@ -0,0 +1,250 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.snapshots
+
+import android.net.Uri
+import android.os.Bundle
+import android.view.LayoutInflater
+import android.view.Menu
+import android.view.MenuInflater
+import android.view.MenuItem
+import android.view.View
+import android.view.ViewGroup
+import android.widget.TextView
+import android.widget.Toast
+import androidx.activity.result.ActivityResultLauncher
+import androidx.activity.result.contract.ActivityResultContracts
+import androidx.appcompat.app.AlertDialog
+import androidx.appcompat.widget.PopupMenu
+import androidx.core.view.MenuProvider
+import androidx.fragment.app.Fragment
+import androidx.lifecycle.Lifecycle
+import androidx.lifecycle.lifecycleScope
+import androidx.recyclerview.widget.LinearLayoutManager
+import androidx.recyclerview.widget.RecyclerView
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.launch
+import kotlinx.coroutines.withContext
+import mozilla.components.support.base.log.logger.Logger
+import org.json.JSONException
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.requireComponents
+import org.mozilla.reference.browser.ext.showNameDialog
+import java.io.IOException
+
+/**
+ * Fragment listing the saved session snapshots. A snapshot can be restored either in place of
+ * the current tabs or next to them, and exported to or imported from a file.
+ */
+class SnapshotsFragment :
+    Fragment(),
+    MenuProvider {
+    private val logger = Logger("SnapshotsFragment")
+    private val adapter = SnapshotsAdapter(::onItemClicked, ::onItemMenuClicked)
+
+    private lateinit var importLauncher: ActivityResultLauncher<Array<String>>
+    private lateinit var exportLauncher: ActivityResultLauncher<String>
+
+    // The snapshot waiting for the user to pick the file it gets exported to.
+    private var pendingExport: SessionSnapshot? = null
+
+    private val snapshotsList: RecyclerView
+        get() = requireView().findViewById(R.id.snapshots_list)
+    private val snapshotsEmpty: TextView
+        get() = requireView().findViewById(R.id.snapshots_empty)
+
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        importLauncher =
+            registerForActivityResult(ActivityResultContracts.OpenDocument()) { uri ->
+                uri?.let { importSnapshot(it) }
+            }
+        exportLauncher =
+            registerForActivityResult(ActivityResultContracts.CreateDocument(MIME_TYPE)) { uri ->
+                val snapshot = pendingExport
+                pendingExport = null
+                if (uri != null && snapshot != null) {
+                    exportSnapshot(snapshot, uri)
+                }
+            }
+    }
+
+    override fun onCreateView(
+        inflater: LayoutInflater,
+        container: ViewGroup?,
+        savedInstanceState: Bundle?,
+    ): View? = inflater.inflate(R.layout.fragment_snapshots, container, false)
+
+    override fun onViewCreated(
+        view: View,
+        savedInstanceState: Bundle?,
+    ) {
+        super.onViewCreated(view, savedInstanceState)
+
+        snapshotsList.layoutManager = LinearLayoutManager(requireContext())
+        snapshotsList.adapter = adapter
+
+        requireActivity().addMenuProvider(this, viewLifecycleOwner, Lifecycle.State.RESUMED)
+
+        viewLifecycleOwner.lifecycleScope.launch {
+            requireComponents.core.sessionSnapshotStorage.snapshots.collect { snapshots ->
+                adapter.submitList(snapshots)
+
+                snapshotsList.visibility = if (snapshots.isEmpty()) View.GONE else View.VISIBLE
+                snapshotsEmpty.visibility = if (snapshots.isEmpty()) View.VISIBLE else View.GONE
+            }
+        }
+    }
+
+    override fun onCreateMenu(
+        menu: Menu,
+        menuInflater: MenuInflater,
+    ) {
+        menuInflater.inflate(R.menu.snapshots_menu, menu)
+    }
+
+    override fun onMenuItemSelected(menuItem: MenuItem): Boolean =
+        when (menuItem.itemId) {
+            R.id.snapshots_save -> {
+                saveSnapshot()
+                true
+            }
+
+            R.id.snapshots_import -> {
+                importLauncher.launch(arrayOf(MIME_TYPE, "text/*", "application/octet-stream"))
+                true
+            }
+
+            else -> false
+        }
+
+    private fun saveSnapshot() {
+        val tabs = requireComponents.core.store.state.tabs
+            .filter { !it.content.private }
+
+        if (tabs.isEmpty()) {
+            Toast.makeText(requireContext(), R.string.snapshots_no_tabs, Toast.LENGTH_SHORT).show()
+            return
+        }
+
+        showNameDialog(R.string.snapshots_save, R.string.snapshot_name_hint, name = null) { name ->
+            requireComponents.core.sessionSnapshotStorage.save(name, tabs)
+        }
+    }
+
+    private fun onItemClicked(snapshot: SessionSnapshot) {
+        val options = arrayOf(getString(R.string.snapshot_restore_replace), getString(R.string.snapshot_restore_add))
+
+        AlertDialog
+            .Builder(requireContext())
+            .setTitle(snapshot.name)
+            .setItems(options) { _, which ->
+                restoreSnapshot(snapshot, replace = which == 0)
+            }.setNegativeButton(R.string.snapshot_dialog_cancel) { dialog, _ -> dialog.cancel() }
+            .show()
+    }
+
+    private fun onItemMenuClicked(
+        snapshot: SessionSnapshot,
+        anchor: View,
+    ) {
+        PopupMenu(requireContext(), anchor).apply {
+            menuInflater.inflate(R.menu.snapshot_item_menu, menu)
+            setOnMenuItemClickListener { item ->
+                val storage = requireComponents.core.sessionSnapshotStorage
+                when (item.itemId) {
+                    R.id.snapshot_rename ->
+                        showNameDialog(R.string.snapshot_rename, R.string.snapshot_name_hint, snapshot.name) { name ->
+                            storage.rename(snapshot.id, name)
+                        }
+                    R.id.snapshot_export -> {
+                        pendingExport = snapshot
+                        exportLauncher.launch("${snapshot.name}.json")
+                    }
+                    R.id.snapshot_delete -> storage.remove(snapshot.id)
+                }
+                true
+            }
+        }.show()
+    }
+
+    /**
+     * Opens the tabs of [snapshot], closing the current normal tabs first if [replace] is true.
+     * Pinned tabs are kept either way. Only the first tab is loaded right away, the others load
+     * once they get selected.
+     */
+    private fun restoreSnapshot(
+        snapshot: SessionSnapshot,
+        replace: Boolean,
+    ) {
+        val store = requireComponents.core.store
+        val tabsUseCases = requireComponents.useCases.tabsUseCases
+        val pinnedTabStorage = requireComponents.core.pinnedTabStorage
+
+        if (replace) {
+            tabsUseCases.removeTabs(
+                store.state.tabs
+                    .filter { !it.content.private && !pinnedTabStorage.isPinned(it.id) }
+                    .map { it.id },
+            )
+        }
+
+        snapshot.tabs.forEachIndexed { index, tab ->
+            // Only the first tab is loaded, the others show their saved title until they're opened.
+            tabsUseCases.addTab(tab.url, selectTab = index == 0, startLoading = index == 0, title = tab.title)
+        }
+        activity?.finish()
+    }
+
+    private fun importSnapshot(uri: Uri) {
+        val context = requireContext()
+        viewLifecycleOwner.lifecycleScope.launch {
+            val snapshot = try {
+                val json = withContext(Dispatchers.IO) {
+                    context.contentResolver.openInputStream(uri)?.use { it.readBytes().decodeToString() }
+                } ?: throw IOException("Failed to open $uri")
+                requireComponents.core.sessionSnapshotStorage.import(json)
+            } catch (e: IOException) {
+                logger.warn("Failed to read snapshot file", e)
+                null
+            } catch (e: JSONException) {
+                logger.warn("Failed to parse snapshot file", e)
+                null
+            }
+
+            val message = if (snapshot != null) {
+                getString(R.string.snapshot_imported, snapshot.name)
+            } else {
+                getString(R.string.snapshot_import_failed)
+            }
+            Toast.makeText(context, message, Toast.LENGTH_SHORT).show()
+        }
+    }
+
+    private fun exportSnapshot(
+        snapshot: SessionSnapshot,
+        uri: Uri,
+    ) {
+        val context = requireContext()
+        val json = requireComponents.core.sessionSnapshotStorage.export(snapshot)
+        viewLifecycleOwner.lifecycleScope.launch {
+            val exported = withContext(Dispatchers.IO) {
+                try {
+                    context.contentResolver.openOutputStream(uri)?.use { it.write(json.toByteArray()) } != null
+                } catch (e: IOException) {
+                    logger.warn("Failed to write snapshot file", e)
+                    false
+                }
+            }
+
+            val message = if (exported) R.string.snapshot_exported else R.string.snapshot_export_failed
+            Toast.makeText(context, message, Toast.LENGTH_SHORT).show()
+        }
+    }
+
+    companion object {
+        private const val MIME_TYPE = "application/json"
+    }
+}
@@ -0,0 +1,107 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.storage
+
+import android.content.Context
+import android.util.AtomicFile
+import kotlinx.coroutines.CoroutineScope
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.flow.MutableStateFlow
+import kotlinx.coroutines.flow.StateFlow
+import kotlinx.coroutines.flow.asStateFlow
+import kotlinx.coroutines.launch
+import mozilla.components.support.base.log.logger.Logger
+import org.json.JSONArray
+import org.json.JSONException
+import java.io.File
+import java.io.IOException
+
+/**
+ * Persists a list of items as a JSON array in a file of the app's files directory.
+ *
+ * The file is read and written on [Dispatchers.IO], one operation at a time: [items] is empty until
+ * the file was read, see [awaitLoaded], and changes made with [update] are applied in order after it.
+ *
+ * @param context The context used to locate the file.
+ * @param fileName The name of the file the items are stored in.
+ * @param name What the items are, used in log messages.
+ * @param toJSON Converts an item to a value of the JSON array.
+ * @param fromJSON Converts the value at the given index of the JSON array to an item.
+ * @param scope The scope the file is read and written in.
+ */
+class JsonListStorage<T>(
+    private val context: Context,
+    private val fileName: String,
+    private val name: String,
+    private val toJSON: (T) -> Any,
+    private val fromJSON: (JSONArray, Int) -> T,
+    private val scope: CoroutineScope = CoroutineScope(Dispatchers.IO),
+) {
+    private val logger = Logger("JsonListStorage")
+    private val dispatcher = Dispatchers.IO.limitedParallelism(1)
+    private val file by lazy { AtomicFile(File(context.filesDir, fileName)) }
+    private val itemsFlow = MutableStateFlow<List<T>>(emptyList())
+    private val loading = scope.launch(dispatcher) { itemsFlow.value = read() }
+
+    /**
+     * The stored items.
+     */
+    val items: StateFlow<List<T>> = itemsFlow.asStateFlow()
+
+    /**
+     * Suspends until the items were read from the file.
+     */
+    suspend fun awaitLoaded() = loading.join()
+
+    /**
+     * Replaces the items with the result of [transform], and writes them to the file if they changed.
+     */
+    fun update(transform: (List<T>) -> List<T>) {
+        scope.launch(dispatcher) {
+            val items = transform(itemsFlow.value)
+            if (items != itemsFlow.value) {
+                itemsFlow.value = items
+                write(items)
+            }
+        }
+    }
+
+    private fun read(): List<T> {
+        if (!file.baseFile.exists()) {
+            return emptyList()
+        }
+
+        return try {
+            val json = JSONArray(file.readFully().decodeToString())
+            (0 until json.length()).map { fromJSON(json, it) }
+        } catch (e: IOException) {
+            logger.warn("Failed to read $name", e)
+            emptyList()
+        } catch (e: JSONException) {
+            logger.warn("Failed to parse $name", e)
+            emptyList()
+        }
+    }
+
+    private fun write(items: List<T>) {
+        val json = JSONArray()
+        items.forEach { json.put(toJSON(it)) }
+
+        val stream = try {
+            file.startWrite()
+        } catch (e: IOException) {
+            logger.warn("Failed to write $name", e)
+            return
+        }
+
+        try {
+            stream.write(json.toString().toByteArray())
+            file.finishWrite(stream)
+        } catch (e: IOException) {
+            logger.warn("Failed to write $name", e)
+            file.failWrite(stream)
+        }
+    }
+}
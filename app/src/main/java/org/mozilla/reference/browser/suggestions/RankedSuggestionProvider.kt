@@ -0,0 +1,58 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.suggestions
+
+import mozilla.components.concept.awesomebar.AwesomeBar
+
+/**
+ * Shows at most [limit] of the suggestions of the [provider], scored so that the awesomebar, which
+ * sorts all suggestions by score, shows the suggestions of providers with a higher [rank] first.
+ */
+class RankedSuggestionProvider(
+    private val provider: AwesomeBar.SuggestionProvider,
+    private val rank: Int,
+    private val limit: Int,
+) : AwesomeBar.SuggestionProvider {
+    override val id: String = provider.id
+
+    override fun groupTitle(): String? = provider.groupTitle()
+
+    override fun onInputStarted(): List<AwesomeBar.Suggestion> = rerank(provider.onInputStarted())
+
+    override suspend fun onInputChanged(text: String): List<AwesomeBar.Suggestion> =
+        rerank(provider.onInputChanged(text))
+
+    override fun onInputCancelled() = provider.onInputCancelled()
+
+    private fun rerank(suggestions: List<AwesomeBar.Suggestion>): List<AwesomeBar.Suggestion> =
+        suggestions
+            .sortedByDescending { it.score }
+            .take(limit)
+            .mapIndexed { index, suggestion ->
+                // The awesomebar tells apart the suggestions of each provider by their provider.
+                suggestion.copy(provider = this, score = rank * RANK_WEIGHT - index)
+            }
+
+    companion object {
+        // More than the suggestions of a single provider can take.
+        private const val RANK_WEIGHT = 100
+
+        /**
+         * Orders and limits the [providers] as configured in [settings], leaving out the disabled
+         * ones. The providers that can't be configured are kept as they are.
+         */
+        fun rank(
+            providers: List<AwesomeBar.SuggestionProvider>,
+            settings: List<SuggestionProviderSettings>,
+        ): List<AwesomeBar.SuggestionProvider> =
+            providers.mapNotNull { provider ->
+                val type = SuggestionProviderType.of(provider) ?: return@mapNotNull provider
+                val index = settings.indexOfFirst { it.type == type }
+                settings.getOrNull(index)?.takeIf { it.isEnabled }?.let {
+                    RankedSuggestionProvider(provider, rank = settings.size - index, limit = it.limit)
+                }
+            }
+    }
+}
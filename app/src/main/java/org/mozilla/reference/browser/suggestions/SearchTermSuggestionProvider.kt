@@ -0,0 +1,77 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.suggestions
+
+import androidx.core.net.toUri
+import mozilla.components.browser.state.search.SearchEngine
+import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.concept.awesomebar.AwesomeBar
+import mozilla.components.concept.storage.HistoryStorage
+import mozilla.components.feature.search.SearchUseCases
+import java.util.UUID
+
+/**
+ * Suggests the terms searched before that contain the typed text, found in the [historyStorage]
+ * among the visited result pages of the installed search engines. Picking one searches for it
+ * again with the same engine.
+ */
+class SearchTermSuggestionProvider(
+    private val historyStorage: HistoryStorage,
+    private val store: BrowserStore,
+    private val searchUseCase: SearchUseCases.SearchUseCase,
+) : AwesomeBar.SuggestionProvider {
+    override val id: String = UUID.randomUUID().toString()
+
+    override suspend fun onInputChanged(text: String): List<AwesomeBar.Suggestion> {
+        if (text.isBlank()) {
+            return emptyList()
+        }
+
+        val searchEngines = store.state.search.regionSearchEngines + store.state.search.customSearchEngines
+        val searches = historyStorage
+            .getSuggestions(text, HISTORY_LIMIT)
+            .mapNotNull { result ->
+                searchEngines.firstNotNullOfOrNull { engine -> parseSearchTerms(engine, result.url)?.to(engine) }
+            }.filter { (terms, _) -> terms.contains(text, ignoreCase = true) && !terms.equals(text, ignoreCase = true) }
+            .distinctBy { (terms, _) -> terms.lowercase() }
+
+        return searches.mapIndexed { index, (terms, engine) ->
+            AwesomeBar.Suggestion(
+                provider = this,
+                id = terms,
+                title = terms,
+                editSuggestion = terms,
+                icon = engine.icon,
+                onSuggestionClicked = { searchUseCase.invoke(terms, engine, parentSessionId = null) },
+                score = searches.size - index,
+            )
+        }
+    }
+
+    /**
+     * Returns the search terms in the [url] if it's a result page of the [searchEngine], or null.
+     */
+    private fun parseSearchTerms(
+        searchEngine: SearchEngine,
+        url: String,
+    ): String? {
+        val template = searchEngine.resultUrls.firstOrNull()?.toUri() ?: return null
+        val parameter = template.queryParameterNames.firstOrNull { template.getQueryParameter(it) == SEARCH_TERMS }
+        val uri = url.toUri()
+
+        return if (parameter != null && uri.host == template.host && uri.path == template.path) {
+            uri.getQueryParameter(parameter)?.trim()?.ifEmpty { null }
+        } else {
+            null
+        }
+    }
+
+    companion object {
+        private const val SEARCH_TERMS = "{searchTerms}"
+
+        // More history results than suggestions shown, since most aren't search result pages.
+        private const val HISTORY_LIMIT = 100
+    }
+}
@@ -0,0 +1,17 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.suggestions
+
+/**
+ * How the suggestions of the given [type] are shown in the awesomebar.
+ *
+ * @property isEnabled Whether the suggestions are shown at all.
+ * @property limit The maximum number of suggestions shown.
+ */
+data class SuggestionProviderSettings(
+    val type: SuggestionProviderType,
+    val isEnabled: Boolean = true,
+    val limit: Int = type.defaultLimit,
+)
@@ -0,0 +1,53 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.suggestions
+
+import androidx.annotation.StringRes
+import mozilla.components.concept.awesomebar.AwesomeBar
+import mozilla.components.feature.awesomebar.provider.BookmarksStorageSuggestionProvider
+import mozilla.components.feature.awesomebar.provider.ClipboardSuggestionProvider
+import mozilla.components.feature.awesomebar.provider.HistoryStorageSuggestionProvider
+import mozilla.components.feature.awesomebar.provider.SearchSuggestionProvider
+import mozilla.components.feature.awesomebar.provider.SessionSuggestionProvider
+import mozilla.components.feature.syncedtabs.SyncedTabsStorageSuggestionProvider
+import org.mozilla.reference.browser.R
+
+/**
+ * The kinds of suggestions shown in the awesomebar, which the user can turn off, reorder and limit.
+ * They are declared in their default order.
+ */
+enum class SuggestionProviderType(
+    @StringRes val titleResId: Int,
+    val defaultLimit: Int,
+) {
+    CLIPBOARD(R.string.suggestion_provider_clipboard, 1),
+    TOP_SITES(R.string.suggestion_provider_top_sites, 8),
+    SEARCH_TERMS(R.string.suggestion_provider_search_terms, 3),
+    SEARCH(R.string.suggestion_provider_search, 5),
+    TABS(R.string.suggestion_provider_tabs, 3),
+    BOOKMARKS(R.string.suggestion_provider_bookmarks, 3),
+    HISTORY(R.string.suggestion_provider_history, 10),
+    SYNCED_TABS(R.string.suggestion_provider_synced_tabs, 3),
+    ;
+
+    companion object {
+        /**
+         * Returns the type of suggestions given by the [provider], or null for the providers that
+         * can't be configured, like the calculator.
+         */
+        fun of(provider: AwesomeBar.SuggestionProvider): SuggestionProviderType? =
+            when (provider) {
+                is ClipboardSuggestionProvider -> CLIPBOARD
+                is TopSitesSuggestionProvider -> TOP_SITES
+                is SearchTermSuggestionProvider -> SEARCH_TERMS
+                is SearchSuggestionProvider -> SEARCH
+                is SessionSuggestionProvider -> TABS
+                is BookmarksStorageSuggestionProvider -> BOOKMARKS
+                is HistoryStorageSuggestionProvider -> HISTORY
+                is SyncedTabsStorageSuggestionProvider -> SYNCED_TABS
+                else -> null
+            }
+    }
+}
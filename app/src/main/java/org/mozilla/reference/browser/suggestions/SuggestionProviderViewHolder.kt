@@ -0,0 +1,60 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.suggestions
+
+import android.view.View
+import android.widget.ImageButton
+import android.widget.TextView
+import androidx.appcompat.widget.SwitchCompat
+import androidx.recyclerview.widget.RecyclerView
+import org.mozilla.reference.browser.R
+
+/**
+ * View holder for a kind of suggestions in [SuggestionSettingsFragment], with a switch to show
+ * them, how many are shown and buttons to move them up or down.
+ */
+class SuggestionProviderViewHolder(
+    itemView: View,
+    private val onEnabledChanged: (SuggestionProviderType, Boolean) -> Unit,
+    private val onLimitClicked: (SuggestionProviderSettings) -> Unit,
+    private val onMoveClicked: (SuggestionProviderType, Int) -> Unit,
+) : RecyclerView.ViewHolder(itemView) {
+    private val enabled = itemView.findViewById<SwitchCompat>(R.id.suggestion_provider_enabled)
+    private val title = itemView.findViewById<TextView>(R.id.suggestion_provider_title)
+    private val limit = itemView.findViewById<TextView>(R.id.suggestion_provider_limit)
+    private val moveUp = itemView.findViewById<ImageButton>(R.id.suggestion_provider_move_up)
+    private val moveDown = itemView.findViewById<ImageButton>(R.id.suggestion_provider_move_down)
+
+    /**
+     * Shows the settings of the given [item], and whether it can be moved up or down.
+     */
+    fun bind(item: SuggestionProvidersAdapter.Item) {
+        val settings = item.settings
+
+        // Cleared first so that binding doesn't notify the listener of the previous item.
+        enabled.setOnCheckedChangeListener(null)
+        enabled.isChecked = settings.isEnabled
+        enabled.setOnCheckedChangeListener { _, isChecked -> onEnabledChanged(settings.type, isChecked) }
+
+        title.setText(settings.type.titleResId)
+        limit.text = itemView.context.getString(R.string.suggestion_provider_limit, settings.limit)
+        limit.isEnabled = settings.isEnabled
+
+        moveUp.isEnabled = item.canMoveUp
+        moveUp.alpha = if (item.canMoveUp) 1f else DISABLED_ALPHA
+        moveUp.setOnClickListener { onMoveClicked(settings.type, -1) }
+        moveDown.isEnabled = item.canMoveDown
+        moveDown.alpha = if (item.canMoveDown) 1f else DISABLED_ALPHA
+        moveDown.setOnClickListener { onMoveClicked(settings.type, 1) }
+
+        itemView.setOnClickListener { onLimitClicked(settings) }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_suggestion_provider_item
+
+        private const val DISABLED_ALPHA = 0.4f
+    }
+}
@@ -0,0 +1,63 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.suggestions
+
+import android.view.LayoutInflater
+import android.view.ViewGroup
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+
+/**
+ * Adapter for the kinds of suggestions shown in the awesomebar, in the order they are shown.
+ *
+ * @param onEnabledChanged Invoked when a kind of suggestions is turned on or off.
+ * @param onLimitClicked Invoked when a kind of suggestions is tapped, to change how many are shown.
+ * @param onMoveClicked Invoked with -1 or 1 when the up or down button of a kind of suggestions is tapped.
+ */
+class SuggestionProvidersAdapter(
+    private val onEnabledChanged: (SuggestionProviderType, Boolean) -> Unit,
+    private val onLimitClicked: (SuggestionProviderSettings) -> Unit,
+    private val onMoveClicked: (SuggestionProviderType, Int) -> Unit,
+) : ListAdapter<SuggestionProvidersAdapter.Item, SuggestionProviderViewHolder>(DiffCallback) {
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): SuggestionProviderViewHolder {
+        val itemView = LayoutInflater
+            .from(parent.context)
+            .inflate(SuggestionProviderViewHolder.LAYOUT_ID, parent, false)
+
+        return SuggestionProviderViewHolder(itemView, onEnabledChanged, onLimitClicked, onMoveClicked)
+    }
+
+    override fun onBindViewHolder(
+        holder: SuggestionProviderViewHolder,
+        position: Int,
+    ) {
+        holder.bind(getItem(position))
+    }
+
+    private object DiffCallback : DiffUtil.ItemCallback<Item>() {
+        override fun areItemsTheSame(
+            oldItem: Item,
+            newItem: Item,
+        ) = oldItem.settings.type == newItem.settings.type
+
+        override fun areContentsTheSame(
+            oldItem: Item,
+            newItem: Item,
+        ) = oldItem == newItem
+    }
+
+    /**
+     * @property canMoveUp Whether the suggestions aren't shown first already.
+     * @property canMoveDown Whether the suggestions aren't shown last already.
+     */
+    data class Item(
+        val settings: SuggestionProviderSettings,
+        val canMoveUp: Boolean,
+        val canMoveDown: Boolean,
+    )
+}
@@ -0,0 +1,101 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.suggestions
+
+import android.os.Bundle
+import android.view.LayoutInflater
+import android.view.View
+import android.view.ViewGroup
+import androidx.appcompat.app.AlertDialog
+import androidx.fragment.app.Fragment
+import androidx.lifecycle.lifecycleScope
+import androidx.recyclerview.widget.LinearLayoutManager
+import androidx.recyclerview.widget.RecyclerView
+import kotlinx.coroutines.launch
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.requireComponents
+import org.mozilla.reference.browser.settings.SettingsFragment
+import org.mozilla.reference.browser.suggestions.SuggestionSettingsStorage.Companion.MAX_LIMIT
+import org.mozilla.reference.browser.suggestions.SuggestionSettingsStorage.Companion.MIN_LIMIT
+
+/**
+ * Fragment listing the kinds of suggestions shown in the awesomebar. Each kind can be turned off,
+ * moved up or down to change the order they are shown in, and tapped to change how many are shown.
+ */
+class SuggestionSettingsFragment : Fragment() {
+    private val adapter = SuggestionProvidersAdapter(
+        ::onEnabledChanged,
+        ::onLimitClicked,
+        ::onMoveClicked,
+    )
+
+    private val providersList: RecyclerView
+        get() = requireView().findViewById(R.id.suggestion_providers_list)
+
+    override fun onCreateView(
+        inflater: LayoutInflater,
+        container: ViewGroup?,
+        savedInstanceState: Bundle?,
+    ): View? = inflater.inflate(R.layout.fragment_suggestion_settings, container, false)
+
+    override fun onViewCreated(
+        view: View,
+        savedInstanceState: Bundle?,
+    ) {
+        super.onViewCreated(view, savedInstanceState)
+
+        providersList.layoutManager = LinearLayoutManager(requireContext())
+        providersList.adapter = adapter
+
+        viewLifecycleOwner.lifecycleScope.launch {
+            requireComponents.core.suggestionSettingsStorage.providers.collect { providers ->
+                adapter.submitList(
+                    providers.mapIndexed { index, settings ->
+                        SuggestionProvidersAdapter.Item(
+                            settings = settings,
+                            canMoveUp = index > 0,
+                            canMoveDown = index < providers.lastIndex,
+                        )
+                    },
+                )
+            }
+        }
+    }
+
+    override fun onResume() {
+        super.onResume()
+        (activity as? SettingsFragment.ActionBarUpdater)?.updateTitle(R.string.preferences_suggestions)
+    }
+
+    private fun onEnabledChanged(
+        type: SuggestionProviderType,
+        isEnabled: Boolean,
+    ) {
+        requireComponents.core.suggestionSettingsStorage.setEnabled(type, isEnabled)
+    }
+
+    private fun onMoveClicked(
+        type: SuggestionProviderType,
+        offset: Int,
+    ) {
+        requireComponents.core.suggestionSettingsStorage.move(type, offset)
+    }
+
+    private fun onLimitClicked(settings: SuggestionProviderSettings) {
+        val limits = (MIN_LIMIT..MAX_LIMIT).toList()
+        val title = getString(R.string.suggestion_provider_limit_dialog_title, getString(settings.type.titleResId))
+
+        AlertDialog
+            .Builder(requireContext())
+            .setTitle(title)
+            .setSingleChoiceItems(
+                limits.map { it.toString() }.toTypedArray(),
+                limits.indexOf(settings.limit),
+            ) { dialog, which ->
+                requireComponents.core.suggestionSettingsStorage.setLimit(settings.type, limits[which])
+                dialog.dismiss()
+            }.show()
+    }
+}
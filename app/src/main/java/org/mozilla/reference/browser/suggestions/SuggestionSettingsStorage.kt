@@ -0,0 +1,102 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.suggestions
+
+import android.content.Context
+import androidx.core.content.edit
+import kotlinx.coroutines.flow.MutableStateFlow
+import kotlinx.coroutines.flow.StateFlow
+import kotlinx.coroutines.flow.asStateFlow
+
+/**
+ * Persists which kinds of suggestions the awesomebar shows, in which order and how many of each.
+ */
+class SuggestionSettingsStorage(
+    context: Context,
+) {
+    private val preferences = context.getSharedPreferences(PREFERENCES_NAME, Context.MODE_PRIVATE)
+    private val providersFlow = MutableStateFlow(read())
+
+    /**
+     * The settings of every kind of suggestions, in the order they are shown.
+     */
+    val providers: StateFlow<List<SuggestionProviderSettings>> = providersFlow.asStateFlow()
+
+    /**
+     * Shows or hides the suggestions of the given [type].
+     */
+    fun setEnabled(
+        type: SuggestionProviderType,
+        isEnabled: Boolean,
+    ) = update { providers -> providers.map { if (it.type == type) it.copy(isEnabled = isEnabled) else it } }
+
+    /**
+     * Sets how many suggestions of the given [type] are shown, between [MIN_LIMIT] and [MAX_LIMIT].
+     */
+    fun setLimit(
+        type: SuggestionProviderType,
+        limit: Int,
+    ) = update { providers ->
+        providers.map { if (it.type == type) it.copy(limit = limit.coerceIn(MIN_LIMIT, MAX_LIMIT)) else it }
+    }
+
+    /**
+     * Moves the suggestions of the given [type] by [offset] positions, up if negative.
+     */
+    fun move(
+        type: SuggestionProviderType,
+        offset: Int,
+    ) = update { providers ->
+        val index = providers.indexOfFirst { it.type == type }
+        val newIndex = (index + offset).coerceIn(0, providers.lastIndex)
+        providers.toMutableList().apply { add(newIndex, removeAt(index)) }
+    }
+
+    @Synchronized
+    private fun update(transform: (List<SuggestionProviderSettings>) -> List<SuggestionProviderSettings>) {
+        val providers = transform(providersFlow.value)
+        if (providers != providersFlow.value) {
+            providersFlow.value = providers
+            write(providers)
+        }
+    }
+
+    private fun read(): List<SuggestionProviderSettings> {
+        val order = preferences.getString(KEY_ORDER, null)
+            ?.split(ORDER_SEPARATOR)
+            ?.mapNotNull { name -> SuggestionProviderType.entries.firstOrNull { it.name == name } }
+            .orEmpty()
+
+        // Kinds of suggestions added since the order was saved go last.
+        return (order + SuggestionProviderType.entries.filter { it !in order }).map { type ->
+            SuggestionProviderSettings(
+                type = type,
+                isEnabled = preferences.getBoolean(KEY_ENABLED_PREFIX + type.name, true),
+                limit = preferences.getInt(KEY_LIMIT_PREFIX + type.name, type.defaultLimit),
+            )
+        }
+    }
+
+    private fun write(providers: List<SuggestionProviderSettings>) {
+        preferences.edit {
+            putString(KEY_ORDER, providers.joinToString(ORDER_SEPARATOR) { it.type.name })
+            providers.forEach { settings ->
+                putBoolean(KEY_ENABLED_PREFIX + settings.type.name, settings.isEnabled)
+                putInt(KEY_LIMIT_PREFIX + settings.type.name, settings.limit)
+            }
+        }
+    }
+
+    companion object {
+        const val MIN_LIMIT = 1
+        const val MAX_LIMIT = 20
+
+        private const val PREFERENCES_NAME = "suggestion_providers"
+        private const val KEY_ORDER = "order"
+        private const val KEY_ENABLED_PREFIX = "enabled:"
+        private const val KEY_LIMIT_PREFIX = "limit:"
+        private const val ORDER_SEPARATOR = ","
+    }
+}
@@ -0,0 +1,49 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.suggestions
+
+import mozilla.components.browser.icons.BrowserIcons
+import mozilla.components.browser.icons.IconRequest
+import mozilla.components.concept.awesomebar.AwesomeBar
+import mozilla.components.concept.storage.FrecencyThresholdOption
+import mozilla.components.concept.storage.HistoryStorage
+import mozilla.components.feature.session.SessionUseCases
+import java.util.UUID
+
+/**
+ * Suggests the most frecently visited sites from the [historyStorage] while the URL bar is empty,
+ * so that they can be opened without typing.
+ */
+class TopSitesSuggestionProvider(
+    private val historyStorage: HistoryStorage,
+    private val loadUrlUseCase: SessionUseCases.LoadUrlUseCase,
+    private val icons: BrowserIcons,
+) : AwesomeBar.SuggestionProvider {
+    override val id: String = UUID.randomUUID().toString()
+
+    override suspend fun onInputChanged(text: String): List<AwesomeBar.Suggestion> {
+        if (text.isNotEmpty()) {
+            return emptyList()
+        }
+
+        val sites = historyStorage.getTopFrecentSites(
+            SuggestionSettingsStorage.MAX_LIMIT,
+            FrecencyThresholdOption.SKIP_ONE_TIME_PAGES,
+        )
+        val siteIcons = sites.map { site -> icons.loadIcon(IconRequest(site.url)) }
+
+        return sites.mapIndexed { index, site ->
+            AwesomeBar.Suggestion(
+                provider = this,
+                id = site.url,
+                title = site.title?.ifEmpty { null } ?: site.url,
+                description = site.url,
+                icon = siteIcons[index].await().bitmap,
+                onSuggestionClicked = { loadUrlUseCase.invoke(site.url) },
+                score = sites.size - index,
+            )
+        }
+    }
+}
@@ -0,0 +1,53 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Keeps the URL each tab was showing when its content process crashed, while [TabCrashedFeature]
+ * shows the [TabCrashedPage] in its place.
+ *
+ * The page and its actions are only handled for these tabs, and only ever lead back to the URL kept
+ * here: the URL of the page itself can be loaded by anyone.
+ */
+class CrashedTabs {
+    private val crashedUrls = ConcurrentHashMap<String, String>()
+
+    /**
+     * Records that the tab with the given [tabId] crashed while showing [crashedUrl].
+     */
+    fun add(
+        tabId: String,
+        crashedUrl: String,
+    ) {
+        crashedUrls[tabId] = crashedUrl
+    }
+
+    /**
+     * Returns the URL the tab with the given [tabId] was showing when it crashed, or null if it
+     * isn't showing the [TabCrashedPage].
+     */
+    fun getCrashedUrl(tabId: String): String? = crashedUrls[tabId]
+
+    /**
+     * Whether the tab with the given [tabId] is showing the [TabCrashedPage].
+     */
+    operator fun contains(tabId: String) = tabId in crashedUrls
+
+    /**
+     * Forgets the tab with the given [tabId], once it left the [TabCrashedPage].
+     */
+    fun remove(tabId: String) {
+        crashedUrls.remove(tabId)
+    }
+
+    /**
+     * Forgets the tabs not in [tabIds], once they were closed.
+     */
+    fun retain(tabIds: Set<String>) {
+        crashedUrls.keys.retainAll(tabIds)
+    }
+}
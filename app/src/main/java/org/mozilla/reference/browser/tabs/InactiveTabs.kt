@@ -0,0 +1,35 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import mozilla.components.browser.state.state.BrowserState
+import mozilla.components.browser.state.state.TabSessionState
+
+/**
+ * The time this tab was last selected, or the time it was created if it was never selected.
+ */
+val TabSessionState.lastUsed: Long
+    get() = maxOf(lastAccess, createdAt)
+
+/**
+ * Returns true if this tab wasn't used within [threshold] milliseconds before [now].
+ */
+fun TabSessionState.isInactive(
+    threshold: Long,
+    now: Long,
+): Boolean = now - lastUsed > threshold
+
+/**
+ * Returns the normal tabs that weren't used within [threshold] milliseconds before [now].
+ * The selected tab and the tabs in [excludedTabIds], like pinned tabs, are never inactive.
+ */
+fun BrowserState.inactiveTabs(
+    threshold: Long,
+    excludedTabIds: Set<String>,
+    now: Long,
+): List<TabSessionState> =
+    tabs.filter { tab ->
+        !tab.content.private && tab.id != selectedTabId && tab.id !in excludedTabIds && tab.isInactive(threshold, now)
+    }
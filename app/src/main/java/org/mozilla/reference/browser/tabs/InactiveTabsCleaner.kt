@@ -0,0 +1,42 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import android.content.Context
+import androidx.lifecycle.DefaultLifecycleObserver
+import androidx.lifecycle.LifecycleOwner
+import mozilla.components.browser.state.action.TabListAction
+import mozilla.components.browser.state.store.BrowserStore
+import org.mozilla.reference.browser.settings.Settings
+import org.mozilla.reference.browser.tabs.groups.TabGroupStorage
+
+/**
+ * Closes the tabs that went unused for longer than the user allows inactive tabs to be kept.
+ * Like in the tabs tray, pinned tabs and tabs in a group never become inactive.
+ *
+ * Observes the lifecycle of the app process, so that tabs are also closed when the app comes back
+ * to the foreground, and not only once restored.
+ */
+class InactiveTabsCleaner(
+    private val context: Context,
+    private val store: BrowserStore,
+    private val tabGroupStorage: TabGroupStorage,
+    private val pinnedTabStorage: PinnedTabStorage,
+) : DefaultLifecycleObserver {
+    /**
+     * Closes the tabs that are inactive for longer than the threshold picked in settings, if any.
+     */
+    fun closeExpiredTabs() {
+        val threshold = Settings.getInactiveTabsCloseThreshold(context) ?: return
+        val keptTabIds = pinnedTabStorage.pinnedTabIds.value.toSet() +
+            tabGroupStorage.groups.value.flatMap { it.tabIds }
+        val expiredTabs = store.state.inactiveTabs(threshold, keptTabIds, System.currentTimeMillis())
+        if (expiredTabs.isNotEmpty()) {
+            store.dispatch(TabListAction.RemoveTabsAction(expiredTabs.map { it.id }))
+        }
+    }
+
+    override fun onStart(owner: LifecycleOwner) = closeExpiredTabs()
+}
@@ -0,0 +1,47 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import android.view.View
+import android.widget.Button
+import android.widget.ImageView
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import org.mozilla.reference.browser.R
+import mozilla.components.ui.icons.R as iconsR
+
+/**
+ * The header of the inactive tabs section, followed by the inactive tabs while it's expanded.
+ */
+class InactiveTabsViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    private val expand = itemView.findViewById<ImageView>(R.id.inactive_tabs_expand)
+    private val count = itemView.findViewById<TextView>(R.id.inactive_tabs_count)
+    private val closeAll = itemView.findViewById<Button>(R.id.inactive_tabs_close_all)
+
+    /**
+     * Shows the number of inactive tabs, [tabCount], and whether the section [isExpanded]. Tapping
+     * the header calls [onClicked] and its close all button calls [onCloseAllClicked].
+     */
+    fun bind(
+        tabCount: Int,
+        isExpanded: Boolean,
+        onClicked: () -> Unit,
+        onCloseAllClicked: () -> Unit,
+    ) {
+        expand.setImageResource(
+            if (isExpanded) iconsR.drawable.mozac_ic_chevron_down_24 else iconsR.drawable.mozac_ic_chevron_right_24,
+        )
+        count.text = itemView.context.getString(R.string.inactive_tabs_count, tabCount)
+
+        closeAll.setOnClickListener { onCloseAllClicked() }
+        itemView.setOnClickListener { onClicked() }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_inactive_tabs_header
+    }
+}
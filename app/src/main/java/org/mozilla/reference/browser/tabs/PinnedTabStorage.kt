@@ -0,0 +1,62 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import android.content.Context
+import kotlinx.coroutines.flow.StateFlow
+import org.mozilla.reference.browser.storage.JsonListStorage
+
+/**
+ * Persists which tabs are pinned. Pinned tabs are kept by id, which [SessionStorage] keeps across
+ * restarts, so tabs are restored together with their pinned state. The pinned tabs are read and
+ * written off the main thread, changes show up in [pinnedTabIds] once applied.
+ *
+ * [SessionStorage]: mozilla.components.browser.session.storage.SessionStorage
+ */
+class PinnedTabStorage(
+    context: Context,
+) {
+    private val storage = JsonListStorage(
+        context,
+        FILE_NAME,
+        name = "pinned tabs",
+        toJSON = { tabId -> tabId },
+        fromJSON = { json, index -> json.getString(index) },
+    )
+
+    /**
+     * The ids of the pinned tabs, in the order they were pinned.
+     */
+    val pinnedTabIds: StateFlow<List<String>> = storage.items
+
+    /**
+     * Suspends until the pinned tabs were read from disk.
+     */
+    suspend fun awaitLoaded() = storage.awaitLoaded()
+
+    /**
+     * Returns true if the tab with the given [tabId] is pinned.
+     */
+    fun isPinned(tabId: String): Boolean = tabId in pinnedTabIds.value
+
+    /**
+     * Pins the given tabs after the tabs that are already pinned.
+     */
+    fun pin(tabIds: List<String>) = storage.update { pinned -> pinned + tabIds.filter { it !in pinned } }
+
+    /**
+     * Unpins the tab with the given [tabId], so that "Close all tabs" closes it again.
+     */
+    fun unpin(tabId: String) = storage.update { pinned -> pinned - tabId }
+
+    /**
+     * Unpins the tabs that are no longer open.
+     */
+    fun prune(openTabIds: Set<String>) = storage.update { pinned -> pinned.filter { it in openTabIds } }
+
+    companion object {
+        private const val FILE_NAME = "pinned_tabs.json"
+    }
+}
@@ -0,0 +1,57 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import android.view.View
+import android.widget.ImageButton
+import android.widget.ImageView
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import mozilla.components.browser.state.state.TabSessionState
+import mozilla.components.browser.tabstray.TabsTray
+import mozilla.components.browser.tabstray.TabsTrayStyling
+import org.mozilla.reference.browser.R
+import mozilla.components.ui.icons.R as iconsR
+
+/**
+ * A compact row for a pinned tab. Pinned tabs can't be swiped away, only unpinned.
+ */
+class PinnedTabViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    private val icon = itemView.findViewById<ImageView>(R.id.pinned_tab_icon)
+    private val title = itemView.findViewById<TextView>(R.id.pinned_tab_title)
+    private val unpin = itemView.findViewById<ImageButton>(R.id.pinned_tab_unpin)
+
+    /**
+     * Shows the pinned [tab], highlighted if [isHighlighted]. Tapping it selects it through the
+     * [delegate], while its unpin button calls [onUnpinClicked].
+     */
+    fun bind(
+        tab: TabSessionState,
+        isHighlighted: Boolean,
+        styling: TabsTrayStyling,
+        delegate: TabsTray.Delegate,
+        onUnpinClicked: (TabSessionState) -> Unit,
+    ) {
+        val tabIcon = tab.content.icon
+        if (tabIcon != null) {
+            icon.setImageBitmap(tabIcon)
+        } else {
+            icon.setImageResource(iconsR.drawable.mozac_ic_globe_24)
+        }
+        title.text = tab.content.title.ifEmpty { tab.content.url }
+        itemView.setBackgroundColor(
+            if (isHighlighted) styling.selectedItemBackgroundColor else styling.itemBackgroundColor,
+        )
+
+        unpin.setOnClickListener { onUnpinClicked(tab) }
+        itemView.setOnClickListener { delegate.onTabSelected(tab, null) }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_pinned_tab_item
+    }
+}
@@ -0,0 +1,43 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Keeps the tabs [TabSuspensionMiddleware] unloaded to save memory, until they're loaded again.
+ *
+ * Tabs restored at startup don't have an engine session either until they're selected, but they
+ * weren't unloaded, so they aren't kept here.
+ */
+class SuspendedTabs {
+    private val tabIds = ConcurrentHashMap.newKeySet<String>()
+
+    /**
+     * Records that the tab with the given [tabId] was unloaded.
+     */
+    fun add(tabId: String) {
+        tabIds.add(tabId)
+    }
+
+    /**
+     * Whether the tab with the given [tabId] was unloaded and wasn't loaded again since.
+     */
+    operator fun contains(tabId: String) = tabId in tabIds
+
+    /**
+     * Forgets the tab with the given [tabId], once it's loaded again.
+     */
+    fun remove(tabId: String) {
+        tabIds.remove(tabId)
+    }
+
+    /**
+     * Forgets the tabs not in [tabIds], once they were closed.
+     */
+    fun retain(tabIds: Set<String>) {
+        this.tabIds.retainAll(tabIds)
+    }
+}
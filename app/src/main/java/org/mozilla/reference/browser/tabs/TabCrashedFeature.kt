@@ -0,0 +1,55 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import kotlinx.coroutines.CoroutineScope
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.cancel
+import kotlinx.coroutines.flow.distinctUntilChangedBy
+import kotlinx.coroutines.flow.filter
+import kotlinx.coroutines.flow.mapNotNull
+import mozilla.components.browser.state.action.CrashAction
+import mozilla.components.browser.state.action.EngineAction
+import mozilla.components.browser.state.selector.findTabOrCustomTabOrSelectedTab
+import mozilla.components.browser.state.state.SessionState
+import mozilla.components.browser.state.store.BrowserStore
+import mozilla.components.lib.state.ext.flowScoped
+import mozilla.components.support.base.feature.LifecycleAwareFeature
+
+/**
+ * A feature that shows the [TabCrashedPage] in the displayed tab once its content process crashed.
+ * Other tabs that crashed at the same time stay crashed until they are displayed, or restored from
+ * the page. The URL the tab was showing is kept in [crashedTabs] for the page and its actions.
+ */
+class TabCrashedFeature(
+    private val store: BrowserStore,
+    private val crashedTabs: CrashedTabs,
+    private val tabId: String? = null,
+) : LifecycleAwareFeature {
+    private var scope: CoroutineScope? = null
+
+    override fun start() {
+        scope = store.flowScoped(dispatcher = Dispatchers.Main) { flow ->
+            flow
+                .mapNotNull { state -> state.findTabOrCustomTabOrSelectedTab(tabId) }
+                .distinctUntilChangedBy { it.id to it.engineState.crashed }
+                .filter { it.engineState.crashed }
+                .collect { showTabCrashedPage(it) }
+        }
+    }
+
+    override fun stop() {
+        scope?.cancel()
+    }
+
+    private fun showTabCrashedPage(tab: SessionState) {
+        // Keep the original URL if the page itself crashed.
+        val crashedUrl = crashedTabs.getCrashedUrl(tab.id) ?: tab.content.url
+        crashedTabs.add(tab.id, crashedUrl)
+
+        store.dispatch(CrashAction.RestoreCrashedSessionAction(tab.id))
+        store.dispatch(EngineAction.LoadUrlAction(tab.id, TabCrashedPage.createUrl(crashedUrl)))
+    }
+}
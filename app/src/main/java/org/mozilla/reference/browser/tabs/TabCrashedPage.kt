@@ -0,0 +1,104 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import android.content.Context
+import android.net.Uri
+import android.text.TextUtils
+import androidx.annotation.RawRes
+import org.mozilla.reference.browser.R
+
+/**
+ * The page shown in place of a tab whose content process crashed. Its buttons navigate to
+ * [URL] with an action parameter, which [org.mozilla.reference.browser.AppRequestInterceptor]
+ * handles for the tabs kept in [CrashedTabs] only.
+ */
+object TabCrashedPage {
+    const val URL = "about:tabcrashed"
+
+    const val ACTION_RELOAD = "reload"
+    const val ACTION_RESTORE_ALL = "restoreAll"
+    const val ACTION_CLOSE = "close"
+    const val ACTION_REPORT = "report"
+
+    private const val PARAM_URL = "url"
+    private const val PARAM_ACTION = "action"
+
+    /**
+     * Returns the URL of the page for a tab that crashed while showing [crashedUrl], or of one of
+     * its actions.
+     */
+    fun createUrl(
+        crashedUrl: String,
+        action: String? = null,
+    ): String {
+        // Apostrophes are left as is by Uri.encode, but would end the strings of the page script.
+        val url = "$URL?$PARAM_URL=${Uri.encode(crashedUrl).replace("'", "%27")}"
+        return if (action != null) "$url&$PARAM_ACTION=$action" else url
+    }
+
+    /**
+     * Whether [uri] is this page or one of its actions.
+     */
+    fun isPage(uri: String) = uri.substringBefore('?') == URL
+
+    /**
+     * Returns the action of the button tapped on the page, one of the `ACTION_` constants, or null
+     * if [uri] is the page itself or isn't this page. The action still has to be checked to come
+     * from the page shown in a crashed tab, see [CrashedTabs].
+     */
+    fun getAction(uri: String): String? = getParameter(uri, PARAM_ACTION)
+
+    /**
+     * Load and generate the page for a tab that crashed while showing [crashedUrl].
+     *
+     * @param otherCrashedTabs The number of other tabs that crashed and weren't restored yet.
+     */
+    fun createTabCrashedPage(
+        context: Context,
+        crashedUrl: String,
+        otherCrashedTabs: Int,
+        @RawRes htmlRes: Int = R.raw.tab_crashed,
+        @RawRes cssRes: Int = R.raw.private_style,
+    ): String {
+        val css = context.resources.openRawResource(cssRes).bufferedReader().use {
+            it.readText()
+        }
+
+        return context.resources
+            .openRawResource(htmlRes)
+            .bufferedReader()
+            .use { it.readText() }
+            .replace("%pageTitle%", context.getString(R.string.tab_crashed_title))
+            .replace("%pageBody%", context.getString(R.string.tab_crashed_body, TextUtils.htmlEncode(crashedUrl)))
+            .replace("%reloadTab%", context.getString(R.string.tab_crashed_reload))
+            .replace("%restoreAllTabs%", context.getString(R.string.tab_crashed_restore_all, otherCrashedTabs + 1))
+            .replace("%restoreAllHidden%", if (otherCrashedTabs > 0) "" else "hidden")
+            .replace("%closeTab%", context.getString(R.string.tab_crashed_close))
+            .replace("%sendReport%", context.getString(R.string.tab_crashed_send_report))
+            .replace("%reloadUrl%", createUrl(crashedUrl, ACTION_RELOAD))
+            .replace("%restoreAllUrl%", createUrl(crashedUrl, ACTION_RESTORE_ALL))
+            .replace("%closeUrl%", createUrl(crashedUrl, ACTION_CLOSE))
+            .replace("%reportUrl%", createUrl(crashedUrl, ACTION_REPORT))
+            .replace("%css%", css)
+    }
+
+    private fun getParameter(
+        uri: String,
+        name: String,
+    ): String? {
+        if (!isPage(uri)) {
+            return null
+        }
+
+        return uri
+            .substringAfter('?', "")
+            .split('&')
+            .map { it.split('=', limit = 2) }
+            .firstOrNull { it.first() == name }
+            ?.getOrNull(1)
+            ?.let { Uri.decode(it) }
+    }
+}
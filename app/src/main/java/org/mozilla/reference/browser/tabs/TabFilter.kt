@@ -0,0 +1,73 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import androidx.annotation.IdRes
+import mozilla.components.browser.state.state.SessionState
+import mozilla.components.browser.state.state.TabSessionState
+import org.mozilla.reference.browser.R
+import java.util.concurrent.TimeUnit
+
+private const val NOT_ACCESSED_DAYS = 7L
+
+/**
+ * The filters the tabs tray can be narrowed down with, in addition to a search query.
+ *
+ * @property menuItemId The id of the tabs tray menu item selecting this filter.
+ */
+enum class TabFilter(
+    @IdRes val menuItemId: Int,
+) {
+    ALL(R.id.filterAll) {
+        override fun matches(
+            tab: TabSessionState,
+            now: Long,
+        ) = true
+    },
+    PLAYING_MEDIA(R.id.filterPlayingMedia) {
+        override fun matches(
+            tab: TabSessionState,
+            now: Long,
+        ) = tab.isPlayingMedia
+    },
+    EXTERNAL_APP(R.id.filterExternalApp) {
+        override fun matches(
+            tab: TabSessionState,
+            now: Long,
+        ) = tab.source is SessionState.Source.External
+    },
+    NOT_ACCESSED(R.id.filterNotAccessed) {
+        override fun matches(
+            tab: TabSessionState,
+            now: Long,
+        ) = tab.isInactive(TimeUnit.DAYS.toMillis(NOT_ACCESSED_DAYS), now)
+    },
+    ;
+
+    /**
+     * Returns true if [tab] passes this filter at the time [now].
+     */
+    abstract fun matches(
+        tab: TabSessionState,
+        now: Long,
+    ): Boolean
+
+    companion object {
+        /**
+         * Returns the filter selected by the menu item with [menuItemId], or null if there is none.
+         */
+        fun fromMenuItemId(
+            @IdRes menuItemId: Int,
+        ): TabFilter? = entries.firstOrNull { it.menuItemId == menuItemId }
+    }
+}
+
+/**
+ * Returns true if the title or URL of this tab contains [query], ignoring case.
+ */
+fun TabSessionState.matchesQuery(query: String): Boolean =
+    query.isBlank() ||
+        content.title.contains(query.trim(), ignoreCase = true) ||
+        content.url.contains(query.trim(), ignoreCase = true)
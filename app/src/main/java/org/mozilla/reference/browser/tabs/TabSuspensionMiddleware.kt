@@ -0,0 +1,105 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import android.content.ComponentCallbacks2
+import mozilla.components.browser.state.action.BrowserAction
+import mozilla.components.browser.state.action.EngineAction
+import mozilla.components.browser.state.action.SystemAction
+import mozilla.components.browser.state.action.TabListAction
+import mozilla.components.browser.state.state.BrowserState
+import mozilla.components.browser.state.state.TabSessionState
+import mozilla.components.concept.engine.mediasession.MediaSession
+import mozilla.components.lib.state.Middleware
+import mozilla.components.lib.state.MiddlewareContext
+
+private const val LOW_MEMORY_LOADED_TABS = 3
+
+/**
+ * Suspends the engine sessions of background tabs, least recently used first, whenever more than
+ * [maxLoadedTabs] tabs are loaded, or fewer when the system is running low on memory.
+ *
+ * Suspended tabs keep their saved engine session state, including the scroll position, and their
+ * thumbnail. The engine session is restored from that state once the tab is selected again.
+ * The selected tab and tabs playing media are never suspended.
+ *
+ * @param suspendedTabs Keeps the suspended tabs, so the tabs tray can tell them apart.
+ * @param maxLoadedTabs Returns the maximum number of loaded tabs, or null if it's not limited.
+ */
+class TabSuspensionMiddleware(
+    private val suspendedTabs: SuspendedTabs,
+    private val maxLoadedTabs: () -> Int?,
+) : Middleware<BrowserState, BrowserAction> {
+    override fun invoke(
+        context: MiddlewareContext<BrowserState, BrowserAction>,
+        next: (BrowserAction) -> Unit,
+        action: BrowserAction,
+    ) {
+        next(action)
+
+        when (action) {
+            is TabListAction.SelectTabAction -> {
+                maxLoadedTabs()?.let { suspendTabs(context, it) }
+            }
+
+            is EngineAction.LinkEngineSessionAction -> {
+                suspendedTabs.remove(action.tabId)
+                maxLoadedTabs()?.let { suspendTabs(context, it) }
+            }
+
+            is TabListAction -> {
+                suspendedTabs.retain(context.state.tabs.map { it.id }.toSet())
+            }
+
+            is SystemAction.LowMemoryAction -> {
+                loadedTabsForMemoryLevel(action.level)?.let { suspendTabs(context, it) }
+            }
+
+            else -> Unit
+        }
+    }
+
+    /**
+     * Returns how many tabs can stay loaded at the given memory trim level, or null to keep the
+     * regular limit.
+     */
+    @Suppress("DEPRECATION") // The trim levels are deprecated, but still reported on older devices.
+    private fun loadedTabsForMemoryLevel(level: Int): Int? =
+        when {
+            level >= ComponentCallbacks2.TRIM_MEMORY_BACKGROUND -> 1
+            level == ComponentCallbacks2.TRIM_MEMORY_RUNNING_CRITICAL -> 1
+            level == ComponentCallbacks2.TRIM_MEMORY_RUNNING_LOW -> LOW_MEMORY_LOADED_TABS
+            else -> null
+        }
+
+    private fun suspendTabs(
+        context: MiddlewareContext<BrowserState, BrowserAction>,
+        loadedTabs: Int,
+    ) {
+        val state = context.state
+        state.tabs
+            .filter { it.isLoaded && it.id != state.selectedTabId && !it.isPlayingMedia }
+            .sortedByDescending { it.lastUsed }
+            // The selected tab counts towards the loaded tabs too.
+            .drop((loadedTabs - 1).coerceAtLeast(0))
+            .forEach { tab ->
+                suspendedTabs.add(tab.id)
+                context.dispatch(EngineAction.SuspendEngineSessionAction(tab.id))
+            }
+    }
+}
+
+/**
+ * Whether the tab has a live engine session. Tabs without one were suspended, or not loaded yet
+ * since they were restored.
+ */
+val TabSessionState.isLoaded: Boolean
+    get() = engineState.engineSession != null
+
+/**
+ * Whether the tab is currently playing audio or video.
+ */
+val TabSessionState.isPlayingMedia: Boolean
+    get() = mediaSessionState?.playbackState == MediaSession.PlaybackState.PLAYING
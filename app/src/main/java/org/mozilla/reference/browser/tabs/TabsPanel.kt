@@ -15,7 +15,6 @@ import androidx.core.content.res.ResourcesCompat
 import androidx.core.graphics.BlendModeColorFilterCompat.createBlendModeColorFilterCompat
 import androidx.core.graphics.BlendModeCompat.SRC_IN
 import com.google.android.material.tabs.TabLayout
-import mozilla.components.feature.tabs.tabstray.TabsFeature
 import mozilla.components.ui.colors.R as colorsR
 import mozilla.components.ui.icons.R as iconsR
 
@@ -28,7 +27,6 @@ class TabsPanel
     TabLayout.OnTabSelectedListener {
     private var normalTab: Tab
     private var privateTab: Tab
-    private var tabsFeature: TabsFeature? = null
     private var updateTabsToolbar: ((isPrivate: Boolean) -> Unit)? = null
 
     init {
@@ -48,11 +46,11 @@ class TabsPanel
         addTab(privateTab)
     }
 
-    fun initialize(
-        tabsFeature: TabsFeature?,
-        updateTabsToolbar: (isPrivate: Boolean) -> Unit,
-    ) {
-        this.tabsFeature = tabsFeature
+    /**
+     * Sets [updateTabsToolbar], called with whether the private tabs were picked whenever the
+     * regular or private tabs are picked.
+     */
+    fun initialize(updateTabsToolbar: (isPrivate: Boolean) -> Unit) {
         this.updateTabsToolbar = updateTabsToolbar
     }
 
@@ -60,14 +58,7 @@ class TabsPanel
         // Tint the selected tab's icon.
         tab?.icon?.colorTint(colorsR.color.photonPurple50)
 
-        tabsFeature?.filterTabs { tabSessionState ->
-            if (tab == normalTab) {
-                !tabSessionState.content.private
-            } else {
-                tabSessionState.content.private
-            }
-        }
-
+        // The tabs tray filters the tabs by mode together with the search query.
         updateTabsToolbar?.invoke(tab == privateTab)
     }
 
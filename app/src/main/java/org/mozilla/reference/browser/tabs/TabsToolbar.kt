@@ -5,10 +5,14 @@
 package org.mozilla.reference.browser.tabs
 
 import android.content.Context
+import android.content.Intent
 import android.util.AttributeSet
+import androidx.appcompat.widget.SearchView
 import mozilla.components.feature.tabs.tabstray.TabsFeature
 import org.mozilla.reference.browser.R
 import org.mozilla.reference.browser.ext.components
+import org.mozilla.reference.browser.recentlyclosed.RecentlyClosedActivity
+import org.mozilla.reference.browser.settings.Settings
 import mozilla.components.ui.icons.R as iconsR
 
 class TabsToolbar
@@ -20,6 +24,16 @@ class TabsToolbar
     private var tabsFeature: TabsFeature? = null
     private var isPrivateTray = false
     private var closeTabsTray: (() -> Unit)? = null
+    private var onTabsClosed: ((count: Int) -> Unit)? = null
+    private var onSelectionModeChanged: ((isSelecting: Boolean) -> Unit)? = null
+    private var onGroupSelectedTabs: (() -> Unit)? = null
+    private var onMoveSelectedTabs: (() -> Unit)? = null
+    private var onPinSelectedTabs: (() -> Unit)? = null
+    private var onSearch: ((query: String) -> Unit)? = null
+    private var onSearchSubmitted: (() -> Unit)? = null
+    private var onFilterSelected: ((TabFilter) -> Unit)? = null
+    private var onGridViewChanged: ((isGrid: Boolean) -> Unit)? = null
+    private var onTreeViewChanged: ((isTree: Boolean) -> Unit)? = null
 
     init {
         navigationContentDescription = "back"
@@ -40,22 +54,108 @@ class TabsToolbar
                 }
 
                 R.id.closeTab -> {
-                    when (isPrivateTray) {
-                        true -> tabsUseCases.removePrivateTabs.invoke()
-                        false -> tabsUseCases.removeNormalTabs.invoke()
+                    // Pinned tabs are kept when closing all tabs.
+                    val pinnedTabIds = components.core.pinnedTabStorage.pinnedTabIds.value
+                    val tabIds = components.core.store.state.tabs
+                        .filter { tab -> tab.content.private == isPrivateTray && tab.id !in pinnedTabIds }
+                        .map { tab -> tab.id }
+                    if (tabIds.isNotEmpty()) {
+                        tabsUseCases.removeTabs.invoke(tabIds)
+                        onTabsClosed?.invoke(tabIds.size)
                     }
                 }
+
+                R.id.recentlyClosed -> {
+                    context.startActivity(Intent(context, RecentlyClosedActivity::class.java))
+                }
+
+                R.id.gridView -> setGridView(!it.isChecked)
+
+                R.id.treeView -> setTreeView(!it.isChecked)
+
+                R.id.selectTabs -> onSelectionModeChanged?.invoke(true)
+
+                R.id.groupTabs -> onGroupSelectedTabs?.invoke()
+
+                R.id.moveTabs -> onMoveSelectedTabs?.invoke()
+
+                R.id.pinTabs -> onPinSelectedTabs?.invoke()
+
+                R.id.doneSelecting -> onSelectionModeChanged?.invoke(false)
+
+                else -> TabFilter.fromMenuItemId(it.itemId)?.let { filter ->
+                    it.isChecked = true
+                    onFilterSelected?.invoke(filter)
+                }
             }
             true
         }
+
+        menu.findItem(R.id.gridView).isChecked = Settings.isTabsTrayGrid(context)
+        menu.findItem(R.id.treeView).isChecked = Settings.isTabsTrayTree(context)
+
+        (menu.findItem(R.id.searchTabs).actionView as SearchView).apply {
+            queryHint = context.getString(R.string.menu_action_search_tabs)
+            setOnQueryTextListener(
+                object : SearchView.OnQueryTextListener {
+                    override fun onQueryTextSubmit(text: String): Boolean {
+                        onSearchSubmitted?.invoke()
+                        return true
+                    }
+
+                    override fun onQueryTextChange(text: String): Boolean {
+                        onSearch?.invoke(text)
+                        return true
+                    }
+                },
+            )
+        }
     }
 
+    /**
+     * Connects the toolbar to the tabs tray it's shown in.
+     *
+     * @param tabsFeature The feature filtering the tabs shown in the tray.
+     * @param closeTabsTray Closes the tabs tray.
+     * @param onTabsClosed Called with the number of tabs closed by "Close all tabs".
+     * @param onSelectionModeChanged Called when tabs are selected to be grouped, moved or pinned, or
+     * when selecting ends.
+     * @param onGroupSelectedTabs Creates a group out of the selected tabs.
+     * @param onMoveSelectedTabs Moves the selected tabs to another group.
+     * @param onPinSelectedTabs Pins the selected tabs.
+     * @param onSearch Called with the query typed in the search field.
+     * @param onSearchSubmitted Called when the search is submitted.
+     * @param onFilterSelected Called with the filter picked for the listed tabs.
+     * @param onGridViewChanged Called when the tabs are switched between a grid and a list.
+     * @param onTreeViewChanged Called when the tabs are switched between a tree and a flat list.
+     */
+    @Suppress("LongParameterList")
     fun initialize(
         tabsFeature: TabsFeature?,
         closeTabsTray: () -> Unit,
+        onTabsClosed: (count: Int) -> Unit,
+        onSelectionModeChanged: (isSelecting: Boolean) -> Unit,
+        onGroupSelectedTabs: () -> Unit,
+        onMoveSelectedTabs: () -> Unit,
+        onPinSelectedTabs: () -> Unit,
+        onSearch: (query: String) -> Unit,
+        onSearchSubmitted: () -> Unit,
+        onFilterSelected: (TabFilter) -> Unit,
+        onGridViewChanged: (isGrid: Boolean) -> Unit,
+        onTreeViewChanged: (isTree: Boolean) -> Unit,
     ) {
         this.tabsFeature = tabsFeature
         this.closeTabsTray = closeTabsTray
+        this.onTabsClosed = onTabsClosed
+        this.onSelectionModeChanged = onSelectionModeChanged
+        this.onGroupSelectedTabs = onGroupSelectedTabs
+        this.onMoveSelectedTabs = onMoveSelectedTabs
+        this.onPinSelectedTabs = onPinSelectedTabs
+        this.onSearch = onSearch
+        this.onSearchSubmitted = onSearchSubmitted
+        this.onFilterSelected = onFilterSelected
+        this.onGridViewChanged = onGridViewChanged
+        this.onTreeViewChanged = onTreeViewChanged
     }
 
     fun updateToolbar(isPrivate: Boolean) {
@@ -68,6 +168,46 @@ class TabsToolbar
         } else {
             context.getString(R.string.menu_action_close_tabs)
         }
+
+        // Tab groups only exist for normal tabs.
+        menu.findItem(R.id.selectTabs).isVisible = !isPrivate
+    }
+
+    /**
+     * Switches the grid of tabs on or off. The grid and the tree of tabs exclude each other.
+     */
+    private fun setGridView(isGrid: Boolean) {
+        menu.findItem(R.id.gridView).isChecked = isGrid
+        Settings.setTabsTrayGrid(context, isGrid)
+        onGridViewChanged?.invoke(isGrid)
+
+        if (isGrid && menu.findItem(R.id.treeView).isChecked) {
+            setTreeView(false)
+        }
+    }
+
+    private fun setTreeView(isTree: Boolean) {
+        menu.findItem(R.id.treeView).isChecked = isTree
+        Settings.setTabsTrayTree(context, isTree)
+        onTreeViewChanged?.invoke(isTree)
+
+        if (isTree && menu.findItem(R.id.gridView).isChecked) {
+            setGridView(false)
+        }
+    }
+
+    /**
+     * Swaps the menu options for the ones acting on the selected tabs while [isSelecting].
+     */
+    fun updateSelectionMode(isSelecting: Boolean) {
+        menu.findItem(R.id.newTab).isVisible = !isSelecting
+        menu.findItem(R.id.closeTab).isVisible = !isSelecting
+        menu.findItem(R.id.recentlyClosed).isVisible = !isSelecting
+        menu.findItem(R.id.selectTabs).isVisible = !isSelecting && !isPrivateTray
+        menu.findItem(R.id.groupTabs).isVisible = isSelecting
+        menu.findItem(R.id.moveTabs).isVisible = isSelecting
+        menu.findItem(R.id.pinTabs).isVisible = isSelecting
+        menu.findItem(R.id.doneSelecting).isVisible = isSelecting
     }
 
     private val components = context.components
@@ -5,15 +5,47 @@
 package org.mozilla.reference.browser.tabs
 
 import androidx.recyclerview.widget.ItemTouchHelper
+import androidx.recyclerview.widget.RecyclerView
 import mozilla.components.browser.state.state.TabSessionState
 import mozilla.components.browser.tabstray.TabTouchCallback
+import mozilla.components.browser.tabstray.TabViewHolder
 import kotlin.math.abs
 
+/**
+ * Closes tabs swiped away and reorders tabs dragged after a long press through [adapter].
+ */
 class TabsTouchHelper(
     observable: (TabSessionState) -> Unit,
+    adapter: TabsTrayAdapter,
 ) : ItemTouchHelper(object : TabTouchCallback(observable) {
         override fun alphaForItemSwipe(
             dX: Float,
             distanceToAlphaMin: Int,
         ): Float = 1f - 2f * abs(dX) / distanceToAlphaMin
+
+        // Only tabs can be swiped away, not the headers of tab groups.
+        override fun getSwipeDirs(
+            recyclerView: RecyclerView,
+            viewHolder: RecyclerView.ViewHolder,
+        ): Int = if (viewHolder is TabViewHolder) super.getSwipeDirs(recyclerView, viewHolder) else 0
+
+        // Tabs can be dragged in any direction, so that they can be reordered in the grid too.
+        override fun getDragDirs(
+            recyclerView: RecyclerView,
+            viewHolder: RecyclerView.ViewHolder,
+        ): Int = if (viewHolder is TabViewHolder) UP or DOWN or LEFT or RIGHT else 0
+
+        override fun onMove(
+            recyclerView: RecyclerView,
+            viewHolder: RecyclerView.ViewHolder,
+            target: RecyclerView.ViewHolder,
+        ): Boolean = adapter.moveDraggedTab(viewHolder.bindingAdapterPosition, target.bindingAdapterPosition)
+
+        override fun clearView(
+            recyclerView: RecyclerView,
+            viewHolder: RecyclerView.ViewHolder,
+        ) {
+            super.clearView(recyclerView, viewHolder)
+            adapter.dropDraggedTab()
+        }
     })
@@ -0,0 +1,495 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import android.text.SpannableString
+import android.text.Spanned
+import android.text.style.BackgroundColorSpan
+import android.view.LayoutInflater
+import android.view.View
+import android.view.ViewGroup
+import android.widget.ImageButton
+import android.widget.TextView
+import androidx.core.content.ContextCompat
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+import androidx.recyclerview.widget.RecyclerView
+import mozilla.components.browser.state.state.TabPartition
+import mozilla.components.browser.state.state.TabSessionState
+import mozilla.components.browser.tabstray.DefaultTabViewHolder
+import mozilla.components.browser.tabstray.TabViewHolder
+import mozilla.components.browser.tabstray.TabsTray
+import mozilla.components.browser.tabstray.TabsTrayStyling
+import mozilla.components.browser.thumbnails.loader.ThumbnailLoader
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.tabs.groups.TabGroup
+import org.mozilla.reference.browser.tabs.groups.TabGroupViewHolder
+import mozilla.components.ui.colors.R as colorsR
+import mozilla.components.ui.icons.R as iconsR
+
+/**
+ * Tabs tray adapter listing the pinned tabs first, then the tabs without a group, followed by every tab group
+ * and finally the tabs without a group that weren't used within [inactiveThreshold].
+ * Outside of selection mode, clicks are forwarded to [delegate]. Matches of [highlight] are
+ * highlighted in the title and URL of every tab.
+ *
+ * Tabs can be dragged to a new position among the tabs of the same group, see [moveDraggedTab].
+ *
+ * While [isTreeLayout] is true, tabs are instead nested under the tab that opened them, and every
+ * branch of the tree can be collapsed or closed at once.
+ */
+@Suppress("LongParameterList")
+class TabsTrayAdapter(
+    private val thumbnailLoader: ThumbnailLoader,
+    private val styling: TabsTrayStyling,
+    private val delegate: TabsTray.Delegate,
+    private val onGroupClicked: (TabGroup) -> Unit,
+    private val onGroupMenuClicked: (TabGroup, View) -> Unit,
+    private val onUnpinClicked: (TabSessionState) -> Unit,
+    private val onCloseTabsClicked: (List<TabSessionState>) -> Unit,
+    private val onTabsUpdated: (List<TabSessionState>) -> Unit,
+    private val onTabMoved: (tabId: String, targetTabId: String, placeAfter: Boolean) -> Unit,
+    private val suspendedTabs: SuspendedTabs,
+) : ListAdapter<TabsTrayItem, RecyclerView.ViewHolder>(DiffCallback),
+    TabsTray {
+    private var tabs: List<TabSessionState> = emptyList()
+    private var selectedTabId: String? = null
+    private var draggedTabId: String? = null
+    private var draggedItems: MutableList<TabsTrayItem>? = null
+    private var inactiveTabs: List<TabSessionState> = emptyList()
+    private var isInactiveExpanded = false
+    private var collapsedTreeTabIds: Set<String> = emptySet()
+    private var treeChildren: Map<String?, List<TabSessionState>> = emptyMap()
+
+    /**
+     * The tab groups. Only shown while [showGroups] is true.
+     */
+    var groups: List<TabGroup> = emptyList()
+        set(value) {
+            field = value
+            submitItems()
+        }
+
+    /**
+     * The ids of the pinned tabs, listed before all other tabs.
+     */
+    var pinnedTabIds: List<String> = emptyList()
+        set(value) {
+            field = value
+            submitItems()
+        }
+
+    /**
+     * How long a tab can go unused before it's listed in the inactive tabs section, in milliseconds,
+     * or null if tabs never become inactive. Only used while [showGroups] is true.
+     */
+    var inactiveThreshold: Long? = null
+        set(value) {
+            field = value
+            submitItems()
+        }
+
+    /**
+     * Whether tabs are listed by group. Groups only exist for normal tabs.
+     */
+    var showGroups: Boolean = true
+        set(value) {
+            field = value
+            submitItems()
+        }
+
+    /**
+     * The ids of the tabs checked in selection mode, or null when not in selection mode.
+     */
+    var checkedTabIds: Set<String>? = null
+        set(value) {
+            field = value
+            submitItems()
+        }
+
+    /**
+     * Whether tabs are shown as a grid of thumbnails instead of a list.
+     */
+    var isGridLayout: Boolean = false
+        set(value) {
+            field = value
+            notifyItemRangeChanged(0, itemCount)
+        }
+
+    /**
+     * Whether tabs are nested under the tab that opened them. Takes precedence over the grid layout,
+     * the groups and the inactive tabs section.
+     */
+    var isTreeLayout: Boolean = false
+        set(value) {
+            field = value
+            submitItems()
+            // The view type of the tabs changes even if their content doesn't.
+            notifyItemRangeChanged(0, itemCount)
+        }
+
+    /**
+     * The search query to highlight in the listed tabs.
+     */
+    var highlight: String = ""
+        set(value) {
+            field = value
+            submitItems()
+        }
+
+    /**
+     * The tabs currently listed in the tray.
+     */
+    val displayedTabs: List<TabSessionState>
+        get() = tabs
+
+    /**
+     * The tab of the first row of the tray, or null if no tab is shown. Tabs of collapsed groups
+     * and of the collapsed inactive section don't have a row.
+     */
+    val firstShownTab: TabSessionState?
+        get() = currentList.firstNotNullOfOrNull { item ->
+            when (item) {
+                is TabsTrayItem.PinnedTab -> item.tab
+                is TabsTrayItem.Tab -> item.tab
+                else -> null
+            }
+        }
+
+    private val itemDelegate = object : TabsTray.Delegate {
+        override fun onTabSelected(
+            tab: TabSessionState,
+            source: String?,
+        ) {
+            val checked = checkedTabIds
+            if (checked == null) {
+                delegate.onTabSelected(tab, source)
+            } else {
+                checkedTabIds = if (tab.id in checked) checked - tab.id else checked + tab.id
+            }
+        }
+
+        override fun onTabClosed(
+            tab: TabSessionState,
+            source: String?,
+        ) {
+            delegate.onTabClosed(tab, source)
+        }
+    }
+
+    override fun updateTabs(
+        tabs: List<TabSessionState>,
+        tabPartition: TabPartition?,
+        selectedTabId: String?,
+    ) {
+        this.tabs = tabs
+        this.selectedTabId = selectedTabId
+        submitItems()
+        onTabsUpdated(tabs)
+    }
+
+    override fun getItemViewType(position: Int): Int =
+        when (getItem(position)) {
+            is TabsTrayItem.Tab -> when {
+                isTreeLayout -> TREE_ITEM_LAYOUT_ID
+                isGridLayout -> GRID_ITEM_LAYOUT_ID
+                else -> R.layout.browser_tabstray_item
+            }
+            is TabsTrayItem.PinnedTab -> PinnedTabViewHolder.LAYOUT_ID
+            is TabsTrayItem.GroupHeader -> TabGroupViewHolder.LAYOUT_ID
+            is TabsTrayItem.InactiveHeader -> InactiveTabsViewHolder.LAYOUT_ID
+        }
+
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): RecyclerView.ViewHolder {
+        val view = LayoutInflater.from(parent.context).inflate(viewType, parent, false)
+        return when (viewType) {
+            PinnedTabViewHolder.LAYOUT_ID -> PinnedTabViewHolder(view)
+            TabGroupViewHolder.LAYOUT_ID -> TabGroupViewHolder(view)
+            InactiveTabsViewHolder.LAYOUT_ID -> InactiveTabsViewHolder(view)
+            else -> DefaultTabViewHolder(view, thumbnailLoader)
+        }
+    }
+
+    override fun onBindViewHolder(
+        holder: RecyclerView.ViewHolder,
+        position: Int,
+    ) {
+        when (val item = getItem(position)) {
+            is TabsTrayItem.Tab -> {
+                holder as TabViewHolder
+                holder.bind(item.tab, item.isSelected, styling, itemDelegate)
+                // In selection mode the indicator shows which tabs are checked instead.
+                item.isChecked?.let { holder.updateSelectedTabIndicator(it) }
+                holder.markUnloaded(item.tab)
+                holder.itemView.findViewById<TextView>(R.id.mozac_browser_tabstray_title)?.highlight(item.highlight)
+                holder.itemView.findViewById<TextView>(R.id.mozac_browser_tabstray_url)?.highlight(item.highlight)
+                if (isTreeLayout) {
+                    holder.bindTreeControls(item)
+                }
+            }
+
+            is TabsTrayItem.PinnedTab -> {
+                val isHighlighted = item.isChecked ?: item.isSelected
+                (holder as PinnedTabViewHolder).bind(item.tab, isHighlighted, styling, itemDelegate, onUnpinClicked)
+                holder.markUnloaded(item.tab)
+            }
+
+            is TabsTrayItem.GroupHeader -> {
+                (holder as TabGroupViewHolder).bind(item.group, item.tabCount, onGroupClicked, onGroupMenuClicked)
+            }
+
+            is TabsTrayItem.InactiveHeader -> {
+                (holder as InactiveTabsViewHolder).bind(
+                    item.tabCount,
+                    item.isExpanded,
+                    onClicked = {
+                        isInactiveExpanded = !isInactiveExpanded
+                        submitItems()
+                    },
+                    onCloseAllClicked = { onCloseTabsClicked(inactiveTabs) },
+                )
+            }
+        }
+    }
+
+    /**
+     * Moves the dragged tab at [from] to the position of the tab at [to]. Tabs are only moved among
+     * the tabs of the same group, and the new order is only applied once the tab is dropped.
+     * The tree of tabs follows the openers of the tabs, so tabs can't be moved in it.
+     *
+     * @return true if the tab was moved.
+     */
+    fun moveDraggedTab(
+        from: Int,
+        to: Int,
+    ): Boolean {
+        if (isTreeLayout || from == RecyclerView.NO_POSITION || to == RecyclerView.NO_POSITION) {
+            return false
+        }
+
+        val tab = getItem(from) as? TabsTrayItem.Tab ?: return false
+        val target = getItem(to) as? TabsTrayItem.Tab ?: return false
+        if (sectionOf(tab.id) != sectionOf(target.id)) {
+            return false
+        }
+
+        val items = draggedItems ?: currentList.toMutableList()
+        val targetIndex = items.indexOfFirst { it.id == target.id }
+        items.add(targetIndex, items.removeAt(items.indexOfFirst { it.id == tab.id }))
+        draggedTabId = tab.id
+        draggedItems = items
+        submitList(items.toList())
+        return true
+    }
+
+    /**
+     * Moves the dropped tab next to its new neighbour in the browser state.
+     */
+    fun dropDraggedTab() {
+        val tabId = draggedTabId
+        val items = draggedItems
+        draggedTabId = null
+        draggedItems = null
+        if (tabId == null || items == null) {
+            return
+        }
+
+        val index = items.indexOfFirst { it.id == tabId }
+        val section = sectionOf(tabId)
+        val previous = (items.getOrNull(index - 1) as? TabsTrayItem.Tab)?.takeIf { sectionOf(it.id) == section }
+        val next = (items.getOrNull(index + 1) as? TabsTrayItem.Tab)?.takeIf { sectionOf(it.id) == section }
+        when {
+            previous != null -> onTabMoved(tabId, previous.id, true)
+            next != null -> onTabMoved(tabId, next.id, false)
+            else -> submitItems()
+        }
+    }
+
+    /**
+     * Returns the id of the section the tab is listed in: its group, the inactive tabs, or null for the other tabs.
+     */
+    private fun sectionOf(tabId: String): String? =
+        when {
+            !showGroups -> null
+            inactiveTabs.any { it.id == tabId } -> INACTIVE_SECTION_ID
+            else -> groups.firstOrNull { tabId in it.tabIds }?.id
+        }
+
+    private fun submitItems() {
+        // Keep the order of the dragged tab until it's dropped.
+        if (draggedItems != null) {
+            return
+        }
+        submitList(buildItems())
+    }
+
+    private fun buildItems(): List<TabsTrayItem> {
+        val checked = checkedTabIds
+        val highlight = highlight.trim()
+        fun TabSessionState.toItem() =
+            TabsTrayItem.Tab(this, id == selectedTabId, checked?.let { id in it }, highlight)
+
+        val tabsById = tabs.associateBy { it.id }
+        val pinnedItems = pinnedTabIds.mapNotNull { tabsById[it] }.map { tab ->
+            TabsTrayItem.PinnedTab(tab, tab.id == selectedTabId, checked?.let { tab.id in it })
+        }
+        val unpinnedTabs = tabs.filter { it.id !in pinnedTabIds }
+
+        if (isTreeLayout) {
+            inactiveTabs = emptyList()
+            return pinnedItems + buildTreeItems(unpinnedTabs) { it.toItem() }
+        }
+
+        if (!showGroups) {
+            inactiveTabs = emptyList()
+            return pinnedItems + unpinnedTabs.map { it.toItem() }
+        }
+
+        val groupedTabIds = groups.flatMap { it.tabIds }.toSet()
+        val ungroupedTabs = unpinnedTabs.filter { it.id !in groupedTabIds }
+        val now = System.currentTimeMillis()
+        inactiveTabs = inactiveThreshold?.let { threshold ->
+            ungroupedTabs.filter { it.id != selectedTabId && it.isInactive(threshold, now) }
+        }.orEmpty()
+        val items = (pinnedItems + (ungroupedTabs - inactiveTabs.toSet()).map { it.toItem() }).toMutableList()
+
+        groups.forEach { group ->
+            // Tabs of a group are listed in the order of the browser state, so that they can be reordered.
+            val groupTabs = unpinnedTabs.filter { it.id in group.tabIds }
+            if (groupTabs.isEmpty() && !group.isClosed) {
+                return@forEach
+            }
+
+            items += TabsTrayItem.GroupHeader(group, groupTabs.size)
+            if (!group.isCollapsed) {
+                items += groupTabs.map { it.toItem() }
+            }
+        }
+
+        if (inactiveTabs.isNotEmpty()) {
+            items += TabsTrayItem.InactiveHeader(inactiveTabs.size, isInactiveExpanded)
+            if (isInactiveExpanded) {
+                items += inactiveTabs.map { it.toItem() }
+            }
+        }
+
+        return items
+    }
+
+    /**
+     * Lists [tabs] as a tree, every tab followed by the tabs it opened one level deeper, unless it's
+     * collapsed. Tabs whose opener isn't listed are roots of the tree.
+     */
+    private fun buildTreeItems(
+        tabs: List<TabSessionState>,
+        toItem: (TabSessionState) -> TabsTrayItem.Tab,
+    ): List<TabsTrayItem> {
+        val tabIds = tabs.map { it.id }.toSet()
+        val children = tabs.groupBy { tab -> tab.parentId?.takeIf { it in tabIds } }
+        treeChildren = children
+
+        val items = mutableListOf<TabsTrayItem>()
+        fun addBranch(
+            tab: TabSessionState,
+            depth: Int,
+        ) {
+            val tabChildren = children[tab.id].orEmpty()
+            val isExpanded = tab.id !in collapsedTreeTabIds
+            items += toItem(tab).copy(depth = depth, childCount = tabChildren.size, isExpanded = isExpanded)
+            if (isExpanded) {
+                tabChildren.forEach { addBranch(it, depth + 1) }
+            }
+        }
+        children[null].orEmpty().forEach { addBranch(it, 0) }
+        return items
+    }
+
+    /**
+     * Returns [tab] followed by all the tabs opened from it, directly or not.
+     */
+    private fun branchOf(tab: TabSessionState): List<TabSessionState> =
+        listOf(tab) + treeChildren[tab.id].orEmpty().flatMap { branchOf(it) }
+
+    private fun RecyclerView.ViewHolder.bindTreeControls(item: TabsTrayItem.Tab) {
+        val indent = itemView.resources.getDimensionPixelSize(R.dimen.tabs_tray_tree_indent)
+        itemView.setPaddingRelative(indent * item.depth.coerceAtMost(MAX_TREE_INDENT_DEPTH), 0, 0, 0)
+
+        val hasChildren = item.childCount > 0
+        itemView.findViewById<ImageButton>(R.id.tab_tree_toggle)?.apply {
+            visibility = if (hasChildren) View.VISIBLE else View.INVISIBLE
+            setImageResource(
+                if (item.isExpanded) {
+                    iconsR.drawable.mozac_ic_chevron_down_24
+                } else {
+                    iconsR.drawable.mozac_ic_chevron_right_24
+                },
+            )
+            setOnClickListener {
+                val tabId = item.tab.id
+                collapsedTreeTabIds = if (item.isExpanded) collapsedTreeTabIds + tabId else collapsedTreeTabIds - tabId
+                submitItems()
+            }
+        }
+        itemView.findViewById<ImageButton>(R.id.tab_tree_close_branch)?.apply {
+            visibility = if (hasChildren) View.VISIBLE else View.GONE
+            setOnClickListener { onCloseTabsClicked(branchOf(item.tab)) }
+        }
+    }
+
+    /**
+     * Dims tabs unloaded to save memory, and says so next to their URL. Tabs restored at startup
+     * and not loaded yet aren't marked, see [SuspendedTabs].
+     */
+    private fun RecyclerView.ViewHolder.markUnloaded(tab: TabSessionState) {
+        val isUnloaded = !tab.isLoaded && tab.id in suspendedTabs
+        itemView.alpha = if (isUnloaded) UNLOADED_TAB_ALPHA else 1f
+        if (isUnloaded) {
+            itemView.findViewById<TextView>(R.id.mozac_browser_tabstray_url)?.let { url ->
+                url.text = itemView.context.getString(R.string.tab_unloaded_url, url.text)
+            }
+        }
+    }
+
+    private fun TextView.highlight(query: String) {
+        if (query.isEmpty()) {
+            return
+        }
+
+        val spannable = SpannableString(text)
+        val color = ContextCompat.getColor(context, colorsR.color.photonPurple50)
+        var start = text.indexOf(query, ignoreCase = true)
+        while (start >= 0) {
+            val end = start + query.length
+            spannable.setSpan(BackgroundColorSpan(color), start, end, Spanned.SPAN_EXCLUSIVE_EXCLUSIVE)
+            start = text.indexOf(query, end, ignoreCase = true)
+        }
+        text = spannable
+    }
+
+    private object DiffCallback : DiffUtil.ItemCallback<TabsTrayItem>() {
+        override fun areItemsTheSame(
+            oldItem: TabsTrayItem,
+            newItem: TabsTrayItem,
+        ): Boolean = oldItem.id == newItem.id && oldItem::class == newItem::class
+
+        override fun areContentsTheSame(
+            oldItem: TabsTrayItem,
+            newItem: TabsTrayItem,
+        ): Boolean = oldItem == newItem
+    }
+
+    companion object {
+        val GRID_ITEM_LAYOUT_ID = R.layout.view_tab_grid_item
+        val TREE_ITEM_LAYOUT_ID = R.layout.view_tab_tree_item
+        private const val INACTIVE_SECTION_ID = "inactive_tabs"
+        private const val UNLOADED_TAB_ALPHA = 0.6f
+
+        // Deeper tabs are indented as much as this, so that their title stays readable.
+        private const val MAX_TREE_INDENT_DEPTH = 5
+    }
+}
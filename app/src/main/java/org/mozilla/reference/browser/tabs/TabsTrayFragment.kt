@@ -10,15 +10,20 @@ import android.os.Bundle
 import android.view.LayoutInflater
 import android.view.View
 import android.view.ViewGroup
+import android.widget.TextView
+import android.widget.Toast
+import androidx.appcompat.app.AlertDialog
+import androidx.appcompat.widget.PopupMenu
 import androidx.fragment.app.Fragment
+import androidx.lifecycle.lifecycleScope
+import androidx.recyclerview.widget.GridLayoutManager
 import androidx.recyclerview.widget.LinearLayoutManager
 import androidx.recyclerview.widget.RecyclerView
+import kotlinx.coroutines.launch
+import mozilla.components.browser.state.selector.findTab
 import mozilla.components.browser.state.state.TabSessionState
-import mozilla.components.browser.tabstray.DefaultTabViewHolder
-import mozilla.components.browser.tabstray.TabsAdapter
 import mozilla.components.browser.tabstray.TabsTray
 import mozilla.components.browser.tabstray.TabsTrayStyling
-import mozilla.components.browser.tabstray.ViewHolderProvider
 import mozilla.components.browser.thumbnails.loader.ThumbnailLoader
 import mozilla.components.feature.tabs.tabstray.TabsFeature
 import mozilla.components.support.base.feature.UserInteractionHandler
@@ -26,14 +31,32 @@ import org.mozilla.reference.browser.R
 import org.mozilla.reference.browser.browser.BrowserFragment
 import org.mozilla.reference.browser.ext.components
 import org.mozilla.reference.browser.ext.requireComponents
+import org.mozilla.reference.browser.ext.showNameDialog
+import org.mozilla.reference.browser.settings.Settings
+import org.mozilla.reference.browser.tabs.groups.TabGroup
+
+private const val GRID_SPAN_COUNT = 2
 
 /**
- * A fragment for displaying the tabs tray.
+ * A fragment for displaying the tabs tray, either as a list, a grid of thumbnails or a tree of
+ * openers. The listed tabs can be narrowed down with a search query on their title and URL, and
+ * with a [TabFilter].
  */
 class TabsTrayFragment :
     Fragment(),
     UserInteractionHandler {
     private var tabsFeature: TabsFeature? = null
+    private var trayAdapter: TabsTrayAdapter? = null
+    private var isPrivateTray = false
+    private var searchQuery = ""
+    private var tabFilter = TabFilter.ALL
+
+    private val tabsToolbar: TabsToolbar
+        get() = requireView().findViewById(R.id.tabsToolbar)
+    private val noResultsView: TextView
+        get() = requireView().findViewById(R.id.tabsTrayNoResults)
+    private val tabsTray: RecyclerView
+        get() = requireView().findViewById(R.id.tabsTray)
 
     override fun onCreateView(
         inflater: LayoutInflater,
@@ -47,7 +70,14 @@ class TabsTrayFragment :
     ) {
         super.onViewCreated(view, savedInstanceState)
 
+        // Tabs may have expired while the app stayed in the foreground.
+        requireComponents.core.inactiveTabsCleaner.closeExpiredTabs()
+
         val trayAdapter = createAndSetupTabsTray(requireContext())
+        this.trayAdapter = trayAdapter
+        setGridLayout(Settings.isTabsTrayGrid(requireContext()))
+        trayAdapter.isTreeLayout = Settings.isTabsTrayTree(requireContext())
+        trayAdapter.inactiveThreshold = Settings.getInactiveTabsThreshold(requireContext())
 
         tabsFeature = TabsFeature(
             trayAdapter,
@@ -56,10 +86,40 @@ class TabsTrayFragment :
         ) { !it.content.private }
 
         val tabsPanel: TabsPanel = view.findViewById(R.id.tabsPanel)
-        val tabsToolbar: TabsToolbar = view.findViewById(R.id.tabsToolbar)
 
-        tabsPanel.initialize(tabsFeature, updateTabsToolbar = ::updateTabsToolbar)
-        tabsToolbar.initialize(tabsFeature) { closeTabsTray() }
+        tabsPanel.initialize(updateTabsToolbar = ::updateTabsToolbar)
+        tabsToolbar.initialize(
+            tabsFeature,
+            closeTabsTray = { closeTabsTray() },
+            onTabsClosed = { count -> requireActivity().showUndoCloseTabsSnackbar(count) },
+            onSelectionModeChanged = ::setSelectionMode,
+            onGroupSelectedTabs = ::showCreateGroupDialog,
+            onMoveSelectedTabs = ::showMoveToGroupDialog,
+            onPinSelectedTabs = ::pinSelectedTabs,
+            onSearch = { query ->
+                searchQuery = query
+                applyTabsFilter()
+            },
+            onSearchSubmitted = ::openFirstResult,
+            onFilterSelected = { filter ->
+                tabFilter = filter
+                applyTabsFilter()
+            },
+            onGridViewChanged = ::setGridLayout,
+            onTreeViewChanged = { isTree -> trayAdapter.isTreeLayout = isTree },
+        )
+
+        viewLifecycleOwner.lifecycleScope.launch {
+            requireComponents.core.tabGroupStorage.groups.collect { groups ->
+                trayAdapter.groups = groups
+            }
+        }
+
+        viewLifecycleOwner.lifecycleScope.launch {
+            requireComponents.core.pinnedTabStorage.pinnedTabIds.collect { pinnedTabIds ->
+                trayAdapter.pinnedTabIds = pinnedTabIds
+            }
+        }
     }
 
     override fun onStart() {
@@ -74,8 +134,17 @@ class TabsTrayFragment :
         tabsFeature?.stop()
     }
 
+    override fun onDestroyView() {
+        super.onDestroyView()
+        trayAdapter = null
+    }
+
     override fun onBackPressed(): Boolean {
-        closeTabsTray()
+        if (trayAdapter?.checkedTabIds != null) {
+            setSelectionMode(false)
+        } else {
+            closeTabsTray()
+        }
         return true
     }
 
@@ -86,25 +155,172 @@ class TabsTrayFragment :
         }
     }
 
+    private fun closeTab(tab: TabSessionState) {
+        requireComponents.useCases.tabsUseCases.removeTab(tab.id)
+        requireActivity().showUndoCloseTabsSnackbar(1)
+    }
+
+    private fun closeTabs(tabs: List<TabSessionState>) {
+        requireComponents.useCases.tabsUseCases.removeTabs(tabs.map { it.id })
+        requireActivity().showUndoCloseTabsSnackbar(tabs.size)
+    }
+
     private fun updateTabsToolbar(isPrivate: Boolean) {
-        val tabsToolbar = requireView().findViewById<TabsToolbar>(R.id.tabsToolbar)
+        isPrivateTray = isPrivate
+        setSelectionMode(false)
+        applyTabsFilter()
         tabsToolbar.updateToolbar(isPrivate)
     }
 
-    private fun createAndSetupTabsTray(context: Context): TabsTray {
-        val layoutManager = LinearLayoutManager(context)
-        val thumbnailLoader = ThumbnailLoader(context.components.core.thumbnailStorage)
-        val trayStyling = TabsTrayStyling(itemBackgroundColor = Color.TRANSPARENT, itemTextColor = Color.WHITE)
-        val viewHolderProvider: ViewHolderProvider = { viewGroup ->
-            val view = LayoutInflater
-                .from(context)
-                .inflate(R.layout.browser_tabstray_item, viewGroup, false)
+    /**
+     * Lists the tabs of the current mode matching both the search query and the tab filter.
+     * Search results are listed without their groups so that tabs in collapsed groups show up too.
+     */
+    private fun applyTabsFilter() {
+        val isPrivate = isPrivateTray
+        val query = searchQuery
+        val filter = tabFilter
+        val now = System.currentTimeMillis()
+
+        tabsFeature?.filterTabs { tab ->
+            tab.content.private == isPrivate && filter.matches(tab, now) && tab.matchesQuery(query)
+        }
+        trayAdapter?.apply {
+            showGroups = !isPrivate && !isFiltering()
+            highlight = query
+        }
+    }
+
+    private fun isFiltering() = searchQuery.isNotBlank() || tabFilter != TabFilter.ALL
+
+    private fun onTabsUpdated(tabs: List<TabSessionState>) {
+        noResultsView.visibility = if (tabs.isEmpty() && isFiltering()) View.VISIBLE else View.GONE
+    }
+
+    /**
+     * Jumps to the first tab matching the search query.
+     */
+    private fun openFirstResult() {
+        val tab = trayAdapter?.firstShownTab ?: return
+        requireComponents.useCases.tabsUseCases.selectTab(tab.id)
+        closeTabsTray()
+    }
+
+    private fun setGridLayout(isGrid: Boolean) {
+        val adapter = trayAdapter ?: return
+        adapter.isGridLayout = isGrid
+        tabsTray.layoutManager = if (isGrid) {
+            GridLayoutManager(requireContext(), GRID_SPAN_COUNT).apply {
+                // Headers of tab groups span the whole width of the grid.
+                spanSizeLookup = object : GridLayoutManager.SpanSizeLookup() {
+                    override fun getSpanSize(position: Int): Int =
+                        if (adapter.getItemViewType(position) == TabsTrayAdapter.GRID_ITEM_LAYOUT_ID) 1 else spanCount
+                }
+            }
+        } else {
+            LinearLayoutManager(requireContext())
+        }
+    }
+
+    private fun setSelectionMode(isSelecting: Boolean) {
+        trayAdapter?.checkedTabIds = if (isSelecting) emptySet() else null
+        tabsToolbar.updateSelectionMode(isSelecting)
+    }
+
+    /**
+     * Returns the ids of the checked tabs in tray order, or shows a hint if no tab is checked.
+     */
+    private fun checkedTabIds(): List<String>? {
+        val adapter = trayAdapter ?: return null
+        val checked = adapter.checkedTabIds.orEmpty()
+        val tabIds = adapter.displayedTabs.map { it.id }.filter { it in checked }
+
+        if (tabIds.isEmpty()) {
+            Toast.makeText(requireContext(), R.string.tab_group_no_tabs_selected, Toast.LENGTH_SHORT).show()
+            return null
+        }
+        return tabIds
+    }
+
+    private fun showCreateGroupDialog() {
+        val tabIds = checkedTabIds() ?: return
 
-            DefaultTabViewHolder(view, thumbnailLoader)
+        showNameDialog(R.string.tab_group_new, R.string.tab_group_name_hint, name = null) { name ->
+            requireComponents.core.tabGroupStorage.create(name, tabIds)
+            setSelectionMode(false)
         }
-        val tabsAdapter = TabsAdapter(
+    }
+
+    private fun pinSelectedTabs() {
+        val tabIds = checkedTabIds() ?: return
+        requireComponents.core.pinnedTabStorage.pin(tabIds)
+        setSelectionMode(false)
+    }
+
+    private fun showMoveToGroupDialog() {
+        val tabIds = checkedTabIds() ?: return
+        val groups = requireComponents.core.tabGroupStorage.groups.value.filter { !it.isClosed }
+        val names = groups.map { it.name } + getString(R.string.tab_group_none)
+
+        AlertDialog
+            .Builder(requireContext())
+            .setTitle(R.string.tab_group_move_to)
+            .setItems(names.toTypedArray()) { _, which ->
+                requireComponents.core.tabGroupStorage.moveTabs(tabIds, groups.getOrNull(which)?.id)
+                setSelectionMode(false)
+            }.setNegativeButton(R.string.tab_group_dialog_cancel) { dialog, _ -> dialog.cancel() }
+            .show()
+    }
+
+    private fun onGroupClicked(group: TabGroup) {
+        requireComponents.core.tabGroupStorage.setCollapsed(group.id, !group.isCollapsed)
+    }
+
+    private fun onGroupMenuClicked(
+        group: TabGroup,
+        anchor: View,
+    ) {
+        PopupMenu(requireContext(), anchor).apply {
+            menuInflater.inflate(R.menu.tab_group_menu, menu)
+            menu.findItem(R.id.tab_group_open).isVisible = group.isClosed
+            menu.findItem(R.id.tab_group_close).isVisible = !group.isClosed
+            menu.findItem(R.id.tab_group_ungroup).isVisible = !group.isClosed
+            menu.findItem(R.id.tab_group_delete).isVisible = group.isClosed
+            setOnMenuItemClickListener { item ->
+                val storage = requireComponents.core.tabGroupStorage
+                when (item.itemId) {
+                    R.id.tab_group_open -> openGroup(group)
+                    R.id.tab_group_close -> closeGroup(group)
+                    R.id.tab_group_rename ->
+                        showNameDialog(R.string.tab_group_rename, R.string.tab_group_name_hint, group.name) { name ->
+                            storage.rename(group.id, name)
+                        }
+                    R.id.tab_group_ungroup, R.id.tab_group_delete -> storage.remove(group.id)
+                }
+                true
+            }
+        }.show()
+    }
+
+    private fun openGroup(group: TabGroup) {
+        val tabsUseCases = requireComponents.useCases.tabsUseCases
+        val tabIds = group.savedUrls.map { url -> tabsUseCases.addTab(url, selectTab = false) }
+        requireComponents.core.tabGroupStorage.open(group.id, tabIds)
+    }
+
+    private fun closeGroup(group: TabGroup) {
+        val store = requireComponents.core.store
+        val urls = group.tabIds.mapNotNull { store.state.findTab(it)?.content?.url }
+
+        requireComponents.core.tabGroupStorage.close(group.id, urls)
+        requireComponents.useCases.tabsUseCases.removeTabs(group.tabIds)
+    }
+
+    private fun createAndSetupTabsTray(context: Context): TabsTrayAdapter {
+        val thumbnailLoader = ThumbnailLoader(context.components.core.thumbnailStorage)
+        val trayStyling = TabsTrayStyling(itemBackgroundColor = Color.TRANSPARENT, itemTextColor = Color.WHITE)
+        val tabsAdapter = TabsTrayAdapter(
             thumbnailLoader = thumbnailLoader,
-            viewHolderProvider = viewHolderProvider,
             styling = trayStyling,
             delegate = object : TabsTray.Delegate {
                 override fun onTabSelected(
@@ -119,18 +335,23 @@ class TabsTrayFragment :
                     tab: TabSessionState,
                     source: String?,
                 ) {
-                    requireComponents.useCases.tabsUseCases.removeTab(tab.id)
+                    closeTab(tab)
                 }
             },
+            onGroupClicked = ::onGroupClicked,
+            onGroupMenuClicked = ::onGroupMenuClicked,
+            onUnpinClicked = { tab -> requireComponents.core.pinnedTabStorage.unpin(tab.id) },
+            onCloseTabsClicked = ::closeTabs,
+            onTabsUpdated = ::onTabsUpdated,
+            onTabMoved = { tabId, targetTabId, placeAfter ->
+                requireComponents.useCases.tabsUseCases.moveTabs(listOf(tabId), targetTabId, placeAfter)
+            },
+            suspendedTabs = requireComponents.core.suspendedTabs,
         )
 
-        val tabsTray = requireView().findViewById<RecyclerView>(R.id.tabsTray)
-        tabsTray.layoutManager = layoutManager
         tabsTray.adapter = tabsAdapter
 
-        TabsTouchHelper {
-            requireComponents.useCases.tabsUseCases.removeTab(it.id)
-        }.attachToRecyclerView(tabsTray)
+        TabsTouchHelper(::closeTab, tabsAdapter).attachToRecyclerView(tabsTray)
 
         return tabsAdapter
     }
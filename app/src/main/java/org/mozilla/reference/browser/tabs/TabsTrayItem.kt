@@ -0,0 +1,77 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import mozilla.components.browser.state.state.TabSessionState
+import org.mozilla.reference.browser.tabs.groups.TabGroup
+
+/**
+ * A row of the tabs tray.
+ */
+sealed class TabsTrayItem {
+    abstract val id: String
+
+    /**
+     * A single tab.
+     *
+     * @property isChecked Whether the tab is checked in selection mode, or null outside of it.
+     * @property highlight The search query to highlight in the title and URL of the tab.
+     * @property depth How many openers the tab is nested under in the tree of tabs.
+     * @property childCount How many listed tabs were opened from this tab, in the tree of tabs.
+     * @property isExpanded Whether the tabs opened from this tab are listed below it, in the tree of tabs.
+     */
+    data class Tab(
+        val tab: TabSessionState,
+        val isSelected: Boolean,
+        val isChecked: Boolean?,
+        val highlight: String = "",
+        val depth: Int = 0,
+        val childCount: Int = 0,
+        val isExpanded: Boolean = true,
+    ) : TabsTrayItem() {
+        override val id: String
+            get() = tab.id
+    }
+
+    /**
+     * A pinned tab, listed in the compact section at the top of the tray.
+     *
+     * @property isChecked Whether the tab is checked in selection mode, or null outside of it.
+     */
+    data class PinnedTab(
+        val tab: TabSessionState,
+        val isSelected: Boolean,
+        val isChecked: Boolean?,
+    ) : TabsTrayItem() {
+        override val id: String
+            get() = tab.id
+    }
+
+    /**
+     * The header of a tab group, followed by the tabs of the group unless it's collapsed.
+     */
+    data class GroupHeader(
+        val group: TabGroup,
+        val tabCount: Int,
+    ) : TabsTrayItem() {
+        override val id: String
+            get() = group.id
+    }
+
+    /**
+     * The header of the inactive tabs section, followed by the inactive tabs while it's expanded.
+     */
+    data class InactiveHeader(
+        val tabCount: Int,
+        val isExpanded: Boolean,
+    ) : TabsTrayItem() {
+        override val id: String
+            get() = ID
+
+        companion object {
+            private const val ID = "inactive_tabs"
+        }
+    }
+}
@@ -0,0 +1,29 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs
+
+import android.app.Activity
+import com.google.android.material.snackbar.Snackbar
+import com.google.android.material.snackbar.Snackbar.LENGTH_LONG
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.components
+
+/**
+ * Shows a snackbar offering to bring back the [count] tabs that were just closed. The snackbar
+ * is attached to the activity content so it stays visible when the tabs tray closes itself.
+ */
+fun Activity.showUndoCloseTabsSnackbar(count: Int) {
+    val text = if (count == 1) {
+        getString(R.string.tab_closed)
+    } else {
+        getString(R.string.tabs_closed, count)
+    }
+
+    Snackbar
+        .make(findViewById(android.R.id.content), text, LENGTH_LONG)
+        .setAction(R.string.tabs_closed_undo) {
+            components.useCases.tabsUseCases.undo()
+        }.show()
+}
@@ -0,0 +1,28 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs.groups
+
+/**
+ * A named group of normal tabs in the tabs tray.
+ *
+ * @property id The unique id of the group.
+ * @property name The name the user gave the group.
+ * @property tabIds The ids of the open tabs in the group, in tray order.
+ * @property savedUrls The URLs of the tabs of a closed group, reopened by opening the group.
+ * @property isCollapsed Whether the tabs of the group are hidden in the tray.
+ */
+data class TabGroup(
+    val id: String,
+    val name: String,
+    val tabIds: List<String>,
+    val savedUrls: List<String> = emptyList(),
+    val isCollapsed: Boolean = false,
+) {
+    /**
+     * Whether the tabs of this group were closed and can be opened again.
+     */
+    val isClosed: Boolean
+        get() = tabIds.isEmpty() && savedUrls.isNotEmpty()
+}
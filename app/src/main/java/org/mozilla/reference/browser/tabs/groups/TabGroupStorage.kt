@@ -0,0 +1,160 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs.groups
+
+import android.content.Context
+import kotlinx.coroutines.flow.StateFlow
+import org.json.JSONArray
+import org.json.JSONObject
+import org.mozilla.reference.browser.storage.JsonListStorage
+import java.util.UUID
+
+/**
+ * Persists the tab groups of the tabs tray. Groups refer to tabs by id, which [SessionStorage]
+ * keeps across restarts, so the groups are restored together with their tabs. Groups are read and
+ * written off the main thread, changes show up in [groups] once applied.
+ *
+ * [SessionStorage]: mozilla.components.browser.session.storage.SessionStorage
+ */
+class TabGroupStorage(
+    context: Context,
+) {
+    private val storage = JsonListStorage(
+        context,
+        FILE_NAME,
+        name = "tab groups",
+        toJSON = { group -> group.toJSON() },
+        fromJSON = { json, index -> json.getJSONObject(index).toTabGroup() },
+    )
+
+    /**
+     * The tab groups, in tray order.
+     */
+    val groups: StateFlow<List<TabGroup>> = storage.items
+
+    /**
+     * Suspends until the tab groups were read from disk.
+     */
+    suspend fun awaitLoaded() = storage.awaitLoaded()
+
+    /**
+     * Creates a group named [name] out of the given tabs, removing them from their previous group.
+     */
+    fun create(
+        name: String,
+        tabIds: List<String>,
+    ) = update { groups ->
+        val remaining = groups
+            .map { group -> group.copy(tabIds = group.tabIds - tabIds.toSet()) }
+            .withoutEmptyGroups()
+        remaining + TabGroup(UUID.randomUUID().toString(), name, tabIds)
+    }
+
+    /**
+     * Moves the given tabs to the end of the group with the given [groupId], or out of any
+     * group if [groupId] is null.
+     */
+    fun moveTabs(
+        tabIds: List<String>,
+        groupId: String?,
+    ) = update { groups ->
+        groups
+            .map { group ->
+                val remaining = group.tabIds - tabIds.toSet()
+                group.copy(tabIds = if (group.id == groupId) remaining + tabIds else remaining)
+            }.withoutEmptyGroups()
+    }
+
+    /**
+     * Renames the group with the given [groupId] to [name].
+     */
+    fun rename(
+        groupId: String,
+        name: String,
+    ) = updateGroup(groupId) { it.copy(name = name) }
+
+    /**
+     * Collapses the group with the given [groupId], hiding its tabs in the tray, or expands it.
+     */
+    fun setCollapsed(
+        groupId: String,
+        collapsed: Boolean,
+    ) = updateGroup(groupId) { it.copy(isCollapsed = collapsed) }
+
+    /**
+     * Marks the group as closed, remembering the [urls] of its tabs so it can be opened again. The
+     * group is removed if there are no [urls] to remember.
+     */
+    fun close(
+        groupId: String,
+        urls: List<String>,
+    ) = update { groups ->
+        groups
+            .map { if (it.id == groupId) it.copy(tabIds = emptyList(), savedUrls = urls) else it }
+            .withoutEmptyGroups()
+    }
+
+    /**
+     * Marks a closed group as open again with the tabs that were created for its saved URLs.
+     */
+    fun open(
+        groupId: String,
+        tabIds: List<String>,
+    ) = updateGroup(groupId) { it.copy(tabIds = tabIds, savedUrls = emptyList(), isCollapsed = false) }
+
+    /**
+     * Removes the group, leaving its tabs open without a group.
+     */
+    fun remove(groupId: String) = update { groups -> groups.filter { it.id != groupId } }
+
+    /**
+     * Drops tabs that are no longer open from their groups and removes groups left without tabs,
+     * unless they were closed on purpose.
+     */
+    fun prune(openTabIds: Set<String>) =
+        update { groups ->
+            groups
+                .map { group -> group.copy(tabIds = group.tabIds.filter { it in openTabIds }) }
+                .withoutEmptyGroups()
+        }
+
+    private fun updateGroup(
+        groupId: String,
+        transform: (TabGroup) -> TabGroup,
+    ) = update { groups -> groups.map { if (it.id == groupId) transform(it) else it } }
+
+    private fun update(transform: (List<TabGroup>) -> List<TabGroup>) = storage.update(transform)
+
+    private fun List<TabGroup>.withoutEmptyGroups() = filter { it.tabIds.isNotEmpty() || it.isClosed }
+
+    private fun TabGroup.toJSON() =
+        JSONObject().apply {
+            put(KEY_ID, id)
+            put(KEY_NAME, name)
+            put(KEY_TAB_IDS, JSONArray(tabIds))
+            put(KEY_SAVED_URLS, JSONArray(savedUrls))
+            put(KEY_COLLAPSED, isCollapsed)
+        }
+
+    private fun JSONObject.toTabGroup() =
+        TabGroup(
+            id = getString(KEY_ID),
+            name = getString(KEY_NAME),
+            tabIds = getJSONArray(KEY_TAB_IDS).toStringList(),
+            savedUrls = optJSONArray(KEY_SAVED_URLS)?.toStringList().orEmpty(),
+            isCollapsed = optBoolean(KEY_COLLAPSED),
+        )
+
+    private fun JSONArray.toStringList() = (0 until length()).map { getString(it) }
+
+    companion object {
+        private const val FILE_NAME = "tab_groups.json"
+        private const val KEY_ID = "id"
+        private const val KEY_NAME = "name"
+        private const val KEY_TAB_IDS = "tabIds"
+        private const val KEY_SAVED_URLS = "savedUrls"
+        private const val KEY_COLLAPSED = "collapsed"
+    }
+}
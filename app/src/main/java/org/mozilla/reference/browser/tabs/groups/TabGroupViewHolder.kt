@@ -0,0 +1,59 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.tabs.groups
+
+import android.view.View
+import android.widget.ImageButton
+import android.widget.ImageView
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import org.mozilla.reference.browser.R
+import mozilla.components.ui.icons.R as iconsR
+
+/**
+ * The header of a tab group in the tabs tray, showing its name and number of tabs.
+ */
+class TabGroupViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    private val expand = itemView.findViewById<ImageView>(R.id.tab_group_expand)
+    private val name = itemView.findViewById<TextView>(R.id.tab_group_name)
+    private val count = itemView.findViewById<TextView>(R.id.tab_group_count)
+    private val menu = itemView.findViewById<ImageButton>(R.id.tab_group_menu)
+
+    /**
+     * Shows the [group] with its [tabCount] tabs, calling [onGroupClicked] when it is tapped and
+     * [onGroupMenuClicked] when its overflow menu button is tapped.
+     */
+    fun bind(
+        group: TabGroup,
+        tabCount: Int,
+        onGroupClicked: (TabGroup) -> Unit,
+        onGroupMenuClicked: (TabGroup, View) -> Unit,
+    ) {
+        val context = itemView.context
+
+        expand.setImageResource(
+            if (group.isCollapsed || group.isClosed) {
+                iconsR.drawable.mozac_ic_chevron_right_24
+            } else {
+                iconsR.drawable.mozac_ic_chevron_down_24
+            },
+        )
+        name.text = group.name
+        count.text = if (group.isClosed) {
+            context.getString(R.string.tab_group_closed_count, group.savedUrls.size)
+        } else {
+            context.getString(R.string.tab_group_count, tabCount)
+        }
+
+        menu.setOnClickListener { onGroupMenuClicked(group, it) }
+        itemView.setOnClickListener { onGroupClicked(group) }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_tab_group_header
+    }
+}
@@ -0,0 +1,37 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.trackingprotection
+
+import android.view.View
+import android.widget.ImageButton
+import android.widget.TextView
+import androidx.recyclerview.widget.RecyclerView
+import mozilla.components.concept.engine.content.blocking.TrackingProtectionException
+import org.mozilla.reference.browser.R
+
+/**
+ * A site tracking protection is turned off for, in the list of tracking protection exceptions.
+ */
+class ExceptionViewHolder(
+    itemView: View,
+) : RecyclerView.ViewHolder(itemView) {
+    private val url = itemView.findViewById<TextView>(R.id.exception_url)
+    private val remove = itemView.findViewById<ImageButton>(R.id.exception_remove)
+
+    /**
+     * Shows the [exception], calling [onRemoveClicked] when its remove button is tapped.
+     */
+    fun bind(
+        exception: TrackingProtectionException,
+        onRemoveClicked: (TrackingProtectionException) -> Unit,
+    ) {
+        url.text = exception.url
+        remove.setOnClickListener { onRemoveClicked(exception) }
+    }
+
+    companion object {
+        val LAYOUT_ID = R.layout.view_tracking_protection_exception
+    }
+}
@@ -0,0 +1,50 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.trackingprotection
+
+import android.view.LayoutInflater
+import android.view.ViewGroup
+import androidx.recyclerview.widget.DiffUtil
+import androidx.recyclerview.widget.ListAdapter
+import mozilla.components.concept.engine.content.blocking.TrackingProtectionException
+
+/**
+ * Adapter for the list of sites tracking protection is turned off for.
+ *
+ * @param onRemoveClicked Invoked when the remove button of an exception is tapped.
+ */
+class ExceptionsAdapter(
+    private val onRemoveClicked: (TrackingProtectionException) -> Unit,
+) : ListAdapter<TrackingProtectionException, ExceptionViewHolder>(DiffCallback) {
+    override fun onCreateViewHolder(
+        parent: ViewGroup,
+        viewType: Int,
+    ): ExceptionViewHolder {
+        val itemView = LayoutInflater
+            .from(parent.context)
+            .inflate(ExceptionViewHolder.LAYOUT_ID, parent, false)
+
+        return ExceptionViewHolder(itemView)
+    }
+
+    override fun onBindViewHolder(
+        holder: ExceptionViewHolder,
+        position: Int,
+    ) {
+        holder.bind(getItem(position), onRemoveClicked)
+    }
+
+    private object DiffCallback : DiffUtil.ItemCallback<TrackingProtectionException>() {
+        override fun areItemsTheSame(
+            oldItem: TrackingProtectionException,
+            newItem: TrackingProtectionException,
+        ) = oldItem.url == newItem.url
+
+        override fun areContentsTheSame(
+            oldItem: TrackingProtectionException,
+            newItem: TrackingProtectionException,
+        ) = oldItem.url == newItem.url
+    }
+}
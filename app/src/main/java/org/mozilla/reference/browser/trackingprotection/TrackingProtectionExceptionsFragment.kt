@@ -0,0 +1,98 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+package org.mozilla.reference.browser.trackingprotection
+
+import android.os.Bundle
+import android.view.LayoutInflater
+import android.view.Menu
+import android.view.MenuInflater
+import android.view.MenuItem
+import android.view.View
+import android.view.ViewGroup
+import android.widget.TextView
+import androidx.appcompat.app.AppCompatActivity
+import androidx.core.view.MenuProvider
+import androidx.fragment.app.Fragment
+import androidx.lifecycle.Lifecycle
+import androidx.recyclerview.widget.LinearLayoutManager
+import androidx.recyclerview.widget.RecyclerView
+import mozilla.components.concept.engine.content.blocking.TrackingProtectionException
+import org.mozilla.reference.browser.R
+import org.mozilla.reference.browser.ext.requireComponents
+
+/**
+ * Fragment listing the sites tracking protection was turned off for from the site info panel.
+ */
+class TrackingProtectionExceptionsFragment :
+    Fragment(),
+    MenuProvider {
+    private val adapter = ExceptionsAdapter(::onRemoveClicked)
+
+    private val exceptionsList: RecyclerView
+        get() = requireView().findViewById(R.id.exceptions_list)
+    private val exceptionsEmpty: TextView
+        get() = requireView().findViewById(R.id.exceptions_empty)
+
+    override fun onCreateView(
+        inflater: LayoutInflater,
+        container: ViewGroup?,
+        savedInstanceState: Bundle?,
+    ): View? = inflater.inflate(R.layout.fragment_tracking_protection_exceptions, container, false)
+
+    override fun onViewCreated(
+        view: View,
+        savedInstanceState: Bundle?,
+    ) {
+        super.onViewCreated(view, savedInstanceState)
+
+        (activity as AppCompatActivity).title = getString(R.string.tracking_protection_exceptions)
+        exceptionsList.layoutManager = LinearLayoutManager(requireContext())
+        exceptionsList.adapter = adapter
+
+        requireActivity().addMenuProvider(this, viewLifecycleOwner, Lifecycle.State.RESUMED)
+        loadExceptions()
+    }
+
+    override fun onCreateMenu(
+        menu: Menu,
+        menuInflater: MenuInflater,
+    ) {
+        menuInflater.inflate(R.menu.tracking_protection_exceptions_menu, menu)
+    }
+
+    override fun onMenuItemSelected(menuItem: MenuItem): Boolean =
+        when (menuItem.itemId) {
+            R.id.exceptions_remove_all -> {
+                requireComponents.useCases.trackingProtectionUseCases.removeAllExceptions {
+                    loadExceptions()
+                }
+                true
+            }
+
+            else -> false
+        }
+
+    private fun loadExceptions() {
+        requireComponents.useCases.trackingProtectionUseCases.fetchExceptions { exceptions ->
+            // The engine may answer after the user left this screen.
+            if (view == null) {
+                return@fetchExceptions
+            }
+
+            showExceptions(exceptions)
+        }
+    }
+
+    private fun showExceptions(exceptions: List<TrackingProtectionException>) {
+        adapter.submitList(exceptions)
+        exceptionsList.visibility = if (exceptions.isEmpty()) View.GONE else View.VISIBLE
+        exceptionsEmpty.visibility = if (exceptions.isEmpty()) View.VISIBLE else View.GONE
+    }
+
+    private fun onRemoveClicked(exception: TrackingProtectionException) {
+        requireComponents.useCases.trackingProtectionUseCases.removeException(exception)
+        showExceptions(adapter.currentList - exception)
+    }
+}